@@ -4,57 +4,111 @@ var favicon = require('serve-favicon');
 var logger = require('morgan');
 var cookieParser = require('cookie-parser');
 var bodyParser = require('body-parser');
+var cors = require('cors');
+var access = require('./lib/access');
+var errors = require('./lib/errors');
+var session = require('./lib/session');
+var tokens = require('./lib/tokens');
 
 var routes = require('./routes/index');
+var auth = require('./routes/auth');
 var users = require('./routes/users');
+var accounts = require('./routes/accounts');
+var groups = require('./routes/groups');
+var settings = require('./routes/settings');
+var tokenRoutes = require('./routes/tokens');
+var auditRoutes = require('./routes/audit');
+var importRoutes = require('./routes/import');
+var exportRoutes = require('./routes/export');
+var vcards = require('./routes/vcards');
+var carddav = require('./routes/carddav');
+var scim = require('./routes/scim');
 
 var app = express();
 
+/**
+ * Largest file /import accepts, IMPORT_LIMIT_MB megabytes (5 by default).
+ */
+
+var IMPORT_LIMIT = parseFloat(process.env.IMPORT_LIMIT_MB || '5') * 1024 * 1024;
+
+/**
+ * Origins of the Ext app that may call the API with the session cookie,
+ * CORS_ORIGINS separated by commas (the app's dev server by default).
+ */
+
+var ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:1841').split(',').map(function(origin) {
+  return origin.trim().replace(/\/+$/, '');
+}).filter(Boolean);
+
+var IMPORT_PATH = /^\/import(\/|$)/i;
+
+/**
+ * Run a body parser for every path but /import, whose larger bodies are only
+ * read once the request is logged in.
+ */
+
+function exceptImport(parser) {
+  return function(req, res, next) {
+    return IMPORT_PATH.test(req.path) ? next() : parser(req, res, next);
+  };
+}
+
 // view engine setup
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
 // uncomment after placing your favicon in /public
 //app.use(favicon(path.join(__dirname, 'public', 'favicon.ico')));
+app.use(errors.requestId);
 app.use(logger('dev'));
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: false }));
+// the Ext app is served from another port than the API; requests without an
+// Origin do not come from browsers and are left alone, so address book apps
+// get the OPTIONS of CardDAV rather than a preflight answer
+app.use(cors({
+  origin: function(origin, callback) {
+    callback(null, !!origin && ORIGINS.indexOf(origin) !== -1);
+  },
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
+}));
+app.use('/carddav', bodyParser.text({ type: ['application/xml', 'text/xml'] }));
+app.use(exceptImport(bodyParser.json()));
+app.use(exceptImport(bodyParser.urlencoded({ extended: false })));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+app.use(session.load);
+app.use(tokens.load);
+
 app.use('/', routes);
-app.use('/users', users);
+app.use('/auth', auth);
+// contact cards check the session themselves, /users.vcf is not below /users
+app.use(vcards);
+// CardDAV logs clients in itself, with HTTP Basic as well
+app.use(carddav);
+// SCIM answers with errors of its own, identity providers log in with tokens
+app.use(scim);
+// reading needs a permission here, writing one in the route modules
+app.use('/users', session.required, access.allow('read:users'), users);
+app.use('/accounts', session.required, access.allow('read:accounts'), accounts);
+app.use('/groups', session.required, access.allow('read:groups'), groups);
+app.use('/settings', session.required, settings);
+app.use('/tokens', session.required, tokenRoutes);
+app.use('/audit', session.required, access.allow('read:audit'), auditRoutes);
+// imported files may be larger than other bodies, and are only read for
+// accounts that are logged in
+app.use('/import', session.required, bodyParser.json({ limit: IMPORT_LIMIT }), bodyParser.text({
+  type: ['text/csv', 'text/vcard', 'text/x-vcard', 'text/x-ldif', 'text/ldif', 'application/ldif'],
+  limit: IMPORT_LIMIT
+}), importRoutes);
+app.use('/export', session.required, exportRoutes);
 
 // catch 404 and forward to error handler
-app.use(function(req, res, next) {
-  var err = new Error('Not Found');
-  err.status = 404;
-  next(err);
-});
-
-// error handlers
-
-// development error handler
-// will print stacktrace
-if (app.get('env') === 'development') {
-  app.use(function(err, req, res, next) {
-    res.status(err.status || 500);
-    res.render('error', {
-      message: err.message,
-      error: err
-    });
-  });
-}
-
-// production error handler
-// no stacktraces leaked to user
-app.use(function(err, req, res, next) {
-  res.status(err.status || 500);
-  res.render('error', {
-    message: err.message,
-    error: {}
-  });
-});
+app.use(errors.notFound);
 
+// error handler, JSON for API clients and the error page for browsers;
+// stack traces are only sent in development
+app.use(errors.handler(app.get('env') === 'development'));
 
 module.exports = app;
@@ -0,0 +1,315 @@
+var time = require('../lib/time');
+
+/**
+ * Data access for a single table. Routes talk to repositories only, so they
+ * work the same whichever storage driver is configured.
+ *
+ * Records are exchanged using the property names of the API (camelCase).
+ * `options.columns` maps the properties whose column is named differently,
+ * e.g. `{ firstName: 'first_name' }`. `options.version` names the column
+ * counting the changes of each row, for tables that have one.
+ *
+ * `options.deleted` names the column of tables with soft deletes: removing a
+ * row only sets it to the time, which moves the row to the trash. Rows in
+ * the trash are left out of find, list and get unless asked for, until they
+ * are restored or purged.
+ */
+
+function Repository(driver, table, options) {
+  var columns = (options && options.columns) || {};
+  this.driver = driver;
+  this.table = table;
+  this.columns = columns;
+  this.version = (options && options.version) || null;
+  this.properties = {};
+  Object.keys(columns).forEach(function(property) {
+    this.properties[columns[property]] = property;
+  }, this);
+  this.deleted = options && options.deleted ? this.properties[options.deleted] || options.deleted : null;
+}
+
+/**
+ * Translate the keys of an object using the given name map.
+ */
+
+function rename(object, names) {
+  if (!object) {
+    return object;
+  }
+  var result = {};
+  Object.keys(object).forEach(function(key) {
+    result[names[key] || key] = object[key];
+  });
+  return result;
+}
+
+Repository.prototype.toColumns = function(values) {
+  return rename(values, this.columns);
+};
+
+Repository.prototype.toRecord = function(row) {
+  return rename(row, this.properties);
+};
+
+Repository.prototype.column = function(property) {
+  return this.columns[property] || property;
+};
+
+/**
+ * Wrap a callback so rows read from the driver come back as records.
+ */
+
+Repository.prototype.records = function(callback) {
+  var me = this;
+  return function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    if (Array.isArray(result)) {
+      result = result.map(me.toRecord, me);
+    } else if (result && Array.isArray(result.items)) {
+      result = { items: result.items.map(me.toRecord, me), total: result.total };
+    } else if (result && typeof result === 'object') {
+      result = me.toRecord(result);
+    }
+    callback(null, result);
+  };
+};
+
+/**
+ * Whether a record is in the trash.
+ */
+
+Repository.prototype.isDeleted = function(record) {
+  return !!this.deleted && !!record && record[this.deleted] !== null && record[this.deleted] !== undefined;
+};
+
+/**
+ * Wrap a callback so records in the trash are dropped unless
+ * `options.withDeleted` is set.
+ */
+
+Repository.prototype.live = function(options, callback) {
+  var me = this;
+  if (!me.deleted || (options && options.withDeleted)) {
+    return callback;
+  }
+  return function(err, result) {
+    if (Array.isArray(result)) {
+      result = result.filter(function(record) {
+        return !me.isDeleted(record);
+      });
+    } else if (me.isDeleted(result)) {
+      result = null;
+    }
+    callback(err, result);
+  };
+};
+
+/**
+ * List the rows matching an equality map of values. Pass
+ * `{ withDeleted: true }` to include rows in the trash.
+ */
+
+Repository.prototype.find = function(criteria, options, callback) {
+  if (typeof criteria === 'function') {
+    callback = criteria;
+    criteria = {};
+  } else if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  this.driver.find(this.table, this.toColumns(criteria), this.records(this.live(options, callback)));
+};
+
+/**
+ * Run a query description built by db/query.js. Yields `{ items, total }`
+ * where total counts every match regardless of paging. With
+ * `description.trashed` set it lists the rows in the trash instead of the
+ * others, with `description.withDeleted` both.
+ */
+
+Repository.prototype.list = function(description, callback) {
+  var me = this;
+  var rewrite = function(item) {
+    return Object.assign({}, item, { property: me.column(item.property) });
+  };
+  var search = description.search;
+  var filters = description.filters || [];
+  if (me.deleted && !description.withDeleted) {
+    filters = filters.concat({ property: me.deleted, operator: description.trashed ? 'ne' : 'eq', value: null });
+  }
+  this.driver.select(this.table, Object.assign({}, description, {
+    filters: filters.map(rewrite),
+    sorters: (description.sorters || []).map(rewrite),
+    after: description.after && this.toColumns(description.after),
+    search: search && {
+      properties: search.properties.map(this.column, this),
+      value: search.value
+    }
+  }), this.records(callback));
+};
+
+/**
+ * Run a query description page by page, handing `iterator(items, next)` up to
+ * `size` records at a time, so large results never sit in memory at once.
+ * Paging and limits of the description are ignored. Ties in the sort order
+ * are broken by id, and each page starts after the last record of the one
+ * before rather than at an offset, so rows added or deleted in the meantime
+ * neither shift records onto two pages or none, nor slow later pages down.
+ */
+
+Repository.prototype.eachBatch = function(description, size, iterator, callback) {
+  var me = this;
+  var sorters = description.sorters || [];
+  var after = null;
+  if (!sorters.some(function(sorter) {
+    return sorter.property === 'id';
+  })) {
+    sorters = sorters.concat({ property: 'id', direction: 'ASC' });
+  }
+
+  function next(err) {
+    if (err) {
+      return callback(err);
+    }
+    me.list(Object.assign({}, description, { sorters: sorters, after: after, start: 0, limit: size }), function(err, result) {
+      if (err || !result.items.length) {
+        return callback(err || null);
+      }
+      var last = result.items[result.items.length - 1];
+      after = {};
+      sorters.forEach(function(sorter) {
+        after[sorter.property] = last[sorter.property] === undefined ? null : last[sorter.property];
+      });
+      iterator(result.items, result.items.length < size ? callback : next);
+    });
+  }
+  next();
+};
+
+/**
+ * Fetch one row, or null when it does not exist. Pass `{ withDeleted: true }`
+ * to fetch rows in the trash as well. Ids are digits only; MariaDB would read
+ * "1abc" as 1, so anything else is looked up by no driver.
+ */
+
+Repository.prototype.get = function(id, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  if (!/^\d+$/.test(String(id))) {
+    return process.nextTick(callback, null, null);
+  }
+  this.driver.findById(this.table, id, this.records(this.live(options, callback)));
+};
+
+/**
+ * Insert a row and hand back the stored version including its id.
+ */
+
+Repository.prototype.create = function(values, callback) {
+  var row = this.toColumns(values);
+  if (this.version) {
+    row[this.version] = 1;
+  }
+  this.driver.insert(this.table, row, this.records(callback));
+};
+
+/**
+ * Change the given values of a row; yields null when it does not exist.
+ *
+ * Versioned tables count the version up. Passing the `expected` version
+ * only changes the row while it still has it, otherwise the callback gets
+ * an error with the code `version_conflict` and the `current` record.
+ */
+
+Repository.prototype.update = function(id, values, expected, callback) {
+  var me = this;
+  if (typeof expected === 'function') {
+    callback = expected;
+    expected = undefined;
+  }
+  if (!me.version) {
+    return me.driver.update(me.table, id, me.toColumns(values), me.records(callback));
+  }
+  me.driver.update(me.table, id, me.toColumns(values), {
+    column: me.version,
+    expected: expected
+  }, function(err, row) {
+    if (err || row || expected === undefined) {
+      return me.records(callback)(err, row);
+    }
+    // either the row is gone or someone changed it in the meantime
+    me.get(id, function(err, current) {
+      if (err || !current) {
+        return callback(err, null);
+      }
+      var conflict = new Error('Version ' + expected + ' of ' + me.table + ' ' + id + ' is outdated');
+      conflict.code = 'version_conflict';
+      conflict.current = current;
+      callback(conflict);
+    });
+  });
+};
+
+/**
+ * The version option of driver updates that count the version up whatever
+ * it is, null for tables without versions.
+ */
+
+Repository.prototype.counter = function() {
+  return this.version ? { column: this.version } : null;
+};
+
+/**
+ * Delete a row; yields whether anything was removed. Tables with soft
+ * deletes move the row to the trash instead, which counts the version up
+ * like any other change.
+ */
+
+Repository.prototype.remove = function(id, callback) {
+  var me = this;
+  if (!me.deleted) {
+    return me.driver.remove(me.table, id, callback);
+  }
+  me.get(id, function(err, record) {
+    if (err || !record) {
+      return callback(err, false);
+    }
+    var values = {};
+    values[me.deleted] = time.now();
+    me.driver.update(me.table, record.id, me.toColumns(values), me.counter(), function(err, row) {
+      callback(err, !!row);
+    });
+  });
+};
+
+/**
+ * Take a row out of the trash; yields the record, or null when the trash
+ * holds no such row.
+ */
+
+Repository.prototype.restore = function(id, callback) {
+  var me = this;
+  me.get(id, { withDeleted: true }, function(err, record) {
+    if (err || !me.isDeleted(record)) {
+      return callback(err, null);
+    }
+    var values = {};
+    values[me.deleted] = null;
+    me.driver.update(me.table, record.id, me.toColumns(values), me.counter(), me.records(callback));
+  });
+};
+
+/**
+ * Delete a row for good, whether it is in the trash or not; yields whether
+ * anything was removed.
+ */
+
+Repository.prototype.purge = function(id, callback) {
+  this.driver.remove(this.table, id, callback);
+};
+
+module.exports = Repository;
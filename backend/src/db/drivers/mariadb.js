@@ -0,0 +1,253 @@
+var mysql = require('mysql');
+
+/**
+ * Storage driver for the MariaDB service started by docker-compose.
+ */
+
+var pool = mysql.createPool({
+  host: process.env.DB_HOST || 'db',
+  port: parseInt(process.env.DB_PORT || '3306', 10),
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || 'demo',
+  connectionLimit: parseInt(process.env.DB_POOL_SIZE || '10', 10),
+  // hand out DATE columns as 'YYYY-MM-DD' like the in-memory driver does
+  dateStrings: true
+});
+
+/**
+ * Run a parameterized query. The schema is managed by `npm run migrate`.
+ */
+
+function query(sql, values, callback) {
+  if (typeof values === 'function') {
+    callback = values;
+    values = [];
+  }
+  pool.query(sql, values, callback);
+}
+
+/**
+ * Turn an equality map into a WHERE clause.
+ */
+
+function where(criteria, values) {
+  var keys = Object.keys(criteria || {});
+  if (!keys.length) {
+    return '';
+  }
+  return ' WHERE ' + keys.map(function(key) {
+    values.push(key, criteria[key]);
+    return criteria[key] === null ? '?? IS ?' : '?? = ?';
+  }).join(' AND ');
+}
+
+function find(table, criteria, callback) {
+  var values = [table];
+  var sql = 'SELECT * FROM ??' + where(criteria, values) + ' ORDER BY id';
+  query(sql, values, callback);
+}
+
+/**
+ * SQL for the canonical filter operators of db/query.js.
+ */
+
+var COMPARISONS = {
+  eq: '=',
+  ne: '<>',
+  lt: '<',
+  le: '<=',
+  gt: '>',
+  ge: '>='
+};
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+function condition(filter, values) {
+  var op = filter.operator;
+  var value = filter.value;
+
+  if (op === 'like') {
+    values.push(filter.property, '%' + escapeLike(value) + '%');
+    return '?? LIKE ?';
+  }
+  if (op === 'in' || op === 'notin') {
+    if (!value.length) {
+      return op === 'in' ? '1 = 0' : '1 = 1';
+    }
+    values.push(filter.property, value);
+    return op === 'in' ? '?? IN (?)' : '?? NOT IN (?)';
+  }
+  if (value === null && (op === 'eq' || op === 'ne')) {
+    values.push(filter.property);
+    return op === 'eq' ? '?? IS NULL' : '?? IS NOT NULL';
+  }
+  values.push(filter.property, value);
+  return '?? ' + COMPARISONS[op] + ' ?';
+}
+
+/**
+ * The rows that come after the row `after` in the order of the sorters: for
+ * some sorter, those equal to it in every sorter before and beyond it in this
+ * one. NULL sorts first, as MariaDB sorts it.
+ */
+
+function seek(sorters, after, values) {
+  var parts = [];
+  sorters.forEach(function(sorter, index) {
+    var value = after[sorter.property] === undefined ? null : after[sorter.property];
+    var descending = sorter.direction === 'DESC';
+    if (descending && value === null) {
+      // nothing comes after NULL in descending order
+      return;
+    }
+    var terms = sorters.slice(0, index).map(function(before) {
+      var equal = after[before.property] === undefined ? null : after[before.property];
+      values.push(before.property);
+      if (equal === null) {
+        return '?? IS NULL';
+      }
+      values.push(equal);
+      return '?? = ?';
+    });
+    if (value === null) {
+      values.push(sorter.property);
+      terms.push('?? IS NOT NULL');
+    } else if (descending) {
+      values.push(sorter.property, value, sorter.property);
+      terms.push('(?? < ? OR ?? IS NULL)');
+    } else {
+      values.push(sorter.property, value);
+      terms.push('?? > ?');
+    }
+    parts.push('(' + terms.join(' AND ') + ')');
+  });
+  return parts.length ? '(' + parts.join(' OR ') + ')' : '1 = 0';
+}
+
+/**
+ * Run a query description built by db/query.js, yielding the requested page
+ * of rows and the total number of matches. With `after`, a row, only the
+ * rows that come after it in the order of the sorters match.
+ */
+
+function select(table, description, callback) {
+  var whereValues = [table];
+  var conditions = (description.filters || []).map(function(filter) {
+    return condition(filter, whereValues);
+  });
+  var search = description.search;
+  if (search) {
+    conditions.push('(' + search.properties.map(function(property) {
+      return condition({ property: property, operator: 'like', value: search.value }, whereValues);
+    }).join(' OR ') + ')');
+  }
+  if (description.after) {
+    conditions.push(seek(description.sorters || [], description.after, whereValues));
+  }
+  var whereSql = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+
+  var values = whereValues.slice();
+  var sql = 'SELECT * FROM ??' + whereSql;
+  var sorters = description.sorters || [];
+  if (sorters.length) {
+    sql += ' ORDER BY ' + sorters.map(function(sorter) {
+      values.push(sorter.property);
+      return '?? ' + (sorter.direction === 'DESC' ? 'DESC' : 'ASC');
+    }).join(', ');
+  }
+  if (description.limit) {
+    sql += ' LIMIT ?, ?';
+    values.push(description.start || 0, description.limit);
+  }
+
+  query('SELECT COUNT(*) AS total FROM ??' + whereSql, whereValues, function(err, count) {
+    if (err) {
+      return callback(err);
+    }
+    query(sql, values, function(err, rows) {
+      callback(err, rows && { items: rows, total: count[0].total });
+    });
+  });
+}
+
+function findById(table, id, callback) {
+  query('SELECT * FROM ?? WHERE id = ?', [table, id], function(err, rows) {
+    callback(err, rows && rows[0] || null);
+  });
+}
+
+function insert(table, values, callback) {
+  query('INSERT INTO ?? SET ?', [table, values], function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    findById(table, result.insertId, callback);
+  });
+}
+
+/**
+ * Change a row. `version` may name a column `{ column, expected }` that is
+ * counted up; with `expected` only a row that still has that version is
+ * changed. Yields the changed row or null when no row matched.
+ */
+
+function update(table, id, values, version, callback) {
+  if (typeof version === 'function') {
+    callback = version;
+    version = null;
+  }
+  if (!Object.keys(values).length && !version) {
+    return findById(table, id, callback);
+  }
+  var sets = [];
+  var params = [table];
+  if (Object.keys(values).length) {
+    sets.push('?');
+    params.push(values);
+  }
+  if (version) {
+    sets.push('?? = ?? + 1');
+    params.push(version.column, version.column);
+  }
+  var sql = 'UPDATE ?? SET ' + sets.join(', ') + ' WHERE id = ?';
+  params.push(id);
+  if (version && version.expected !== undefined) {
+    sql += ' AND ?? = ?';
+    params.push(version.column, version.expected);
+  }
+  query(sql, params, function(err, result) {
+    if (err || !result.affectedRows) {
+      return callback(err, null);
+    }
+    findById(table, id, callback);
+  });
+}
+
+function remove(table, id, callback) {
+  query('DELETE FROM ?? WHERE id = ?', [table, id], function(err, result) {
+    callback(err, !!(result && result.affectedRows));
+  });
+}
+
+/**
+ * Close the pool so command line scripts can exit.
+ */
+
+function end(callback) {
+  pool.end(callback);
+}
+
+module.exports = {
+  name: 'mariadb',
+  query: query,
+  find: find,
+  select: select,
+  findById: findById,
+  insert: insert,
+  update: update,
+  remove: remove,
+  end: end
+};
@@ -0,0 +1,230 @@
+/**
+ * Embedded storage driver that keeps every table in process memory. Data is
+ * lost when the process exits, which is what local runs and tests want.
+ */
+
+var tables = {};
+
+function table(name) {
+  if (!tables[name]) {
+    tables[name] = { rows: [], nextId: 1 };
+  }
+  return tables[name];
+}
+
+function copy(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+/**
+ * Answer asynchronously so callers see the same timing as a real database.
+ */
+
+function defer(callback, err, result) {
+  process.nextTick(function() {
+    callback(err, result);
+  });
+}
+
+/**
+ * Whether a row has the values of an equality map, compared like `compare`
+ * does, so without regard to case as MariaDB compares text.
+ */
+
+function matches(row, criteria) {
+  return Object.keys(criteria || {}).every(function(key) {
+    var value = row[key] === undefined ? null : row[key];
+    if (value === null || criteria[key] === null) {
+      return value === criteria[key];
+    }
+    return compare(value, criteria[key]) === 0;
+  });
+}
+
+function locate(name, id) {
+  var rows = table(name).rows;
+  // ids are digits only, "1abc" is no id rather than 1
+  if (!/^\d+$/.test(String(id))) {
+    return -1;
+  }
+  id = parseInt(id, 10);
+  for (var i = 0; i < rows.length; i++) {
+    if (rows[i].id === id) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function find(name, criteria, callback) {
+  var rows = table(name).rows.filter(function(row) {
+    return matches(row, criteria);
+  });
+  defer(callback, null, rows.map(copy));
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Numbers compare as numbers, also with numeric strings; anything else, such
+ * as a number and a word, compares as text.
+ */
+
+function compare(a, b) {
+  if ((typeof a === 'number' || typeof b === 'number') && isNumeric(a) && isNumeric(b)) {
+    a = Number(a);
+    b = Number(b);
+  } else {
+    a = String(a).toLowerCase();
+    b = String(b).toLowerCase();
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Evaluate the canonical filter operators of db/query.js against a row.
+ */
+
+function test(row, filter) {
+  var value = row[filter.property] === undefined ? null : row[filter.property];
+  var expected = filter.value;
+
+  switch (filter.operator) {
+    case 'like':
+      return value !== null &&
+        String(value).toLowerCase().indexOf(String(expected).toLowerCase()) !== -1;
+    case 'in':
+    case 'notin':
+      var found = value !== null && expected.some(function(item) {
+        return compare(value, item) === 0;
+      });
+      return filter.operator === 'in' ? found : value !== null && !found;
+  }
+
+  if (expected === null || value === null) {
+    var same = expected === value;
+    return filter.operator === 'eq' ? same : filter.operator === 'ne' ? !same : false;
+  }
+
+  var order = compare(value, expected);
+  switch (filter.operator) {
+    case 'eq': return order === 0;
+    case 'ne': return order !== 0;
+    case 'lt': return order < 0;
+    case 'le': return order <= 0;
+    case 'gt': return order > 0;
+    case 'ge': return order >= 0;
+  }
+  return false;
+}
+
+/**
+ * Nulls sort first, as they do in MariaDB.
+ */
+
+function sorter(sorters) {
+  return function(a, b) {
+    for (var i = 0; i < sorters.length; i++) {
+      var property = sorters[i].property;
+      var x = a[property] === undefined ? null : a[property];
+      var y = b[property] === undefined ? null : b[property];
+      var order = x === y ? 0 : x === null ? -1 : y === null ? 1 : compare(x, y);
+      if (order) {
+        return sorters[i].direction === 'DESC' ? -order : order;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Run a query description built by db/query.js, yielding the requested page
+ * of rows and the total number of matches. With `after`, a row, only the
+ * rows that come after it in the order of the sorters match.
+ */
+
+function select(name, description, callback) {
+  var filters = description.filters || [];
+  var search = description.search;
+  var order = sorter(description.sorters || []);
+  var after = description.after;
+  var rows = table(name).rows.filter(function(row) {
+    return filters.every(function(filter) {
+      return test(row, filter);
+    }) && (!search || search.properties.some(function(property) {
+      return test(row, { property: property, operator: 'like', value: search.value });
+    })) && (!after || order(row, after) > 0);
+  });
+  rows.sort(order);
+
+  var start = description.start || 0;
+  var page = description.limit ? rows.slice(start, start + description.limit) : rows.slice(start);
+  defer(callback, null, { items: page.map(copy), total: rows.length });
+}
+
+function findById(name, id, callback) {
+  var index = locate(name, id);
+  defer(callback, null, index === -1 ? null : copy(table(name).rows[index]));
+}
+
+function insert(name, values, callback) {
+  var store = table(name);
+  var row = copy(values);
+  row.id = row.id || store.nextId;
+  store.nextId = Math.max(store.nextId, row.id + 1);
+  store.rows.push(row);
+  defer(callback, null, copy(row));
+}
+
+/**
+ * Change a row. `version` may name a column `{ column, expected }` that is
+ * counted up; with `expected` only a row that still has that version is
+ * changed. Yields the changed row or null when no row matched.
+ */
+
+function update(name, id, values, version, callback) {
+  if (typeof version === 'function') {
+    callback = version;
+    version = null;
+  }
+  var index = locate(name, id);
+  if (index === -1) {
+    return defer(callback, null, null);
+  }
+  var row = table(name).rows[index];
+  if (version && version.expected !== undefined && row[version.column] !== version.expected) {
+    return defer(callback, null, null);
+  }
+  Object.keys(values).forEach(function(key) {
+    row[key] = copy({ v: values[key] }).v;
+  });
+  if (version) {
+    row[version.column] = (row[version.column] || 0) + 1;
+  }
+  defer(callback, null, copy(row));
+}
+
+function remove(name, id, callback) {
+  var index = locate(name, id);
+  if (index !== -1) {
+    table(name).rows.splice(index, 1);
+  }
+  defer(callback, null, index !== -1);
+}
+
+function end(callback) {
+  defer(callback || function() {}, null);
+}
+
+module.exports = {
+  name: 'memory',
+  find: find,
+  select: select,
+  findById: findById,
+  insert: insert,
+  update: update,
+  remove: remove,
+  end: end
+};
@@ -0,0 +1,92 @@
+var debug = require('debug')('demo:db');
+var Repository = require('./Repository');
+
+/**
+ * Pick the storage driver from DB_DRIVER: "mariadb" (the default, used by
+ * docker-compose) or "memory" to run without any database server.
+ */
+
+var DRIVERS = {
+  mariadb: './drivers/mariadb',
+  memory: './drivers/memory'
+};
+
+var name = process.env.DB_DRIVER || 'mariadb';
+
+if (!DRIVERS[name]) {
+  throw new Error('Unknown DB_DRIVER "' + name + '", expected one of: ' +
+    Object.keys(DRIVERS).join(', '));
+}
+
+var driver = require(DRIVERS[name]);
+debug('using ' + driver.name + ' driver');
+
+module.exports = {
+  driver: driver,
+  people: new Repository(driver, 'people', {
+    columns: {
+      firstName: 'first_name',
+      lastName: 'last_name',
+      hireDate: 'hire_date',
+      managerId: 'manager_id',
+      photoUrl: 'photo_url',
+      deletedAt: 'deleted_at'
+    },
+    version: 'version',
+    deleted: 'deleted_at'
+  }),
+  accounts: new Repository(driver, 'accounts', {
+    columns: {
+      displayName: 'display_name',
+      personId: 'person_id',
+      passwordHash: 'password_hash',
+      lastLoginAt: 'last_login_at',
+      createdAt: 'created_at'
+    }
+  }),
+  groups: new Repository(driver, 'groups', {
+    columns: {
+      createdAt: 'created_at',
+      deletedAt: 'deleted_at'
+    },
+    version: 'version',
+    deleted: 'deleted_at'
+  }),
+  memberships: new Repository(driver, 'group_members', {
+    columns: {
+      groupId: 'group_id',
+      personId: 'person_id'
+    }
+  }),
+  settings: new Repository(driver, 'settings', {
+    columns: {
+      accountId: 'account_id',
+      updatedAt: 'updated_at'
+    }
+  }),
+  sessions: new Repository(driver, 'sessions', {
+    columns: {
+      tokenHash: 'token_hash',
+      accountId: 'account_id',
+      createdAt: 'created_at',
+      expiresAt: 'expires_at'
+    }
+  }),
+  audit: new Repository(driver, 'audit_log', {
+    columns: {
+      occurredAt: 'occurred_at',
+      accountId: 'account_id',
+      entityId: 'entity_id',
+      requestId: 'request_id'
+    }
+  }),
+  tokens: new Repository(driver, 'tokens', {
+    columns: {
+      accountId: 'account_id',
+      tokenHash: 'token_hash',
+      createdAt: 'created_at',
+      expiresAt: 'expires_at',
+      lastUsedAt: 'last_used_at'
+    }
+  })
+};
@@ -0,0 +1,143 @@
+var async = require('async');
+
+/**
+ * Helpers for the many-to-many relation between groups and people, stored as
+ * one `group_members` row per member.
+ */
+
+/**
+ * Yields the member ids of the given groups as a map of group id to an array
+ * of person ids. Groups without members map to an empty array.
+ *
+ * People in the trash keep their memberships, so restoring them brings those
+ * back. Pass the `people` repository to leave them out.
+ */
+
+function membersOf(repository, groupIds, people, callback) {
+  if (typeof people === 'function') {
+    callback = people;
+    people = null;
+  }
+  var members = {};
+  groupIds.forEach(function(id) {
+    members[id] = [];
+  });
+  if (!groupIds.length) {
+    return process.nextTick(callback, null, members);
+  }
+  repository.list({
+    filters: [{ property: 'groupId', operator: 'in', value: groupIds }],
+    sorters: [{ property: 'id', direction: 'ASC' }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    live(people, result.items, function(err, items) {
+      if (err) {
+        return callback(err);
+      }
+      items.forEach(function(membership) {
+        members[membership.groupId].push(membership.personId);
+      });
+      callback(null, members);
+    });
+  });
+}
+
+/**
+ * Drop the memberships of people in the trash.
+ */
+
+function live(people, items, callback) {
+  var ids = items.map(function(membership) {
+    return membership.personId;
+  });
+  if (!people || !ids.length) {
+    return process.nextTick(callback, null, items);
+  }
+  people.list({
+    filters: [{ property: 'id', operator: 'in', value: ids }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var found = result.items.map(function(person) {
+      return person.id;
+    });
+    callback(null, items.filter(function(membership) {
+      return found.indexOf(membership.personId) !== -1;
+    }));
+  });
+}
+
+/**
+ * Make exactly the given people members of a group, adding and removing
+ * membership rows as needed. With the `people` repository, people in the
+ * trash keep their memberships.
+ */
+
+function assign(repository, groupId, personIds, people, callback) {
+  if (typeof people === 'function') {
+    callback = people;
+    people = null;
+  }
+  repository.find({ groupId: groupId }, function(err, existing) {
+    if (err) {
+      return callback(err);
+    }
+    var current = existing.map(function(membership) {
+      return membership.personId;
+    });
+    var removed = existing.filter(function(membership) {
+      return personIds.indexOf(membership.personId) === -1;
+    });
+    var added = personIds.filter(function(personId, index) {
+      return current.indexOf(personId) === -1 && personIds.indexOf(personId) === index;
+    });
+
+    async.series([
+      function(next) {
+        live(people, removed, function(err, removed) {
+          if (err) {
+            return next(err);
+          }
+          async.eachSeries(removed, function(membership, done) {
+            repository.remove(membership.id, done);
+          }, next);
+        });
+      },
+      function(next) {
+        async.eachSeries(added, function(personId, done) {
+          repository.create({ groupId: groupId, personId: personId }, done);
+        }, next);
+      }
+    ], function(err) {
+      callback(err);
+    });
+  });
+}
+
+/**
+ * Remove every membership matching an equality map, e.g. `{ personId: 3 }`
+ * when a person is deleted. MariaDB cascades deletes on its own, the
+ * in-memory driver relies on this.
+ */
+
+function removeWhere(repository, criteria, callback) {
+  repository.find(criteria, function(err, existing) {
+    if (err) {
+      return callback(err);
+    }
+    async.eachSeries(existing, function(membership, done) {
+      repository.remove(membership.id, done);
+    }, function(err) {
+      callback(err);
+    });
+  });
+}
+
+module.exports = {
+  membersOf: membersOf,
+  assign: assign,
+  removeWhere: removeWhere
+};
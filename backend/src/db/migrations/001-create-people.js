@@ -0,0 +1,21 @@
+/**
+ * People shown in the Personnel grid.
+ */
+
+module.exports = {
+  up: [
+    'CREATE TABLE IF NOT EXISTS people (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  name VARCHAR(255) NOT NULL,' +
+    '  email VARCHAR(255) NULL,' +
+    '  phone VARCHAR(64) NULL,' +
+    '  department VARCHAR(255) NULL,' +
+    '  title VARCHAR(255) NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  KEY people_email (email)' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE people'
+  ]
+};
@@ -0,0 +1,26 @@
+/**
+ * Split the single name column into first and last name, and record the hire
+ * date and manager of each person.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE people' +
+    '  ADD COLUMN first_name VARCHAR(100) NOT NULL DEFAULT \'\' AFTER id,' +
+    '  ADD COLUMN last_name VARCHAR(100) NOT NULL DEFAULT \'\' AFTER first_name,' +
+    '  ADD COLUMN hire_date DATE NULL,' +
+    '  ADD COLUMN manager_id INT UNSIGNED NULL,' +
+    '  ADD CONSTRAINT people_manager FOREIGN KEY (manager_id) REFERENCES people (id) ON DELETE SET NULL',
+    'UPDATE people SET' +
+    '  first_name = SUBSTRING_INDEX(name, \' \', 1),' +
+    '  last_name = TRIM(SUBSTRING(name, CHAR_LENGTH(SUBSTRING_INDEX(name, \' \', 1)) + 1))',
+    'ALTER TABLE people DROP COLUMN name'
+  ],
+  down: [
+    'ALTER TABLE people ADD COLUMN name VARCHAR(255) NOT NULL DEFAULT \'\' AFTER id',
+    'UPDATE people SET name = TRIM(CONCAT(first_name, \' \', last_name))',
+    'ALTER TABLE people DROP FOREIGN KEY people_manager',
+    'ALTER TABLE people DROP COLUMN manager_id, DROP COLUMN hire_date,' +
+    '  DROP COLUMN last_name, DROP COLUMN first_name'
+  ]
+};
@@ -0,0 +1,26 @@
+/**
+ * Application accounts shown on the Users tab. `roles` holds a comma
+ * separated list of role names.
+ */
+
+module.exports = {
+  up: [
+    'CREATE TABLE accounts (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  username VARCHAR(64) NOT NULL,' +
+    '  display_name VARCHAR(255) NOT NULL,' +
+    '  person_id INT UNSIGNED NULL,' +
+    '  roles VARCHAR(255) NOT NULL DEFAULT \'\',' +
+    '  status VARCHAR(16) NOT NULL DEFAULT \'active\',' +
+    '  password_hash VARCHAR(255) NULL,' +
+    '  last_login_at DATETIME NULL,' +
+    '  created_at DATETIME NOT NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  UNIQUE KEY accounts_username (username),' +
+    '  CONSTRAINT accounts_person FOREIGN KEY (person_id) REFERENCES people (id) ON DELETE SET NULL' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE accounts'
+  ]
+};
@@ -0,0 +1,31 @@
+/**
+ * Groups of people. A person can be a member of any number of groups. GROUPS
+ * is a reserved word in newer MySQL versions, hence the quoting.
+ */
+
+module.exports = {
+  up: [
+    'CREATE TABLE `groups` (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  name VARCHAR(100) NOT NULL,' +
+    '  description TEXT NULL,' +
+    '  created_at DATETIME NOT NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  UNIQUE KEY groups_name (name)' +
+    ') DEFAULT CHARSET=utf8',
+    'CREATE TABLE group_members (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  group_id INT UNSIGNED NOT NULL,' +
+    '  person_id INT UNSIGNED NOT NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  UNIQUE KEY group_members_member (group_id, person_id),' +
+    '  KEY group_members_person (person_id),' +
+    '  CONSTRAINT group_members_group FOREIGN KEY (group_id) REFERENCES `groups` (id) ON DELETE CASCADE,' +
+    '  CONSTRAINT group_members_person FOREIGN KEY (person_id) REFERENCES people (id) ON DELETE CASCADE' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE group_members',
+    'DROP TABLE `groups`'
+  ]
+};
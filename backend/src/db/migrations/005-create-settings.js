@@ -0,0 +1,22 @@
+/**
+ * Stored preferences. The row without an account holds the global defaults
+ * admins edit, the others hold what an account changed on top of them.
+ * `preferences` is a JSON object.
+ */
+
+module.exports = {
+  up: [
+    'CREATE TABLE settings (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  account_id INT UNSIGNED NULL,' +
+    '  preferences TEXT NOT NULL,' +
+    '  updated_at DATETIME NOT NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  UNIQUE KEY settings_account (account_id),' +
+    '  CONSTRAINT settings_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE settings'
+  ]
+};
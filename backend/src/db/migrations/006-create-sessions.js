@@ -0,0 +1,23 @@
+/**
+ * Login sessions. Only a hash of the session token is stored, the token
+ * itself lives in the browser's cookie.
+ */
+
+module.exports = {
+  up: [
+    'CREATE TABLE sessions (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  token_hash CHAR(64) NOT NULL,' +
+    '  account_id INT UNSIGNED NOT NULL,' +
+    '  created_at DATETIME NOT NULL,' +
+    '  expires_at DATETIME NOT NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  UNIQUE KEY sessions_token (token_hash),' +
+    '  KEY sessions_expires (expires_at),' +
+    '  CONSTRAINT sessions_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE sessions'
+  ]
+};
@@ -0,0 +1,29 @@
+/**
+ * Access tokens for scripts: personal access tokens of people's accounts and
+ * API keys of service accounts, which have no password and cannot log in.
+ * Only a hash of each token is stored, `prefix` identifies it in lists.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE accounts ADD COLUMN kind VARCHAR(16) NOT NULL DEFAULT \'person\' AFTER display_name',
+    'CREATE TABLE tokens (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  account_id INT UNSIGNED NOT NULL,' +
+    '  name VARCHAR(100) NOT NULL,' +
+    '  prefix VARCHAR(16) NOT NULL,' +
+    '  token_hash CHAR(64) NOT NULL,' +
+    '  scopes VARCHAR(255) NOT NULL,' +
+    '  created_at DATETIME NOT NULL,' +
+    '  expires_at DATETIME NOT NULL,' +
+    '  last_used_at DATETIME NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  UNIQUE KEY tokens_hash (token_hash),' +
+    '  CONSTRAINT tokens_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE tokens',
+    'ALTER TABLE accounts DROP COLUMN kind'
+  ]
+};
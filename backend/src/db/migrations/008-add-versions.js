@@ -0,0 +1,16 @@
+/**
+ * Row versions of people and groups, counted up by every change. Clients send
+ * the version they edited as `If-Match`, so a change made in the meantime is
+ * reported instead of being overwritten.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE people ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1',
+    'ALTER TABLE `groups` ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1'
+  ],
+  down: [
+    'ALTER TABLE `groups` DROP COLUMN version',
+    'ALTER TABLE people DROP COLUMN version'
+  ]
+};
@@ -0,0 +1,28 @@
+/**
+ * Append-only trail of the changes made through the API. The actor is kept
+ * by name as well, so entries outlive deleted accounts. `changes` holds the
+ * changed fields as JSON, `reverts` the entry a revert undid.
+ */
+
+module.exports = {
+  up: [
+    'CREATE TABLE audit_log (' +
+    '  id INT UNSIGNED NOT NULL AUTO_INCREMENT,' +
+    '  occurred_at DATETIME NOT NULL,' +
+    '  account_id INT UNSIGNED NULL,' +
+    '  actor VARCHAR(64) NULL,' +
+    '  entity VARCHAR(32) NOT NULL,' +
+    '  entity_id VARCHAR(64) NOT NULL,' +
+    '  action VARCHAR(16) NOT NULL,' +
+    '  changes TEXT NOT NULL,' +
+    '  reverts INT UNSIGNED NULL,' +
+    '  request_id VARCHAR(64) NULL,' +
+    '  PRIMARY KEY (id),' +
+    '  KEY audit_log_entity (entity, entity_id),' +
+    '  KEY audit_log_occurred (occurred_at)' +
+    ') DEFAULT CHARSET=utf8'
+  ],
+  down: [
+    'DROP TABLE audit_log'
+  ]
+};
@@ -0,0 +1,15 @@
+/**
+ * Soft deletes of people and groups: deleting sets `deleted_at`, which moves
+ * the row to the trash until it is restored or purged.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE people ADD COLUMN deleted_at DATETIME NULL, ADD KEY people_deleted (deleted_at)',
+    'ALTER TABLE `groups` ADD COLUMN deleted_at DATETIME NULL, ADD KEY groups_deleted (deleted_at)'
+  ],
+  down: [
+    'ALTER TABLE `groups` DROP COLUMN deleted_at',
+    'ALTER TABLE people DROP COLUMN deleted_at'
+  ]
+};
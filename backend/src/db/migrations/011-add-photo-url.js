@@ -0,0 +1,12 @@
+/**
+ * A photo of each person, as the URL of an image, for contact cards.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE people ADD COLUMN photo_url VARCHAR(2048) NULL AFTER title'
+  ],
+  down: [
+    'ALTER TABLE people DROP COLUMN photo_url'
+  ]
+};
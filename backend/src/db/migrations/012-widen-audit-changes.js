@@ -0,0 +1,14 @@
+/**
+ * Room for large audit entries. The members of a big group take more than
+ * the 64 KB a TEXT column holds, and an entry is written after the change it
+ * records, so it must not fail.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE audit_log MODIFY changes MEDIUMTEXT NOT NULL'
+  ],
+  down: [
+    'ALTER TABLE audit_log MODIFY changes TEXT NOT NULL'
+  ]
+};
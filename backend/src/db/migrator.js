@@ -0,0 +1,144 @@
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+var debug = require('debug')('demo:migrate');
+
+/**
+ * Versioned schema migrations. Each file in ./migrations is named
+ * `<version>-<description>.js` and exports `up` and `down` lists of SQL
+ * statements. Applied versions are recorded in the `migrations` table.
+ */
+
+var DIRECTORY = path.join(__dirname, 'migrations');
+
+var TABLE =
+  'CREATE TABLE IF NOT EXISTS migrations (' +
+  '  version INT UNSIGNED NOT NULL,' +
+  '  name VARCHAR(255) NOT NULL,' +
+  '  applied_at DATETIME NOT NULL,' +
+  '  PRIMARY KEY (version)' +
+  ') DEFAULT CHARSET=utf8';
+
+/**
+ * All migrations on disk, oldest first.
+ */
+
+function available() {
+  return fs.readdirSync(DIRECTORY).filter(function(file) {
+    return /^\d+-.+\.js$/.test(file);
+  }).map(function(file) {
+    var migration = require(path.join(DIRECTORY, file));
+    return {
+      version: parseInt(file, 10),
+      name: file.replace(/\.js$/, ''),
+      up: migration.up,
+      down: migration.down
+    };
+  }).sort(function(a, b) {
+    return a.version - b.version;
+  });
+}
+
+/**
+ * Versions already applied, oldest first.
+ */
+
+function applied(driver, callback) {
+  driver.query(TABLE, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    driver.query('SELECT version FROM migrations ORDER BY version', function(err, rows) {
+      callback(err, rows && rows.map(function(row) {
+        return row.version;
+      }));
+    });
+  });
+}
+
+/**
+ * Run one migration direction and record the outcome in the migrations table.
+ */
+
+function run(driver, migration, direction, callback) {
+  debug((direction === 'up' ? 'applying ' : 'reverting ') + migration.name);
+  async.eachSeries(migration[direction], function(sql, next) {
+    driver.query(sql, next);
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    if (direction === 'up') {
+      driver.query('INSERT INTO migrations (version, name, applied_at) VALUES (?, ?, NOW())',
+        [migration.version, migration.name], callback);
+    } else {
+      driver.query('DELETE FROM migrations WHERE version = ?', [migration.version], callback);
+    }
+  });
+}
+
+/**
+ * Run migrations one after another, yielding the names of those that finished.
+ */
+
+function runAll(driver, migrations, direction, callback) {
+  var done = [];
+  async.eachSeries(migrations, function(migration, next) {
+    run(driver, migration, direction, function(err) {
+      if (!err) {
+        done.push(migration.name);
+      }
+      next(err);
+    });
+  }, function(err) {
+    callback(err, done);
+  });
+}
+
+/**
+ * Apply every pending migration in version order. Yields the names applied.
+ */
+
+function migrate(driver, callback) {
+  applied(driver, function(err, versions) {
+    if (err) {
+      return callback(err);
+    }
+    var pending = available().filter(function(migration) {
+      return versions.indexOf(migration.version) === -1;
+    });
+    runAll(driver, pending, 'up', callback);
+  });
+}
+
+/**
+ * Revert the most recent `steps` migrations. Yields the names reverted.
+ */
+
+function rollback(driver, steps, callback) {
+  applied(driver, function(err, versions) {
+    if (err) {
+      return callback(err);
+    }
+    var byVersion = {};
+    available().forEach(function(migration) {
+      byVersion[migration.version] = migration;
+    });
+    var targets = versions.slice(-steps).reverse();
+    var missing = targets.filter(function(version) {
+      return !byVersion[version];
+    });
+    if (missing.length) {
+      return callback(new Error('Applied migration ' + missing[0] + ' is missing on disk'));
+    }
+    runAll(driver, targets.map(function(version) {
+      return byVersion[version];
+    }), 'down', callback);
+  });
+}
+
+module.exports = {
+  available: available,
+  migrate: migrate,
+  rollback: rollback
+};
@@ -0,0 +1,195 @@
+/**
+ * Translate the parameters Ext.data.proxy.Server sends for a store load
+ * (page/start/limit, JSON encoded `sort` and `filter` arrays) into a
+ * driver-neutral query description:
+ *
+ *     {
+ *         filters: [{ property: 'name', operator: 'like', value: 'jean' }],
+ *         sorters: [{ property: 'name', direction: 'ASC' }],
+ *         search: { properties: ['name', 'email'], value: 'jean' },
+ *         start: 0,
+ *         limit: 25
+ *     }
+ *
+ * `search` comes from the `query` parameter combo boxes send and matches
+ * records where any of the searchable properties contains the value.
+ *
+ * Only whitelisted properties are accepted and values are never inlined, so
+ * drivers can turn the description into parameterized statements safely.
+ */
+
+var httpError = require('../lib/http').httpError;
+
+/**
+ * Ext filter operators and their aliases, mapped to the canonical names the
+ * drivers understand.
+ */
+
+var OPERATORS = {
+  '=': 'eq', '==': 'eq', '===': 'eq', eq: 'eq',
+  '!=': 'ne', '!==': 'ne', ne: 'ne',
+  '<': 'lt', lt: 'lt',
+  '<=': 'le', le: 'le',
+  '>': 'gt', gt: 'gt',
+  '>=': 'ge', ge: 'ge',
+  'in': 'in',
+  notin: 'notin',
+  like: 'like'
+};
+
+var DEFAULTS = {
+  fields: [],
+  search: [],
+  defaultSort: [{ property: 'id', direction: 'ASC' }],
+  defaultLimit: 25,
+  maxLimit: 1000
+};
+
+function badRequest(message) {
+  return httpError(400, message);
+}
+
+/**
+ * Parse a parameter that Ext sends JSON encoded, accepting already decoded
+ * values as well.
+ */
+
+function decode(value, name) {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      throw badRequest('Invalid ' + name + ' parameter');
+    }
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function checkProperty(property, options) {
+  if (options.fields.indexOf(property) === -1) {
+    throw badRequest('Unknown property "' + property + '"');
+  }
+  return property;
+}
+
+function parseSorters(params, options) {
+  var sorters;
+
+  if (typeof params.sort === 'string' && params.sort.charAt(0) !== '[' && params.sort.charAt(0) !== '{') {
+    // simpleSortMode: ?sort=name&dir=DESC
+    sorters = [{ property: params.sort, direction: params.dir }];
+  } else {
+    sorters = decode(params.sort, 'sort');
+  }
+
+  if (!sorters.length) {
+    return options.defaultSort.slice();
+  }
+
+  return sorters.map(function(sorter) {
+    sorter = sorter || {};
+    var direction = String(sorter.direction || 'ASC').toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw badRequest('Invalid sort direction "' + sorter.direction + '"');
+    }
+    return {
+      property: checkProperty(sorter.property, options),
+      direction: direction
+    };
+  });
+}
+
+function parseFilters(params, options) {
+  return decode(params.filter, 'filter').map(function(filter) {
+    filter = filter || {};
+    var operator = OPERATORS[filter.operator || 'eq'];
+    if (!operator) {
+      throw badRequest('Unsupported filter operator "' + filter.operator + '"');
+    }
+    var value = filter.value === undefined ? null : filter.value;
+    if (operator === 'in' || operator === 'notin') {
+      value = Array.isArray(value) ? value : [value];
+    } else if (typeof value === 'object' && value !== null) {
+      throw badRequest('Invalid value for filter on "' + filter.property + '"');
+    }
+    return {
+      property: checkProperty(filter.property, options),
+      operator: operator,
+      value: value
+    };
+  });
+}
+
+function parseSearch(params, options) {
+  var value = params.query;
+  if (typeof value !== 'string' || !value.trim() || !options.search.length) {
+    return null;
+  }
+  return { properties: options.search.slice(), value: value.trim() };
+}
+
+function parseInteger(value, fallback) {
+  var number = parseInt(value, 10);
+  return isNaN(number) || number < 0 ? fallback : number;
+}
+
+function parsePaging(params, options) {
+  var limit = parseInteger(params.limit, options.defaultLimit);
+  if (options.maxLimit && (!limit || limit > options.maxLimit)) {
+    limit = options.maxLimit;
+  }
+  var start = parseInteger(params.start, null);
+  if (start === null) {
+    var page = parseInteger(params.page, 1) || 1;
+    start = limit ? (page - 1) * limit : 0;
+  }
+  return { start: start, limit: limit };
+}
+
+/**
+ * Build a query description from request parameters. Throws an error with
+ * status 400 when the parameters are malformed or reference unknown fields.
+ *
+ * Options:
+ *  - fields: properties that may be sorted and filtered on
+ *  - search: properties matched by the `query` parameter
+ *  - defaultSort: sorters used when the request has none
+ *  - defaultLimit: page size when the request has no limit
+ *  - maxLimit: upper bound for the page size, 0 for none
+ */
+
+function parse(params, options) {
+  options = Object.assign({}, DEFAULTS, options);
+  var paging = parsePaging(params || {}, options);
+  return {
+    filters: parseFilters(params || {}, options),
+    sorters: parseSorters(params || {}, options),
+    search: parseSearch(params || {}, options),
+    start: paging.start,
+    limit: paging.limit
+  };
+}
+
+/**
+ * Express middleware that parses `req.query` into `req.listQuery`.
+ */
+
+function middleware(options) {
+  return function(req, res, next) {
+    try {
+      req.listQuery = parse(req.query, options);
+    } catch (err) {
+      return next(err);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  OPERATORS: OPERATORS,
+  parse: parse,
+  middleware: middleware
+};
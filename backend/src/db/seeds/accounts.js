@@ -0,0 +1,12 @@
+/**
+ * Demo accounts for the Users tab. `person` refers to a seeded person by
+ * email. Change the passwords after the first login. Service accounts have
+ * no password, scripts use them through API keys.
+ */
+
+module.exports = [
+  { username: 'picard', displayName: 'Jean-Luc Picard', person: 'jeanluc.picard@enterprise.com', roles: 'admin',  password: 'make-it-so' },
+  { username: 'worf',   displayName: 'Worf',            person: 'worf.moghsson@enterprise.com',  roles: 'editor', password: 'qapla-qapla' },
+  { username: 'troi',   displayName: 'Deanna Troi',     person: 'deanna.troi@enterprise.com',    roles: 'viewer', password: 'empathic-1' },
+  { username: 'sync',   displayName: 'Directory sync',  kind: 'service',                         roles: 'editor' }
+];
@@ -0,0 +1,97 @@
+/**
+ * Generator of realistic looking people for load testing. The output is
+ * deterministic for a given seed so runs can be compared.
+ */
+
+var FIRST_NAMES = [
+  'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda',
+  'William', 'Elizabeth', 'David', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica',
+  'Thomas', 'Sarah', 'Charles', 'Karen', 'Daniel', 'Nancy', 'Matthew', 'Lisa',
+  'Anthony', 'Margaret', 'Mark', 'Sandra', 'Paul', 'Ashley', 'Steven', 'Emily',
+  'Andrew', 'Donna', 'Kenji', 'Aiko', 'Luca', 'Sofia', 'Mateo', 'Amara'
+];
+
+var LAST_NAMES = [
+  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+  'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson',
+  'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson',
+  'White', 'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker',
+  'Young', 'Allen', 'King', 'Wright', 'Scott', 'Tanaka', 'Rossi', 'Novak', 'Okafor'
+];
+
+var DEPARTMENTS = {
+  Engineering: ['Software Engineer', 'Senior Software Engineer', 'QA Engineer', 'Engineering Manager'],
+  Sales: ['Account Executive', 'Sales Manager', 'Sales Representative'],
+  Marketing: ['Marketing Specialist', 'Content Writer', 'Marketing Director'],
+  Finance: ['Accountant', 'Financial Analyst', 'Controller'],
+  'Human Resources': ['HR Generalist', 'Recruiter', 'HR Manager'],
+  Support: ['Support Agent', 'Support Lead'],
+  Operations: ['Operations Analyst', 'Office Manager', 'Facilities Coordinator']
+};
+
+/**
+ * Small seeded pseudo random generator (mulberry32).
+ */
+
+function random(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(rand, list) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+function digits(rand, count) {
+  var out = '';
+  for (var i = 0; i < count; i++) {
+    out += Math.floor(rand() * 10);
+  }
+  return out;
+}
+
+function date(rand, fromYear, toYear) {
+  var year = fromYear + Math.floor(rand() * (toYear - fromYear + 1));
+  var month = 1 + Math.floor(rand() * 12);
+  var day = 1 + Math.floor(rand() * 28);
+  return year + '-' + (month < 10 ? '0' : '') + month + '-' + (day < 10 ? '0' : '') + day;
+}
+
+/**
+ * Build `count` people. Emails carry a running number so they stay unique.
+ * The first person generated for a department heads it and everyone else in
+ * that department reports to them.
+ */
+
+module.exports = function fake(count, seed) {
+  var rand = random(seed || 1);
+  var departments = Object.keys(DEPARTMENTS);
+  var people = [];
+  var heads = {};
+
+  for (var i = 1; i <= count; i++) {
+    var first = pick(rand, FIRST_NAMES);
+    var last = pick(rand, LAST_NAMES);
+    var department = pick(rand, departments);
+    var email = (first + '.' + last + '.' + i).toLowerCase() + '@example.com';
+    people.push({
+      firstName: first,
+      lastName: last,
+      email: email,
+      phone: '555-' + digits(rand, 3) + '-' + digits(rand, 4),
+      department: department,
+      title: pick(rand, DEPARTMENTS[department]),
+      hireDate: date(rand, 2000, 2016),
+      manager: heads[department] || null
+    });
+    heads[department] = heads[department] || email;
+  }
+
+  return people;
+};
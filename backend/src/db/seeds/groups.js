@@ -0,0 +1,21 @@
+/**
+ * Demo groups. `members` refers to seeded people by email.
+ */
+
+module.exports = [
+  {
+    name: 'Senior Staff',
+    description: 'Officers attending the senior staff briefings',
+    members: ['jeanluc.picard@enterprise.com', 'worf.moghsson@enterprise.com', 'deanna.troi@enterprise.com', 'mr.data@enterprise.com']
+  },
+  {
+    name: 'Away Team',
+    description: 'Usually beams down first',
+    members: ['worf.moghsson@enterprise.com', 'mr.data@enterprise.com']
+  },
+  {
+    name: 'Poker Night',
+    description: 'Thursday game in the senior officers\' quarters',
+    members: ['worf.moghsson@enterprise.com', 'deanna.troi@enterprise.com', 'mr.data@enterprise.com']
+  }
+];
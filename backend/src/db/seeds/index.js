@@ -0,0 +1,182 @@
+var async = require('async');
+var debug = require('debug')('demo:seed');
+var password = require('../../lib/password');
+var time = require('../../lib/time');
+var crew = require('./people');
+var memberships = require('../memberships');
+var accounts = require('./accounts');
+var groups = require('./groups');
+var fake = require('./fake');
+
+/**
+ * Insert people that are not stored yet, matched by email, so seeding can be
+ * repeated safely. The `manager` email of a row is resolved to `managerId`.
+ * Yields the number of rows created.
+ */
+
+function insertMissing(repository, rows, callback) {
+  var created = 0;
+  var ids = {};
+
+  var lookup = function(email, done) {
+    if (!email || ids[email]) {
+      return done(null, email ? ids[email] : null);
+    }
+    repository.find({ email: email }, function(err, existing) {
+      if (existing && existing.length) {
+        ids[email] = existing[0].id;
+      }
+      done(err, ids[email] || null);
+    });
+  };
+
+  async.eachSeries(rows, function(row, next) {
+    lookup(row.email, function(err, id) {
+      if (err || id) {
+        return next(err);
+      }
+      lookup(row.manager, function(err, managerId) {
+        if (err) {
+          return next(err);
+        }
+        var values = Object.assign({}, row, { managerId: managerId });
+        delete values.manager;
+        repository.create(values, function(err, person) {
+          if (person) {
+            ids[person.email] = person.id;
+            created++;
+          }
+          next(err);
+        });
+      });
+    });
+  }, function(err) {
+    callback(err, created);
+  });
+}
+
+/**
+ * Service accounts come without a password.
+ */
+
+function hashPassword(value, callback) {
+  if (!value) {
+    return process.nextTick(callback, null, null);
+  }
+  password.hash(value, callback);
+}
+
+/**
+ * Insert accounts that are not stored yet, matched by username. The `person`
+ * email of a row is resolved to `personId`. Yields the number of rows created.
+ */
+
+function insertAccounts(db, rows, callback) {
+  var created = 0;
+
+  async.eachSeries(rows, function(row, next) {
+    db.accounts.find({ username: row.username }, function(err, existing) {
+      if (err || existing.length) {
+        return next(err);
+      }
+      db.people.find({ email: row.person }, function(err, people) {
+        if (err) {
+          return next(err);
+        }
+        hashPassword(row.password, function(err, passwordHash) {
+          if (err) {
+            return next(err);
+          }
+          db.accounts.create({
+            username: row.username,
+            displayName: row.displayName,
+            kind: row.kind || 'person',
+            personId: people.length ? people[0].id : null,
+            roles: row.roles,
+            status: 'active',
+            passwordHash: passwordHash,
+            lastLoginAt: null,
+            createdAt: time.now()
+          }, function(err) {
+            created += err ? 0 : 1;
+            next(err);
+          });
+        });
+      });
+    });
+  }, function(err) {
+    callback(err, created);
+  });
+}
+
+/**
+ * Insert groups that are not stored yet, matched by name, along with their
+ * `members` given by email. Yields the number of groups created.
+ */
+
+function insertGroups(db, rows, callback) {
+  var created = 0;
+
+  async.eachSeries(rows, function(row, next) {
+    db.groups.find({ name: row.name }, function(err, existing) {
+      if (err || existing.length) {
+        return next(err);
+      }
+      async.mapSeries(row.members, function(email, done) {
+        db.people.find({ email: email }, function(err, people) {
+          done(err, people && people.length ? people[0].id : null);
+        });
+      }, function(err, ids) {
+        if (err) {
+          return next(err);
+        }
+        db.groups.create({
+          name: row.name,
+          description: row.description,
+          createdAt: time.now()
+        }, function(err, group) {
+          if (err) {
+            return next(err);
+          }
+          created++;
+          memberships.assign(db.memberships, group.id, ids.filter(Boolean), next);
+        });
+      });
+    });
+  }, function(err) {
+    callback(err, created);
+  });
+}
+
+/**
+ * Seed the database.
+ *
+ * Options:
+ *  - fake: number of generated people to add for load testing
+ *  - fakeSeed: seed for the generator, to vary the generated people
+ */
+
+function run(db, options, callback) {
+  var rows = crew.slice();
+  if (options.fake) {
+    debug('generating ' + options.fake + ' people');
+    rows = rows.concat(fake(options.fake, options.fakeSeed));
+  }
+  insertMissing(db.people, rows, function(err, people) {
+    if (err) {
+      return callback(err);
+    }
+    insertAccounts(db, accounts, function(err, created) {
+      if (err) {
+        return callback(err);
+      }
+      insertGroups(db, groups, function(err, groupsCreated) {
+        callback(err, { people: people, accounts: created, groups: groupsCreated });
+      });
+    });
+  });
+}
+
+module.exports = {
+  run: run
+};
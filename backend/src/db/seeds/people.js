@@ -0,0 +1,11 @@
+/**
+ * The crew the Personnel grid has always shown. `manager` refers to another
+ * entry by email and is resolved to an id when seeding.
+ */
+
+module.exports = [
+  { firstName: 'Jean-Luc', lastName: 'Picard',    email: 'jeanluc.picard@enterprise.com', phone: '555-111-1111', department: 'Command',    title: 'Captain',           hireDate: '2364-01-01', manager: null },
+  { firstName: 'Worf',     lastName: 'Rozhenko',  email: 'worf.moghsson@enterprise.com',  phone: '555-222-2222', department: 'Security',   title: 'Chief of Security', hireDate: '2364-01-01', manager: 'jeanluc.picard@enterprise.com' },
+  { firstName: 'Deanna',   lastName: 'Troi',      email: 'deanna.troi@enterprise.com',    phone: '555-333-3333', department: 'Medical',    title: 'Counselor',         hireDate: '2364-01-01', manager: 'jeanluc.picard@enterprise.com' },
+  { firstName: 'Data',     lastName: 'Soong',     email: 'mr.data@enterprise.com',        phone: '555-444-4444', department: 'Operations', title: 'Second Officer',    hireDate: '2364-01-01', manager: 'jeanluc.picard@enterprise.com' }
+];
@@ -0,0 +1,41 @@
+var httpError = require('./http').httpError;
+var parseRoles = require('./accounts').parseRoles;
+var roles = require('./roles');
+
+/**
+ * Permission checks for the account of a request. Mount the middleware
+ * after `session.required`, which makes sure there is an account. Requests
+ * made with an access token are further limited to the token's scopes.
+ */
+
+function forbidden(permission) {
+  return httpError(403, 'You need the ' + permission + ' permission for this');
+}
+
+/**
+ * Whether the account of a request has a permission.
+ */
+
+function can(req, permission) {
+  if (req.token && req.token.scopes.indexOf(permission) === -1) {
+    return false;
+  }
+  return !!req.account && roles.permissionsOf(parseRoles(req.account.roles)).indexOf(permission) !== -1;
+}
+
+/**
+ * Middleware that answers 403 unless the account of the request has a
+ * permission.
+ */
+
+function allow(permission) {
+  return function(req, res, next) {
+    next(can(req, permission) ? null : forbidden(permission));
+  };
+}
+
+module.exports = {
+  forbidden: forbidden,
+  can: can,
+  allow: allow
+};
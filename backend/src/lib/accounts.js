@@ -0,0 +1,79 @@
+var db = require('../db');
+var roles = require('./roles');
+
+/**
+ * Helpers for account records shared by the account and auth routes.
+ */
+
+/**
+ * Roles are stored comma separated but exchanged as an array. A comma
+ * separated string is accepted as well.
+ */
+
+function parseRoles(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    value = String(value).split(',');
+  }
+  return value.map(function(role) {
+    return String(role).trim();
+  }).filter(function(role, index, list) {
+    return role && list.indexOf(role) === index;
+  });
+}
+
+/**
+ * Shape a stored account for the client: never hand out the password hash,
+ * split the roles and list the permissions they grant. `person` is the linked
+ * person, if it was looked up.
+ */
+
+function present(account, person) {
+  var list = parseRoles(account.roles);
+  var result = Object.assign({}, account, {
+    kind: account.kind || 'person',
+    roles: list,
+    permissions: roles.permissionsOf(list),
+    personName: person ? person.firstName + ' ' + person.lastName : null
+  });
+  delete result.passwordHash;
+  return result;
+}
+
+/**
+ * Present a list of accounts, looking up the names of the linked people.
+ */
+
+function presentAll(items, callback) {
+  var ids = items.map(function(account) {
+    return account.personId;
+  }).filter(function(id) {
+    return id;
+  });
+  if (!ids.length) {
+    return process.nextTick(callback, null, items.map(function(account) {
+      return present(account, null);
+    }));
+  }
+  db.people.list({
+    filters: [{ property: 'id', operator: 'in', value: ids }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var people = {};
+    result.items.forEach(function(person) {
+      people[person.id] = person;
+    });
+    callback(null, items.map(function(account) {
+      return present(account, people[account.personId]);
+    }));
+  });
+}
+
+module.exports = {
+  parseRoles: parseRoles,
+  presentAll: presentAll
+};
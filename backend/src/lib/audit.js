@@ -0,0 +1,92 @@
+var db = require('../db');
+var time = require('./time');
+
+/**
+ * The audit trail: every change made through the API is appended as an
+ * entry naming who made it, when, the entity and the action, with the
+ * changed fields as `{ field: { from, to } }`. Entries are never changed or
+ * removed.
+ *
+ * Entities are `person`, `group`, `account`, `settings` and `token`.
+ */
+
+/**
+ * Properties never written to the trail: secrets, the version that every
+ * change counts up and derived counts.
+ */
+
+var HIDDEN = ['id', 'passwordHash', 'tokenHash', 'version', 'memberCount'];
+
+/**
+ * Whether two values of a field are equal, lists and objects included.
+ */
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * The fields that differ between two states of an entity. Either may be
+ * null, for entities that were created or deleted.
+ */
+
+function diff(before, after) {
+  var changes = {};
+  var names = Object.keys(before || {}).concat(Object.keys(after || {}));
+  names.forEach(function(name, index) {
+    if (names.indexOf(name) !== index || HIDDEN.indexOf(name) !== -1) {
+      return;
+    }
+    var from = before && before[name] !== undefined ? before[name] : null;
+    var to = after && after[name] !== undefined ? after[name] : null;
+    if (!same(from, to)) {
+      changes[name] = { from: from, to: to };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Append the change a request made to an entity. `before` is null for
+ * creations and `after` for deletions; updates that changed nothing are
+ * skipped. `options.reverts` names the entry a revert undid. `req` is null
+ * for changes the backend makes on its own. Yields the entry, or null when
+ * nothing was recorded.
+ */
+
+function record(req, entity, id, action, before, after, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  var changes = diff(before, after);
+  if (action === 'update' && !Object.keys(changes).length) {
+    return process.nextTick(callback, null, null);
+  }
+  db.audit.create({
+    occurredAt: time.now(),
+    accountId: req && req.account ? req.account.id : null,
+    actor: req && req.account ? req.account.username : null,
+    entity: entity,
+    entityId: String(id),
+    action: action,
+    changes: JSON.stringify(changes),
+    reverts: options.reverts || null,
+    requestId: (req && req.id) || null
+  }, callback);
+}
+
+/**
+ * The API representation of an entry.
+ */
+
+function present(entry) {
+  return Object.assign({}, entry, { changes: JSON.parse(entry.changes) });
+}
+
+module.exports = {
+  same: same,
+  diff: diff,
+  record: record,
+  present: present
+};
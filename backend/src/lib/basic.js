@@ -0,0 +1,189 @@
+var crypto = require('crypto');
+var db = require('../db');
+var httpError = require('./http').httpError;
+var password = require('./password');
+var tokens = require('./tokens');
+
+/**
+ * HTTP Basic authentication for clients that can neither keep the session
+ * cookie nor send bearer tokens, such as the address books of phones and
+ * mail clients. The password is either the account's own or one of its
+ * access tokens (see lib/tokens.js), which can be revoked on their own and
+ * limited to the scopes the client needs; tokens go with any username.
+ *
+ * Address books poll often, and checking a password is slow on purpose, so
+ * a password that was right is trusted for a few minutes while the account
+ * keeps it. Clients that keep failing are turned away for a while.
+ */
+
+var TOKEN = /^(pat|key)_/;
+
+/**
+ * How long a password check holds, and how many checks are kept at most.
+ */
+
+var TRUSTED_FOR = 5 * 60 * 1000;
+
+var MAX_TRUSTED = 1000;
+
+/**
+ * Failed attempts an address may make within the window before it has to
+ * wait until the window is over.
+ */
+
+var MAX_FAILURES = 10;
+
+var FAILURE_WINDOW = 15 * 60 * 1000;
+
+// keys of the checks are HMACs under a key of this process, so the cache
+// holds nothing that gives passwords away
+var KEY = crypto.randomBytes(32);
+
+var trusted = {};
+
+var failures = {};
+
+function forget(map) {
+  var now = Date.now();
+  Object.keys(map).forEach(function(key) {
+    if (map[key].expires <= now) {
+      delete map[key];
+    }
+  });
+}
+
+function credentials(req) {
+  var match = /^Basic\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return null;
+  }
+  var decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  var colon = decoded.indexOf(':');
+  return colon === -1 ? null : { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+function usable(account) {
+  return !!account && account.kind !== 'service' && account.status === 'active';
+}
+
+/**
+ * Yields the active account with a username and password, or nothing.
+ */
+
+function check(username, secret, callback) {
+  var key = crypto.createHmac('sha256', KEY).update(username.trim() + '\0' + secret).digest('hex');
+  var hit = trusted[key];
+
+  function verify() {
+    db.accounts.find({ username: username.trim() }, function(err, accounts) {
+      if (err) {
+        return callback(err);
+      }
+      var account = accounts[0];
+      // verify against a dummy hash for unknown users and service accounts,
+      // which have no password, so all take as long
+      password.verify(secret, account && account.passwordHash ? account.passwordHash : password.DUMMY, function(err, valid) {
+        if (err || !usable(account) || !valid) {
+          return callback(err, null);
+        }
+        if (Object.keys(trusted).length >= MAX_TRUSTED) {
+          forget(trusted);
+        }
+        if (Object.keys(trusted).length < MAX_TRUSTED) {
+          trusted[key] = { accountId: account.id, passwordHash: account.passwordHash, expires: Date.now() + TRUSTED_FOR };
+        }
+        callback(null, account);
+      });
+    });
+  }
+
+  if (!hit || hit.expires <= Date.now()) {
+    delete trusted[key];
+    return verify();
+  }
+  // a changed password or a disabled account ends the trust
+  db.accounts.get(hit.accountId, function(err, account) {
+    if (err) {
+      return callback(err);
+    }
+    if (!usable(account) || account.passwordHash !== hit.passwordHash) {
+      delete trusted[key];
+      return verify();
+    }
+    callback(null, account);
+  });
+}
+
+/**
+ * Count a failed attempt of an address, or clear its count after a success.
+ */
+
+function record(address, failed) {
+  if (!failed) {
+    delete failures[address];
+    return;
+  }
+  var entry = failures[address];
+  if (!entry || entry.expires <= Date.now()) {
+    forget(failures);
+    entry = failures[address] = { count: 0, expires: Date.now() + FAILURE_WINDOW };
+  }
+  entry.count++;
+}
+
+function blocked(address) {
+  var entry = failures[address];
+  return entry && entry.expires > Date.now() && entry.count >= MAX_FAILURES ? entry : null;
+}
+
+/**
+ * Middleware that sets `req.account`, and `req.token` for tokens, from the
+ * credentials of the request unless a session or bearer token set it
+ * already. Answers 401 with a challenge for `realm` otherwise.
+ */
+
+function required(realm) {
+  return function(req, res, next) {
+    var given = credentials(req);
+
+    function done(err, account, token) {
+      if (err) {
+        return next(err);
+      }
+      if (given) {
+        record(req.ip, !account);
+      }
+      if (!account) {
+        res.set('WWW-Authenticate', 'Basic realm="' + realm + '", charset="UTF-8"');
+        return next(given ?
+          httpError(401, 'Wrong username or password', { code: 'invalid_credentials' }) :
+          httpError(401, 'Please log in'));
+      }
+      req.account = account;
+      req.token = token || null;
+      next();
+    }
+
+    if (req.account) {
+      return next();
+    }
+    if (!given) {
+      return done(null, null);
+    }
+    var wait = blocked(req.ip);
+    if (wait) {
+      res.set('Retry-After', String(Math.ceil((wait.expires - Date.now()) / 1000)));
+      return next(httpError(429, 'Too many failed logins, try again later', { code: 'too_many_attempts' }));
+    }
+    if (TOKEN.test(given.password)) {
+      return tokens.verify(given.password, function(err, record, account) {
+        done(err, account, record);
+      });
+    }
+    check(given.username, given.password, done);
+  };
+}
+
+module.exports = {
+  required: required
+};
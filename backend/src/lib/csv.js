@@ -0,0 +1,126 @@
+/**
+ * Reading CSV as spreadsheets save it (RFC 4180): fields may be quoted with
+ * double quotes, which are doubled inside quoted fields, and quoted fields
+ * may span lines. Spreadsheets in many locales separate fields with
+ * semicolons or tabs rather than commas, so the delimiter is detected from
+ * the first line. Written files always use commas.
+ */
+
+var DELIMITERS = [',', ';', '\t'];
+
+/**
+ * The delimiter occurring most often outside quotes in the first line.
+ */
+
+function detect(text) {
+  var counts = {};
+  var quoted = false;
+  DELIMITERS.forEach(function(delimiter) {
+    counts[delimiter] = 0;
+  });
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && counts.hasOwnProperty(char)) {
+      counts[char]++;
+    }
+  }
+  return DELIMITERS.reduce(function(best, delimiter) {
+    return counts[delimiter] > counts[best] ? delimiter : best;
+  });
+}
+
+/**
+ * Split CSV text into rows of fields. Blank lines are skipped; each row
+ * remembers the `line` it starts on, for error messages. Throws for a quote
+ * that is never closed.
+ */
+
+function parse(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  var delimiter = detect(text);
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  var line = 1;
+  var start = 1;
+
+  function endRow() {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      row.line = start;
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  }
+
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      start = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Line ' + start + ' has a quote that is never closed');
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Text spreadsheets would run as a formula, unless it is a number such as a
+ * phone number.
+ */
+
+var FORMULA = /^[=+\-@\t\r]/;
+var NUMBER = /^[+\-]?[\d\s().\-\/]*$/;
+
+/**
+ * Turn a row of values into a CSV line, ending in CRLF. Fields with commas,
+ * quotes or line breaks are quoted; null and undefined become empty fields.
+ * Text that would be run as a formula gets a leading apostrophe, so opening
+ * an export in a spreadsheet cannot run anything.
+ */
+
+function format(values) {
+  return values.map(function(value) {
+    var text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA.test(text) && !NUMBER.test(text)) {
+      text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  parse: parse,
+  format: format
+};
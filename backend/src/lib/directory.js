@@ -0,0 +1,225 @@
+var groupHelpers = require('./groups');
+var ldif = require('./ldif');
+var personHelpers = require('./people');
+
+/**
+ * How people and groups map to the entries of an LDAP directory: people are
+ * inetOrgPerson entries below `people.container`, groups groupOfNames entries
+ * below `groups.container`, both in `baseDn`. `attributes` maps LDAP
+ * attributes to properties, `rdn` names the attribute that tells entries
+ * apart in their DN and must be mapped. The manager of a person and the
+ * members of a group are referenced by DN.
+ *
+ * A request may replace any part of the mapping; `attributes` are replaced
+ * as a whole.
+ *
+ * Environment:
+ *  - LDIF_BASE_DN: the base DN, dc=example,dc=com by default
+ */
+
+var DEFAULTS = {
+  baseDn: process.env.LDIF_BASE_DN || 'dc=example,dc=com',
+  people: {
+    container: 'ou=people',
+    rdn: 'mail',
+    attributes: {
+      givenName: 'firstName',
+      sn: 'lastName',
+      mail: 'email',
+      telephoneNumber: 'phone',
+      departmentNumber: 'department',
+      title: 'title'
+    }
+  },
+  groups: {
+    container: 'ou=groups',
+    rdn: 'cn',
+    attributes: {
+      cn: 'name',
+      description: 'description'
+    }
+  }
+};
+
+/**
+ * Properties each kind of entry may map attributes to. References are
+ * mapped on their own.
+ */
+
+var PROPERTIES = {
+  people: personHelpers.FIELDS.filter(function(field) {
+    return field !== 'managerId';
+  }),
+  groups: groupHelpers.FIELDS
+};
+
+var OBJECT_CLASSES = {
+  people: ['top', 'person', 'organizationalPerson', 'inetOrgPerson'],
+  groups: ['top', 'groupOfNames']
+};
+
+/**
+ * The attribute mapped to a property, in the case the mapping uses.
+ */
+
+function attributeOf(part, property) {
+  return Object.keys(part.attributes).filter(function(attribute) {
+    return part.attributes[attribute] === property;
+  })[0];
+}
+
+/**
+ * The mapping with the parts a request replaces. Throws for mappings that
+ * cannot work.
+ */
+
+function mapping(overrides) {
+  overrides = overrides || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Mapping must be an object');
+  }
+  var result = { baseDn: overrides.baseDn || DEFAULTS.baseDn };
+  ldif.parseDn(result.baseDn);
+  ['people', 'groups'].forEach(function(kind) {
+    var part = Object.assign({}, DEFAULTS[kind], overrides[kind]);
+    var rdn = null;
+    ldif.parseDn(part.container);
+    if (!part.attributes || typeof part.attributes !== 'object') {
+      throw new Error('Mapping of ' + kind + ' needs attributes');
+    }
+    Object.keys(part.attributes).forEach(function(attribute) {
+      if (PROPERTIES[kind].indexOf(part.attributes[attribute]) === -1) {
+        throw new Error('Unknown property "' + part.attributes[attribute] + '" for ' + kind);
+      }
+      if (attribute.toLowerCase() === String(part.rdn).toLowerCase()) {
+        rdn = attribute;
+      }
+    });
+    if (!rdn) {
+      throw new Error('The RDN of ' + kind + ', ' + part.rdn + ', is not mapped');
+    }
+    result[kind] = { container: part.container, rdn: rdn, attributes: part.attributes };
+  });
+  return result;
+}
+
+function dn(map, kind, record) {
+  var part = map[kind];
+  var value = record[part.attributes[part.rdn]];
+  return part.rdn + '=' + ldif.escapeValue(value === null || value === undefined ? '' : value) + ',' +
+    part.container + ',' + map.baseDn;
+}
+
+function personDn(map, person) {
+  return dn(map, 'people', person);
+}
+
+function groupDn(map, group) {
+  return dn(map, 'groups', group);
+}
+
+/**
+ * The mapped attributes of a record as `[name, values]`, skipping empty ones.
+ */
+
+function mapped(part, record) {
+  return Object.keys(part.attributes).filter(function(attribute) {
+    var value = record[part.attributes[attribute]];
+    return value !== null && value !== undefined && value !== '';
+  }).map(function(attribute) {
+    return [attribute, [String(record[part.attributes[attribute]])]];
+  });
+}
+
+/**
+ * The entry of a person, with the DN of their manager if they have one.
+ */
+
+function personEntry(map, person, managerDn) {
+  var attributes = [['objectClass', OBJECT_CLASSES.people]];
+  // person requires cn, the full name unless cn is mapped
+  if (!map.people.attributes.cn) {
+    attributes.push(['cn', [[person.firstName, person.lastName].filter(Boolean).join(' ')]]);
+  }
+  attributes = attributes.concat(mapped(map.people, person));
+  if (managerDn) {
+    attributes.push(['manager', [managerDn]]);
+  }
+  return { dn: personDn(map, person), attributes: attributes };
+}
+
+/**
+ * The entry of a group with the DNs of its members. groupOfNames needs a
+ * member, empty groups get an empty one.
+ */
+
+function groupEntry(map, group, memberDns) {
+  return {
+    dn: groupDn(map, group),
+    attributes: [['objectClass', OBJECT_CLASSES.groups]]
+      .concat(mapped(map.groups, group))
+      .concat([['member', memberDns.length ? memberDns : ['']]])
+  };
+}
+
+/**
+ * Whether a record of an LDIF file is about a person or a group, by its
+ * object classes or else by where its DN is. Null for anything else.
+ */
+
+function kindOf(map, record) {
+  var classes = (record.attributes.objectclass || []).map(function(name) {
+    return name.toLowerCase();
+  });
+  if (classes.indexOf('inetorgperson') !== -1) {
+    return 'people';
+  }
+  if (classes.indexOf('groupofnames') !== -1) {
+    return 'groups';
+  }
+  var parent = ldif.parentDn(record.dn);
+  return ['people', 'groups'].filter(function(kind) {
+    return parent === ldif.normalizeDn(map[kind].container + ',' + map.baseDn);
+  })[0] || null;
+}
+
+/**
+ * The properties of a record from its attributes, by lowercased name. Each
+ * mapped property is set, to null when the attribute is missing.
+ */
+
+function valuesOf(map, kind, attributes) {
+  var values = {};
+  Object.keys(map[kind].attributes).forEach(function(attribute) {
+    var list = attributes[attribute.toLowerCase()] || [];
+    values[map[kind].attributes[attribute]] = list.length && list[0] !== '' ? list[0] : null;
+  });
+  return values;
+}
+
+/**
+ * The attributes of an entry by lowercased name, as LDIF records have them.
+ */
+
+function attributesOf(entry) {
+  var attributes = {};
+  entry.attributes.forEach(function(attribute) {
+    attributes[attribute[0].toLowerCase()] = attribute[1].filter(function(value) {
+      return value !== '';
+    });
+  });
+  return attributes;
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+  mapping: mapping,
+  attributeOf: attributeOf,
+  personDn: personDn,
+  groupDn: groupDn,
+  personEntry: personEntry,
+  groupEntry: groupEntry,
+  kindOf: kindOf,
+  valuesOf: valuesOf,
+  attributesOf: attributesOf
+};
@@ -0,0 +1,87 @@
+var crypto = require('crypto');
+var http = require('./http');
+
+/**
+ * Error responses. Browsers navigating to the backend get the Jade error
+ * page, API clients and Ext.Ajax get JSON the Ext reader and forms can use:
+ *
+ *     { success: false, message, code, errors, requestId }
+ *
+ * `errors` maps properties to messages and is only there for invalid input.
+ * Server errors keep their message and stack to the log outside development.
+ */
+
+var REQUEST_ID = /^[\w.-]{1,64}$/;
+
+/**
+ * Middleware that gives each request an id, taken from an `X-Request-Id`
+ * header sent by a proxy or generated, and sends it back in the same header.
+ */
+
+function requestId(req, res, next) {
+  var id = req.get('X-Request-Id');
+  req.id = id && REQUEST_ID.test(id) ? id : crypto.randomBytes(8).toString('hex');
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/* Catch requests no route answered. */
+function notFound(req, res, next) {
+  next(http.httpError(404, 'Not found: ' + req.method + ' ' + req.path));
+}
+
+function wantsHtml(req) {
+  return !req.xhr && req.accepts(['json', 'html']) === 'html';
+}
+
+/**
+ * The error handler. With `development` set the message and stack of server
+ * errors are sent to the client as well.
+ */
+
+function handler(development) {
+  return function(err, req, res, next) {
+    if (res.headersSent) {
+      return next(err);
+    }
+    var status = err.status || err.statusCode;
+    if (!(status >= 400 && status < 600)) {
+      status = 500;
+    }
+    var exposed = status < 500 || development;
+    var message = exposed ? err.message : 'Internal server error';
+
+    if (status >= 500) {
+      console.error('Request ' + req.id + ' failed:', err.stack || err);
+    }
+
+    res.status(status);
+    if (wantsHtml(req)) {
+      return res.render('error', {
+        message: message,
+        error: development ? err : {}
+      });
+    }
+
+    var body = {
+      success: false,
+      message: message,
+      // database drivers set codes of their own, those are not for clients
+      code: status < 500 && typeof err.code === 'string' ? err.code : http.codeOf(status),
+      requestId: req.id
+    };
+    if (status < 500 && err.errors) {
+      body.errors = err.errors;
+    }
+    if (development) {
+      body.stack = err.stack;
+    }
+    res.json(body);
+  };
+}
+
+module.exports = {
+  requestId: requestId,
+  notFound: notFound,
+  handler: handler
+};
@@ -0,0 +1,44 @@
+/**
+ * Helpers for group records shared by the group, import and export routes.
+ */
+
+/**
+ * Group properties that clients may write. `memberIds` replaces the members
+ * of the group when it is sent.
+ */
+
+var SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { title: 'Name', type: 'string', maxLength: 100 },
+    description: { title: 'Description', type: ['string', 'null'], maxLength: 10000 },
+    memberIds: {
+      title: 'Members',
+      type: 'array',
+      items: { type: 'integer', minimum: 1 },
+      errorMessage: 'memberIds must be an array of person ids'
+    }
+  },
+  required: ['name']
+};
+
+var FIELDS = ['name', 'description'];
+
+/**
+ * Properties the grid may sort and filter on.
+ */
+
+var QUERYABLE = ['id', 'name', 'description', 'createdAt'];
+
+/**
+ * Properties matched by the free text `query` parameter.
+ */
+
+var SEARCHABLE = ['name', 'description'];
+
+module.exports = {
+  SCHEMA: SCHEMA,
+  FIELDS: FIELDS,
+  QUERYABLE: QUERYABLE,
+  SEARCHABLE: SEARCHABLE
+};
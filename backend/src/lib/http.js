@@ -0,0 +1,97 @@
+var STATUS_CODES = require('http').STATUS_CODES;
+
+/**
+ * Helpers shared by the route modules.
+ */
+
+/**
+ * Create an error carrying the HTTP status the error handler should send.
+ * `details` may set a machine readable `code`, which defaults to the status
+ * text such as `not_found`, and field-level `errors` keyed by property.
+ */
+
+function httpError(status, message, details) {
+  var err = new Error(message);
+  err.status = status;
+  err.code = (details && details.code) || codeOf(status);
+  if (details && details.errors) {
+    err.errors = details.errors;
+  }
+  return err;
+}
+
+function codeOf(status) {
+  return String(STATUS_CODES[status] || 'error').toLowerCase().replace(/[^a-z]+/g, '_');
+}
+
+/**
+ * A 400 error about the values of request properties, e.g.
+ * `invalid({ email: 'Email is required' })`. The message is the first one.
+ */
+
+function invalid(errors) {
+  var fields = Object.keys(errors);
+  return httpError(400, errors[fields[0]], { code: 'validation_failed', errors: errors });
+}
+
+/**
+ * Send the `{ success, items, total }` envelope the Ext JSON reader expects.
+ */
+
+function respond(res, items, total, status) {
+  res.status(status || 200).json({
+    success: true,
+    items: items,
+    total: total
+  });
+}
+
+/**
+ * Copy the writable `fields` out of a request body. When `partial` is set only
+ * the fields present in the body are returned, otherwise missing fields are
+ * reset to null. Empty strings are stored as null.
+ */
+
+function pick(body, fields, partial) {
+  var values = {};
+  fields.forEach(function(field) {
+    if (Object.prototype.hasOwnProperty.call(body || {}, field)) {
+      values[field] = body[field] === '' ? null : body[field];
+    } else if (!partial) {
+      values[field] = null;
+    }
+  });
+  return values;
+}
+
+/**
+ * Wait until a slow client takes more of a response. Yields an error when it
+ * goes away or the response fails first, as `drain` then never comes.
+ */
+
+function drain(res, callback) {
+  if (res.destroyed) {
+    return process.nextTick(callback, new Error('The client went away'));
+  }
+  function done(err) {
+    res.removeListener('drain', done);
+    res.removeListener('close', closed);
+    res.removeListener('error', done);
+    callback(err || null);
+  }
+  function closed() {
+    done(new Error('The client went away'));
+  }
+  res.on('drain', done);
+  res.on('close', closed);
+  res.on('error', done);
+}
+
+module.exports = {
+  codeOf: codeOf,
+  drain: drain,
+  httpError: httpError,
+  invalid: invalid,
+  respond: respond,
+  pick: pick
+};
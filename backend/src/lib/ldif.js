@@ -0,0 +1,285 @@
+/**
+ * The LDAP Data Interchange Format (LDIF, RFC 2849) that LDAP directories
+ * export and import, and their distinguished names (DNs, RFC 4514).
+ *
+ * Reading yields one record per entry: its `dn`, the `changetype` (add,
+ * modify, delete, modrdn or null for plain content records), `attributes`
+ * by lowercased name, each a list of values, and for modify records the
+ * `modifications`. Attribute options such as `;binary` are dropped. Values
+ * given by URL (`attr:< file://...`) are refused.
+ */
+
+/**
+ * Values written as they are; anything else is base64 encoded.
+ */
+
+var SAFE = /^(?:[\x01-\x09\x0b\x0c\x0e-\x1f\x21-\x39\x3b\x3d-\x7f][\x01-\x09\x0b\x0c\x0e-\x7f]*)?$/;
+
+var WIDTH = 76;
+
+/**
+ * A line of an entry, base64 encoded when needed and folded.
+ */
+
+function line(name, value) {
+  value = value === null || value === undefined ? '' : String(value);
+  var text = SAFE.test(value) && !/ $/.test(value) ?
+    name + ': ' + value :
+    name + ':: ' + Buffer.from(value, 'utf8').toString('base64');
+  var lines = [text.slice(0, WIDTH)];
+  for (var i = WIDTH; i < text.length; i += WIDTH - 1) {
+    lines.push(' ' + text.slice(i, i + WIDTH - 1));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The text of an entry: its `dn` and `attributes` as a list of
+ * `[name, values]`, followed by the blank line ending it.
+ */
+
+function format(entry) {
+  return line('dn', entry.dn) + entry.attributes.map(function(attribute) {
+    return [].concat(attribute[1]).map(function(value) {
+      return line(attribute[0], value);
+    }).join('');
+  }).join('') + '\n';
+}
+
+/**
+ * Read the records of a file. Throws with the line of the first error.
+ */
+
+function parse(text) {
+  var records = [];
+  var logical = [];
+  var comment = false;
+  String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(function(raw, index) {
+    if (raw[0] === ' ') {
+      // a continuation, of a comment as well
+      if (!comment && logical.length && logical[logical.length - 1]) {
+        logical[logical.length - 1].text += raw.slice(1);
+      }
+      return;
+    }
+    comment = raw[0] === '#';
+    if (!comment) {
+      logical.push(raw.trim() ? { text: raw, line: index + 1 } : null);
+    }
+  });
+  logical.push(null);
+
+  var lines = [];
+  logical.forEach(function(entry) {
+    if (entry) {
+      return lines.push(entry);
+    }
+    if (lines.length) {
+      // the version may stand on its own or start the first record
+      if (!records.length && /^version:/i.test(lines[0].text)) {
+        lines.shift();
+      }
+      if (lines.length) {
+        records.push(record(lines));
+      }
+    }
+    lines = [];
+  });
+  return records;
+}
+
+function fail(entry, message) {
+  return new Error('Line ' + entry.line + ': ' + message);
+}
+
+/**
+ * Split a line into its lowercased attribute name and value.
+ */
+
+function attribute(entry) {
+  var match = /^([A-Za-z0-9][\w.-]*)((?:;[\w-]+)*)(::|:<|:)[ ]*(.*)$/.exec(entry.text);
+  if (!match) {
+    throw fail(entry, 'Expected "name: value"');
+  }
+  if (match[3] === ':<') {
+    throw fail(entry, 'Values given by URL are not supported');
+  }
+  var value = match[4];
+  if (match[3] === '::') {
+    if (!/^[A-Za-z0-9+\/]*=*$/.test(value)) {
+      throw fail(entry, 'Invalid base64 value');
+    }
+    value = Buffer.from(value, 'base64').toString('utf8');
+  }
+  return { name: match[1].toLowerCase(), value: value };
+}
+
+function add(attributes, name, value) {
+  (attributes[name] = attributes[name] || []).push(value);
+}
+
+function record(lines) {
+  var first = attribute(lines[0]);
+  if (first.name !== 'dn') {
+    throw fail(lines[0], 'Entries start with "dn:"');
+  }
+  var result = { line: lines[0].line, dn: first.value, changetype: null, attributes: {}, modifications: [] };
+  var rest = lines.slice(1).map(function(entry) {
+    return entry.text === '-' ? { entry: entry, separator: true } : { entry: entry, attribute: attribute(entry) };
+  });
+  if (rest.length && rest[0].attribute && rest[0].attribute.name === 'control') {
+    throw fail(rest[0].entry, 'Controls are not supported');
+  }
+  if (rest.length && rest[0].attribute && rest[0].attribute.name === 'changetype') {
+    result.changetype = rest.shift().attribute.value.toLowerCase();
+  }
+
+  if (result.changetype !== 'modify') {
+    rest.forEach(function(item) {
+      if (item.separator) {
+        throw fail(item.entry, 'Unexpected "-"');
+      }
+      add(result.attributes, item.attribute.name, item.attribute.value);
+    });
+    return result;
+  }
+
+  var modification = null;
+  rest.forEach(function(item) {
+    if (item.separator) {
+      if (!modification) {
+        throw fail(item.entry, 'Unexpected "-"');
+      }
+      modification = null;
+    } else if (!modification) {
+      if (['add', 'delete', 'replace'].indexOf(item.attribute.name) === -1) {
+        throw fail(item.entry, 'Expected add, delete or replace');
+      }
+      modification = { operation: item.attribute.name, attribute: item.attribute.value.toLowerCase(), values: [] };
+      result.modifications.push(modification);
+    } else if (item.attribute.name !== modification.attribute) {
+      throw fail(item.entry, 'Expected a value of ' + modification.attribute + ' or "-"');
+    } else {
+      modification.values.push(item.attribute.value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Escape the value of a DN component.
+ */
+
+function escapeValue(value) {
+  return String(value)
+    .replace(/[\\,+"<>;=]/g, '\\$&')
+    .replace(/\0/g, '\\00')
+    .replace(/^[ #]/, '\\$&')
+    .replace(/ $/, '\\ ');
+}
+
+/**
+ * Read a DN into its RDNs, each a list of `{ type, value }` with the type
+ * lowercased and the value unescaped. Throws for malformed DNs.
+ */
+
+function parseDn(dn) {
+  var rdns = [];
+  var avas = [];
+  var type = null;
+  var value = '';
+  var bytes = [];
+  var escaped = false;
+  dn = String(dn).trim();
+  if (!dn) {
+    return rdns;
+  }
+
+  function flush() {
+    if (bytes.length) {
+      value += Buffer.from(bytes).toString('utf8');
+      bytes = [];
+    }
+  }
+
+  for (var i = 0; i < dn.length; i++) {
+    var char = dn[i];
+    if (type === null) {
+      if (char === '=') {
+        type = value.trim().toLowerCase();
+        value = '';
+        if (!/^([a-z][\w-]*|\d+(\.\d+)*)$/.test(type)) {
+          throw new Error('Invalid attribute type "' + type + '" in DN ' + dn);
+        }
+      } else if (char === ',' || char === '+') {
+        throw new Error('Missing "=" in DN ' + dn);
+      } else {
+        value += char;
+      }
+    } else if (escaped) {
+      escaped = false;
+      if (/[0-9a-f]{2}/i.test(dn.substr(i, 2))) {
+        bytes.push(parseInt(dn.substr(i, 2), 16));
+        i++;
+      } else {
+        flush();
+        value += char;
+      }
+    } else if (char === '\\') {
+      escaped = true;
+    } else if (char === ',' || char === '+') {
+      flush();
+      avas.push({ type: type, value: value.trim() });
+      if (char === ',') {
+        rdns.push(avas);
+        avas = [];
+      }
+      type = null;
+      value = '';
+    } else {
+      flush();
+      value += char;
+    }
+  }
+  if (type === null || escaped) {
+    throw new Error('DN ' + dn + ' ends early');
+  }
+  flush();
+  avas.push({ type: type, value: value.trim() });
+  rdns.push(avas);
+  return rdns;
+}
+
+/**
+ * A DN in a form equal for DNs that only differ in case, spacing or
+ * escaping, to compare them.
+ */
+
+function normalizeDn(dn) {
+  return normalize(parseDn(dn));
+}
+
+/**
+ * The normalized DN of the entry an entry is below.
+ */
+
+function parentDn(dn) {
+  return normalize(parseDn(dn).slice(1));
+}
+
+function normalize(rdns) {
+  return rdns.map(function(avas) {
+    return avas.map(function(ava) {
+      return ava.type + '=' + escapeValue(ava.value.toLowerCase());
+    }).sort().join('+');
+  }).join(',');
+}
+
+module.exports = {
+  format: format,
+  parse: parse,
+  escapeValue: escapeValue,
+  parseDn: parseDn,
+  normalizeDn: normalizeDn,
+  parentDn: parentDn
+};
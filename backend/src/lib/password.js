@@ -0,0 +1,59 @@
+var crypto = require('crypto');
+
+/**
+ * Salted password hashing with PBKDF2. Hashes are stored as
+ * `pbkdf2$<digest>$<iterations>$<salt>$<hash>` so the parameters can be raised
+ * later without invalidating existing passwords.
+ */
+
+var DIGEST = 'sha256';
+var ITERATIONS = 100000;
+var KEY_LENGTH = 32;
+
+function hash(password, callback) {
+  crypto.randomBytes(16, function(err, salt) {
+    if (err) {
+      return callback(err);
+    }
+    salt = salt.toString('hex');
+    crypto.pbkdf2(String(password), salt, ITERATIONS, KEY_LENGTH, DIGEST, function(err, key) {
+      callback(err, key && ['pbkdf2', DIGEST, ITERATIONS, salt, key.toString('hex')].join('$'));
+    });
+  });
+}
+
+/**
+ * Yields whether `password` matches a hash created by `hash`.
+ */
+
+function verify(password, stored, callback) {
+  var parts = String(stored || '').split('$');
+  if (parts.length !== 5 || parts[0] !== 'pbkdf2') {
+    return process.nextTick(callback, null, false);
+  }
+  var expected = Buffer.from(parts[4], 'hex');
+  crypto.pbkdf2(String(password), parts[3], parseInt(parts[2], 10), expected.length, parts[1], function(err, key) {
+    callback(err, !err && crypto.timingSafeEqual(key, expected));
+  });
+}
+
+/**
+ * A valid hash no password matches, for checking logins of unknown users.
+ */
+
+var DUMMY = ['pbkdf2', DIGEST, ITERATIONS, '00', new Array(KEY_LENGTH + 1).join('00')].join('$');
+
+/**
+ * A random password for accounts whose password was reset by an admin.
+ */
+
+function generate() {
+  return crypto.randomBytes(12).toString('base64').replace(/[+\/=]/g, '').slice(0, 14);
+}
+
+module.exports = {
+  DUMMY: DUMMY,
+  hash: hash,
+  verify: verify,
+  generate: generate
+};
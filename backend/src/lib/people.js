@@ -0,0 +1,50 @@
+/**
+ * Helpers for person records shared by the user, import and export routes.
+ */
+
+/**
+ * Person properties that clients may write. The limits match the validators
+ * of the Person model in the frontend.
+ */
+
+var SCHEMA = {
+  type: 'object',
+  properties: {
+    firstName: { title: 'First name', type: 'string', maxLength: 100 },
+    lastName: { title: 'Last name', type: 'string', maxLength: 100 },
+    email: { title: 'Email', type: 'string', format: 'email', maxLength: 255 },
+    phone: {
+      title: 'Phone',
+      type: ['string', 'null'],
+      pattern: '^\\+?[\\d\\s().\\-\\/]{3,32}$',
+      errorMessage: 'Phone must be a phone number such as 555-111-1111'
+    },
+    department: { title: 'Department', type: ['string', 'null'], maxLength: 255 },
+    title: { title: 'Title', type: ['string', 'null'], maxLength: 255 },
+    photoUrl: { title: 'Photo', type: ['string', 'null'], format: 'uri', maxLength: 2048 },
+    hireDate: { title: 'Hire date', type: ['string', 'null'], format: 'date' },
+    managerId: { title: 'Manager', type: ['integer', 'null'], minimum: 1 }
+  },
+  required: ['firstName', 'lastName', 'email']
+};
+
+var FIELDS = Object.keys(SCHEMA.properties);
+
+/**
+ * Properties lists of people may sort and filter on.
+ */
+
+var QUERYABLE = ['id'].concat(FIELDS);
+
+/**
+ * Properties matched by the free text `query` parameter.
+ */
+
+var SEARCHABLE = ['firstName', 'lastName', 'email'];
+
+module.exports = {
+  SCHEMA: SCHEMA,
+  FIELDS: FIELDS,
+  QUERYABLE: QUERYABLE,
+  SEARCHABLE: SEARCHABLE
+};
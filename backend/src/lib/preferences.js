@@ -0,0 +1,80 @@
+var schema = require('./schema');
+
+/**
+ * The preferences of the Settings tab with their built-in defaults. Admins
+ * can change the defaults for everybody, each account can change them for
+ * itself.
+ */
+
+var PERSONNEL_COLUMNS = ['firstName', 'lastName', 'email', 'phone', 'department', 'title', 'hireDate'];
+
+var PREFERENCES = {
+  pageSize: { min: 5, max: 1000, defaultValue: 25 },
+  sortProperty: { values: PERSONNEL_COLUMNS, defaultValue: 'lastName' },
+  sortDirection: { values: ['ASC', 'DESC'], defaultValue: 'ASC' },
+  dateFormat: { values: ['Y-m-d', 'd.m.Y', 'd/m/Y', 'm/d/Y'], defaultValue: 'Y-m-d' },
+  locale: { values: ['en-US', 'en-GB', 'de-DE', 'fr-FR'], defaultValue: 'en-US' },
+  theme: { values: ['triton', 'neptune'], defaultValue: 'triton' },
+  personnelColumns: { items: PERSONNEL_COLUMNS, defaultValue: ['firstName', 'lastName', 'email', 'phone', 'department'] }
+};
+
+/**
+ * The JSON schema of a request changing preferences. Null stands for "use
+ * the default".
+ */
+
+var SCHEMA = {
+  type: 'object',
+  properties: {}
+};
+
+Object.keys(PREFERENCES).forEach(function(name) {
+  var preference = PREFERENCES[name];
+  var property = { title: 'Preference ' + name };
+
+  if (preference.values) {
+    property.enum = preference.values.concat(null);
+  } else if (preference.items) {
+    property.type = ['array', 'null'];
+    property.items = { enum: preference.items };
+  } else {
+    property.type = ['integer', 'null'];
+    property.minimum = preference.min;
+    property.maximum = preference.max;
+  }
+  SCHEMA.properties[name] = property;
+});
+
+function unique(value) {
+  return Array.isArray(value) ? value.filter(function(item, index) {
+    return value.indexOf(item) === index;
+  }) : value;
+}
+
+/**
+ * Combine layers of stored preferences, later ones winning, on top of the
+ * built-in defaults. Stored values that are no longer valid are skipped.
+ */
+
+function merge() {
+  var result = {};
+  var layers = Array.prototype.slice.call(arguments).map(function(layer) {
+    // invalid values are left out, keeping the value of the layer below
+    return schema.validate(SCHEMA, layer, true).values;
+  });
+  Object.keys(PREFERENCES).forEach(function(name) {
+    result[name] = PREFERENCES[name].defaultValue;
+    layers.forEach(function(layer) {
+      if (layer[name] !== undefined && layer[name] !== null) {
+        result[name] = unique(layer[name]);
+      }
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  PREFERENCES: PREFERENCES,
+  SCHEMA: SCHEMA,
+  merge: merge
+};
@@ -0,0 +1,54 @@
+/**
+ * Roles that can be assigned to accounts and the permissions they grant.
+ * Permissions are named `read:<resource>` and `write:<resource>`; the
+ * settings ones cover the global defaults and other accounts' preferences,
+ * everybody may change their own. `read:audit` reads the audit trail of the
+ * entities the other permissions allow to read.
+ */
+
+var PERMISSIONS = [
+  'read:users', 'write:users',
+  'read:groups', 'write:groups',
+  'read:accounts', 'write:accounts',
+  'read:settings', 'write:settings',
+  'read:audit'
+];
+
+var ROLES = {
+  admin: {
+    description: 'Manages accounts, groups and global settings',
+    permissions: PERMISSIONS
+  },
+  editor: {
+    description: 'Edits people and groups',
+    permissions: ['read:users', 'write:users', 'read:groups', 'write:groups', 'read:audit']
+  },
+  viewer: {
+    description: 'Reads the directory',
+    permissions: ['read:users', 'read:groups']
+  }
+};
+
+function exists(role) {
+  return ROLES.hasOwnProperty(role);
+}
+
+/**
+ * The permissions granted by a list of roles, in the order of PERMISSIONS.
+ * Unknown roles grant nothing.
+ */
+
+function permissionsOf(roles) {
+  return PERMISSIONS.filter(function(permission) {
+    return roles.some(function(role) {
+      return exists(role) && ROLES[role].permissions.indexOf(permission) !== -1;
+    });
+  });
+}
+
+module.exports = {
+  PERMISSIONS: PERMISSIONS,
+  ROLES: ROLES,
+  exists: exists,
+  permissionsOf: permissionsOf
+};
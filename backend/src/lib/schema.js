@@ -0,0 +1,246 @@
+var http = require('./http');
+
+/**
+ * Validation of request bodies against a JSON schema. Only the keywords the
+ * routes need are supported:
+ *
+ *  - `properties` and `required` of the body object; properties the schema
+ *    does not list are dropped
+ *  - `type`, a name or a list of names such as `['integer', 'null']`
+ *  - `enum`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`
+ *  - `format`: `email`, `date` (YYYY-MM-DD) or `uri` (http and https URLs)
+ *  - `items`, the schema of the elements of an array
+ *
+ * Values are coerced to the type the schema asks for where that is safe, e.g.
+ * "42" to 42 or "true" to true. An empty string stands for null, which only
+ * passes properties that allow it. Messages start with the `title` of a
+ * property, `errorMessage` replaces the message for values that are present
+ * but invalid.
+ */
+
+var FORMATS = {
+  email: {
+    test: function(value) {
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    },
+    message: 'must be a valid email address'
+  },
+  date: {
+    test: function(value) {
+      var date = new Date(value + 'T00:00:00Z');
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    },
+    message: 'must be a date such as 2016-05-31'
+  },
+  uri: {
+    test: function(value) {
+      return /^https?:\/\/[^\s\/?#]+[^\s]*$/i.test(value);
+    },
+    message: 'must be a web address such as https://example.com/photo.jpg'
+  }
+};
+
+var TYPE_MESSAGES = {
+  string: 'must be text',
+  integer: 'must be a whole number',
+  number: 'must be a number',
+  boolean: 'must be true or false',
+  array: 'must be a list',
+  object: 'must be an object'
+};
+
+function typesOf(schema) {
+  if (!schema.type) {
+    return null;
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return value % 1 === 0 ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matches(type, actual) {
+  return type === actual || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Convert a value to one of the types, or yield undefined when there is no
+ * safe conversion.
+ */
+
+function coerce(value, types) {
+  var result;
+  types.some(function(type) {
+    if ((type === 'integer' || type === 'number') && typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+      result = Number(value);
+      return type === 'number' || result % 1 === 0;
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      result = String(value);
+      return true;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      result = value === 'true';
+      return true;
+    }
+    result = undefined;
+    return false;
+  });
+  return result;
+}
+
+function describe(values) {
+  return values.filter(function(value) {
+    return value !== null;
+  }).join(', ');
+}
+
+/**
+ * Check a single value. Yields `{ value }` with the coerced value, or
+ * `{ error }` with the message.
+ */
+
+function check(schema, value, title) {
+  var types = typesOf(schema);
+
+  if (value === '') {
+    value = null;
+  }
+  if (value === null && !allowsNull(schema, types)) {
+    return { error: title + ' is required' };
+  }
+  if (types && !types.some(function(type) {
+    return matches(type, typeOf(value));
+  })) {
+    var coerced = coerce(value, types);
+    if (coerced === undefined) {
+      return fail(schema, title, TYPE_MESSAGES[types[0]]);
+    }
+    value = coerced;
+  }
+  if (value === null) {
+    return { value: value };
+  }
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    return fail(schema, title, 'must be one of ' + describe(schema.enum));
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema, title, 'must be at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(schema, title, 'must not be longer than ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(schema, title, 'is not valid');
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      return fail(schema, title, FORMATS[schema.format].message);
+    }
+  }
+  if (typeof value === 'number') {
+    var below = schema.minimum !== undefined && value < schema.minimum;
+    var above = schema.maximum !== undefined && value > schema.maximum;
+    if (below || above) {
+      if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        return fail(schema, title, 'must be a number from ' + schema.minimum + ' to ' + schema.maximum);
+      }
+      return fail(schema, title, below ? 'must be at least ' + schema.minimum : 'must be at most ' + schema.maximum);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    var items = [];
+    for (var i = 0; i < value.length; i++) {
+      var item = check(schema.items, value[i], title);
+      if (item.error) {
+        return fail(schema, title, schema.items.enum ? 'must only contain ' + describe(schema.items.enum) : item.error.slice(title.length + 1));
+      }
+      items.push(item.value);
+    }
+    value = items;
+  }
+  return { value: value };
+}
+
+function allowsNull(schema, types) {
+  if (types) {
+    return types.indexOf('null') !== -1;
+  }
+  return !schema.enum || schema.enum.indexOf(null) !== -1;
+}
+
+function fail(schema, title, message) {
+  return { error: schema.errorMessage || title + ' ' + message };
+}
+
+/**
+ * Validate a request body against the schema of an object. With `partial`
+ * only the properties present are checked, as for PATCH. Yields the coerced
+ * values of the known properties and, when anything is invalid, `errors`
+ * mapping property names to messages.
+ */
+
+function validate(schema, body, partial) {
+  var values = {};
+  var errors = {};
+  var properties = schema.properties || {};
+  var required = schema.required || [];
+
+  if (body !== undefined && body !== null && typeOf(body) !== 'object') {
+    return { values: values, errors: { body: 'The body must be a JSON object' } };
+  }
+  body = body || {};
+
+  Object.keys(properties).forEach(function(name) {
+    var property = properties[name];
+    var title = property.title || name;
+    if (!Object.prototype.hasOwnProperty.call(body, name) || body[name] === undefined) {
+      if (!partial && required.indexOf(name) !== -1) {
+        errors[name] = title + ' is required';
+      }
+      return;
+    }
+    var result = check(property, body[name], title);
+    if (result.error) {
+      errors[name] = result.error;
+    } else if (result.value === null && required.indexOf(name) !== -1) {
+      errors[name] = title + ' is required';
+    } else {
+      values[name] = result.value;
+    }
+  });
+
+  return { values: values, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * Middleware that validates `req.body`, partially for PATCH requests, and
+ * replaces it with the coerced values. Invalid bodies get a 400 listing the
+ * `errors` by property.
+ */
+
+function body(schema) {
+  return function(req, res, next) {
+    var result = validate(schema, req.body, req.method === 'PATCH');
+    if (result.errors) {
+      return next(http.invalid(result.errors));
+    }
+    req.body = result.values;
+    next();
+  };
+}
+
+module.exports = {
+  validate: validate,
+  body: body
+};
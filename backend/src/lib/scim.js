@@ -0,0 +1,621 @@
+var httpError = require('./http').httpError;
+
+/**
+ * The protocol of SCIM 2.0 (RFC 7643, RFC 7644), which identity providers
+ * use to provision users and groups: errors, paging, filters and PATCH
+ * operations. Resources are plain JSON objects; routes/scim.js maps them to
+ * people and groups.
+ *
+ * Filters (`userName eq "picard@example.com" and not (title pr)`) and PATCH
+ * paths (`emails[type eq "work"].value`) are read into trees and evaluated
+ * against resources. Attribute names are case-insensitive and so are string
+ * comparisons.
+ */
+
+var SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  SCHEMA: 'urn:ietf:params:scim:schemas:core:2.0:Schema',
+  LIST: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+var CONTENT_TYPE = 'application/scim+json; charset=utf-8';
+
+/**
+ * Page size without `count`, and the largest page.
+ */
+
+var DEFAULT_COUNT = 100;
+
+var MAX_COUNT = 200;
+
+/**
+ * Longest filter or path, and how deep parentheses, `not` and value filters
+ * may nest in one, so that neither parsing nor matching runs out of stack.
+ */
+
+var MAX_LENGTH = 4096;
+
+var MAX_DEPTH = 16;
+
+var OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+var TOKEN = /\s*(?:([()\[\]])|("(?:[^"\\]|\\.)*")|([^\s()\[\]"]+))/g;
+
+/**
+ * An error with the `scimType` SCIM error responses carry, such as
+ * `invalidFilter` or `uniqueness`.
+ */
+
+function error(status, scimType, detail) {
+  var err = httpError(status, detail, scimType ? { code: scimType } : null);
+  err.scimType = scimType || null;
+  return err;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The key of an object matching an attribute name regardless of case, or
+ * the name itself when there is none.
+ */
+
+function keyOf(object, name) {
+  var lower = name.toLowerCase();
+  return Object.keys(object || {}).filter(function(key) {
+    return key.toLowerCase() === lower;
+  })[0] || name;
+}
+
+/**
+ * The value of an attribute regardless of the case of its name.
+ */
+
+function get(object, name) {
+  return isObject(object) ? object[keyOf(object, name)] : undefined;
+}
+
+function tokenize(text, type) {
+  if (text.length > MAX_LENGTH) {
+    throw error(400, type, 'Filters and paths may be at most ' + MAX_LENGTH + ' characters long');
+  }
+  var tokens = [];
+  var position = 0;
+  var match;
+  TOKEN.lastIndex = 0;
+  while (position < text.length && (match = TOKEN.exec(text))) {
+    if (match.index !== position) {
+      break;
+    }
+    position = TOKEN.lastIndex;
+    if (match[0].trim()) {
+      tokens.push(match[1] ? { bracket: match[1] } : match[2] ? { string: match[2] } : { word: match[3] });
+    }
+  }
+  if (text.slice(position).trim()) {
+    throw error(400, type, 'Cannot read "' + text + '"');
+  }
+  return tokens;
+}
+
+/**
+ * Read an attribute path, `[schema URN ":"] name ["." subAttribute]`.
+ */
+
+function attributePath(word, type) {
+  var schema = null;
+  var rest = word;
+  if (/^urn:/i.test(word)) {
+    schema = Object.keys(SCHEMAS).map(function(key) {
+      return SCHEMAS[key];
+    }).filter(function(urn) {
+      return word.toLowerCase().indexOf(urn.toLowerCase() + ':') === 0;
+    })[0];
+    if (!schema) {
+      throw error(400, type, 'Unknown schema in "' + word + '"');
+    }
+    rest = word.slice(schema.length + 1);
+  }
+  var parts = rest.split('.');
+  if (parts.length > 2 || !parts.every(function(part) {
+    return /^[A-Za-z$][\w$-]*$/.test(part);
+  })) {
+    throw error(400, type, 'Invalid attribute "' + word + '"');
+  }
+  return { schema: schema, attribute: parts[0], sub: parts[1] || null };
+}
+
+/**
+ * Read filter tokens, `and` binding closer than `or`.
+ */
+
+function Parser(tokens, type) {
+  this.tokens = tokens;
+  this.index = 0;
+  this.type = type;
+  this.depth = 0;
+}
+
+Parser.prototype.peek = function() {
+  return this.tokens[this.index] || null;
+};
+
+Parser.prototype.next = function() {
+  var token = this.tokens[this.index++];
+  if (!token) {
+    throw error(400, this.type, 'The filter ends early');
+  }
+  return token;
+};
+
+Parser.prototype.keyword = function(name) {
+  var token = this.peek();
+  if (token && token.word && token.word.toLowerCase() === name) {
+    this.index++;
+    return true;
+  }
+  return false;
+};
+
+Parser.prototype.expect = function(bracket) {
+  var token = this.next();
+  if (token.bracket !== bracket) {
+    throw error(400, this.type, 'Expected "' + bracket + '"');
+  }
+};
+
+/**
+ * Read a nested filter, up to MAX_DEPTH levels deep.
+ */
+
+Parser.prototype.nested = function() {
+  if (++this.depth > MAX_DEPTH) {
+    throw error(400, this.type, 'Filters may nest at most ' + MAX_DEPTH + ' levels deep');
+  }
+  var filter = this.or();
+  this.depth--;
+  return filter;
+};
+
+Parser.prototype.or = function() {
+  var left = this.and();
+  while (this.keyword('or')) {
+    left = { op: 'or', left: left, right: this.and() };
+  }
+  return left;
+};
+
+Parser.prototype.and = function() {
+  var left = this.unary();
+  while (this.keyword('and')) {
+    left = { op: 'and', left: left, right: this.unary() };
+  }
+  return left;
+};
+
+Parser.prototype.unary = function() {
+  var token = this.peek();
+  var filter;
+  if (this.keyword('not')) {
+    this.expect('(');
+    filter = this.nested();
+    this.expect(')');
+    return { op: 'not', filter: filter };
+  }
+  if (token && token.bracket === '(') {
+    this.index++;
+    filter = this.nested();
+    this.expect(')');
+    return filter;
+  }
+  return this.comparison();
+};
+
+Parser.prototype.comparison = function() {
+  var token = this.next();
+  if (!token.word) {
+    throw error(400, this.type, 'Expected an attribute');
+  }
+  var path = attributePath(token.word, this.type);
+  if (this.peek() && this.peek().bracket === '[') {
+    this.index++;
+    var filter = this.nested();
+    this.expect(']');
+    return { op: 'has', path: path, filter: filter };
+  }
+  var operator = this.next();
+  var op = operator.word && operator.word.toLowerCase();
+  if (op === 'pr') {
+    return { op: 'pr', path: path };
+  }
+  if (OPERATORS.indexOf(op) === -1) {
+    throw error(400, this.type, 'Unknown operator "' + (operator.word || operator.bracket || operator.string) + '"');
+  }
+  return { op: op, path: path, value: this.value() };
+};
+
+Parser.prototype.value = function() {
+  var token = this.next();
+  if (token.string) {
+    try {
+      return JSON.parse(token.string);
+    } catch (e) {
+      throw error(400, this.type, 'Invalid string ' + token.string);
+    }
+  }
+  var word = token.word || '';
+  if (/^(true|false|null)$/i.test(word)) {
+    return JSON.parse(word.toLowerCase());
+  }
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(word)) {
+    return Number(word);
+  }
+  throw error(400, this.type, 'Expected a value instead of "' + (word || token.bracket) + '"');
+};
+
+/**
+ * Read a filter. Throws a 400 `invalidFilter` error for malformed ones.
+ */
+
+function parseFilter(text) {
+  var parser = new Parser(tokenize(String(text), 'invalidFilter'), 'invalidFilter');
+  var filter = parser.or();
+  if (parser.peek()) {
+    throw error(400, 'invalidFilter', 'Unexpected text after the filter');
+  }
+  return filter;
+}
+
+/**
+ * Read the path of a PATCH operation: an attribute path, or a multi-valued
+ * attribute with a filter of its values and an optional sub-attribute, such
+ * as `members[value eq "2"]` or `emails[type eq "work"].value`.
+ */
+
+function parsePath(text) {
+  var tokens = tokenize(String(text), 'invalidPath');
+  if (!tokens.length || !tokens[0].word) {
+    throw error(400, 'invalidPath', 'Invalid path "' + text + '"');
+  }
+  var path = attributePath(tokens[0].word, 'invalidPath');
+  path.filter = null;
+  if (tokens.length === 1) {
+    return path;
+  }
+  var parser = new Parser(tokens, 'invalidPath');
+  parser.index = 1;
+  parser.expect('[');
+  if (path.sub) {
+    throw error(400, 'invalidPath', 'Invalid path "' + text + '"');
+  }
+  path.filter = parser.nested();
+  parser.expect(']');
+  var rest = parser.peek();
+  if (rest && (!rest.word || !/^\.[A-Za-z$][\w$-]*$/.test(rest.word) || parser.tokens.length > parser.index + 1)) {
+    throw error(400, 'invalidPath', 'Invalid path "' + text + '"');
+  }
+  path.sub = rest ? rest.word.slice(1) : null;
+  return path;
+}
+
+/**
+ * The object holding the attributes of a path: the resource itself or one
+ * of its extensions, which `create` adds when it is missing.
+ */
+
+function container(resource, path, create) {
+  if (!path.schema || (resource.schemas || []).indexOf(path.schema) === 0) {
+    return resource;
+  }
+  if (!isObject(resource[path.schema]) && create) {
+    resource[path.schema] = {};
+  }
+  return isObject(resource[path.schema]) ? resource[path.schema] : null;
+}
+
+/**
+ * The values of an attribute path, a list for single and multi-valued
+ * attributes alike. Complex values stand for their `value` sub-attribute.
+ */
+
+function valuesOf(resource, path) {
+  var values = [].concat(get(container(resource, path, false), path.attribute));
+  if (path.sub) {
+    values = values.map(function(item) {
+      return get(item, path.sub);
+    });
+  } else {
+    values = values.map(function(item) {
+      return isObject(item) && get(item, 'value') !== undefined ? get(item, 'value') : item;
+    });
+  }
+  return values.filter(function(value) {
+    return value !== undefined && value !== null && value !== '';
+  });
+}
+
+function compare(op, actual, expected) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  } else if (typeof actual !== typeof expected && expected !== null) {
+    return op === 'ne';
+  }
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'co': return typeof actual === 'string' && actual.indexOf(expected) !== -1;
+    case 'sw': return typeof actual === 'string' && actual.indexOf(expected) === 0;
+    case 'ew': return typeof actual === 'string' && actual.slice(-expected.length) === expected;
+    case 'gt': return actual > expected;
+    case 'ge': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'le': return actual <= expected;
+  }
+  return false;
+}
+
+/**
+ * Whether a resource, or a value of a multi-valued attribute, matches a
+ * filter.
+ */
+
+function matches(filter, resource) {
+  switch (filter.op) {
+    case 'and': return matches(filter.left, resource) && matches(filter.right, resource);
+    case 'or': return matches(filter.left, resource) || matches(filter.right, resource);
+    case 'not': return !matches(filter.filter, resource);
+    case 'pr': return valuesOf(resource, filter.path).length > 0;
+    case 'has':
+      return [].concat(get(container(resource, filter.path, false), filter.path.attribute)).some(function(item) {
+        return isObject(item) && matches(filter.filter, item);
+      });
+  }
+  var values = valuesOf(resource, filter.path);
+  if (!values.length) {
+    // unassigned attributes equal null and nothing else
+    return filter.op === 'eq' ? filter.value === null : filter.op === 'ne' && filter.value !== null;
+  }
+  return filter.op === 'ne' ? values.every(function(value) {
+    return compare('ne', value, filter.value);
+  }) : values.some(function(value) {
+    return compare(filter.op, value, filter.value);
+  });
+}
+
+/**
+ * A value of a multi-valued attribute for a filter such as `type eq "work"`
+ * that matches nothing yet, with what the filter asks for.
+ */
+
+function seed(filter) {
+  var item = {};
+  (function collect(node) {
+    if (node.op === 'and') {
+      collect(node.left);
+      collect(node.right);
+    } else if (node.op === 'eq' && !node.path.sub) {
+      item[node.path.attribute] = node.value;
+    }
+  })(filter);
+  return item;
+}
+
+function sameValue(a, b) {
+  a = isObject(a) ? get(a, 'value') : a;
+  b = isObject(b) ? get(b, 'value') : b;
+  return String(a) === String(b);
+}
+
+/**
+ * Apply an `add`, `replace` or `remove` to the attribute a path names.
+ */
+
+function applyPath(resource, op, path, value) {
+  var base = container(resource, path, op !== 'remove');
+  if (!base) {
+    return;
+  }
+  var name = keyOf(base, path.attribute);
+
+  if (path.filter) {
+    var items = Array.isArray(base[name]) ? base[name] : [];
+    var matching = items.filter(function(item) {
+      return isObject(item) && matches(path.filter, item);
+    });
+    if (op === 'remove') {
+      if (path.sub) {
+        matching.forEach(function(item) {
+          delete item[keyOf(item, path.sub)];
+        });
+      } else {
+        base[name] = items.filter(function(item) {
+          return matching.indexOf(item) === -1;
+        });
+      }
+      return;
+    }
+    if (!matching.length) {
+      if (!path.sub) {
+        throw error(400, 'noTarget', 'No value of ' + path.attribute + ' matches the filter');
+      }
+      matching = [seed(path.filter)];
+      base[name] = items.concat(matching);
+    }
+    matching.forEach(function(item) {
+      if (path.sub) {
+        item[keyOf(item, path.sub)] = value;
+      } else if (isObject(value)) {
+        Object.assign(item, value);
+      }
+    });
+    return;
+  }
+
+  if (path.sub) {
+    if (op === 'remove') {
+      if (isObject(base[name])) {
+        delete base[name][keyOf(base[name], path.sub)];
+      }
+      return;
+    }
+    base[name] = isObject(base[name]) ? base[name] : {};
+    base[name][keyOf(base[name], path.sub)] = value;
+    return;
+  }
+
+  if (op === 'remove') {
+    if (value !== undefined && Array.isArray(base[name])) {
+      // the values to remove may come along instead of a filter
+      base[name] = base[name].filter(function(item) {
+        return ![].concat(value).some(function(removed) {
+          return sameValue(item, removed);
+        });
+      });
+    } else {
+      delete base[name];
+    }
+    return;
+  }
+  if (op === 'add' && Array.isArray(base[name])) {
+    base[name] = base[name].concat([].concat(value).filter(function(added) {
+      return !base[name].some(function(item) {
+        return sameValue(item, added);
+      });
+    }));
+  } else if (isObject(base[name]) && isObject(value)) {
+    Object.keys(value).forEach(function(key) {
+      base[name][keyOf(base[name], key)] = value[key];
+    });
+  } else {
+    base[name] = value;
+  }
+}
+
+/**
+ * Apply the `Operations` of a PATCH request to a resource, in place.
+ * Operations without a path hand attributes over by name, or by schema URN
+ * for those of extensions.
+ */
+
+function patch(resource, body) {
+  var operations = get(body, 'Operations');
+  if (!Array.isArray(operations) || !operations.length) {
+    throw error(400, 'invalidSyntax', 'Operations must list at least one operation');
+  }
+  operations.forEach(function(operation) {
+    var op = String(get(operation, 'op') || '').toLowerCase();
+    var path = get(operation, 'path');
+    var value = get(operation, 'value');
+    if (['add', 'replace', 'remove'].indexOf(op) === -1) {
+      throw error(400, 'invalidSyntax', 'Operations are add, replace or remove');
+    }
+    if (path) {
+      return applyPath(resource, op, parsePath(path), value);
+    }
+    if (op === 'remove') {
+      throw error(400, 'noTarget', 'Remove needs a path');
+    }
+    if (!isObject(value)) {
+      throw error(400, 'invalidValue', 'Operations without a path need an object as their value');
+    }
+    Object.keys(value).forEach(function(key) {
+      if (/^urn:/i.test(key) && isObject(value[key])) {
+        return Object.keys(value[key]).forEach(function(name) {
+          applyPath(resource, op, attributePath(key + ':' + name, 'invalidPath'), value[key][name]);
+        });
+      }
+      applyPath(resource, op, attributePath(key, 'invalidPath'), value[key]);
+    });
+  });
+  return resource;
+}
+
+/**
+ * The `startIndex`, counting from 1, and `count` of a list request.
+ */
+
+function paging(query) {
+  var start = parseInt(query.startIndex, 10);
+  var count = parseInt(query.count, 10);
+  return {
+    startIndex: start >= 1 ? start : 1,
+    count: isNaN(count) ? DEFAULT_COUNT : Math.max(0, Math.min(count, MAX_COUNT))
+  };
+}
+
+/**
+ * Keep the attributes a request asks for with `attributes`, or leave out
+ * those in `excludedAttributes`. `id` and `schemas` always stay.
+ */
+
+function project(resource, query) {
+  var keys = Object.keys(resource).map(function(key) {
+    return key.toLowerCase();
+  });
+  var urns = keys.concat(resource.schemas || []).filter(function(name) {
+    return /^urn:/i.test(name);
+  }).map(function(urn) {
+    return urn.toLowerCase();
+  });
+  // the top-level attribute a name is about: an extension as a whole, or an
+  // attribute with or without the URN of its schema in front
+  function names(value) {
+    return value ? String(value).split(',').map(function(name) {
+      name = name.trim().toLowerCase();
+      var urn = urns.filter(function(prefix) {
+        return name === prefix || name.indexOf(prefix + ':') === 0;
+      })[0];
+      if (!urn) {
+        return name.split('.')[0];
+      }
+      return keys.indexOf(urn) !== -1 ? urn : name.slice(urn.length + 1).split('.')[0];
+    }) : null;
+  }
+  var only = names(query.attributes);
+  var excluded = names(query.excludedAttributes) || [];
+  var result = {};
+  Object.keys(resource).forEach(function(key) {
+    var name = key.toLowerCase();
+    if (name === 'id' || name === 'schemas' || (only ? only.indexOf(name) !== -1 : excluded.indexOf(name) === -1)) {
+      result[key] = resource[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * A list response with a page of resources.
+ */
+
+function list(resources, total, startIndex) {
+  return {
+    schemas: [SCHEMAS.LIST],
+    totalResults: total,
+    startIndex: startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources
+  };
+}
+
+module.exports = {
+  SCHEMAS: SCHEMAS,
+  CONTENT_TYPE: CONTENT_TYPE,
+  MAX_COUNT: MAX_COUNT,
+  error: error,
+  get: get,
+  parseFilter: parseFilter,
+  parsePath: parsePath,
+  matches: matches,
+  patch: patch,
+  paging: paging,
+  project: project,
+  list: list
+};
@@ -0,0 +1,152 @@
+var async = require('async');
+var crypto = require('crypto');
+var db = require('../db');
+var httpError = require('./http').httpError;
+var time = require('./time');
+
+/**
+ * Server-side login sessions. The browser keeps a random token in an
+ * HTTP-only cookie, the sessions table keeps its SHA-256 hash, so a leaked
+ * table does not hand out logins. The cookie is SameSite=Lax, so other sites
+ * cannot make changes with it.
+ *
+ * Environment:
+ *  - SESSION_TTL_HOURS: lifetime of a session, 8 by default
+ *  - COOKIE_SECURE: set to "true" when the backend is served over HTTPS
+ */
+
+var COOKIE = 'demo.sid';
+
+var TTL = parseFloat(process.env.SESSION_TTL_HOURS || '8') * 3600 * 1000;
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE === 'true',
+    path: '/'
+  };
+}
+
+/**
+ * Set or clear the cookie. Express 4.13 drops the sameSite option, so the
+ * attribute is added to the header it writes.
+ */
+
+function cookie(res, set) {
+  set();
+  var headers = [].concat(res.get('Set-Cookie') || []);
+  headers[headers.length - 1] += '; SameSite=Lax';
+  res.set('Set-Cookie', headers);
+}
+
+/**
+ * Log an account in: store a new session and hand its token to the browser.
+ */
+
+function start(res, account, callback) {
+  crypto.randomBytes(32, function(err, bytes) {
+    if (err) {
+      return callback(err);
+    }
+    var token = bytes.toString('hex');
+    db.sessions.create({
+      tokenHash: digest(token),
+      accountId: account.id,
+      createdAt: time.now(),
+      expiresAt: time.later(TTL)
+    }, function(err, session) {
+      if (err) {
+        return callback(err);
+      }
+      cookie(res, function() {
+        res.cookie(COOKIE, token, Object.assign({ maxAge: TTL }, cookieOptions()));
+      });
+      callback(null, session);
+    });
+  });
+}
+
+/**
+ * Log out: forget the session of the request, if it has one.
+ */
+
+function end(req, res, callback) {
+  cookie(res, function() {
+    res.clearCookie(COOKIE, cookieOptions());
+  });
+  if (!req.session) {
+    return process.nextTick(callback, null);
+  }
+  db.sessions.remove(req.session.id, function(err) {
+    callback(err);
+  });
+}
+
+/**
+ * Forget every session of an account, e.g. after its password was reset.
+ */
+
+function endAll(accountId, callback) {
+  db.sessions.find({ accountId: accountId }, function(err, sessions) {
+    if (err) {
+      return callback(err);
+    }
+    async.eachSeries(sessions, function(session, next) {
+      db.sessions.remove(session.id, next);
+    }, function(err) {
+      callback(err);
+    });
+  });
+}
+
+/**
+ * Middleware that sets `req.session` and `req.account` when the request
+ * carries the cookie of a live session of an active account.
+ */
+
+function load(req, res, next) {
+  var token = req.cookies && req.cookies[COOKIE];
+  if (!token) {
+    return next();
+  }
+  db.sessions.find({ tokenHash: digest(token) }, function(err, sessions) {
+    if (err || !sessions.length) {
+      return next(err);
+    }
+    var session = sessions[0];
+    if (session.expiresAt <= time.now()) {
+      return db.sessions.remove(session.id, function(err) {
+        next(err);
+      });
+    }
+    db.accounts.get(session.accountId, function(err, account) {
+      if (err || !account || account.status !== 'active') {
+        return next(err);
+      }
+      req.session = session;
+      req.account = account;
+      next();
+    });
+  });
+}
+
+/**
+ * Middleware that answers 401 unless the request belongs to a session or
+ * carries an access token (see lib/tokens.js).
+ */
+
+function required(req, res, next) {
+  next(req.account ? null : httpError(401, 'Please log in'));
+}
+
+module.exports = {
+  start: start,
+  end: end,
+  endAll: endAll,
+  load: load,
+  required: required
+};
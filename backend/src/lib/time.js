@@ -0,0 +1,26 @@
+/**
+ * Format a date in UTC the way DATETIME columns store it:
+ * 'YYYY-MM-DD HH:MM:SS'. Such strings sort in time order.
+ */
+
+function format(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+exports.format = format;
+
+/**
+ * Current time in the DATETIME format.
+ */
+
+exports.now = function() {
+  return format(new Date());
+};
+
+/**
+ * The time `ms` milliseconds from now in the DATETIME format.
+ */
+
+exports.later = function(ms) {
+  return format(new Date(Date.now() + ms));
+};
@@ -0,0 +1,128 @@
+var crypto = require('crypto');
+var db = require('../db');
+var httpError = require('./http').httpError;
+var time = require('./time');
+
+/**
+ * Access tokens for scripts, sent as `Authorization: Bearer <token>`.
+ * Personal access tokens act for the account of a person, API keys for a
+ * service account. Either only grants its scopes, and only as far as the
+ * roles of its account allow. The tokens table keeps a SHA-256 hash of each
+ * token along with a short prefix to tell them apart in lists.
+ */
+
+var DEFAULT_DAYS = 90;
+
+var MAX_DAYS = 365;
+
+var PREFIX_LENGTH = 12;
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Scopes are stored comma separated and exchanged as an array.
+ */
+
+function parseScopes(value) {
+  return String(value || '').split(',').filter(function(scope) {
+    return scope;
+  });
+}
+
+/**
+ * Issue a token for an account. `values` holds the `name`, `scopes` and
+ * `days` until it expires. Yields the stored record and the token, which is
+ * not kept anywhere.
+ */
+
+function issue(account, values, callback) {
+  crypto.randomBytes(24, function(err, bytes) {
+    if (err) {
+      return callback(err);
+    }
+    var token = (account.kind === 'service' ? 'key_' : 'pat_') + bytes.toString('hex');
+    db.tokens.create({
+      accountId: account.id,
+      name: values.name,
+      prefix: token.slice(0, PREFIX_LENGTH),
+      tokenHash: digest(token),
+      scopes: values.scopes.join(','),
+      createdAt: time.now(),
+      expiresAt: time.later(values.days * 24 * 3600 * 1000),
+      lastUsedAt: null
+    }, function(err, record) {
+      callback(err, record, token);
+    });
+  });
+}
+
+function bearer(req) {
+  var match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+  return match && match[1];
+}
+
+/**
+ * Look up a token. Yields its record, with the scopes as an array, and its
+ * account, or nothing when the token is unknown, expired or belongs to an
+ * account that is not active. Marks the token as used.
+ */
+
+function verify(token, callback) {
+  db.tokens.find({ tokenHash: digest(token) }, function(err, records) {
+    if (err) {
+      return callback(err);
+    }
+    var record = records[0];
+    if (!record || record.expiresAt <= time.now()) {
+      return callback(null, null, null);
+    }
+    db.accounts.get(record.accountId, function(err, account) {
+      if (err || !account || account.status !== 'active') {
+        return callback(err, null, null);
+      }
+      db.tokens.update(record.id, { lastUsedAt: time.now() }, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, Object.assign(record, { scopes: parseScopes(record.scopes) }), account);
+      });
+    });
+  });
+}
+
+/**
+ * Middleware that sets `req.token` and `req.account` when the request
+ * carries a live token of an active account. Any other token is answered
+ * with 401 right away, scripts should not fall back to anonymous access.
+ */
+
+function load(req, res, next) {
+  var token = bearer(req);
+  if (!token) {
+    return next();
+  }
+  verify(token, function(err, record, account) {
+    if (err) {
+      return next(err);
+    }
+    if (!record) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return next(httpError(401, 'Invalid or expired token', { code: 'invalid_token' }));
+    }
+    req.token = record;
+    req.session = null;
+    req.account = account;
+    next();
+  });
+}
+
+module.exports = {
+  DEFAULT_DAYS: DEFAULT_DAYS,
+  MAX_DAYS: MAX_DAYS,
+  parseScopes: parseScopes,
+  issue: issue,
+  verify: verify,
+  load: load
+};
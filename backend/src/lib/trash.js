@@ -0,0 +1,213 @@
+var async = require('async');
+var debug = require('debug')('demo:trash');
+var express = require('express');
+var listQuery = require('../db/query').middleware;
+var access = require('./access');
+var audit = require('./audit');
+var http = require('./http');
+var time = require('./time');
+var versions = require('./versions');
+var httpError = http.httpError;
+var respond = http.respond;
+
+/**
+ * The trash of resources with soft deletes (see db/Repository.js). Their
+ * routers mount `router()` under `/trash`:
+ *
+ *  - GET /trash lists what is in the trash
+ *  - POST /trash/:id/restore takes a record out again
+ *  - DELETE /trash/:id purges it for good
+ *
+ * Records left in the trash longer than the retention are purged on their
+ * own, see `start()`.
+ *
+ * Environment:
+ *  - TRASH_RETENTION_DAYS: days until the trash is purged, 30 by default;
+ *    0 keeps it forever
+ */
+
+var RETENTION = parseFloat(process.env.TRASH_RETENTION_DAYS || '30') * 24 * 3600 * 1000;
+
+/**
+ * How often the trash is checked for records to purge.
+ */
+
+var INTERVAL = 3600 * 1000;
+
+/**
+ * The options of every router, for the automatic purge.
+ */
+
+var resources = [];
+
+/**
+ * Purge a record from the trash: run the `purge` hook of the resource, which
+ * removes what belongs to the record, delete it and record that in the audit
+ * trail. `req` is null for the automatic purge.
+ */
+
+function purge(options, req, record, callback) {
+  var hook = options.purge || function(record, done) {
+    process.nextTick(done, null);
+  };
+  hook(record, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    options.repository.purge(record.id, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      audit.record(req, options.entity, record.id, 'purge', record, null, callback);
+    });
+  });
+}
+
+/**
+ * Build the trash router of a resource. Options:
+ *
+ *  - `repository` with soft deletes
+ *  - `entity`, the name in the audit trail, and `name` for messages
+ *  - `permission` needed to restore and purge
+ *  - `fields` and `search`, the queryable and searchable properties
+ *  - `present(items, callback)` to turn records into the API representation
+ *  - `purge(record, callback)` to remove what belongs to a purged record
+ */
+
+function router(options) {
+  var repository = options.repository;
+  var present = options.present || function(items, callback) {
+    process.nextTick(callback, null, items);
+  };
+  var trash = express.Router();
+
+  resources.push(options);
+
+  function notFound(id) {
+    return httpError(404, options.name + ' ' + id + ' is not in the trash');
+  }
+
+  function load(id, callback) {
+    repository.get(id, { withDeleted: true }, function(err, record) {
+      callback(err || (repository.isDeleted(record) ? null : notFound(id)), record);
+    });
+  }
+
+  /* GET the trash, most recently deleted first. */
+  trash.get('/', listQuery({
+    fields: options.fields.concat('deletedAt'),
+    search: options.search,
+    defaultSort: [{ property: 'deletedAt', direction: 'DESC' }, { property: 'id', direction: 'DESC' }]
+  }), function(req, res, next) {
+    repository.list(Object.assign({}, req.listQuery, { trashed: true }), function(err, result) {
+      if (err) {
+        return next(err);
+      }
+      present(result.items, function(err, items) {
+        if (err) {
+          return next(err);
+        }
+        respond(res, items, result.total);
+      });
+    });
+  });
+
+  /* POST to take a record out of the trash. */
+  trash.post('/:id/restore', access.allow(options.permission), function(req, res, next) {
+    load(req.params.id, function(err, before) {
+      if (err) {
+        return next(err);
+      }
+      repository.restore(before.id, function(err, record) {
+        if (err) {
+          return next(err);
+        }
+        if (!record) {
+          return next(notFound(req.params.id));
+        }
+        audit.record(req, options.entity, record.id, 'restore', before, record, function(err) {
+          if (err) {
+            return next(err);
+          }
+          present([record], function(err, items) {
+            if (err) {
+              return next(err);
+            }
+            versions.tag(res, record);
+            respond(res, items, 1);
+          });
+        });
+      });
+    });
+  });
+
+  /* DELETE a record in the trash for good. */
+  trash.delete('/:id', access.allow(options.permission), function(req, res, next) {
+    load(req.params.id, function(err, record) {
+      if (err) {
+        return next(err);
+      }
+      purge(options, req, record, function(err) {
+        if (err) {
+          return next(err);
+        }
+        respond(res, [], 0);
+      });
+    });
+  });
+
+  return trash;
+}
+
+/**
+ * Purge what has been in the trash longer than the retention. Yields the
+ * number of records purged.
+ */
+
+function purgeExpired(callback) {
+  if (!RETENTION) {
+    return process.nextTick(callback, null, 0);
+  }
+  var before = time.later(-RETENTION);
+  var count = 0;
+  async.eachSeries(resources, function(options, next) {
+    options.repository.list({
+      trashed: true,
+      filters: [{ property: 'deletedAt', operator: 'lt', value: before }]
+    }, function(err, result) {
+      if (err) {
+        return next(err);
+      }
+      async.eachSeries(result.items, function(record, done) {
+        count++;
+        purge(options, null, record, done);
+      }, next);
+    });
+  }, function(err) {
+    callback(err, count);
+  });
+}
+
+/**
+ * Purge expired records now and then every hour.
+ */
+
+function start() {
+  function run() {
+    purgeExpired(function(err, count) {
+      if (err) {
+        console.error('Purging the trash failed', err);
+      } else if (count) {
+        debug('purged ' + count + ' records from the trash');
+      }
+    });
+  }
+  run();
+  setInterval(run, INTERVAL).unref();
+}
+
+module.exports = {
+  router: router,
+  purgeExpired: purgeExpired,
+  start: start
+};
@@ -0,0 +1,288 @@
+var crypto = require('crypto');
+
+/**
+ * Contact cards of people in the vCard format, versions 3.0 (RFC 2426) and
+ * 4.0 (RFC 6350), which address books and phones import. A person maps to
+ * N and FN (name), EMAIL, TEL (phone), TITLE and PHOTO (a photo URL); UID is
+ * derived from the person's id, so importing a card again updates the
+ * contact rather than adding another.
+ *
+ * Reading takes the same properties back. Photos embedded in a card are
+ * skipped, only photo URLs are kept.
+ */
+
+var VERSIONS = ['3.0', '4.0'];
+
+/**
+ * Escape a text value; `;` and `,` separate the components of structured
+ * values such as N.
+ */
+
+function escape(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+function unescape(value) {
+  return value.replace(/\\([\\;,nN])/g, function(match, char) {
+    return char === 'n' || char === 'N' ? '\n' : char;
+  });
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, continuing each with
+ * a space. Multi-byte characters are never split.
+ */
+
+function fold(line) {
+  var lines = [];
+  var current = '';
+  var size = 0;
+  var limit = 75;
+  for (var i = 0; i < line.length; i++) {
+    var char = line[i];
+    if (/[\ud800-\udbff]/.test(char) && i + 1 < line.length) {
+      char += line[++i];
+    }
+    var bytes = Buffer.byteLength(char);
+    if (size + bytes > limit) {
+      lines.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+/**
+ * A UUID URN that stays the same for a person, as UID.
+ */
+
+function uid(person) {
+  var hex = crypto.createHash('sha1').update('person:' + person.id).digest('hex');
+  return 'urn:uuid:' + [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    '5' + hex.slice(13, 16),
+    (8 + parseInt(hex[16], 16) % 4).toString(16) + hex.slice(17, 20),
+    hex.slice(20, 32)
+  ].join('-');
+}
+
+function fullName(person) {
+  return [person.firstName, person.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * The text of a property on the card of a person, as a client would read
+ * it, or null when the card has no such property. Structured values such as
+ * N keep their semicolons.
+ */
+
+function text(person, name) {
+  var values = {
+    UID: uid(person),
+    N: [person.lastName || '', person.firstName || '', '', '', ''].join(';'),
+    FN: fullName(person),
+    EMAIL: person.email,
+    TEL: person.phone,
+    TITLE: person.title,
+    PHOTO: person.photoUrl
+  };
+  var value = values[String(name).toUpperCase()];
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * The vCard of a person, in version 3.0 unless `version` is 4.0.
+ */
+
+function format(person, version) {
+  var v4 = version === '4.0';
+  var lines = [
+    'BEGIN:VCARD',
+    'VERSION:' + (v4 ? '4.0' : '3.0'),
+    'UID:' + uid(person),
+    'N:' + [person.lastName, person.firstName, '', '', ''].map(function(part) {
+      return escape(part || '');
+    }).join(';'),
+    'FN:' + escape(fullName(person))
+  ];
+  if (person.email) {
+    lines.push((v4 ? 'EMAIL;TYPE=work:' : 'EMAIL;TYPE=INTERNET,WORK:') + escape(person.email));
+  }
+  if (person.phone) {
+    // 4.0 expects tel: URIs unless the value is declared as text
+    lines.push((v4 ? 'TEL;VALUE=text;TYPE=work,voice:' : 'TEL;TYPE=WORK,VOICE:') + escape(person.phone));
+  }
+  if (person.title) {
+    lines.push('TITLE:' + escape(person.title));
+  }
+  if (person.photoUrl) {
+    lines.push((v4 ? 'PHOTO:' : 'PHOTO;VALUE=uri:') + person.photoUrl);
+  }
+  lines.push('END:VCARD');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split a content line into its name, parameters and value. Group prefixes
+ * such as `item1.` are dropped. Yields null for lines that are not one.
+ */
+
+function parseLine(line) {
+  var quoted = false;
+  var colon = -1;
+  for (var i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+    }
+  }
+  var head = colon === -1 ? [] : line.slice(0, colon).split(';');
+  var name = /^(?:[\w-]+\.)?([\w-]+)$/.exec(head[0] || '');
+  if (!name) {
+    return null;
+  }
+  var params = {};
+  head.slice(1).forEach(function(param) {
+    var index = param.indexOf('=');
+    var key = (index === -1 ? 'TYPE' : param.slice(0, index)).toUpperCase();
+    var value = (index === -1 ? param : param.slice(index + 1)).replace(/"/g, '').toLowerCase();
+    params[key] = (params[key] ? params[key] + ',' : '') + value;
+  });
+  return { name: name[1].toUpperCase(), params: params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Split a structured value at the semicolons that are not escaped.
+ */
+
+function components(value) {
+  var parts = [''];
+  for (var i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      parts[parts.length - 1] += value[i] + value[++i];
+    } else if (value[i] === ';') {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += value[i];
+    }
+  }
+  return parts;
+}
+
+/**
+ * Whether a property was marked as preferred, by TYPE=pref in 3.0 or PREF
+ * in 4.0.
+ */
+
+function preferred(property) {
+  return !!property.params.PREF || (property.params.TYPE || '').split(',').indexOf('pref') !== -1;
+}
+
+/**
+ * The value of the first property with a name, the preferred one if any.
+ */
+
+function pick(properties, name) {
+  var matches = properties.filter(function(property) {
+    return property.name === name;
+  });
+  var best = matches.filter(preferred)[0] || matches[0];
+  return best || null;
+}
+
+/**
+ * Turn the properties of a card into person values.
+ */
+
+function toPerson(properties) {
+  var values = {};
+  var n = pick(properties, 'N');
+  var fn = pick(properties, 'FN');
+  if (n) {
+    var parts = components(n.value);
+    values.lastName = unescape(parts[0] || '').trim();
+    values.firstName = unescape(parts[1] || '').trim();
+  }
+  if (fn && !values.firstName && !values.lastName) {
+    var name = unescape(fn.value).trim();
+    var space = name.lastIndexOf(' ');
+    values.firstName = space === -1 ? name : name.slice(0, space);
+    values.lastName = space === -1 ? '' : name.slice(space + 1);
+  }
+  var email = pick(properties, 'EMAIL');
+  if (email) {
+    values.email = unescape(email.value).trim();
+  }
+  var tel = pick(properties, 'TEL');
+  if (tel) {
+    values.phone = unescape(tel.value).replace(/^tel:/i, '').trim();
+  }
+  var title = pick(properties, 'TITLE');
+  if (title) {
+    values.title = unescape(title.value).trim();
+  }
+  var photo = pick(properties, 'PHOTO');
+  if (photo && /^https?:\/\//i.test(photo.value)) {
+    values.photoUrl = photo.value.trim();
+  }
+  return values;
+}
+
+/**
+ * Read the cards of a vCard file. Yields one entry per card with the `line`
+ * it starts on and its person `values`. Throws for cards that never end.
+ */
+
+function parse(text) {
+  var lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  var cards = [];
+  var card = null;
+  var logical = [];
+
+  // unfold: lines starting with a space or tab continue the previous one
+  lines.forEach(function(line, index) {
+    if (/^[ \t]/.test(line) && logical.length) {
+      logical[logical.length - 1].text += line.slice(1);
+    } else if (line.trim()) {
+      logical.push({ text: line, line: index + 1 });
+    }
+  });
+
+  logical.forEach(function(entry) {
+    var property = parseLine(entry.text);
+    if (!property) {
+      return;
+    }
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      card = { line: entry.line, properties: [] };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD' && card) {
+      cards.push({ line: card.line, values: toPerson(card.properties) });
+      card = null;
+    } else if (card) {
+      card.properties.push(property);
+    }
+  });
+  if (card) {
+    throw new Error('The card on line ' + card.line + ' never ends');
+  }
+  return cards;
+}
+
+module.exports = {
+  VERSIONS: VERSIONS,
+  CONTENT_TYPE: 'text/vcard; charset=utf-8',
+  format: format,
+  parse: parse,
+  text: text,
+  uid: uid
+};
@@ -0,0 +1,52 @@
+var httpError = require('./http').httpError;
+
+/**
+ * Optimistic concurrency for the versioned resources (see db/Repository.js).
+ * The ETag of a record is its version. PUT and PATCH may send it back as
+ * `If-Match` and get a 409 when the record changed in the meantime; without
+ * the header the last write wins.
+ */
+
+function etag(record) {
+  return '"' + record.version + '"';
+}
+
+/**
+ * Send the ETag of a record along with the response.
+ */
+
+function tag(res, record) {
+  res.set('ETag', etag(record));
+}
+
+/**
+ * The version a request expects from its `If-Match` header, or undefined
+ * when it expects none. A header naming no version of ours yields 0, which
+ * never matches.
+ */
+
+function expected(req) {
+  var header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return undefined;
+  }
+  var match = /^\s*"(\d+)"/.exec(header);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Turn the `version_conflict` error of a repository into a 409, sending the
+ * ETag of the current record so clients know what they are up against.
+ */
+
+function conflict(res, err, name) {
+  tag(res, err.current);
+  return httpError(409, name + ' was changed by someone else in the meantime', { code: 'version_conflict' });
+}
+
+module.exports = {
+  etag: etag,
+  tag: tag,
+  expected: expected,
+  conflict: conflict
+};
@@ -0,0 +1,161 @@
+var async = require('async');
+var zip = require('./zip');
+
+/**
+ * Writing spreadsheets as Excel workbooks (XLSX, Office Open XML) with a
+ * single sheet, streamed row by row. Strings are stored inline rather than in
+ * a shared string table, which would have to be held in memory until the
+ * end. The first row holds the column titles in bold and stays in view while
+ * scrolling.
+ *
+ * Columns are `{ title, type }`, where type is `string`, `number` or `date`;
+ * dates are 'YYYY-MM-DD' strings and become Excel dates.
+ */
+
+var MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+var RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+var PACKAGE = 'http://schemas.openxmlformats.org/package/2006/';
+var OFFICE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.';
+var XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Styles by index: plain, bold titles and dates.
+ */
+
+var STYLES = { title: 1, date: 2 };
+
+/**
+ * Milliseconds from the start of Excel's calendar to 1970.
+ */
+
+var EPOCH = Date.UTC(1899, 11, 30);
+
+function escape(value) {
+  return String(value)
+    // characters XML 1.0 does not allow at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The parts of the workbook around the sheet, by path.
+ */
+
+function parts(sheetName) {
+  return {
+    '[Content_Types].xml': XML +
+      '<Types xmlns="' + PACKAGE + 'content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="' + OFFICE + 'sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="' + OFFICE + 'worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="' + OFFICE + 'styles+xml"/>' +
+      '</Types>',
+    '_rels/.rels': XML +
+      '<Relationships xmlns="' + PACKAGE + 'relationships">' +
+      '<Relationship Id="rId1" Type="' + RELATIONSHIPS + '/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': XML +
+      '<workbook xmlns="' + MAIN + '" xmlns:r="' + RELATIONSHIPS + '">' +
+      '<sheets><sheet name="' + escape(sheetName) + '" sheetId="1" r:id="rId1"/></sheets>' +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': XML +
+      '<Relationships xmlns="' + PACKAGE + 'relationships">' +
+      '<Relationship Id="rId1" Type="' + RELATIONSHIPS + '/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="' + RELATIONSHIPS + '/styles" Target="styles.xml"/>' +
+      '</Relationships>',
+    'xl/styles.xml': XML +
+      '<styleSheet xmlns="' + MAIN + '">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+      '<fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+      '</styleSheet>'
+  };
+}
+
+function cell(value, type) {
+  if (value === null || value === undefined || value === '') {
+    return '<c/>';
+  }
+  if (type === 'number' && isFinite(value)) {
+    return '<c><v>' + Number(value) + '</v></c>';
+  }
+  var date = type === 'date' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (date) {
+    var days = (Date.UTC(+date[1], date[2] - 1, +date[3]) - EPOCH) / 86400000;
+    return '<c s="' + STYLES.date + '"><v>' + days + '</v></c>';
+  }
+  return '<c t="inlineStr"><is><t xml:space="preserve">' + escape(value) + '</t></is></c>';
+}
+
+/**
+ * A workbook written to `output`. Call `start()`, then `rows()` as often as
+ * needed and `end()`, each waiting for the previous callback.
+ */
+
+function Workbook(output, options) {
+  this.archive = new zip.Archive(output);
+  this.columns = options.columns;
+  this.sheetName = options.sheetName || 'Sheet1';
+  this.sheet = null;
+}
+
+/**
+ * Write the parts of the workbook and the title row.
+ */
+
+Workbook.prototype.start = function(callback) {
+  var me = this;
+  var files = parts(me.sheetName);
+  async.eachSeries(Object.keys(files), function(path, next) {
+    var entry = me.archive.entry(path);
+    entry.write(files[path], function() {
+      entry.end(next);
+    });
+  }, function() {
+    me.sheet = me.archive.entry('xl/worksheets/sheet1.xml');
+    me.sheet.write(XML +
+      '<worksheet xmlns="' + MAIN + '"><sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews><sheetData><row>' +
+      me.columns.map(function(column) {
+        return '<c t="inlineStr" s="' + STYLES.title + '"><is><t>' + escape(column.title) + '</t></is></c>';
+      }).join('') + '</row>', callback);
+  });
+};
+
+/**
+ * Append rows, each an array of values in the order of the columns.
+ */
+
+Workbook.prototype.rows = function(rows, callback) {
+  var columns = this.columns;
+  this.sheet.write(rows.map(function(row) {
+    return '<row>' + row.map(function(value, index) {
+      return cell(value, columns[index].type);
+    }).join('') + '</row>';
+  }).join(''), callback);
+};
+
+Workbook.prototype.end = function(callback) {
+  var me = this;
+  me.sheet.write('</sheetData></worksheet>', function() {
+    me.sheet.end(function() {
+      me.archive.finish(callback);
+    });
+  });
+};
+
+module.exports = {
+  CONTENT_TYPE: OFFICE + 'sheet',
+  Workbook: Workbook
+};
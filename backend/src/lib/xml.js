@@ -0,0 +1,232 @@
+/**
+ * Just enough XML for WebDAV request and response bodies: namespaces,
+ * elements, attributes and text. Document type declarations are refused, so
+ * no entity can be defined or expanded.
+ *
+ * Elements are `{ ns, name, attributes, children, text }`, where `children`
+ * lists the child elements and `text` the text directly inside.
+ */
+
+var ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+var TOKEN = new RegExp([
+  '<!--[\\s\\S]*?-->',
+  '<\\?[\\s\\S]*?\\?>',
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+  '<!DOCTYPE',
+  '<\\/([^\\s>]+)\\s*>',
+  '<([^\\s\\/>]+)((?:\\s+[^\\s=\\/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>',
+  '[^<]+'
+].join('|'), 'g');
+
+var ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|\w+);/gi, function(match, entity) {
+    if (entity[0] === '#') {
+      var code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (!ENTITIES.hasOwnProperty(entity)) {
+      throw new Error('Unknown entity &' + entity + ';');
+    }
+    return ENTITIES[entity];
+  });
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // kept as references, parsers would turn line breaks into plain \n
+    .replace(/\r/g, '&#13;');
+}
+
+/**
+ * Read a document into its root element. Throws for anything that is not
+ * well-formed.
+ */
+
+function parse(text) {
+  var stack = [];
+  var root = null;
+  var position = 0;
+  var match;
+  text = String(text).replace(/^\uFEFF/, '');
+  TOKEN.lastIndex = 0;
+
+  function resolve(prefixed, namespaces, attribute) {
+    var index = prefixed.indexOf(':');
+    var prefix = index === -1 ? '' : prefixed.slice(0, index);
+    if (attribute && !prefix) {
+      return { ns: null, name: prefixed };
+    }
+    if (!(prefix in namespaces)) {
+      throw new Error('Unknown namespace prefix "' + prefix + '"');
+    }
+    return { ns: namespaces[prefix], name: prefixed.slice(index + 1) };
+  }
+
+  while ((match = TOKEN.exec(text))) {
+    if (match.index !== position) {
+      break;
+    }
+    position = TOKEN.lastIndex;
+    var token = match[0];
+    var current = stack[stack.length - 1];
+    if (token === '<!DOCTYPE') {
+      throw new Error('Document type declarations are not allowed');
+    }
+    if (token[0] !== '<' || match[1] !== undefined) {
+      var content = match[1] !== undefined ? match[1] : decode(token);
+      if (current) {
+        current.element.text += content;
+      } else if (content.trim()) {
+        throw new Error('Text outside of the root element');
+      }
+    } else if (match[2]) {
+      if (!current || current.tag !== match[2]) {
+        throw new Error('Unexpected </' + match[2] + '>');
+      }
+      stack.pop();
+    } else if (match[3]) {
+      if (root && !stack.length) {
+        throw new Error('More than one root element');
+      }
+      // prefixes in scope, those of the parent included
+      var namespaces = Object.create(current ? current.namespaces : null);
+      if (!current) {
+        namespaces[''] = null;
+      }
+      var attributes = {};
+      var attribute;
+      ATTRIBUTE.lastIndex = 0;
+      while ((attribute = ATTRIBUTE.exec(match[4]))) {
+        var value = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+        if (attribute[1] === 'xmlns') {
+          namespaces[''] = value || null;
+        } else if (attribute[1].indexOf('xmlns:') === 0) {
+          namespaces[attribute[1].slice(6)] = value;
+        } else {
+          attributes[attribute[1]] = value;
+        }
+      }
+      var element = resolve(match[3], namespaces);
+      element.attributes = {};
+      Object.keys(attributes).forEach(function(name) {
+        element.attributes[resolve(name, namespaces, true).name] = attributes[name];
+      });
+      element.children = [];
+      element.text = '';
+      if (current) {
+        current.element.children.push(element);
+      } else {
+        root = element;
+      }
+      if (!match[5]) {
+        stack.push({ tag: match[3], element: element, namespaces: namespaces });
+      }
+    }
+  }
+  if (position !== text.length) {
+    throw new Error('Malformed XML at character ' + position);
+  }
+  if (!root || stack.length) {
+    throw new Error(root ? 'The document ends early' : 'The document is empty');
+  }
+  return root;
+}
+
+/**
+ * The child elements of an element with a namespace and name.
+ */
+
+function children(element, ns, name) {
+  return (element ? element.children : []).filter(function(child) {
+    return child.ns === ns && child.name === name;
+  });
+}
+
+/**
+ * The first child element with a namespace and name, or null.
+ */
+
+function child(element, ns, name) {
+  return children(element, ns, name)[0] || null;
+}
+
+/**
+ * A node to write: `content` is text or an array of nodes and text.
+ */
+
+function node(ns, name, content, attributes) {
+  return { ns: ns, name: name, content: content, attributes: attributes || {} };
+}
+
+/**
+ * Write a node using the prefixes `{ prefix: namespace }` that an enclosing
+ * element declares. Other namespaces are declared where they are used.
+ */
+
+function stringify(value, prefixes) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return stringify(item, prefixes);
+    }).join('');
+  }
+  if (typeof value !== 'object') {
+    return escape(value);
+  }
+  var prefix = Object.keys(prefixes).filter(function(key) {
+    return prefixes[key] === value.ns;
+  })[0];
+  var tag = prefix ? prefix + ':' + value.name : value.name;
+  var head = '<' + tag;
+  if (!prefix) {
+    head += ' xmlns="' + escape(value.ns || '') + '"';
+  }
+  Object.keys(value.attributes).forEach(function(name) {
+    head += ' ' + name + '="' + escape(value.attributes[name]) + '"';
+  });
+  var content = stringify(value.content, prefixes);
+  return content ? head + '>' + content + '</' + tag + '>' : head + '/>';
+}
+
+/**
+ * The start tag of a document's root element, declaring the prefixes.
+ */
+
+function open(ns, name, prefixes) {
+  var prefix = Object.keys(prefixes).filter(function(key) {
+    return prefixes[key] === ns;
+  })[0];
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<' + prefix + ':' + name + Object.keys(prefixes).map(function(key) {
+    return ' xmlns:' + key + '="' + escape(prefixes[key]) + '"';
+  }).join('') + '>';
+}
+
+/**
+ * The end tag matching `open()`.
+ */
+
+function close(ns, name, prefixes) {
+  var prefix = Object.keys(prefixes).filter(function(key) {
+    return prefixes[key] === ns;
+  })[0];
+  return '</' + prefix + ':' + name + '>';
+}
+
+module.exports = {
+  parse: parse,
+  child: child,
+  children: children,
+  node: node,
+  stringify: stringify,
+  open: open,
+  close: close
+};
@@ -0,0 +1,173 @@
+var zlib = require('zlib');
+var http = require('./http');
+
+/**
+ * Writing ZIP archives to a stream while their entries are produced, for
+ * XLSX files. Entries are deflated, and their CRC and sizes follow the data
+ * in a descriptor, so nothing is buffered and the stream's backpressure is
+ * honoured. There is no ZIP64, archives must stay below 4 GB.
+ */
+
+var CRC_TABLE = [];
+
+for (var n = 0; n < 256; n++) {
+  var c = n;
+  for (var k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Continue the CRC-32 of the data before `buffer` with it.
+ */
+
+function crc32(crc, buffer) {
+  crc = (crc ^ 0xffffffff) >>> 0;
+  for (var i = 0; i < buffer.length; i++) {
+    crc = (CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)) >>> 0;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Time and date of a Date in the MS-DOS format of ZIP headers.
+ */
+
+function dosTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// general purpose flags: sizes follow the data (bit 3), UTF-8 names (bit 11)
+var FLAGS = 0x0808;
+var DEFLATE = 8;
+var VERSION = 20;
+
+/**
+ * An archive written to `output`. Add entries one after the other with
+ * `entry()`, then call `finish()`.
+ */
+
+function Archive(output) {
+  this.output = output;
+  this.gone = false;
+  this.offset = 0;
+  this.entries = [];
+  this.modified = dosTime(new Date());
+}
+
+/**
+ * Write to the output, yielding false when it wants us to wait for `drain`.
+ */
+
+Archive.prototype.write = function(buffer) {
+  this.offset += buffer.length;
+  // once the output is gone there is nothing to wait for, the rest is dropped
+  return this.gone || this.output.write(buffer);
+};
+
+/**
+ * Start an entry; its content is written with `write(text, callback)` and
+ * closed with `end(callback)` before the next entry starts.
+ */
+
+Archive.prototype.entry = function(name) {
+  return new Entry(this, name);
+};
+
+/**
+ * Write the central directory and end the output.
+ */
+
+Archive.prototype.finish = function(callback) {
+  var me = this;
+  var start = me.offset;
+  me.entries.forEach(function(entry) {
+    var header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(VERSION, 6);
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(DEFLATE, 10);
+    header.writeUInt16LE(me.modified.time, 12);
+    header.writeUInt16LE(me.modified.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressed, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    me.write(Buffer.concat([header, entry.name]));
+  });
+  var end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(me.entries.length, 8);
+  end.writeUInt16LE(me.entries.length, 10);
+  end.writeUInt32LE(me.offset - start, 12);
+  end.writeUInt32LE(start, 16);
+  me.output.end(end, callback);
+};
+
+function Entry(archive, name) {
+  var me = this;
+  me.archive = archive;
+  me.name = Buffer.from(name);
+  me.offset = archive.offset;
+  me.crc = 0;
+  me.size = 0;
+  me.compressed = 0;
+
+  var header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(archive.modified.time, 10);
+  header.writeUInt16LE(archive.modified.date, 12);
+  header.writeUInt16LE(me.name.length, 26);
+  archive.write(Buffer.concat([header, me.name]));
+
+  me.deflate = zlib.createDeflateRaw();
+  me.deflate.on('data', function(chunk) {
+    me.compressed += chunk.length;
+    if (!archive.write(chunk)) {
+      me.deflate.pause();
+      http.drain(archive.output, function(err) {
+        archive.gone = archive.gone || !!err;
+        me.deflate.resume();
+      });
+    }
+  });
+}
+
+Entry.prototype.write = function(text, callback) {
+  var buffer = Buffer.from(text);
+  this.crc = crc32(this.crc, buffer);
+  this.size += buffer.length;
+  if (this.deflate.write(buffer)) {
+    return process.nextTick(callback);
+  }
+  this.deflate.once('drain', callback);
+};
+
+Entry.prototype.end = function(callback) {
+  var me = this;
+  me.deflate.once('end', function() {
+    var descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(me.crc, 4);
+    descriptor.writeUInt32LE(me.compressed, 8);
+    descriptor.writeUInt32LE(me.size, 12);
+    me.archive.write(descriptor);
+    me.archive.entries.push(me);
+    callback();
+  });
+  me.deflate.end();
+};
+
+module.exports = {
+  Archive: Archive,
+  crc32: crc32
+};
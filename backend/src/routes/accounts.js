@@ -0,0 +1,364 @@
+var async = require('async');
+var express = require('express');
+var db = require('../db');
+var listQuery = require('../db/query').middleware;
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var http = require('../lib/http');
+var helpers = require('../lib/accounts');
+var password = require('../lib/password');
+var roles = require('../lib/roles');
+var schema = require('../lib/schema');
+var session = require('../lib/session');
+var time = require('../lib/time');
+var httpError = http.httpError;
+var respond = http.respond;
+var pick = http.pick;
+var parseRoles = helpers.parseRoles;
+var presentAll = helpers.presentAll;
+var accounts = db.accounts;
+var router = express.Router();
+
+/**
+ * Account properties that clients may write. The username and kind are fixed
+ * once the account exists, passwords are changed through POST /:id/password.
+ */
+
+var FIELDS = ['displayName', 'personId', 'roles', 'status'];
+
+var STATUSES = ['active', 'disabled'];
+
+/**
+ * People log in with a password, service accounts have none and are used by
+ * scripts through API keys.
+ */
+
+var KINDS = ['person', 'service'];
+
+var USERNAME = /^[a-z0-9._-]{3,64}$/i;
+
+var MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * The request bodies of POST, PUT and PATCH. `roles` is a list or a comma
+ * separated string; the username and password are checked by POST, as only
+ * new accounts take them.
+ */
+
+var SCHEMA = {
+  type: 'object',
+  properties: {
+    username: { title: 'Username', type: ['string', 'null'] },
+    kind: { title: 'Kind', type: ['string', 'null'], enum: KINDS },
+    password: { title: 'Password', type: ['string', 'null'] },
+    displayName: { title: 'Display name', type: 'string', maxLength: 255 },
+    personId: { title: 'Person', type: ['integer', 'null'], minimum: 1 },
+    roles: { title: 'Roles', type: ['array', 'string', 'null'], items: { type: 'string' } },
+    status: { title: 'Status', type: 'string', enum: STATUSES }
+  },
+  required: ['displayName']
+};
+
+/**
+ * Properties the grid may sort and filter on.
+ */
+
+var QUERYABLE = ['id', 'username', 'displayName', 'kind', 'personId', 'roles', 'status', 'lastLoginAt', 'createdAt'];
+
+/**
+ * Properties matched by the free text `query` parameter.
+ */
+
+var SEARCHABLE = ['username', 'displayName'];
+
+function notFound(id) {
+  return httpError(404, 'Account ' + id + ' not found');
+}
+
+function checkPassword(value) {
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH) {
+    return http.invalid({ password: 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters' });
+  }
+  return null;
+}
+
+function hashPassword(kind, value, callback) {
+  if (kind === 'service') {
+    return process.nextTick(callback, null, null);
+  }
+  password.hash(value, callback);
+}
+
+/**
+ * Check the roles and person of values that passed the SCHEMA and normalize
+ * them for storage. Yields an error with status 400 when they are invalid.
+ */
+
+function validate(values, callback) {
+  if ('roles' in values) {
+    var list = parseRoles(values.roles);
+    var unknown = list.filter(function(role) {
+      return !roles.exists(role);
+    });
+    if (unknown.length) {
+      return callback(http.invalid({ roles: 'Unknown role "' + unknown[0] + '"' }));
+    }
+    values.roles = list.join(',');
+  }
+  if (!values.personId) {
+    return callback(null, values);
+  }
+  db.people.get(values.personId, function(err, person) {
+    if (!err && !person) {
+      err = http.invalid({ personId: 'Person ' + values.personId + ' not found' });
+    }
+    callback(err, values);
+  });
+}
+
+/**
+ * Admins must not take away their own access by accident: they cannot
+ * disable or delete their own account nor drop their admin role.
+ */
+
+function checkSelf(req, values) {
+  if (String(req.params.id) !== String(req.account.id)) {
+    return null;
+  }
+  if (!values || ('status' in values && values.status !== 'active')) {
+    return httpError(400, 'You cannot disable or delete your own account');
+  }
+  if ('roles' in values && parseRoles(values.roles).indexOf('admin') === -1) {
+    return httpError(400, 'You cannot drop your own admin role');
+  }
+  return null;
+}
+
+function send(res, account, status, next) {
+  presentAll([account], function(err, items) {
+    if (err) {
+      return next(err);
+    }
+    respond(res, items, 1, status);
+  });
+}
+
+/**
+ * Record a change of an account in the audit trail and send the account.
+ */
+
+function finish(req, res, action, before, account, status, next) {
+  audit.record(req, 'account', account.id, action, before, account, function(err) {
+    if (err) {
+      return next(err);
+    }
+    send(res, account, status, next);
+  });
+}
+
+/* GET accounts listing. */
+router.get('/', listQuery({ fields: QUERYABLE, search: SEARCHABLE, defaultSort: [{ property: 'username', direction: 'ASC' }] }), function(req, res, next) {
+  accounts.list(req.listQuery, function(err, result) {
+    if (err) {
+      return next(err);
+    }
+    presentAll(result.items, function(err, items) {
+      if (err) {
+        return next(err);
+      }
+      respond(res, items, result.total);
+    });
+  });
+});
+
+/* GET a single account. */
+router.get('/:id', function(req, res, next) {
+  accounts.get(req.params.id, function(err, account) {
+    if (err) {
+      return next(err);
+    }
+    if (!account) {
+      return next(notFound(req.params.id));
+    }
+    send(res, account, 200, next);
+  });
+});
+
+/* POST a new account. */
+router.post('/', access.allow('write:accounts'), schema.body(SCHEMA), function(req, res, next) {
+  var body = req.body;
+  var username = String(body.username || '').trim();
+  if (!USERNAME.test(username)) {
+    return next(http.invalid({ username: 'Username must be 3 to 64 letters, digits, dots, dashes or underscores' }));
+  }
+  var kind = body.kind || 'person';
+  var invalid = kind === 'service' ? null : checkPassword(body.password);
+  if (invalid) {
+    return next(invalid);
+  }
+  var values = Object.assign({ roles: [], status: 'active' }, pick(body, FIELDS, true));
+  validate(values, function(err, values) {
+    if (err) {
+      return next(err);
+    }
+    accounts.find({ username: username }, function(err, existing) {
+      if (err) {
+        return next(err);
+      }
+      if (existing.length) {
+        return next(httpError(409, 'Username "' + username + '" is taken'));
+      }
+      hashPassword(kind, body.password, function(err, passwordHash) {
+        if (err) {
+          return next(err);
+        }
+        accounts.create(Object.assign(values, {
+          username: username,
+          kind: kind,
+          passwordHash: passwordHash,
+          lastLoginAt: null,
+          createdAt: time.now()
+        }), function(err, account) {
+          if (err) {
+            return next(err);
+          }
+          finish(req, res, 'create', null, account, 201, next);
+        });
+      });
+    });
+  });
+});
+
+/**
+ * PUT replaces every writable field, PATCH only touches the fields sent.
+ * Disabling an account is a PATCH of its status.
+ */
+
+function update(partial) {
+  return function(req, res, next) {
+    var values = pick(req.body, FIELDS, partial);
+    if (!partial) {
+      values.status = values.status || 'active';
+    }
+    var invalid = checkSelf(req, values);
+    if (invalid) {
+      return next(invalid);
+    }
+    validate(values, function(err, values) {
+      if (err) {
+        return next(err);
+      }
+      accounts.get(req.params.id, function(err, before) {
+        if (err) {
+          return next(err);
+        }
+        if (!before) {
+          return next(notFound(req.params.id));
+        }
+        accounts.update(before.id, values, function(err, account) {
+          if (err) {
+            return next(err);
+          }
+          if (!account) {
+            return next(notFound(req.params.id));
+          }
+          finish(req, res, 'update', before, account, 200, next);
+        });
+      });
+    });
+  };
+}
+
+router.put('/:id', access.allow('write:accounts'), schema.body(SCHEMA), update(false));
+router.patch('/:id', access.allow('write:accounts'), schema.body(SCHEMA), update(true));
+
+/**
+ * Reset the password of an account and end its sessions. Uses the `password`
+ * of the body, or generates one and hands it back once so the admin can pass
+ * it on.
+ */
+
+router.post('/:id/password', access.allow('write:accounts'), function(req, res, next) {
+  var body = req.body || {};
+  var generated = body.password ? null : password.generate();
+  var invalid = generated ? null : checkPassword(body.password);
+  if (invalid) {
+    return next(invalid);
+  }
+  accounts.get(req.params.id, function(err, account) {
+    if (err) {
+      return next(err);
+    }
+    if (!account) {
+      return next(notFound(req.params.id));
+    }
+    if (account.kind === 'service') {
+      return next(httpError(400, 'Service accounts have no password, they use API keys'));
+    }
+    password.hash(generated || body.password, function(err, passwordHash) {
+      if (err) {
+        return next(err);
+      }
+      accounts.update(account.id, { passwordHash: passwordHash }, function(err) {
+        if (err) {
+          return next(err);
+        }
+        // whoever knew the old password is logged out
+        session.endAll(account.id, function(err) {
+          if (err) {
+            return next(err);
+          }
+          // the trail only notes that the password changed, never the hash
+          audit.record(req, 'account', account.id, 'password', null, null, function(err) {
+            if (err) {
+              return next(err);
+            }
+            res.json({ success: true, password: generated });
+          });
+        });
+      });
+    });
+  });
+});
+
+/* DELETE an account. */
+router.delete('/:id', access.allow('write:accounts'), function(req, res, next) {
+  var invalid = checkSelf(req, null);
+  if (invalid) {
+    return next(invalid);
+  }
+  accounts.get(req.params.id, function(err, account) {
+    if (err) {
+      return next(err);
+    }
+    if (!account) {
+      return next(notFound(req.params.id));
+    }
+    accounts.remove(account.id, function(err) {
+      if (err) {
+        return next(err);
+      }
+      // MariaDB cascades this on its own, the in-memory driver does not
+      db.settings.find({ accountId: account.id }, function(err, rows) {
+        if (err) {
+          return next(err);
+        }
+        async.eachSeries(rows, function(row, done) {
+          db.settings.remove(row.id, done);
+        }, function(err) {
+          if (err) {
+            return next(err);
+          }
+          audit.record(req, 'account', account.id, 'delete', account, null, function(err) {
+            if (err) {
+              return next(err);
+            }
+            respond(res, [], 0);
+          });
+        });
+      });
+    });
+  });
+});
+
+module.exports = router;
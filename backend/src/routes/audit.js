@@ -0,0 +1,346 @@
+var async = require('async');
+var express = require('express');
+var db = require('../db');
+var memberships = require('../db/memberships');
+var listQuery = require('../db/query').middleware;
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var http = require('../lib/http');
+var versions = require('../lib/versions');
+var httpError = http.httpError;
+var respond = http.respond;
+var router = express.Router();
+
+/**
+ * The audit trail, newest first. Entries only list entities the account may
+ * read, e.g. editors see the changes of people and groups but not those of
+ * accounts.
+ */
+
+var QUERYABLE = ['id', 'occurredAt', 'accountId', 'actor', 'entity', 'entityId', 'action', 'reverts', 'requestId'];
+
+/**
+ * Properties matched by the free text `query` parameter.
+ */
+
+var SEARCHABLE = ['actor', 'entity', 'action'];
+
+/**
+ * The permission needed to read the entries of an entity.
+ */
+
+var READ = {
+  person: 'read:users',
+  group: 'read:groups',
+  account: 'read:accounts',
+  token: 'read:accounts',
+  settings: 'read:settings'
+};
+
+/**
+ * Entities whose changes can be reverted, with the permission that needs and
+ * how to fetch and change them. Groups carry their `memberIds`.
+ */
+
+var REVERTIBLE = {
+  person: {
+    permission: 'write:users',
+    repository: db.people,
+    name: 'Person'
+  },
+  group: {
+    permission: 'write:groups',
+    repository: db.groups,
+    name: 'Group'
+  }
+};
+
+/**
+ * Actions that can be reverted.
+ */
+
+var ACTIONS = ['create', 'update', 'delete'];
+
+function notFound(id) {
+  return httpError(404, 'Audit entry ' + id + ' not found');
+}
+
+function readable(req) {
+  return Object.keys(READ).filter(function(entity) {
+    return access.can(req, READ[entity]);
+  });
+}
+
+/**
+ * Fetch the current state of a revertible entity, or null when it is gone.
+ * Pass `{ withDeleted: true }` to fetch it from the trash as well.
+ */
+
+function current(entity, id, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  REVERTIBLE[entity].repository.get(id, options, function(err, record) {
+    if (err || !record || entity !== 'group') {
+      return callback(err, record || null);
+    }
+    memberships.membersOf(db.memberships, [record.id], db.people, function(err, members) {
+      callback(err, !err && Object.assign({}, record, { memberIds: members[record.id] }));
+    });
+  });
+}
+
+/**
+ * Write the `from` values of an entry back. Yields the new state.
+ */
+
+function restore(entity, record, changes, callback) {
+  var values = {};
+  Object.keys(changes).forEach(function(field) {
+    if (field !== 'memberIds') {
+      values[field] = changes[field].from;
+    }
+  });
+  REVERTIBLE[entity].repository.update(record.id, values, record.version, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    if (!changes.memberIds) {
+      return current(entity, record.id, callback);
+    }
+    memberships.assign(db.memberships, record.id, changes.memberIds.from || [], db.people, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      current(entity, record.id, callback);
+    });
+  });
+}
+
+/**
+ * Check that the fields of a record still hold the values an entry left, for
+ * creates also those it left empty. Yields a 409 naming those that changed
+ * since.
+ */
+
+function unchanged(entry, record, changes) {
+  var type = REVERTIBLE[entry.entity];
+  var changed = {};
+  var fields = Object.keys(changes);
+  if (entry.action === 'create') {
+    fields = fields.concat(Object.keys(audit.diff(null, record)));
+  }
+  fields.forEach(function(field) {
+    var value = changes[field] ? changes[field].to : null;
+    if (!audit.same(record[field] === undefined ? null : record[field], value)) {
+      changed[field] = 'Changed again since';
+    }
+  });
+  if (!Object.keys(changed).length) {
+    return null;
+  }
+  return httpError(409, type.name + ' ' + record.id + ' was changed again since, revert those changes first', {
+    code: 'changed_since',
+    errors: changed
+  });
+}
+
+/**
+ * Undo what an entry recorded: updates get their `from` values back, created
+ * records move to the trash and deleted ones come out of it. Yields the
+ * state before and after.
+ */
+
+function undo(res, entry, callback) {
+  var type = REVERTIBLE[entry.entity];
+  var changes = audit.present(entry).changes;
+  var withDeleted = entry.action === 'delete' ? { withDeleted: true } : null;
+  current(entry.entity, entry.entityId, withDeleted, function(err, record) {
+    if (err) {
+      return callback(err);
+    }
+    if (!record) {
+      return callback(httpError(404, type.name + ' ' + entry.entityId + (withDeleted ? ' was purged' : ' not found')));
+    }
+    if (entry.action === 'delete') {
+      if (!type.repository.isDeleted(record)) {
+        return callback(httpError(409, type.name + ' ' + record.id + ' was restored already', { code: 'changed_since' }));
+      }
+      return type.repository.restore(record.id, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        current(entry.entity, record.id, function(err, restored) {
+          callback(err, record, restored);
+        });
+      });
+    }
+    var conflict = unchanged(entry, record, changes);
+    if (conflict) {
+      return callback(conflict);
+    }
+    if (entry.action === 'create') {
+      return type.repository.remove(record.id, function(err) {
+        callback(err, record, null);
+      });
+    }
+    restore(entry.entity, record, changes, function(err, updated) {
+      if (err) {
+        return callback(err.code === 'version_conflict' ? versions.conflict(res, err, type.name + ' ' + record.id) : err);
+      }
+      callback(null, record, updated);
+    });
+  });
+}
+
+/**
+ * Revert an entry and record that as an entry of its own, which this yields.
+ */
+
+function revert(req, res, entry, callback) {
+  undo(res, entry, function(err, before, after) {
+    if (err) {
+      return callback(err);
+    }
+    audit.record(req, entry.entity, before.id, 'revert', before, after, { reverts: entry.id }, callback);
+  });
+}
+
+/**
+ * Check that an entry can be reverted by the account. Yields the error why
+ * not, if any.
+ */
+
+function revertible(req, entry) {
+  var type = REVERTIBLE[entry.entity];
+  if (!type || ACTIONS.indexOf(entry.action) === -1) {
+    return httpError(400, 'Only creates, updates and deletes of people and groups can be reverted');
+  }
+  if (!access.can(req, type.permission)) {
+    return access.forbidden(type.permission);
+  }
+  return null;
+}
+
+/* GET audit entries. */
+router.get('/', listQuery({ fields: QUERYABLE, search: SEARCHABLE, defaultSort: [{ property: 'occurredAt', direction: 'DESC' }, { property: 'id', direction: 'DESC' }] }), function(req, res, next) {
+  var query = Object.assign({}, req.listQuery, {
+    filters: req.listQuery.filters.concat({ property: 'entity', operator: 'in', value: readable(req) })
+  });
+  db.audit.list(query, function(err, result) {
+    if (err) {
+      return next(err);
+    }
+    respond(res, result.items.map(audit.present), result.total);
+  });
+});
+
+/**
+ * Revert every change of people and groups one request made, such as an
+ * import, newest first. Changes reverted before are left out. Should one
+ * fail, those reverted so far stay reverted and the error says how many
+ * they were; sending the request again picks up the rest.
+ */
+
+router.post('/requests/:requestId/revert', function(req, res, next) {
+  db.audit.list({
+    filters: [
+      { property: 'requestId', operator: 'eq', value: req.params.requestId },
+      { property: 'entity', operator: 'in', value: readable(req).filter(function(entity) {
+        return REVERTIBLE.hasOwnProperty(entity);
+      }) },
+      { property: 'action', operator: 'in', value: ACTIONS }
+    ],
+    sorters: [{ property: 'id', direction: 'DESC' }]
+  }, function(err, result) {
+    if (err) {
+      return next(err);
+    }
+    if (!result.items.length) {
+      return next(httpError(404, 'Request ' + req.params.requestId + ' changed nothing that can be reverted'));
+    }
+    var forbidden = result.items.map(function(entry) {
+      return revertible(req, entry);
+    }).filter(Boolean)[0];
+    if (forbidden) {
+      return next(forbidden);
+    }
+    db.audit.list({
+      filters: [{ property: 'reverts', operator: 'in', value: result.items.map(function(entry) {
+        return entry.id;
+      }) }]
+    }, function(err, reverted) {
+      if (err) {
+        return next(err);
+      }
+      var done = reverted.items.map(function(entry) {
+        return entry.reverts;
+      });
+      var pending = result.items.filter(function(entry) {
+        return done.indexOf(entry.id) === -1;
+      });
+      var reverts = [];
+      async.eachSeries(pending, function(entry, callback) {
+        revert(req, res, entry, function(err, revert) {
+          if (revert) {
+            reverts.push(audit.present(revert));
+          }
+          callback(err);
+        });
+      }, function(err) {
+        if (err) {
+          return next(reverts.length ? httpError(err.status || 500,
+            'Reverted ' + reverts.length + ' of ' + pending.length + ' changes, then: ' + err.message,
+            { code: err.code, errors: err.errors }) : err);
+        }
+        respond(res, reverts, reverts.length, reverts.length ? 201 : 200);
+      });
+    });
+  });
+});
+
+/* GET a single audit entry. */
+router.get('/:id', function(req, res, next) {
+  db.audit.get(req.params.id, function(err, entry) {
+    if (err) {
+      return next(err);
+    }
+    if (!entry || readable(req).indexOf(entry.entity) === -1) {
+      return next(notFound(req.params.id));
+    }
+    respond(res, [audit.present(entry)], 1);
+  });
+});
+
+/**
+ * Revert what an entry recorded. Updates get the values from before them
+ * back, provided the fields still hold the values the update left, otherwise
+ * this answers 409 naming the fields that changed since. The same goes for
+ * the record a create made, which then moves to the trash. Deleted records
+ * come out of the trash. The revert is recorded as an entry of its own,
+ * which this answers with.
+ */
+
+router.post('/:id/revert', function(req, res, next) {
+  db.audit.get(req.params.id, function(err, entry) {
+    if (err) {
+      return next(err);
+    }
+    if (!entry || readable(req).indexOf(entry.entity) === -1) {
+      return next(notFound(req.params.id));
+    }
+    var error = revertible(req, entry);
+    if (error) {
+      return next(error);
+    }
+    revert(req, res, entry, function(err, revert) {
+      if (err) {
+        return next(err);
+      }
+      respond(res, [audit.present(revert)], 1, 201);
+    });
+  });
+});
+
+module.exports = router;
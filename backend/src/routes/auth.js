@@ -0,0 +1,80 @@
+var express = require('express');
+var db = require('../db');
+var http = require('../lib/http');
+var password = require('../lib/password');
+var presentAll = require('../lib/accounts').presentAll;
+var session = require('../lib/session');
+var time = require('../lib/time');
+var httpError = http.httpError;
+var respond = http.respond;
+var router = express.Router();
+
+/**
+ * Answer with an account, with the name of its person.
+ */
+
+function send(res, account, next) {
+  presentAll([account], function(err, items) {
+    if (err) {
+      return next(err);
+    }
+    respond(res, items, 1);
+  });
+}
+
+/* POST a username and password to log in. */
+router.post('/login', function(req, res, next) {
+  var body = req.body || {};
+  var failed = httpError(401, 'Wrong username or password', { code: 'invalid_credentials' });
+
+  if (!body.username || !body.password) {
+    return next(failed);
+  }
+  db.accounts.find({ username: String(body.username).trim() }, function(err, accounts) {
+    if (err) {
+      return next(err);
+    }
+    var account = accounts[0];
+    // verify against a dummy hash for unknown users and service accounts,
+    // which have no password, so all take as long
+    password.verify(body.password, account && account.passwordHash ? account.passwordHash : password.DUMMY, function(err, valid) {
+      if (err) {
+        return next(err);
+      }
+      if (!account || account.kind === 'service' || !valid) {
+        return next(failed);
+      }
+      if (account.status !== 'active') {
+        return next(httpError(403, 'This account is disabled'));
+      }
+      session.start(res, account, function(err) {
+        if (err) {
+          return next(err);
+        }
+        db.accounts.update(account.id, { lastLoginAt: time.now() }, function(err, account) {
+          if (err) {
+            return next(err);
+          }
+          send(res, account, next);
+        });
+      });
+    });
+  });
+});
+
+/* POST to log out. */
+router.post('/logout', function(req, res, next) {
+  session.end(req, res, function(err) {
+    if (err) {
+      return next(err);
+    }
+    respond(res, [], 0);
+  });
+});
+
+/* GET the account that is logged in. */
+router.get('/me', session.required, function(req, res, next) {
+  send(res, req.account, next);
+});
+
+module.exports = router;
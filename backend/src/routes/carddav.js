@@ -0,0 +1,804 @@
+var async = require('async');
+var crypto = require('crypto');
+var express = require('express');
+var url = require('url');
+var db = require('../db');
+var access = require('../lib/access');
+var basic = require('../lib/basic');
+var http = require('../lib/http');
+var vcard = require('../lib/vcard');
+var xml = require('../lib/xml');
+var httpError = http.httpError;
+var people = db.people;
+var router = express.Router();
+var dav = express.Router();
+
+/**
+ * A read-only CardDAV server (RFC 6352) publishing the personnel directory
+ * as a single address book, so phones and mail clients keep a live copy:
+ *
+ *  - /.well-known/carddav leads clients to /carddav/
+ *  - /carddav/principals/<username>/ is the principal of the account that
+ *    logged in, its address book home is /carddav/addressbooks/
+ *  - /carddav/addressbooks/directory/ is the address book, holding a vCard
+ *    3.0 `<id>.vcf` for every person
+ *
+ * OPTIONS, PROPFIND, REPORT (addressbook-query, addressbook-multiget and
+ * sync-collection), GET and HEAD are answered, anything else is refused.
+ * Clients log in with the session cookie, a bearer token or HTTP Basic (see
+ * lib/basic.js), and need the read:users permission.
+ *
+ * Sync tokens are ids of the audit trail (see lib/audit.js), which records
+ * every change of a person: the changes since a token are the people it has
+ * entries for after that id.
+ */
+
+var DAV = 'DAV:';
+var CARDDAV = 'urn:ietf:params:xml:ns:carddav';
+var CALENDARSERVER = 'http://calendarserver.org/ns/';
+var PREFIXES = { d: DAV, card: CARDDAV, cs: CALENDARSERVER };
+
+var ROOT = '/carddav/';
+var HOME = ROOT + 'addressbooks/';
+var BOOK = HOME + 'directory/';
+var SYNC_TOKEN = 'urn:x-demo:sync:';
+
+var ALLOW = 'OPTIONS, GET, HEAD, PROPFIND, REPORT';
+var BATCH = 500;
+
+/**
+ * An error answered with a DAV precondition, e.g. `valid-sync-token`, in
+ * its body.
+ */
+
+function precondition(status, ns, name, message) {
+  var err = httpError(status, message);
+  err.condition = xml.node(ns, name);
+  return err;
+}
+
+function principal(account) {
+  return ROOT + 'principals/' + encodeURIComponent(account.username) + '/';
+}
+
+function href(path) {
+  return xml.node(DAV, 'href', path);
+}
+
+function status(code) {
+  return xml.node(DAV, 'status', 'HTTP/1.1 ' + code);
+}
+
+function etag(card) {
+  return '"' + crypto.createHash('sha1').update(card).digest('hex').slice(0, 20) + '"';
+}
+
+/**
+ * The resource of a person, with its card.
+ */
+
+function cardOf(person) {
+  var card = vcard.format(person, '3.0');
+  return { type: 'card', href: BOOK + person.id + '.vcf', person: person, card: card, etag: etag(card) };
+}
+
+/**
+ * The resource a request path below /carddav names, or null. Collections
+ * are found with and without their trailing slash.
+ */
+
+function resolve(path, account) {
+  var match;
+  if (path === '/' || path === '') {
+    return { type: 'root', href: ROOT };
+  }
+  if ((match = /^\/principals\/([^\/]+)\/?$/.exec(path))) {
+    return decodeURIComponent(match[1]) === account.username ? { type: 'principal', href: principal(account) } : null;
+  }
+  if (/^\/addressbooks\/?$/.test(path)) {
+    return { type: 'home', href: HOME };
+  }
+  if (/^\/addressbooks\/directory\/?$/.test(path)) {
+    return { type: 'book', href: BOOK };
+  }
+  if ((match = /^\/addressbooks\/directory\/(\d+)\.vcf$/.exec(path))) {
+    return { type: 'card', href: BOOK + match[1] + '.vcf', id: Number(match[1]) };
+  }
+  return null;
+}
+
+/**
+ * The id of the person a card's href names, absolute or not, or null.
+ */
+
+function idOf(link) {
+  var match = /^\/carddav\/addressbooks\/directory\/(\d+)\.vcf$/.exec(url.parse(link.trim()).pathname || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * The properties of the resources. `value(resource, context, requested)`
+ * yields the content of the property, or undefined where a resource has no
+ * such property; `requested` is the element asking for it. Properties with
+ * `all` unset are only sent when asked for by name.
+ */
+
+var PROPERTIES = [{
+  ns: DAV,
+  name: 'resourcetype',
+  all: true,
+  value: function(resource) {
+    var collection = xml.node(DAV, 'collection');
+    return {
+      root: [collection],
+      principal: [collection, xml.node(DAV, 'principal')],
+      home: [collection],
+      book: [collection, xml.node(CARDDAV, 'addressbook')],
+      card: ''
+    }[resource.type];
+  }
+}, {
+  ns: DAV,
+  name: 'displayname',
+  all: true,
+  value: function(resource, context) {
+    return {
+      root: 'CardDAV',
+      principal: context.account.displayName || context.account.username,
+      home: 'Address books',
+      book: 'Personnel',
+      card: resource.person && vcard.text(resource.person, 'FN')
+    }[resource.type];
+  }
+}, {
+  ns: DAV,
+  name: 'current-user-principal',
+  all: true,
+  value: function(resource, context) {
+    return href(principal(context.account));
+  }
+}, {
+  ns: DAV,
+  name: 'principal-URL',
+  all: true,
+  value: function(resource, context) {
+    return resource.type === 'principal' ? href(principal(context.account)) : undefined;
+  }
+}, {
+  ns: CARDDAV,
+  name: 'addressbook-home-set',
+  all: true,
+  value: function(resource) {
+    return resource.type === 'principal' ? href(HOME) : undefined;
+  }
+}, {
+  ns: DAV,
+  name: 'current-user-privilege-set',
+  value: function() {
+    // read-only: no write, bind or unbind
+    return ['read', 'read-current-user-privilege-set'].map(function(name) {
+      return xml.node(DAV, 'privilege', xml.node(DAV, name));
+    });
+  }
+}, {
+  ns: DAV,
+  name: 'supported-report-set',
+  value: function(resource) {
+    if (resource.type !== 'book') {
+      return undefined;
+    }
+    return [[CARDDAV, 'addressbook-query'], [CARDDAV, 'addressbook-multiget'], [DAV, 'sync-collection']].map(function(report) {
+      return xml.node(DAV, 'supported-report', xml.node(DAV, 'report', xml.node(report[0], report[1])));
+    });
+  }
+}, {
+  ns: DAV,
+  name: 'sync-token',
+  all: true,
+  value: function(resource, context) {
+    return resource.type === 'book' ? context.syncToken : undefined;
+  }
+}, {
+  ns: CALENDARSERVER,
+  name: 'getctag',
+  all: true,
+  value: function(resource, context) {
+    return resource.type === 'book' ? context.syncToken : undefined;
+  }
+}, {
+  ns: CARDDAV,
+  name: 'addressbook-description',
+  all: true,
+  value: function(resource) {
+    return resource.type === 'book' ? 'Everybody in the personnel directory' : undefined;
+  }
+}, {
+  ns: CARDDAV,
+  name: 'supported-address-data',
+  value: function(resource) {
+    return resource.type === 'book' ? vcard.VERSIONS.map(function(version) {
+      return xml.node(CARDDAV, 'address-data-type', '', { 'content-type': 'text/vcard', version: version });
+    }) : undefined;
+  }
+}, {
+  ns: DAV,
+  name: 'getetag',
+  all: true,
+  value: function(resource) {
+    return resource.type === 'card' ? resource.etag : undefined;
+  }
+}, {
+  ns: DAV,
+  name: 'getcontenttype',
+  all: true,
+  value: function(resource) {
+    return resource.type === 'card' ? vcard.CONTENT_TYPE : undefined;
+  }
+}, {
+  ns: DAV,
+  name: 'getcontentlength',
+  all: true,
+  value: function(resource) {
+    return resource.type === 'card' ? Buffer.byteLength(resource.card) : undefined;
+  }
+}, {
+  ns: CARDDAV,
+  name: 'address-data',
+  value: function(resource, context, requested) {
+    if (resource.type !== 'card') {
+      return undefined;
+    }
+    var version = requested && requested.attributes.version;
+    return vcard.VERSIONS.indexOf(version) === -1 ? resource.card : vcard.format(resource.person, version);
+  }
+}];
+
+/**
+ * Read the properties a PROPFIND or REPORT asks for: `{ mode, names }`
+ * where mode is `prop`, `allprop` or `propname` and names lists the
+ * requested elements.
+ */
+
+function requested(element) {
+  var prop = xml.child(element, DAV, 'prop');
+  if (prop) {
+    return { mode: 'prop', names: prop.children };
+  }
+  return { mode: xml.child(element, DAV, 'propname') ? 'propname' : 'allprop', names: [] };
+}
+
+/**
+ * The DAV:response for a resource. Requested properties it does not have
+ * are listed with 404.
+ */
+
+function response(resource, context, request) {
+  var found = [];
+  var missing = [];
+  var names = request.mode === 'prop' ? request.names : PROPERTIES.filter(function(property) {
+    return property.all || request.mode === 'propname';
+  });
+  names.forEach(function(name) {
+    var property = PROPERTIES.filter(function(candidate) {
+      return candidate.ns === name.ns && candidate.name === name.name;
+    })[0];
+    var value = property ? property.value(resource, context, name) : undefined;
+    if (value === undefined) {
+      missing.push(xml.node(name.ns, name.name));
+    } else {
+      found.push(xml.node(name.ns, name.name, request.mode === 'propname' ? '' : value));
+    }
+  });
+  var content = [href(resource.href)];
+  if (found.length) {
+    content.push(xml.node(DAV, 'propstat', [xml.node(DAV, 'prop', found), status('200 OK')]));
+  }
+  if (missing.length && request.mode === 'prop') {
+    content.push(xml.node(DAV, 'propstat', [xml.node(DAV, 'prop', missing), status('404 Not Found')]));
+  }
+  return xml.node(DAV, 'response', content);
+}
+
+/**
+ * The DAV:response for a card that does not exist (any more).
+ */
+
+function gone(id) {
+  return xml.node(DAV, 'response', [href(BOOK + id + '.vcf'), status('404 Not Found')]);
+}
+
+/**
+ * Start a 207 Multi-Status response. Responses are written in batches with
+ * `write(nodes, callback)`, honouring backpressure, and `end(nodes)` closes
+ * the document.
+ */
+
+function multistatus(res) {
+  var closed = false;
+  res.on('close', function() {
+    closed = true;
+  });
+  res.status(207);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.write(xml.open(DAV, 'multistatus', PREFIXES));
+  return {
+    write: function(nodes, callback) {
+      if (closed) {
+        return callback(new Error('The client went away'));
+      }
+      if (res.write(xml.stringify(nodes, PREFIXES))) {
+        return process.nextTick(callback);
+      }
+      res.once('drain', callback);
+    },
+    end: function(nodes) {
+      res.end(xml.stringify(nodes, PREFIXES) + xml.close(DAV, 'multistatus', PREFIXES));
+    },
+    fail: function(next, err) {
+      // too late for an error response, next() aborts it
+      return closed ? null : next(err);
+    }
+  };
+}
+
+/**
+ * The id of the latest change of a person in the audit trail, 0 before the
+ * first.
+ */
+
+function latestChange(callback) {
+  db.audit.list({
+    filters: [{ property: 'entity', operator: 'eq', value: 'person' }],
+    sorters: [{ property: 'id', direction: 'DESC' }],
+    start: 0,
+    limit: 1
+  }, function(err, result) {
+    callback(err, result && result.items.length ? result.items[0].id : 0);
+  });
+}
+
+/**
+ * The change a sync token stands for, or null for tokens not handed out
+ * here.
+ */
+
+function changeOf(token) {
+  return token.indexOf(SYNC_TOKEN) === 0 && /^\d+$/.test(token.slice(SYNC_TOKEN.length)) ?
+    Number(token.slice(SYNC_TOKEN.length)) : null;
+}
+
+/**
+ * The people with the given ids, by id. People in the trash are left out.
+ */
+
+function fetch(ids, callback) {
+  var found = {};
+  var chunks = [];
+  for (var i = 0; i < ids.length; i += BATCH) {
+    chunks.push(ids.slice(i, i + BATCH));
+  }
+  async.eachSeries(chunks, function(chunk, next) {
+    people.list({
+      filters: [{ property: 'id', operator: 'in', value: chunk }],
+      start: 0,
+      limit: chunk.length
+    }, function(err, result) {
+      if (err) {
+        return next(err);
+      }
+      result.items.forEach(function(person) {
+        found[person.id] = person;
+      });
+      next();
+    });
+  }, function(err) {
+    callback(err, found);
+  });
+}
+
+/**
+ * Write the responses for the cards of every person, or those `test`
+ * accepts, up to `limit` of them. Yields whether any were left out.
+ */
+
+function eachCard(output, context, request, options, callback) {
+  var count = 0;
+  var truncated = false;
+  people.eachBatch({}, BATCH, function(items, next) {
+    var nodes = [];
+    items.forEach(function(person) {
+      if (options.test && !options.test(person)) {
+        return;
+      }
+      if (options.limit && count >= options.limit) {
+        truncated = true;
+        return;
+      }
+      count++;
+      nodes.push(response(cardOf(person), context, request));
+    });
+    output.write(nodes, next);
+  }, function(err) {
+    callback(err, truncated);
+  });
+}
+
+/**
+ * Parse the XML body of a request, null when there is none.
+ */
+
+function body(req) {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return null;
+  }
+  try {
+    return xml.parse(req.body);
+  } catch (e) {
+    throw httpError(400, 'The request body is no valid XML: ' + e.message);
+  }
+}
+
+/**
+ * Look up what a request about a resource needs: its person for cards and
+ * the current sync token for the address book and its parent.
+ */
+
+function load(req, resource, callback) {
+  var context = { account: req.account, syncToken: null };
+  async.parallel([function(next) {
+    if (resource.type !== 'card') {
+      return next();
+    }
+    people.get(resource.id, function(err, person) {
+      if (err || !person) {
+        return next(err || httpError(404, 'Not found: ' + resource.href));
+      }
+      Object.assign(resource, cardOf(person));
+      next();
+    });
+  }, function(next) {
+    if (['home', 'book'].indexOf(resource.type) === -1) {
+      return next();
+    }
+    latestChange(function(err, id) {
+      context.syncToken = SYNC_TOKEN + id;
+      next(err);
+    });
+  }], function(err) {
+    callback(err, context);
+  });
+}
+
+/**
+ * The children of a collection; the address book's cards are written apart.
+ */
+
+function childrenOf(resource, account) {
+  return {
+    root: [{ type: 'principal', href: principal(account) }, { type: 'home', href: HOME }],
+    home: [{ type: 'book', href: BOOK }]
+  }[resource.type] || [];
+}
+
+/**
+ * Compile the filter of an addressbook-query into a test of people. Throws
+ * for filters that are not supported.
+ */
+
+var COLLATIONS = {
+  'i;octet': function(text) {
+    return text;
+  },
+  'i;ascii-casemap': function(text) {
+    return text.replace(/[A-Z]+/g, function(letters) {
+      return letters.toLowerCase();
+    });
+  },
+  'i;unicode-casemap': function(text) {
+    return text.normalize('NFKD').toLowerCase();
+  }
+};
+
+var MATCH_TYPES = {
+  equals: function(value, text) {
+    return value === text;
+  },
+  contains: function(value, text) {
+    return value.indexOf(text) !== -1;
+  },
+  'starts-with': function(value, text) {
+    return value.indexOf(text) === 0;
+  },
+  'ends-with': function(value, text) {
+    return value.length >= text.length && value.slice(value.length - text.length) === text;
+  }
+};
+
+function combine(tests, test) {
+  if (test === 'allof') {
+    return function(person) {
+      return tests.every(function(check) {
+        return check(person);
+      });
+    };
+  }
+  return function(person) {
+    return tests.some(function(check) {
+      return check(person);
+    });
+  };
+}
+
+function compileTextMatch(element) {
+  var collation = COLLATIONS[element.attributes.collation || 'i;unicode-casemap'];
+  var match = MATCH_TYPES[element.attributes['match-type'] || 'contains'];
+  var negate = element.attributes['negate-condition'] === 'yes';
+  if (!collation) {
+    throw precondition(403, CARDDAV, 'supported-collation', 'Unsupported collation ' + element.attributes.collation);
+  }
+  if (!match) {
+    throw precondition(403, CARDDAV, 'supported-filter', 'Unsupported match type ' + element.attributes['match-type']);
+  }
+  var text = collation(element.text);
+  return function(value) {
+    return match(collation(value), text) !== negate;
+  };
+}
+
+function compilePropFilter(element) {
+  var name = element.attributes.name;
+  if (!name || xml.children(element, CARDDAV, 'param-filter').length) {
+    throw precondition(403, CARDDAV, 'supported-filter', 'Only filters on properties are supported');
+  }
+  var undefinedOnly = !!xml.child(element, CARDDAV, 'is-not-defined');
+  var matches = xml.children(element, CARDDAV, 'text-match').map(compileTextMatch);
+  var test = element.attributes.test === 'allof' ? 'every' : 'some';
+  return function(person) {
+    var value = vcard.text(person, name);
+    if (undefinedOnly || value === null) {
+      return undefinedOnly && value === null;
+    }
+    return !matches.length || matches[test](function(check) {
+      return check(value);
+    });
+  };
+}
+
+function compileFilter(element) {
+  var tests = xml.children(element, CARDDAV, 'prop-filter').map(compilePropFilter);
+  return tests.length ? combine(tests, element.attributes.test) : function() {
+    return true;
+  };
+}
+
+/**
+ * The REPORTs on the address book, each answering `(req, res, next, root,
+ * context)` where root is the request body.
+ */
+
+var REPORTS = {};
+
+REPORTS[CARDDAV + ' addressbook-query'] = function(req, res, next, root, context) {
+  var filter = xml.child(root, CARDDAV, 'filter');
+  var limit = xml.child(xml.child(root, CARDDAV, 'limit'), CARDDAV, 'nresults');
+  var test;
+  try {
+    test = filter ? compileFilter(filter) : null;
+  } catch (err) {
+    return next(err);
+  }
+  var output = multistatus(res);
+  eachCard(output, context, requested(root), {
+    test: test,
+    limit: limit ? parseInt(limit.text, 10) || 0 : 0
+  }, function(err, truncated) {
+    if (err) {
+      return output.fail(next, err);
+    }
+    // the request named a limit and more cards matched
+    output.end(truncated ? xml.node(DAV, 'response', [href(BOOK), status('507 Insufficient Storage')]) : null);
+  });
+};
+
+REPORTS[CARDDAV + ' addressbook-multiget'] = function(req, res, next, root, context) {
+  var request = requested(root);
+  var ids = xml.children(root, DAV, 'href').map(function(link) {
+    return { href: link.text, id: idOf(link.text) };
+  });
+  fetch(ids.map(function(entry) {
+    return entry.id;
+  }).filter(function(id) {
+    return id !== null;
+  }), function(err, found) {
+    if (err) {
+      return next(err);
+    }
+    var output = multistatus(res);
+    output.end(ids.map(function(entry) {
+      var person = entry.id !== null && found[entry.id];
+      return person ? response(cardOf(person), context, request) :
+        xml.node(DAV, 'response', [href(entry.href), status('404 Not Found')]);
+    }));
+  });
+};
+
+REPORTS[DAV + ' sync-collection'] = function(req, res, next, root, context) {
+  var request = requested(root);
+  var given = (xml.child(root, DAV, 'sync-token') || { text: '' }).text.trim();
+  var since = given ? changeOf(given) : null;
+  var current = changeOf(context.syncToken);
+  if (given && (since === null || since > current)) {
+    return next(precondition(403, DAV, 'valid-sync-token', 'Unknown sync token, please sync again from scratch'));
+  }
+  var token = xml.node(DAV, 'sync-token', context.syncToken);
+
+  // the first sync lists every card
+  if (since === null) {
+    var output = multistatus(res);
+    return eachCard(output, context, request, {}, function(err) {
+      if (err) {
+        return output.fail(next, err);
+      }
+      output.end(token);
+    });
+  }
+
+  var changed = [];
+  db.audit.eachBatch({
+    filters: [
+      { property: 'entity', operator: 'eq', value: 'person' },
+      { property: 'id', operator: 'gt', value: since },
+      { property: 'id', operator: 'le', value: current }
+    ]
+  }, BATCH, function(entries, done) {
+    entries.forEach(function(entry) {
+      var id = Number(entry.entityId);
+      if (changed.indexOf(id) === -1) {
+        changed.push(id);
+      }
+    });
+    done();
+  }, function(err) {
+    if (err) {
+      return next(err);
+    }
+    fetch(changed, function(err, found) {
+      if (err) {
+        return next(err);
+      }
+      // people that were deleted or purged since are reported as gone
+      multistatus(res).end(changed.map(function(id) {
+        return found[id] ? response(cardOf(found[id]), context, request) : gone(id);
+      }).concat(token));
+    });
+  });
+};
+
+// RFC 6764: clients look here first, then follow the redirect
+router.all('/.well-known/carddav', function(req, res) {
+  res.redirect(301, ROOT);
+});
+
+router.use('/carddav', dav);
+
+dav.use(function(req, res, next) {
+  res.set('DAV', '1, 3, addressbook');
+  next();
+});
+
+/* OPTIONS, which clients ask before logging in. */
+dav.options('*', function(req, res) {
+  res.set('Allow', ALLOW);
+  res.status(200).end();
+});
+
+dav.use(basic.required('Personnel directory'), access.allow('read:users'));
+
+/* PROPFIND the properties of a resource and, with Depth: 1, its children. */
+dav.propfind('*', function(req, res, next) {
+  var resource = resolve(req.path, req.account);
+  var depth = req.get('Depth') || 'infinity';
+  var root;
+  if (!resource) {
+    return next(httpError(404, 'Not found: ' + req.originalUrl));
+  }
+  if (depth === 'infinity' && resource.type !== 'card') {
+    return next(precondition(403, DAV, 'propfind-finite-depth', 'Depth: infinity is not supported'));
+  }
+  try {
+    root = body(req);
+  } catch (err) {
+    return next(err);
+  }
+  if (root && (root.ns !== DAV || root.name !== 'propfind')) {
+    return next(httpError(400, 'Expected a propfind element'));
+  }
+  var request = requested(root);
+  load(req, resource, function(err, context) {
+    if (err) {
+      return next(err);
+    }
+    var output = multistatus(res);
+    var nodes = [response(resource, context, request)];
+    if (depth !== '1') {
+      return output.end(nodes);
+    }
+    childrenOf(resource, req.account).forEach(function(child) {
+      nodes.push(response(child, context, request));
+    });
+    if (resource.type !== 'book') {
+      return output.end(nodes);
+    }
+    output.write(nodes, function() {
+      eachCard(output, context, request, {}, function(err) {
+        if (err) {
+          return output.fail(next, err);
+        }
+        output.end();
+      });
+    });
+  });
+});
+
+/* REPORT on the address book. */
+dav.report('*', function(req, res, next) {
+  var resource = resolve(req.path, req.account);
+  var root;
+  if (!resource) {
+    return next(httpError(404, 'Not found: ' + req.originalUrl));
+  }
+  try {
+    root = body(req);
+  } catch (err) {
+    return next(err);
+  }
+  var report = root && REPORTS[root.ns + ' ' + root.name];
+  if (!report || resource.type !== 'book') {
+    return next(precondition(403, DAV, 'supported-report', 'This report is not supported here'));
+  }
+  load(req, resource, function(err, context) {
+    if (err) {
+      return next(err);
+    }
+    report(req, res, next, root, context);
+  });
+});
+
+/* GET the vCard of a person. */
+dav.get('*', function(req, res, next) {
+  var resource = resolve(req.path, req.account);
+  if (!resource) {
+    return next(httpError(404, 'Not found: ' + req.originalUrl));
+  }
+  if (resource.type !== 'card') {
+    res.set('Allow', 'OPTIONS, PROPFIND, REPORT');
+    return next(httpError(405, 'Collections have no content, use PROPFIND'));
+  }
+  load(req, resource, function(err) {
+    if (err) {
+      return next(err);
+    }
+    // with the ETag set, a matching If-None-Match is answered with 304
+    res.set('ETag', resource.etag);
+    res.set('Content-Type', vcard.CONTENT_TYPE);
+    res.send(resource.card);
+  });
+});
+
+/* Everything else would change the address book, which is read-only. */
+dav.all('*', function(req, res, next) {
+  res.set('Allow', ALLOW);
+  next(httpError(405, 'The address book is read-only'));
+});
+
+/* Send preconditions as DAV error bodies. */
+dav.use(function(err, req, res, next) {
+  if (!err.condition || res.headersSent) {
+    return next(err);
+  }
+  res.status(err.status);
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.send(xml.open(DAV, 'error', PREFIXES) + xml.stringify(err.condition, PREFIXES) + xml.close(DAV, 'error', PREFIXES));
+});
+
+module.exports = router;
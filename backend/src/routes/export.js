@@ -0,0 +1,304 @@
+var async = require('async');
+var express = require('express');
+var db = require('../db');
+var memberships = require('../db/memberships');
+var listQuery = require('../db/query').middleware;
+var access = require('../lib/access');
+var csv = require('../lib/csv');
+var directory = require('../lib/directory');
+var http = require('../lib/http');
+var ldif = require('../lib/ldif');
+var helpers = require('../lib/people');
+var time = require('../lib/time');
+var xlsx = require('../lib/xlsx');
+var router = express.Router();
+
+/**
+ * Exports of lists as spreadsheets. They take the `sort`, `filter` and
+ * `query` parameters of the list they export, as the grid's store sends
+ * them, but no paging: every match is exported. `format` is `csv` (the
+ * default) or `xlsx`, `columns` names the properties to export, separated by
+ * commas, in their order. The whole directory, people and groups, exports
+ * as LDIF for LDAP servers.
+ *
+ * Rows are read and written in batches, so large exports neither hold every
+ * row in memory nor outrun slow clients.
+ */
+
+var BATCH = 500;
+
+/**
+ * Write text to a response, waiting for slow clients to catch up. Yields an
+ * error when the client goes away instead.
+ */
+
+function write(res, text, callback) {
+  if (res.write(text)) {
+    return process.nextTick(callback);
+  }
+  http.drain(res, callback);
+}
+
+/**
+ * Writers of each format. They are started, handed batches of rows, each an
+ * array of values in the order of the columns, and ended.
+ */
+
+var FORMATS = {
+  csv: {
+    type: 'text/csv; charset=utf-8',
+    writer: function(res, columns) {
+      return {
+        start: function(callback) {
+          // the byte order mark makes Excel read the file as UTF-8
+          write(res, '\uFEFF' + csv.format(columns.map(function(column) {
+            return column.title;
+          })), callback);
+        },
+        rows: function(rows, callback) {
+          write(res, rows.map(csv.format).join(''), callback);
+        },
+        end: function(callback) {
+          res.end(callback);
+        }
+      };
+    }
+  },
+  xlsx: {
+    type: xlsx.CONTENT_TYPE,
+    writer: function(res, columns, name) {
+      return new xlsx.Workbook(res, { columns: columns, sheetName: name });
+    }
+  }
+};
+
+/**
+ * Check the `format` and `columns` parameters against the properties that
+ * may be exported, with their titles and types, and the default columns.
+ */
+
+function parseOptions(query, properties, defaults) {
+  var format = query.format || 'csv';
+  var names = query.columns ? String(query.columns).split(',') : defaults;
+  var errors = {};
+  if (!FORMATS.hasOwnProperty(format)) {
+    errors.format = 'Format must be one of ' + Object.keys(FORMATS).join(', ');
+  }
+  names.forEach(function(name) {
+    if (!properties.hasOwnProperty(name)) {
+      errors.columns = 'Unknown column "' + name + '"';
+    }
+  });
+  if (!names.length) {
+    errors.columns = 'Name at least one column';
+  }
+  if (Object.keys(errors).length) {
+    throw http.invalid(errors);
+  }
+  return {
+    format: format,
+    columns: names.map(function(name) {
+      return Object.assign({ property: name }, properties[name]);
+    })
+  };
+}
+
+/**
+ * Stream the records of a repository matching `req.listQuery`. The file is
+ * named after `name` and the day.
+ */
+
+function send(req, res, next, repository, options, name) {
+  var format = FORMATS[options.format];
+  var writer = format.writer(res, options.columns, name);
+  var closed = false;
+  res.on('close', function() {
+    closed = true;
+  });
+
+  res.attachment(name.toLowerCase() + '-' + time.now().slice(0, 10) + '.' + options.format);
+  res.set('Content-Type', format.type);
+  writer.start(function(err) {
+    if (err) {
+      return;
+    }
+    // an error from a write ends the batches, so the rows are read no further
+    repository.eachBatch(req.listQuery, BATCH, function(records, done) {
+      if (closed) {
+        return done(new Error('The client went away'));
+      }
+      writer.rows(records.map(function(record) {
+        return options.columns.map(function(column) {
+          return record[column.property];
+        });
+      }), done);
+    }, function(err) {
+      if (err) {
+        // too late for an error response, next() aborts the download
+        return closed ? null : next(err);
+      }
+      writer.end(function() {});
+    });
+  });
+}
+
+/**
+ * Titles and spreadsheet types of the person properties.
+ */
+
+var PERSON_COLUMNS = { id: { title: 'Id', type: 'number' } };
+
+helpers.FIELDS.forEach(function(field) {
+  var property = helpers.SCHEMA.properties[field];
+  var types = [].concat(property.type);
+  PERSON_COLUMNS[field] = {
+    title: property.title,
+    type: property.format === 'date' ? 'date' : types.indexOf('integer') !== -1 ? 'number' : 'string'
+  };
+});
+
+/* GET people as CSV or XLSX. */
+router.get('/users', access.allow('read:users'), listQuery({
+  fields: helpers.QUERYABLE,
+  search: helpers.SEARCHABLE
+}), function(req, res, next) {
+  var options;
+  try {
+    options = parseOptions(req.query, PERSON_COLUMNS, helpers.FIELDS.filter(function(field) {
+      return field !== 'managerId';
+    }));
+  } catch (err) {
+    return next(err);
+  }
+  send(req, res, next, db.people, options, 'People');
+});
+
+/**
+ * Read the `mapping` parameter, JSON replacing parts of the default mapping
+ * of lib/directory.js.
+ */
+
+function parseMapping(value) {
+  try {
+    return directory.mapping(value ? JSON.parse(value) : null);
+  } catch (e) {
+    throw http.invalid({ mapping: e.message });
+  }
+}
+
+/**
+ * The DNs of people by id. People in the trash have none.
+ */
+
+function personDns(map, ids, callback) {
+  if (!ids.length) {
+    return process.nextTick(callback, null, {});
+  }
+  db.people.list({
+    filters: [{ property: 'id', operator: 'in', value: ids }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var dns = {};
+    result.items.forEach(function(person) {
+      dns[person.id] = directory.personDn(map, person);
+    });
+    callback(null, dns);
+  });
+}
+
+function unique(ids) {
+  return ids.filter(function(id, index) {
+    return id && ids.indexOf(id) === index;
+  });
+}
+
+/**
+ * Entries of a batch of people, with the DNs of their managers.
+ */
+
+function personEntries(map, people, callback) {
+  personDns(map, unique(people.map(function(person) {
+    return person.managerId;
+  })), function(err, dns) {
+    callback(err, !err && people.map(function(person) {
+      return directory.personEntry(map, person, dns[person.managerId]);
+    }));
+  });
+}
+
+/**
+ * Entries of a batch of groups, with the DNs of their members.
+ */
+
+function groupEntries(map, groups, callback) {
+  memberships.membersOf(db.memberships, groups.map(function(group) {
+    return group.id;
+  }), db.people, function(err, members) {
+    if (err) {
+      return callback(err);
+    }
+    var ids = unique([].concat.apply([], groups.map(function(group) {
+      return members[group.id];
+    })));
+    personDns(map, ids, function(err, dns) {
+      callback(err, !err && groups.map(function(group) {
+        return directory.groupEntry(map, group, members[group.id].map(function(id) {
+          return dns[id];
+        }));
+      }));
+    });
+  });
+}
+
+/**
+ * GET the directory as LDIF: every person, then every group. `mapping`
+ * replaces parts of how they map to LDAP entries, see lib/directory.js.
+ */
+
+router.get('/ldif', access.allow('read:users'), access.allow('read:groups'), function(req, res, next) {
+  var map;
+  try {
+    map = parseMapping(req.query.mapping);
+  } catch (err) {
+    return next(err);
+  }
+  var closed = false;
+  res.on('close', function() {
+    closed = true;
+  });
+
+  function each(repository, entries) {
+    return function(done) {
+      repository.eachBatch({}, BATCH, function(records, next) {
+        if (closed) {
+          return next(new Error('The client went away'));
+        }
+        entries(map, records, function(err, list) {
+          if (err) {
+            return next(err);
+          }
+          write(res, list.map(ldif.format).join(''), next);
+        });
+      }, done);
+    };
+  }
+
+  res.attachment('directory-' + time.now().slice(0, 10) + '.ldif');
+  res.set('Content-Type', 'text/x-ldif; charset=utf-8');
+  write(res, 'version: 1\n\n', function(err) {
+    if (err) {
+      return;
+    }
+    async.series([each(db.people, personEntries), each(db.groups, groupEntries)], function(err) {
+      if (err) {
+        // too late for an error response, next() aborts the download
+        return closed ? null : next(err);
+      }
+      res.end();
+    });
+  });
+});
+
+module.exports = router;
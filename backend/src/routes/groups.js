@@ -0,0 +1,321 @@
+var express = require('express');
+var db = require('../db');
+var memberships = require('../db/memberships');
+var listQuery = require('../db/query').middleware;
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var helpers = require('../lib/groups');
+var http = require('../lib/http');
+var schema = require('../lib/schema');
+var trash = require('../lib/trash');
+var versions = require('../lib/versions');
+var time = require('../lib/time');
+var httpError = http.httpError;
+var respond = http.respond;
+var pick = http.pick;
+var groups = db.groups;
+var router = express.Router();
+
+var SCHEMA = helpers.SCHEMA;
+
+var FIELDS = helpers.FIELDS;
+
+var QUERYABLE = helpers.QUERYABLE;
+
+var SEARCHABLE = helpers.SEARCHABLE;
+
+function notFound(id) {
+  return httpError(404, 'Group ' + id + ' not found');
+}
+
+/**
+ * Check that the `memberIds` of a validated request body exist. Yields the
+ * ids, or undefined when the body does not change the members.
+ */
+
+function checkMembers(body, callback) {
+  var ids = body.memberIds;
+  if (!ids || !ids.length) {
+    return process.nextTick(callback, null, ids);
+  }
+  db.people.list({
+    filters: [{ property: 'id', operator: 'in', value: ids }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var found = result.items.map(function(person) {
+      return person.id;
+    });
+    var missing = ids.filter(function(id) {
+      return found.indexOf(id) === -1;
+    });
+    if (missing.length) {
+      return callback(http.invalid({ memberIds: 'Person ' + missing[0] + ' not found' }));
+    }
+    callback(null, ids);
+  });
+}
+
+/**
+ * Add the `memberIds` and `memberCount` of each group.
+ */
+
+function withMembers(items, callback) {
+  var ids = items.map(function(group) {
+    return group.id;
+  });
+  memberships.membersOf(db.memberships, ids, db.people, function(err, members) {
+    callback(err, !err && items.map(function(group) {
+      return Object.assign({}, group, {
+        memberIds: members[group.id],
+        memberCount: members[group.id].length
+      });
+    }));
+  });
+}
+
+function send(res, group, status, next) {
+  versions.tag(res, group);
+  withMembers([group], function(err, items) {
+    if (err) {
+      return next(err);
+    }
+    respond(res, items, 1, status);
+  });
+}
+
+/**
+ * Fetch a group with its members, or null when it does not exist.
+ */
+
+function load(id, callback) {
+  groups.get(id, function(err, group) {
+    if (err || !group) {
+      return callback(err, null);
+    }
+    withMembers([group], function(err, items) {
+      callback(err, items && items[0]);
+    });
+  });
+}
+
+/**
+ * Record a change of a group in the audit trail, members included, and send
+ * the group.
+ */
+
+function finish(req, res, action, before, id, status, next) {
+  load(id, function(err, group) {
+    if (err) {
+      return next(err);
+    }
+    audit.record(req, 'group', id, action, before, group, function(err) {
+      if (err) {
+        return next(err);
+      }
+      versions.tag(res, group);
+      respond(res, [group], 1, status);
+    });
+  });
+}
+
+/**
+ * Check that no other group uses a name, including the groups in the trash.
+ */
+
+function checkUnique(name, id, callback) {
+  if (!name) {
+    return process.nextTick(callback, null);
+  }
+  groups.find({ name: name }, { withDeleted: true }, function(err, existing) {
+    var taken = (existing || []).filter(function(group) {
+      return String(group.id) !== String(id);
+    })[0];
+    if (err || !taken) {
+      return callback(err);
+    }
+    callback(httpError(409, groups.isDeleted(taken) ?
+      'Group "' + name + '" is in the trash, restore it or delete it for good first' :
+      'Group "' + name + '" exists already'));
+  });
+}
+
+/* GET groups listing. */
+router.get('/', listQuery({ fields: QUERYABLE, search: SEARCHABLE, defaultSort: [{ property: 'name', direction: 'ASC' }] }), function(req, res, next) {
+  groups.list(req.listQuery, function(err, result) {
+    if (err) {
+      return next(err);
+    }
+    withMembers(result.items, function(err, items) {
+      if (err) {
+        return next(err);
+      }
+      respond(res, items, result.total);
+    });
+  });
+});
+
+/**
+ * Deleted groups stay in the trash, with their members, until they are
+ * restored or purged.
+ */
+
+router.use('/trash', trash.router({
+  repository: groups,
+  entity: 'group',
+  name: 'Group',
+  permission: 'write:groups',
+  fields: QUERYABLE,
+  search: SEARCHABLE,
+  present: withMembers,
+  purge: function(group, callback) {
+    // MariaDB cascades this on its own, the in-memory driver does not
+    memberships.removeWhere(db.memberships, { groupId: group.id }, callback);
+  }
+}));
+
+/* GET a single group. */
+router.get('/:id', function(req, res, next) {
+  groups.get(req.params.id, function(err, group) {
+    if (err) {
+      return next(err);
+    }
+    if (!group) {
+      return next(notFound(req.params.id));
+    }
+    send(res, group, 200, next);
+  });
+});
+
+/* GET the members of a group. */
+router.get('/:id/members', function(req, res, next) {
+  groups.get(req.params.id, function(err, group) {
+    if (err) {
+      return next(err);
+    }
+    if (!group) {
+      return next(notFound(req.params.id));
+    }
+    memberships.membersOf(db.memberships, [group.id], db.people, function(err, members) {
+      if (err) {
+        return next(err);
+      }
+      var ids = members[group.id];
+      if (!ids.length) {
+        return respond(res, [], 0);
+      }
+      db.people.list({
+        filters: [{ property: 'id', operator: 'in', value: ids }],
+        sorters: [{ property: 'lastName', direction: 'ASC' }, { property: 'firstName', direction: 'ASC' }]
+      }, function(err, result) {
+        if (err) {
+          return next(err);
+        }
+        respond(res, result.items, result.total);
+      });
+    });
+  });
+});
+
+/* POST a new group. */
+router.post('/', access.allow('write:groups'), schema.body(SCHEMA), function(req, res, next) {
+  var values = pick(req.body, FIELDS, false);
+  checkMembers(req.body, function(err, memberIds) {
+    if (err) {
+      return next(err);
+    }
+    checkUnique(values.name, null, function(err) {
+      if (err) {
+        return next(err);
+      }
+      values.createdAt = time.now();
+      groups.create(values, function(err, group) {
+        if (err) {
+          return next(err);
+        }
+        memberships.assign(db.memberships, group.id, memberIds || [], db.people, function(err) {
+          if (err) {
+            return next(err);
+          }
+          finish(req, res, 'create', null, group.id, 201, next);
+        });
+      });
+    });
+  });
+});
+
+/**
+ * PUT replaces every writable field, PATCH only touches the fields sent.
+ * Either replaces the members when `memberIds` is sent, and answers 409 when
+ * `If-Match` names an outdated version.
+ */
+
+function update(partial) {
+  return function(req, res, next) {
+    var values = pick(req.body, FIELDS, partial);
+    checkMembers(req.body, function(err, memberIds) {
+      if (err) {
+        return next(err);
+      }
+      checkUnique(values.name, req.params.id, function(err) {
+        if (err) {
+          return next(err);
+        }
+        load(req.params.id, function(err, before) {
+          if (err) {
+            return next(err);
+          }
+          if (!before) {
+            return next(notFound(req.params.id));
+          }
+          groups.update(before.id, values, versions.expected(req), function(err, group) {
+            if (err) {
+              return next(err.code === 'version_conflict' ? versions.conflict(res, err, 'Group ' + req.params.id) : err);
+            }
+            if (!group) {
+              return next(notFound(req.params.id));
+            }
+            if (!memberIds) {
+              return finish(req, res, 'update', before, group.id, 200, next);
+            }
+            memberships.assign(db.memberships, group.id, memberIds, db.people, function(err) {
+              if (err) {
+                return next(err);
+              }
+              finish(req, res, 'update', before, group.id, 200, next);
+            });
+          });
+        });
+      });
+    });
+  };
+}
+
+router.put('/:id', access.allow('write:groups'), schema.body(SCHEMA), update(false));
+router.patch('/:id', access.allow('write:groups'), schema.body(SCHEMA), update(true));
+
+/* DELETE a group, moving it to the trash. */
+router.delete('/:id', access.allow('write:groups'), function(req, res, next) {
+  load(req.params.id, function(err, group) {
+    if (err) {
+      return next(err);
+    }
+    if (!group) {
+      return next(notFound(req.params.id));
+    }
+    groups.remove(group.id, function(err) {
+      if (err) {
+        return next(err);
+      }
+      audit.record(req, 'group', group.id, 'delete', group, null, function(err) {
+        if (err) {
+          return next(err);
+        }
+        respond(res, [], 0);
+      });
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,982 @@
+var async = require('async');
+var crypto = require('crypto');
+var express = require('express');
+var db = require('../db');
+var memberships = require('../db/memberships');
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var csv = require('../lib/csv');
+var directory = require('../lib/directory');
+var groupHelpers = require('../lib/groups');
+var http = require('../lib/http');
+var ldif = require('../lib/ldif');
+var helpers = require('../lib/people');
+var schema = require('../lib/schema');
+var time = require('../lib/time');
+var vcard = require('../lib/vcard');
+var httpError = http.httpError;
+var people = db.people;
+var router = express.Router();
+
+/**
+ * Import of people from CSV files, such as HR spreadsheets, and from vCard
+ * files of address books. The first line of a CSV file names the columns,
+ * `mapping` maps column names to person properties; columns it leaves out
+ * are ignored. Without a mapping, columns named like a property or its title
+ * ("First Name", "e-mail") are mapped to it. Cards map as lib/vcard.js
+ * describes.
+ *
+ * Every row or card is validated like a POST to /users. Those whose email
+ * matches a person, case-insensitively, are duplicates: they are skipped, or
+ * update the person with `duplicates: 'update'`, the default for cards.
+ * Later rows with the email of an earlier one are skipped.
+ *
+ * A dry run answers right away with what would happen to each row. A real
+ * import answers 202 with a job, whose progress GET /import/users/jobs/:id
+ * reports until it is done. LDIF files of LDAP directories are imported the
+ * same way, people and groups alike, see below.
+ */
+
+var DUPLICATES = ['skip', 'update'];
+
+/**
+ * How long finished jobs can be read.
+ */
+
+var JOB_TTL = 3600 * 1000;
+
+/**
+ * Running and recently finished imports by id. They live in the memory of
+ * this process only.
+ */
+
+var jobs = {};
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Map the columns named like a person property or its title.
+ */
+
+function guessMapping(columns) {
+  var names = {};
+  helpers.FIELDS.forEach(function(field) {
+    names[normalize(field)] = field;
+    names[normalize(helpers.SCHEMA.properties[field].title)] = field;
+  });
+  var mapping = {};
+  columns.forEach(function(column) {
+    // a column such as "constructor" names no property of a plain object
+    var field = names.hasOwnProperty(normalize(column)) ? names[normalize(column)] : null;
+    if (field && !Object.keys(mapping).some(function(key) {
+      return mapping[key] === field;
+    })) {
+      mapping[column] = field;
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Whether a body is a vCard file rather than CSV.
+ */
+
+function isVCard(req, body) {
+  if (typeof body === 'string') {
+    return req.is(['text/vcard', 'text/x-vcard']) || /^\uFEFF?\s*BEGIN:VCARD/i.test(body);
+  }
+  return typeof body.vcard === 'string';
+}
+
+/**
+ * Read the records of a CSV file with the mapping of its columns. Yields the
+ * records, each with its `line` and the person `values`.
+ */
+
+function readCsv(text, options, callback) {
+  var rows;
+  try {
+    rows = csv.parse(text);
+  } catch (e) {
+    return callback(http.invalid({ csv: e.message }));
+  }
+  if (rows.length < 2) {
+    return callback(http.invalid({ csv: 'The file needs a line naming the columns and at least one row' }));
+  }
+  var columns = rows[0].map(function(column) {
+    return column.trim();
+  });
+  var mapping = options.mapping || guessMapping(columns);
+  var error = null;
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    error = 'Mapping must map column names to person properties';
+  } else {
+    Object.keys(mapping).forEach(function(column) {
+      if (mapping[column] && helpers.FIELDS.indexOf(mapping[column]) === -1) {
+        error = 'Unknown person property "' + mapping[column] + '"';
+      } else if (mapping[column] && columns.indexOf(column) === -1) {
+        error = 'The file has no column "' + column + '"';
+      }
+    });
+  }
+  if (error) {
+    return callback(http.invalid({ mapping: error }));
+  }
+  callback(null, {
+    columns: columns,
+    mapping: mapping,
+    records: rows.slice(1).map(function(row) {
+      var values = {};
+      columns.forEach(function(column, index) {
+        var field = mapping[column];
+        if (field) {
+          values[field] = (row[index] || '').trim();
+        }
+      });
+      return { line: row.line, values: values };
+    })
+  });
+}
+
+function readVCard(text, callback) {
+  var records;
+  try {
+    records = vcard.parse(text);
+  } catch (e) {
+    return callback(http.invalid({ vcard: e.message }));
+  }
+  if (!records.length) {
+    return callback(http.invalid({ vcard: 'The file has no cards' }));
+  }
+  callback(null, { records: records });
+}
+
+/**
+ * Check the options of a request body and read its file. Yields the records,
+ * the options and for CSV files the columns and their mapping, or an error
+ * with status 400.
+ */
+
+function parseBody(req, callback) {
+  var body = req.body || {};
+  var options = typeof body === 'string' ? {} : body;
+  var format = isVCard(req, body) ? 'vcard' : 'csv';
+  var text = typeof body === 'string' ? body : body[format];
+  // cards describe whole contacts, so they update the people they match
+  var duplicates = options.duplicates || (format === 'vcard' ? 'update' : 'skip');
+  if (DUPLICATES.indexOf(duplicates) === -1) {
+    return callback(http.invalid({ duplicates: 'Duplicates must be one of ' + DUPLICATES.join(', ') }));
+  }
+  function done(err, input) {
+    callback(err, input && Object.assign(input, { format: format, duplicates: duplicates }));
+  }
+  if (format === 'vcard') {
+    return readVCard(text, done);
+  }
+  readCsv(text, options, done);
+}
+
+/**
+ * Validate the records and decide what happens to each. Yields one entry per
+ * record with its `line`, the `status` (create, update, skip or invalid), the
+ * validated `values`, field `errors` and a `message`. Blank cells keep what a
+ * person has when the row updates them, so they are left out of the values
+ * of updates and only required of rows that create someone.
+ */
+
+function plan(input, callback) {
+  var missing = [];
+  var entries = input.records.map(function(record, index) {
+    var result = schema.validate(helpers.SCHEMA, record.values, false);
+    if (result.errors && input.duplicates === 'update' && onlyBlank(result.errors, record.values)) {
+      missing[index] = result.errors;
+      result = schema.validate(helpers.SCHEMA, filled(record.values), true);
+    }
+    return {
+      line: record.line,
+      status: result.errors ? 'invalid' : 'create',
+      values: result.errors ? record.values : result.values,
+      errors: result.errors
+    };
+  });
+  var valid = entries.filter(function(entry) {
+    return entry.status !== 'invalid';
+  });
+  var emails = valid.map(function(entry) {
+    return entry.values.email;
+  });
+  var managerIds = valid.map(function(entry) {
+    return entry.values.managerId;
+  }).filter(function(id) {
+    return id;
+  });
+
+  async.parallel({
+    existing: function(next) {
+      lookup('email', emails, next);
+    },
+    managers: function(next) {
+      lookup('id', managerIds, next);
+    }
+  }, function(err, found) {
+    if (err) {
+      return callback(err);
+    }
+    var byEmail = {};
+    found.existing.forEach(function(person) {
+      byEmail[person.email.toLowerCase()] = person;
+    });
+    var managers = found.managers.map(function(person) {
+      return person.id;
+    });
+    var seen = {};
+    entries.forEach(function(entry, index) {
+      if (entry.status === 'invalid') {
+        return;
+      }
+      var email = entry.values.email.toLowerCase();
+      var person = byEmail[email];
+      if (entry.values.managerId && managers.indexOf(entry.values.managerId) === -1) {
+        entry.status = 'invalid';
+        entry.errors = { managerId: 'Manager ' + entry.values.managerId + ' not found' };
+      } else if (!person && missing[index]) {
+        entry.status = 'invalid';
+        entry.values = input.records[index].values;
+        entry.errors = missing[index];
+      } else if (seen[email]) {
+        entry.status = 'skip';
+        entry.message = 'Same email as line ' + seen[email];
+      } else if (person) {
+        entry.status = input.duplicates === 'update' ? 'update' : 'skip';
+        entry.personId = person.id;
+        entry.message = 'Same email as ' + person.firstName + ' ' + person.lastName;
+        if (entry.status === 'update') {
+          entry.values = schema.validate(helpers.SCHEMA, filled(input.records[index].values), true).values;
+        }
+      }
+      seen[email] = seen[email] || entry.line;
+    });
+    callback(null, entries);
+  });
+}
+
+/**
+ * The cells of a record that are not blank.
+ */
+
+function filled(cells) {
+  var result = {};
+  Object.keys(cells).forEach(function(field) {
+    if (cells[field] !== '' && cells[field] !== null) {
+      result[field] = cells[field];
+    }
+  });
+  return result;
+}
+
+/**
+ * Whether every error is about a blank cell other than the email, which an
+ * update may leave blank.
+ */
+
+function onlyBlank(errors, cells) {
+  return !errors.email && Object.keys(errors).every(function(field) {
+    return cells[field] === '' || cells[field] === null;
+  });
+}
+
+/**
+ * The people whose property matches one of the values.
+ */
+
+function lookup(property, values, callback) {
+  if (!values.length) {
+    return process.nextTick(callback, null, []);
+  }
+  people.list({
+    filters: [{ property: property, operator: 'in', value: values }]
+  }, function(err, result) {
+    callback(err, result && result.items);
+  });
+}
+
+function summarize(entries) {
+  var summary = { total: entries.length, create: 0, update: 0, delete: 0, skip: 0, invalid: 0 };
+  entries.forEach(function(entry) {
+    summary[entry.status]++;
+  });
+  return summary;
+}
+
+/**
+ * Create or update the person of an entry, recording it in the audit trail.
+ */
+
+function applyPerson(req, entry, callback) {
+  if (entry.status === 'create') {
+    return people.create(entry.values, function(err, person) {
+      if (err) {
+        return callback(err);
+      }
+      entry.personId = person.id;
+      audit.record(req, 'person', person.id, 'create', null, person, callback);
+    });
+  }
+  people.get(entry.personId, function(err, before) {
+    if (err || !before) {
+      return callback(err || new Error('Person ' + entry.personId + ' was deleted during the import'));
+    }
+    people.update(before.id, entry.values, function(err, person) {
+      if (err) {
+        return callback(err);
+      }
+      audit.record(req, 'person', person.id, 'update', before, person, callback);
+    });
+  });
+}
+
+function present(job) {
+  return {
+    id: job.id,
+    requestId: job.requestId,
+    status: job.status,
+    processed: job.processed,
+    total: job.total,
+    summary: job.summary,
+    error: job.error,
+    items: job.entries
+  };
+}
+
+/**
+ * Run an import in the background, handing `apply(req, entry, callback)` the
+ * entries of `work` one by one and counting those it processed. Every change
+ * is recorded with the id of the request, so the import can be reverted as a
+ * whole (see routes/audit.js).
+ */
+
+function start(req, entries, work, apply, callback) {
+  var job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    requestId: req.id,
+    accountId: req.account.id,
+    status: 'running',
+    processed: 0,
+    total: work.length,
+    summary: summarize(entries),
+    error: null,
+    entries: entries
+  };
+  jobs[job.id] = job;
+
+  async.eachSeries(work, function(entry, next) {
+    apply(req, entry, function(err) {
+      if (err) {
+        entry.message = 'Not imported: ' + err.message;
+      }
+      job.processed++;
+      next(err);
+    });
+  }, function(err) {
+    job.status = err ? 'failed' : 'done';
+    job.error = err ? err.message : null;
+    setTimeout(function() {
+      delete jobs[job.id];
+    }, JOB_TTL).unref();
+  });
+  callback(null, job);
+}
+
+/**
+ * LDIF files change people and groups by DN, mapped as lib/directory.js
+ * describes. Content records create the entry with their DN or replace its
+ * mapped attributes, `changetype: add` only creates, `modify` changes the
+ * attributes of an entry and `delete` moves it to the trash. Entries that are
+ * neither people nor groups, such as the containers, are skipped, and so are
+ * attributes the mapping leaves out. Each DN may only be changed once per
+ * file.
+ *
+ * Managers and members are referenced by DN, of people in the directory or
+ * people the file creates.
+ */
+
+var BATCH = 500;
+
+/**
+ * Attributes whose values are DNs, compared as such.
+ */
+
+var DN_ATTRIBUTES = ['manager', 'member'];
+
+/**
+ * The normalized form of a DN, or null when it is malformed.
+ */
+
+function normalized(dn) {
+  try {
+    return ldif.normalizeDn(dn);
+  } catch (e) {
+    return null;
+  }
+}
+
+function comparable(name, value) {
+  return DN_ATTRIBUTES.indexOf(name) !== -1 ? normalized(value) || value : value;
+}
+
+/**
+ * Check the options of a request body and read its LDIF file. Yields the
+ * records and the mapping, or an error with status 400.
+ */
+
+function parseLdif(req, callback) {
+  var body = req.body || {};
+  var text = typeof body === 'string' ? body : body.ldif;
+  var mapping = typeof body === 'string' ? req.query.mapping : body.mapping;
+  var input = {};
+  try {
+    input.mapping = directory.mapping(typeof mapping === 'string' ? JSON.parse(mapping) : mapping);
+  } catch (e) {
+    return process.nextTick(callback, http.invalid({ mapping: e.message }));
+  }
+  if (typeof text !== 'string') {
+    return process.nextTick(callback, http.invalid({ ldif: 'Send an LDIF file' }));
+  }
+  try {
+    input.records = ldif.parse(text);
+  } catch (e) {
+    return process.nextTick(callback, http.invalid({ ldif: e.message }));
+  }
+  if (!input.records.length) {
+    return process.nextTick(callback, http.invalid({ ldif: 'The file has no entries' }));
+  }
+  process.nextTick(callback, null, input);
+}
+
+/**
+ * Read every record of a repository, in batches.
+ */
+
+function readAll(repository, description, callback) {
+  var records = [];
+  repository.eachBatch(description, BATCH, function(items, next) {
+    records = records.concat(items);
+    next();
+  }, function(err) {
+    callback(err, records);
+  });
+}
+
+/**
+ * Read the directory as LDIF sees it. Yields `entries`, the `{ kind,
+ * record, entry }` of every person and group by normalized DN, with the
+ * members of groups as `memberIds`, and `names`, the lowercased names of all
+ * groups, those in the trash included, with their normalized DN.
+ */
+
+function readDirectory(map, callback) {
+  async.parallel({
+    people: readAll.bind(null, people, {}),
+    groups: readAll.bind(null, db.groups, {}),
+    trashed: readAll.bind(null, db.groups, { trashed: true })
+  }, function(err, found) {
+    if (err) {
+      return callback(err);
+    }
+    memberships.membersOf(db.memberships, found.groups.map(function(group) {
+      return group.id;
+    }), people, function(err, members) {
+      if (err) {
+        return callback(err);
+      }
+      var result = { entries: {}, names: {} };
+      var dns = {};
+      function add(kind, record, entry) {
+        var dn = ldif.normalizeDn(entry.dn);
+        // of people sharing a DN, the first is the one files change
+        result.entries[dn] = result.entries[dn] || { kind: kind, record: record, entry: entry };
+      }
+      found.people.forEach(function(person) {
+        dns[person.id] = directory.personDn(map, person);
+      });
+      found.people.forEach(function(person) {
+        add('people', person, directory.personEntry(map, person, dns[person.managerId]));
+      });
+      found.groups.forEach(function(group) {
+        var record = Object.assign({}, group, { memberIds: members[group.id] });
+        add('groups', record, directory.groupEntry(map, group, record.memberIds.map(function(id) {
+          return dns[id];
+        })));
+        result.names[group.name.toLowerCase()] = ldif.normalizeDn(directory.groupDn(map, group));
+      });
+      found.trashed.forEach(function(group) {
+        result.names[group.name.toLowerCase()] = null;
+      });
+      callback(null, result);
+    });
+  });
+}
+
+/**
+ * Apply the modifications of a modify record to attributes by lowercased
+ * name.
+ */
+
+function modify(attributes, modifications) {
+  var result = {};
+  Object.keys(attributes).forEach(function(name) {
+    result[name] = attributes[name].slice();
+  });
+  modifications.forEach(function(modification) {
+    var name = modification.attribute;
+    var values = modification.values.map(function(value) {
+      return comparable(name, value);
+    });
+    var kept = (result[name] || []).filter(function(value) {
+      return values.indexOf(comparable(name, value)) === -1;
+    });
+    if (modification.operation === 'add') {
+      result[name] = kept.concat(modification.values);
+    } else if (modification.operation === 'replace') {
+      result[name] = modification.values.slice();
+    } else if (modification.values.length) {
+      result[name] = kept;
+    } else {
+      delete result[name];
+    }
+  });
+  return result;
+}
+
+/**
+ * The attributes that differ between two entries, as `{ from, to }` lists of
+ * values. Either entry may be null.
+ */
+
+function changesOf(before, after) {
+  var names = {};
+  var from = before ? directory.attributesOf(before) : {};
+  var to = after ? directory.attributesOf(after) : {};
+  var changes = {};
+  [before, after].forEach(function(entry) {
+    (entry ? entry.attributes : []).forEach(function(attribute) {
+      names[attribute[0].toLowerCase()] = names[attribute[0].toLowerCase()] || attribute[0];
+    });
+  });
+  Object.keys(names).forEach(function(name) {
+    var values = [from[name] || [], to[name] || []].map(function(list) {
+      return list.map(function(value) {
+        return comparable(name, value);
+      }).sort();
+    });
+    if (!audit.same(values[0], values[1])) {
+      changes[names[name]] = { from: from[name] || [], to: to[name] || [] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Decide what happens to the entry of a record. `seen` has the lines of the
+ * DNs changed so far.
+ */
+
+function planRecord(map, current, record, seen) {
+  var entry = {
+    line: record.line,
+    dn: record.dn,
+    kind: null,
+    status: 'invalid',
+    id: null,
+    values: null,
+    references: null,
+    changes: null,
+    errors: null,
+    message: null
+  };
+  var dn;
+  try {
+    dn = ldif.normalizeDn(record.dn);
+  } catch (e) {
+    entry.errors = { dn: e.message };
+    return entry;
+  }
+  var existing = current.entries[dn];
+  var attributes = record.attributes;
+  if (seen[dn]) {
+    entry.errors = { dn: 'Changed on line ' + seen[dn] + ' already' };
+    return entry;
+  }
+  seen[dn] = record.line;
+
+  if (record.changetype === 'delete' || record.changetype === 'modify') {
+    if (!existing) {
+      entry.errors = { dn: 'No person or group has this DN' };
+      return entry;
+    }
+    entry.kind = existing.kind;
+    entry.id = existing.record.id;
+    if (record.changetype === 'delete') {
+      entry.status = 'delete';
+      entry.changes = changesOf(existing.entry, null);
+      return entry;
+    }
+    attributes = modify(directory.attributesOf(existing.entry), record.modifications);
+  } else if (record.changetype === null || record.changetype === 'add') {
+    entry.kind = directory.kindOf(map, record);
+    if (!entry.kind) {
+      entry.status = 'skip';
+      entry.message = 'Neither a person nor a group';
+      return entry;
+    }
+    if (existing && record.changetype === 'add') {
+      entry.errors = { dn: 'An entry with this DN exists already' };
+      return entry;
+    }
+    if (existing && existing.kind !== entry.kind) {
+      entry.errors = { dn: 'The entry with this DN is ' + (existing.kind === 'people' ? 'a person' : 'a group') };
+      return entry;
+    }
+    entry.id = existing ? existing.record.id : null;
+  } else {
+    entry.errors = { changetype: 'Changetype ' + record.changetype + ' is not supported' };
+    return entry;
+  }
+
+  var result = schema.validate(entry.kind === 'people' ? helpers.SCHEMA : groupHelpers.SCHEMA,
+    directory.valuesOf(map, entry.kind, attributes), !!existing);
+  var errors = result.errors || {};
+  var references = (attributes[entry.kind === 'people' ? 'manager' : 'member'] || []).filter(function(value) {
+    return value !== '';
+  });
+  references.forEach(function(reference) {
+    if (!normalized(reference)) {
+      errors[entry.kind === 'people' ? 'managerId' : 'memberIds'] = 'Invalid DN ' + reference;
+    }
+  });
+  var merged = Object.assign({}, existing && existing.record, result.values);
+  var after = entry.kind === 'people' ?
+    directory.personEntry(map, merged, references[0]) :
+    directory.groupEntry(map, merged, references);
+  if (!result.errors && normalized(after.dn) !== dn) {
+    errors.dn = 'The DN must be ' + after.dn;
+  }
+  if (!result.errors && entry.kind === 'groups') {
+    var name = merged.name.toLowerCase();
+    if (current.names.hasOwnProperty(name) && current.names[name] !== dn) {
+      errors.name = current.names[name] ?
+        'Group "' + merged.name + '" exists already' :
+        'Group "' + merged.name + '" is in the trash, restore it or delete it for good first';
+    }
+    current.names[name] = dn;
+  }
+  entry.values = result.values;
+  entry.references = entry.kind === 'people' ? { manager: references[0] || null } : { member: references };
+  if (Object.keys(errors).length) {
+    entry.errors = errors;
+    return entry;
+  }
+  entry.changes = changesOf(existing && existing.entry, after);
+  if (!existing) {
+    entry.status = 'create';
+  } else if (Object.keys(entry.changes).length) {
+    entry.status = 'update';
+  } else {
+    entry.status = 'skip';
+    entry.message = 'Unchanged';
+  }
+  return entry;
+}
+
+function referencesOf(entry) {
+  return entry.kind === 'people' ? [].concat(entry.references.manager || []) : entry.references.member;
+}
+
+/**
+ * Check that managers and members are people, until no more entries turn
+ * invalid. Managers must still be there after the import; people in the
+ * trash keep their memberships, so members may be deleted.
+ */
+
+function checkReferences(entries, current) {
+  var changed = true;
+  while (changed) {
+    changed = false;
+    var created = {};
+    var deleted = {};
+    entries.forEach(function(entry) {
+      if (entry.kind === 'people' && entry.status === 'create') {
+        created[normalized(entry.dn)] = true;
+      } else if (entry.kind === 'people' && entry.status === 'delete') {
+        deleted[normalized(entry.dn)] = entry.line;
+      }
+    });
+    entries.forEach(function(entry) {
+      if (entry.status !== 'create' && entry.status !== 'update') {
+        return;
+      }
+      referencesOf(entry).forEach(function(reference) {
+        var dn = normalized(reference);
+        var existing = current.entries[dn];
+        var error = deleted[dn] && entry.kind === 'people' ? 'Person ' + reference + ' is deleted on line ' + deleted[dn] :
+          !created[dn] && !(existing && existing.kind === 'people') ? 'No person has the DN ' + reference : null;
+        if (error) {
+          entry.status = 'invalid';
+          entry.errors = {};
+          entry.errors[entry.kind === 'people' ? 'managerId' : 'memberIds'] = error;
+          changed = true;
+        }
+      });
+    });
+  }
+}
+
+/**
+ * The entries to apply, in the order that works: people with their managers
+ * first, then groups, then what is deleted. People whose managers form a
+ * cycle of new people are invalid.
+ */
+
+function order(entries, current) {
+  for (;;) {
+    checkReferences(entries, current);
+    var creates = {};
+    var visited = {};
+    var sorted = [];
+    var cycle = null;
+    entries.forEach(function(entry) {
+      if (entry.kind === 'people' && entry.status === 'create') {
+        creates[normalized(entry.dn)] = entry;
+      }
+    });
+    var visit = function(entry) {
+      var dn = normalized(entry.dn);
+      if (visited[dn] === 'done') {
+        return;
+      }
+      if (visited[dn]) {
+        cycle = cycle || entry;
+        return;
+      }
+      visited[dn] = 'visiting';
+      var manager = entry.references.manager && creates[normalized(entry.references.manager)];
+      if (manager) {
+        visit(manager);
+      }
+      visited[dn] = 'done';
+      sorted.push(entry);
+    };
+    entries.filter(function(entry) {
+      return entry.kind === 'people' && (entry.status === 'create' || entry.status === 'update');
+    }).forEach(visit);
+    if (!cycle) {
+      return sorted.concat(entries.filter(function(entry) {
+        return entry.kind === 'groups' && (entry.status === 'create' || entry.status === 'update');
+      }), entries.filter(function(entry) {
+        return entry.status === 'delete' && entry.kind === 'groups';
+      }), entries.filter(function(entry) {
+        return entry.status === 'delete' && entry.kind === 'people';
+      }));
+    }
+    cycle.status = 'invalid';
+    cycle.errors = { managerId: 'Managers form a cycle' };
+  }
+}
+
+/**
+ * Fetch a person, or a group with its members, or null.
+ */
+
+function read(kind, id, callback) {
+  if (!id) {
+    return process.nextTick(callback, null, null);
+  }
+  if (kind === 'people') {
+    return people.get(id, callback);
+  }
+  db.groups.get(id, function(err, group) {
+    if (err || !group) {
+      return callback(err, null);
+    }
+    memberships.membersOf(db.memberships, [group.id], people, function(err, members) {
+      callback(err, !err && Object.assign({}, group, { memberIds: members[group.id] }));
+    });
+  });
+}
+
+/**
+ * Build the function that applies an entry of an LDIF file, recording it in
+ * the audit trail. `ids` maps the normalized DNs of people to their ids and
+ * learns those of the people created.
+ */
+
+function ldifApplier(ids) {
+  return function(req, entry, callback) {
+    var repository = entry.kind === 'people' ? people : db.groups;
+    var entity = entry.kind === 'people' ? 'person' : 'group';
+
+    read(entry.kind, entry.id, function(err, before) {
+      if (err) {
+        return callback(err);
+      }
+      if (entry.id && !before) {
+        return callback(new Error('The ' + entity + ' was deleted during the import'));
+      }
+      if (entry.status === 'delete') {
+        return repository.remove(before.id, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          audit.record(req, entity, before.id, 'delete', before, null, callback);
+        });
+      }
+      var values = Object.assign({}, entry.values);
+      var memberIds = null;
+      if (entry.kind === 'people') {
+        values.managerId = entry.references.manager ? ids[normalized(entry.references.manager)] : null;
+      } else {
+        memberIds = entry.references.member.map(function(reference) {
+          return ids[normalized(reference)];
+        });
+      }
+      if (entry.kind === 'groups' && entry.status === 'create') {
+        values.createdAt = time.now();
+      }
+      var save = entry.status === 'create' ? repository.create.bind(repository, values) :
+        repository.update.bind(repository, entry.id, values);
+      save(function(err, record) {
+        if (err) {
+          return callback(err);
+        }
+        entry.id = record.id;
+        if (entry.kind === 'people') {
+          ids[normalized(entry.dn)] = record.id;
+        }
+        var assign = memberIds ? memberships.assign.bind(null, db.memberships, record.id, memberIds, people) :
+          process.nextTick;
+        assign(function(err) {
+          if (err) {
+            return callback(err);
+          }
+          read(entry.kind, record.id, function(err, after) {
+            if (err) {
+              return callback(err);
+            }
+            audit.record(req, entity, record.id, entry.status, before, after, callback);
+          });
+        });
+      });
+    });
+  };
+}
+
+/**
+ * POST a CSV or vCard file, as `text/csv` or `text/vcard`, or as the `csv` or
+ * `vcard` of a JSON body with the `mapping` and `duplicates` options.
+ * `?dryRun=true` or `dryRun: true` only checks it.
+ */
+
+router.post('/users', access.allow('write:users'), function(req, res, next) {
+  var body = req.body || {};
+  var dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+  parseBody(req, function(err, input) {
+    if (err) {
+      return next(err);
+    }
+    plan(input, function(err, entries) {
+      if (err) {
+        return next(err);
+      }
+      if (dryRun) {
+        return res.json({
+          success: true,
+          format: input.format,
+          columns: input.columns,
+          mapping: input.mapping,
+          summary: summarize(entries),
+          items: entries,
+          total: entries.length
+        });
+      }
+      var work = entries.filter(function(entry) {
+        return entry.status === 'create' || entry.status === 'update';
+      });
+      start(req, entries, work, applyPerson, function(err, job) {
+        if (err) {
+          return next(err);
+        }
+        res.status(202).location(req.baseUrl + '/users/jobs/' + job.id);
+        res.json(Object.assign({ success: true }, present(job)));
+      });
+    });
+  });
+});
+
+/**
+ * POST an LDIF file, as `text/x-ldif`, or as the `ldif` of a JSON body with
+ * the `mapping` option. `?dryRun=true` or `dryRun: true` previews the changes
+ * with the `changes` of each entry's attributes. Files that change groups
+ * need the permission to write groups as well.
+ */
+
+router.post('/ldif', access.allow('write:users'), function(req, res, next) {
+  var body = req.body || {};
+  var dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+  parseLdif(req, function(err, input) {
+    if (err) {
+      return next(err);
+    }
+    readDirectory(input.mapping, function(err, current) {
+      if (err) {
+        return next(err);
+      }
+      var seen = {};
+      var entries = input.records.map(function(record) {
+        return planRecord(input.mapping, current, record, seen);
+      });
+      var work = order(entries, current);
+      if (work.some(function(entry) {
+        return entry.kind === 'groups';
+      }) && !access.can(req, 'write:groups')) {
+        return next(access.forbidden('write:groups'));
+      }
+      if (dryRun) {
+        return res.json({
+          success: true,
+          format: 'ldif',
+          mapping: input.mapping,
+          summary: summarize(entries),
+          items: entries,
+          total: entries.length
+        });
+      }
+      var ids = {};
+      Object.keys(current.entries).forEach(function(dn) {
+        if (current.entries[dn].kind === 'people') {
+          ids[dn] = current.entries[dn].record.id;
+        }
+      });
+      start(req, entries, work, ldifApplier(ids), function(err, job) {
+        if (err) {
+          return next(err);
+        }
+        res.status(202).location(req.baseUrl + '/ldif/jobs/' + job.id);
+        res.json(Object.assign({ success: true }, present(job)));
+      });
+    });
+  });
+});
+
+/* GET the progress of an import. */
+router.get(['/users/jobs/:id', '/ldif/jobs/:id'], function(req, res, next) {
+  var job = jobs[req.params.id];
+  // imports of others are not found rather than forbidden
+  if (!job || job.accountId !== req.account.id) {
+    return next(httpError(404, 'Import ' + req.params.id + ' not found'));
+  }
+  res.json(Object.assign({ success: true }, present(job)));
+});
+
+module.exports = router;
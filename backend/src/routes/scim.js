@@ -0,0 +1,1029 @@
+var async = require('async');
+var bodyParser = require('body-parser');
+var express = require('express');
+var db = require('../db');
+var memberships = require('../db/memberships');
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var groupHelpers = require('../lib/groups');
+var personHelpers = require('../lib/people');
+var schema = require('../lib/schema');
+var scim = require('../lib/scim');
+var time = require('../lib/time');
+var versions = require('../lib/versions');
+var people = db.people;
+var groups = db.groups;
+var router = express.Router();
+var api = express.Router();
+
+/**
+ * SCIM 2.0 provisioning (RFC 7643, RFC 7644) for identity providers, below
+ * /scim/v2:
+ *
+ *  - /Users are the people of the personnel list
+ *  - /Groups are the groups of the Groups tab, with people as members
+ *  - /ServiceProviderConfig, /ResourceTypes and /Schemas describe what is
+ *    supported
+ *
+ * Lists take a `filter` (see lib/scim.js), `startIndex` and `count`, and
+ * every resource `attributes` or `excludedAttributes`. Resources are
+ * changed with POST, PUT, PATCH and DELETE; sorting and bulk requests are
+ * not supported.
+ *
+ * A user's `userName` is the person's email, and so is the primary of their
+ * `emails`; whichever a request changes wins. Deactivating a user moves the
+ * person to the trash, where they can still be read as inactive users and
+ * activated again, as can those deleted in the app; DELETE does the same.
+ * Lists hold inactive users too, so identity providers find them again.
+ * Attributes the directory has no place for,
+ * such as `externalId`, are dropped.
+ *
+ * Identity providers log in with an access token (see lib/tokens.js), and
+ * need the read and write permissions of users and groups. Every change is
+ * recorded in the audit trail.
+ */
+
+var USER = scim.SCHEMAS.USER;
+var GROUP = scim.SCHEMAS.GROUP;
+var ENTERPRISE_USER = scim.SCHEMAS.ENTERPRISE_USER;
+
+var BATCH = 500;
+
+/**
+ * A schema attribute with the defaults of RFC 7643 spelled out, as clients
+ * expect them.
+ */
+
+function attribute(name, options) {
+  return Object.assign({
+    name: name,
+    type: 'string',
+    multiValued: false,
+    description: '',
+    required: false,
+    caseExact: false,
+    mutability: 'readWrite',
+    returned: 'default',
+    uniqueness: 'none'
+  }, options);
+}
+
+function multiValued(name, description, options) {
+  return attribute(name, Object.assign({
+    type: 'complex',
+    multiValued: true,
+    description: description,
+    subAttributes: [
+      attribute('value', { description: 'The value' }),
+      attribute('type', { description: 'Always work', canonicalValues: ['work'] }),
+      attribute('primary', { type: 'boolean', description: 'Whether this is the primary value' })
+    ]
+  }, options));
+}
+
+var SCHEMA_DEFINITIONS = [{
+  id: USER,
+  name: 'User',
+  description: 'A person of the personnel directory',
+  attributes: [
+    attribute('userName', { required: true, uniqueness: 'server', description: 'The email of the person' }),
+    attribute('name', {
+      type: 'complex',
+      required: true,
+      description: 'The name of the person',
+      subAttributes: [
+        attribute('formatted', { mutability: 'readOnly', description: 'The full name' }),
+        attribute('givenName', { required: true, description: 'The first name' }),
+        attribute('familyName', { required: true, description: 'The last name' })
+      ]
+    }),
+    attribute('displayName', { mutability: 'readOnly', description: 'The full name' }),
+    attribute('title', { description: 'The job title' }),
+    attribute('active', { type: 'boolean', description: 'Inactive users are in the trash' }),
+    multiValued('emails', 'The email, the same as userName'),
+    multiValued('phoneNumbers', 'The work phone number'),
+    multiValued('photos', 'The URL of a photo', {
+      subAttributes: [
+        attribute('value', { type: 'reference', referenceTypes: ['external'], description: 'The URL' }),
+        attribute('type', { description: 'Always photo', canonicalValues: ['photo'] })
+      ]
+    }),
+    attribute('groups', {
+      type: 'complex',
+      multiValued: true,
+      mutability: 'readOnly',
+      description: 'The groups of the person, changed through their members',
+      subAttributes: [
+        attribute('value', { mutability: 'readOnly', description: 'The id of the group' }),
+        attribute('$ref', { type: 'reference', referenceTypes: ['Group'], mutability: 'readOnly', description: 'The URI of the group' }),
+        attribute('display', { mutability: 'readOnly', description: 'The name of the group' })
+      ]
+    })
+  ]
+}, {
+  id: ENTERPRISE_USER,
+  name: 'EnterpriseUser',
+  description: 'The department and manager of a person',
+  attributes: [
+    attribute('department', { description: 'The department' }),
+    attribute('manager', {
+      type: 'complex',
+      description: 'The manager, another user',
+      subAttributes: [
+        attribute('value', { description: 'The id of the manager' }),
+        attribute('$ref', { type: 'reference', referenceTypes: ['User'], mutability: 'readOnly', description: 'The URI of the manager' }),
+        attribute('displayName', { mutability: 'readOnly', description: 'The name of the manager' })
+      ]
+    })
+  ]
+}, {
+  id: GROUP,
+  name: 'Group',
+  description: 'A group of people',
+  attributes: [
+    attribute('displayName', { required: true, uniqueness: 'server', description: 'The name of the group' }),
+    attribute('members', {
+      type: 'complex',
+      multiValued: true,
+      description: 'The people in the group',
+      subAttributes: [
+        attribute('value', { mutability: 'immutable', description: 'The id of the user' }),
+        attribute('$ref', { type: 'reference', referenceTypes: ['User'], mutability: 'immutable', description: 'The URI of the user' }),
+        attribute('display', { mutability: 'readOnly', description: 'The name of the user' }),
+        attribute('type', { mutability: 'immutable', canonicalValues: ['User'], description: 'Always User' })
+      ]
+    })
+  ]
+}];
+
+var RESOURCE_TYPES = [{
+  id: 'User',
+  name: 'User',
+  endpoint: '/Users',
+  description: 'People of the personnel directory',
+  schema: USER,
+  schemaExtensions: [{ schema: ENTERPRISE_USER, required: false }]
+}, {
+  id: 'Group',
+  name: 'Group',
+  endpoint: '/Groups',
+  description: 'Groups of people',
+  schema: GROUP,
+  schemaExtensions: []
+}];
+
+/**
+ * Send a SCIM response body.
+ */
+
+function send(res, status, body) {
+  res.status(status).type(scim.CONTENT_TYPE).send(JSON.stringify(body));
+}
+
+function baseUrl(req) {
+  return req.protocol + '://' + req.get('host') + req.baseUrl;
+}
+
+function location(req, endpoint, id) {
+  return baseUrl(req) + endpoint + '/' + id;
+}
+
+function notFound(name, id) {
+  return scim.error(404, null, name + ' ' + id + ' not found');
+}
+
+/**
+ * A string or number that is an id, or null.
+ */
+
+function idOf(value) {
+  if (scim.get(value, 'value') !== undefined) {
+    value = scim.get(value, 'value');
+  }
+  return /^\s*[1-9]\d*\s*$/.test(String(value)) ? parseInt(value, 10) : null;
+}
+
+function fullName(person) {
+  return [person.firstName, person.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * The first of a multi-valued attribute's values, preferring the primary.
+ */
+
+function primary(values) {
+  values = Array.isArray(values) ? values : [];
+  var item = values.filter(function(value) {
+    return scim.get(value, 'primary') === true;
+  })[0] || values[0];
+  var value = typeof item === 'object' ? scim.get(item, 'value') : item;
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * The users of people, with the groups each is in.
+ */
+
+function presentUsers(req, records, callback) {
+  var ids = records.map(function(person) {
+    return person.id;
+  });
+  db.memberships.list({
+    filters: [{ property: 'personId', operator: 'in', value: ids.length ? ids : [0] }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var groupIds = result.items.map(function(membership) {
+      return membership.groupId;
+    });
+    groups.list({
+      filters: [{ property: 'id', operator: 'in', value: groupIds.length ? groupIds : [0] }],
+      sorters: [{ property: 'name', direction: 'ASC' }]
+    }, function(err, found) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, records.map(function(person) {
+        var mine = result.items.filter(function(membership) {
+          return membership.personId === person.id;
+        }).map(function(membership) {
+          return membership.groupId;
+        });
+        return toUser(req, person, found.items.filter(function(group) {
+          return mine.indexOf(group.id) !== -1;
+        }));
+      }));
+    });
+  });
+}
+
+function toUser(req, person, memberOf) {
+  var user = {
+    schemas: [USER, ENTERPRISE_USER],
+    id: String(person.id),
+    userName: person.email,
+    name: { formatted: fullName(person), givenName: person.firstName, familyName: person.lastName },
+    displayName: fullName(person),
+    title: person.title || undefined,
+    active: !people.isDeleted(person),
+    emails: [{ value: person.email, type: 'work', primary: true }],
+    phoneNumbers: person.phone ? [{ value: person.phone, type: 'work' }] : undefined,
+    photos: person.photoUrl ? [{ value: person.photoUrl, type: 'photo' }] : undefined,
+    groups: memberOf.map(function(group) {
+      return { value: String(group.id), $ref: location(req, '/Groups', group.id), display: group.name };
+    }),
+    meta: {
+      resourceType: 'User',
+      location: location(req, '/Users', person.id),
+      version: versions.etag(person)
+    }
+  };
+  user[ENTERPRISE_USER] = {
+    department: person.department || undefined,
+    manager: person.managerId ?
+      { value: String(person.managerId), $ref: location(req, '/Users', person.managerId) } :
+      undefined
+  };
+  return user;
+}
+
+/**
+ * The person values of a user, and whether it is `active`. `original` is
+ * the user before a PUT or PATCH, to tell whether `userName` or `emails`
+ * changed the email.
+ */
+
+function fromUser(user, original) {
+  var name = scim.get(user, 'name') || {};
+  var extension = scim.get(user, ENTERPRISE_USER) || {};
+  var userName = scim.get(user, 'userName');
+  var email = primary(scim.get(user, 'emails'));
+  if (!original || !email || userName !== original.userName || email === original.userName) {
+    email = userName || email;
+  }
+  var manager = scim.get(extension, 'manager');
+  var active = scim.get(user, 'active');
+  var values = {
+    firstName: scim.get(name, 'givenName'),
+    lastName: scim.get(name, 'familyName'),
+    email: email,
+    phone: primary(scim.get(user, 'phoneNumbers')),
+    title: scim.get(user, 'title'),
+    photoUrl: primary(scim.get(user, 'photos')),
+    department: scim.get(extension, 'department'),
+    managerId: manager === undefined || manager === null || manager === '' || scim.get(manager, 'value') === '' ?
+      null : idOf(manager) || manager
+  };
+  Object.keys(values).forEach(function(field) {
+    if (values[field] === undefined || values[field] === '') {
+      values[field] = null;
+    }
+  });
+  return {
+    values: values,
+    // some providers send booleans as strings
+    active: active === undefined || active === null ? true : String(active).toLowerCase() !== 'false'
+  };
+}
+
+/**
+ * The groups with their members.
+ */
+
+function presentGroups(req, records, callback) {
+  memberships.membersOf(db.memberships, records.map(function(group) {
+    return group.id;
+  }), people, function(err, members) {
+    if (err) {
+      return callback(err);
+    }
+    var ids = [].concat.apply([], records.map(function(group) {
+      return members[group.id];
+    }));
+    people.list({
+      filters: [{ property: 'id', operator: 'in', value: ids.length ? ids : [0] }]
+    }, function(err, result) {
+      if (err) {
+        return callback(err);
+      }
+      var names = {};
+      result.items.forEach(function(person) {
+        names[person.id] = fullName(person);
+      });
+      callback(null, records.map(function(group) {
+        return toGroup(req, group, members[group.id], names);
+      }));
+    });
+  });
+}
+
+function toGroup(req, group, memberIds, names) {
+  return {
+    schemas: [GROUP],
+    id: String(group.id),
+    displayName: group.name,
+    members: memberIds.map(function(id) {
+      return { value: String(id), $ref: location(req, '/Users', id), display: names[id], type: 'User' };
+    }),
+    meta: {
+      resourceType: 'Group',
+      created: group.createdAt ? group.createdAt.replace(' ', 'T') + 'Z' : undefined,
+      location: location(req, '/Groups', group.id),
+      version: versions.etag(group)
+    }
+  };
+}
+
+/**
+ * The group values of a group resource with its `memberIds`.
+ */
+
+function fromGroup(resource) {
+  var members = scim.get(resource, 'members');
+  var memberIds = [];
+  if (members !== undefined && members !== null && !Array.isArray(members)) {
+    throw scim.error(400, 'invalidValue', 'members must be a list');
+  }
+  (members || []).forEach(function(member) {
+    var type = scim.get(member, 'type');
+    var id = idOf(member);
+    if (type && String(type).toLowerCase() !== 'user') {
+      throw scim.error(400, 'invalidValue', 'Only users can be members');
+    }
+    if (!id) {
+      throw scim.error(400, 'invalidValue', 'Member ' + JSON.stringify(scim.get(member, 'value')) + ' is not a user id');
+    }
+    if (memberIds.indexOf(id) === -1) {
+      memberIds.push(id);
+    }
+  });
+  return { values: { name: scim.get(resource, 'displayName'), memberIds: memberIds } };
+}
+
+/**
+ * Validate values like the routes of the app do. Throws a 400 for the first
+ * invalid one.
+ */
+
+function validate(jsonSchema, values) {
+  var result = schema.validate(jsonSchema, values, false);
+  if (result.errors) {
+    throw scim.error(400, 'invalidValue', result.errors[Object.keys(result.errors)[0]]);
+  }
+  return result.values;
+}
+
+/**
+ * Check that the ids are people. Yields a 400 naming the first that is not.
+ */
+
+function checkPeople(ids, property, callback) {
+  if (!ids.length) {
+    return process.nextTick(callback, null);
+  }
+  people.list({
+    filters: [{ property: 'id', operator: 'in', value: ids }]
+  }, function(err, result) {
+    if (err) {
+      return callback(err);
+    }
+    var missing = ids.filter(function(id) {
+      return !result.items.some(function(person) {
+        return person.id === id;
+      });
+    });
+    callback(missing.length ? scim.error(400, 'invalidValue', property + ' ' + missing[0] + ' is not an active user') : null);
+  });
+}
+
+/**
+ * Check that no one else has an email or group name, those in the trash
+ * included.
+ */
+
+function checkUnique(repository, criteria, id, name, callback) {
+  repository.find(criteria, { withDeleted: true }, function(err, found) {
+    var taken = (found || []).filter(function(record) {
+      return record.id !== id;
+    })[0];
+    if (err || !taken) {
+      return callback(err);
+    }
+    callback(scim.error(409, 'uniqueness', repository.isDeleted(taken) ?
+      name + ' is taken by ' + (repository === people ? 'inactive user ' : 'group ') + taken.id + ' in the trash' :
+      name + ' is taken by ' + taken.id));
+  });
+}
+
+/**
+ * Check the `If-Match` version of a request. Yields a 412 when it names an
+ * outdated one.
+ */
+
+function checkVersion(req, record) {
+  var expected = versions.expected(req);
+  if (expected !== undefined && expected !== record.version) {
+    return scim.error(412, null, 'The resource was changed in the meantime');
+  }
+  return null;
+}
+
+/**
+ * The attributes a filter can ask the repository for, by their lowercase
+ * paths, with the properties of the records that hold them.
+ */
+
+var USER_COLUMNS = {
+  id: 'id',
+  username: 'email',
+  emails: 'email',
+  'emails.value': 'email',
+  'name.givenname': 'firstName',
+  'name.familyname': 'lastName',
+  title: 'title',
+  phonenumbers: 'phone',
+  'phonenumbers.value': 'phone'
+};
+USER_COLUMNS[ENTERPRISE_USER.toLowerCase() + ':department'] = 'department';
+
+var GROUP_COLUMNS = {
+  id: 'id',
+  displayname: 'name'
+};
+
+/**
+ * The resources, their names in messages and permissions, whether those in
+ * the trash are part of them, the attributes filters can narrow them by, how
+ * to present records and to save what a request sends.
+ */
+
+var TYPES = {
+  Users: {
+    name: 'User',
+    repository: people,
+    entity: 'person',
+    read: 'read:users',
+    write: 'write:users',
+    withDeleted: true,
+    columns: USER_COLUMNS,
+    present: presentUsers,
+    save: saveUser
+  },
+  Groups: {
+    name: 'Group',
+    repository: groups,
+    entity: 'group',
+    read: 'read:groups',
+    write: 'write:groups',
+    withDeleted: false,
+    columns: GROUP_COLUMNS,
+    present: presentGroups,
+    save: saveGroup
+  }
+};
+
+/**
+ * Fetch a record, from the trash as well for users, which are inactive
+ * there. Groups come with their `memberIds`.
+ */
+
+function load(type, id, callback) {
+  var options = type.withDeleted ? { withDeleted: true } : null;
+  if (!idOf(id)) {
+    return process.nextTick(callback, null, null);
+  }
+  type.repository.get(idOf(id), options, function(err, record) {
+    if (err || !record || type.repository !== groups) {
+      return callback(err, record || null);
+    }
+    memberships.membersOf(db.memberships, [record.id], people, function(err, members) {
+      callback(err, !err && Object.assign({}, record, { memberIds: members[record.id] }));
+    });
+  });
+}
+
+/**
+ * Move a person to the trash or take them out of it, recording that in the
+ * audit trail. Yields the record as it is after.
+ */
+
+function activate(req, person, active, callback) {
+  if (active === !people.isDeleted(person)) {
+    return process.nextTick(callback, null, person);
+  }
+  var change = active ? people.restore.bind(people, person.id) : people.remove.bind(people, person.id);
+  change(function(err) {
+    if (err) {
+      return callback(err);
+    }
+    people.get(person.id, { withDeleted: true }, function(err, after) {
+      if (err) {
+        return callback(err);
+      }
+      audit.record(req, 'person', person.id, active ? 'restore' : 'delete', person, after, function(err) {
+        callback(err, after);
+      });
+    });
+  });
+}
+
+/**
+ * Create a person from a user, or replace the person's values with those of
+ * the user when `before` is given. Yields the saved person.
+ */
+
+function saveUser(req, user, before, original, callback) {
+  var input = fromUser(user, original);
+  var values;
+  try {
+    values = validate(personHelpers.SCHEMA, input.values);
+  } catch (err) {
+    return process.nextTick(callback, err);
+  }
+  async.series([
+    function(next) {
+      checkUnique(people, { email: values.email }, before && before.id, 'userName ' + values.email, next);
+    },
+    function(next) {
+      if (before && values.managerId === before.id) {
+        return next(scim.error(400, 'invalidValue', 'A user cannot be their own manager'));
+      }
+      checkPeople(values.managerId ? [values.managerId] : [], 'Manager', next);
+    }
+  ], function(err) {
+    if (err) {
+      return callback(err);
+    }
+    if (!before) {
+      return people.create(values, function(err, person) {
+        if (err) {
+          return callback(err);
+        }
+        audit.record(req, 'person', person.id, 'create', null, person, function(err) {
+          return err ? callback(err) : activate(req, person, input.active, callback);
+        });
+      });
+    }
+    // people in the trash are taken out before and put back after changes
+    activate(req, before, true, function(err, current) {
+      if (err) {
+        return callback(err);
+      }
+      var changes = {};
+      Object.keys(values).forEach(function(field) {
+        if (!audit.same(values[field], current[field] === undefined ? null : current[field])) {
+          changes[field] = values[field];
+        }
+      });
+      if (!Object.keys(changes).length) {
+        return activate(req, current, input.active, callback);
+      }
+      people.update(current.id, changes, current.version, function(err, person) {
+        if (err) {
+          return callback(err.code === 'version_conflict' ? scim.error(412, null, 'The resource was changed in the meantime') : err);
+        }
+        audit.record(req, 'person', person.id, 'update', current, person, function(err) {
+          return err ? callback(err) : activate(req, person, input.active, callback);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Create a group, or replace the name and members of `before`. Yields the
+ * saved group.
+ */
+
+function saveGroup(req, resource, before, original, callback) {
+  var values;
+  try {
+    values = validate(groupHelpers.SCHEMA, fromGroup(resource).values);
+  } catch (err) {
+    return process.nextTick(callback, err);
+  }
+  var memberIds = values.memberIds;
+  delete values.memberIds;
+  async.series([
+    function(next) {
+      checkUnique(groups, { name: values.name }, before && before.id, 'displayName ' + values.name, next);
+    },
+    function(next) {
+      checkPeople(memberIds, 'Member', next);
+    }
+  ], function(err) {
+    if (err) {
+      return callback(err);
+    }
+    function finish(err, group) {
+      if (err) {
+        return callback(err.code === 'version_conflict' ? scim.error(412, null, 'The resource was changed in the meantime') : err);
+      }
+      memberships.assign(db.memberships, group.id, memberIds, people, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        load(TYPES.Groups, group.id, function(err, after) {
+          if (err) {
+            return callback(err);
+          }
+          audit.record(req, 'group', group.id, before ? 'update' : 'create', before, after, function(err) {
+            callback(err, after);
+          });
+        });
+      });
+    }
+    if (before) {
+      return groups.update(before.id, values, before.version, finish);
+    }
+    values.createdAt = time.now();
+    groups.create(values, finish);
+  });
+}
+
+/**
+ * Send a resource of a record.
+ */
+
+function respondWith(req, res, next, type, record, status) {
+  type.present(req, [record], function(err, resources) {
+    if (err) {
+      return next(err);
+    }
+    res.set('ETag', versions.etag(record));
+    if (status === 201) {
+      res.location(resources[0].meta.location);
+    }
+    send(res, status, scim.project(resources[0], req.query));
+  });
+}
+
+/**
+ * Middleware that checks the permission a request needs on the resource
+ * type of the path.
+ */
+
+function permitted(kind) {
+  return function(req, res, next) {
+    var permission = TYPES[req.params.type][kind];
+    next(access.can(req, permission) ? null : access.forbidden(permission));
+  };
+}
+
+router.use('/scim/v2', api);
+
+api.use(function(req, res, next) {
+  if (!req.account) {
+    res.set('WWW-Authenticate', 'Bearer realm="SCIM"');
+    return next(scim.error(401, null, 'Log in with an access token'));
+  }
+  next();
+});
+
+api.use(bodyParser.json({ type: ['application/scim+json', 'application/json'] }));
+
+/* GET what the service provider supports. */
+api.get('/ServiceProviderConfig', function(req, res) {
+  send(res, 200, {
+    schemas: [scim.SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: scim.MAX_COUNT },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: true },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Access token',
+      description: 'An access token of the app, sent as a bearer token',
+      primary: true
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: baseUrl(req) + '/ServiceProviderConfig' }
+  });
+});
+
+/**
+ * Answer with every definition, or one by id.
+ */
+
+function definitions(list, resourceType, path) {
+  function present(req, definition) {
+    return Object.assign({ schemas: [resourceType === 'Schema' ? scim.SCHEMAS.SCHEMA : scim.SCHEMAS.RESOURCE_TYPE] }, definition, {
+      meta: { resourceType: resourceType, location: baseUrl(req) + path + '/' + definition.id }
+    });
+  }
+  return {
+    list: function(req, res) {
+      send(res, 200, scim.list(list.map(function(definition) {
+        return present(req, definition);
+      }), list.length, 1));
+    },
+    one: function(req, res, next) {
+      var definition = list.filter(function(item) {
+        return item.id === req.params.id;
+      })[0];
+      if (!definition) {
+        return next(notFound(resourceType, req.params.id));
+      }
+      send(res, 200, present(req, definition));
+    }
+  };
+}
+
+var schemaDefinitions = definitions(SCHEMA_DEFINITIONS, 'Schema', '/Schemas');
+var resourceTypes = definitions(RESOURCE_TYPES, 'ResourceType', '/ResourceTypes');
+
+api.get('/Schemas', schemaDefinitions.list);
+api.get('/Schemas/:id', schemaDefinitions.one);
+api.get('/ResourceTypes', resourceTypes.list);
+api.get('/ResourceTypes/:id', resourceTypes.one);
+
+/**
+ * What to ask the repository for to read no more than the resources a filter
+ * may match. Comparisons the whole filter requires, `eq`, `co`, `sw` or `ew`
+ * on an attribute a record holds as it is, become filters of the list; the
+ * rows those read are a superset, so the filter still decides. `active eq`
+ * reads users from the trash or from outside of it.
+ */
+
+function narrow(type, filter) {
+  var description = { withDeleted: type.withDeleted, filters: [] };
+
+  function key(path, sub) {
+    var schema = path.schema && path.schema !== USER && path.schema !== GROUP ? path.schema + ':' : '';
+    sub = sub || path.sub;
+    return (schema + path.attribute + (sub ? '.' + sub : '')).toLowerCase();
+  }
+
+  (function collect(node, parent) {
+    if (node.op === 'and') {
+      collect(node.left, parent);
+      return collect(node.right, parent);
+    }
+    if (node.op === 'has' && !parent) {
+      return collect(node.filter, node.path);
+    }
+    // `or`, `not` and `has` below `has` require nothing in particular
+    if (!node.path || node.op === 'has') {
+      return;
+    }
+    if (parent && (node.path.schema || node.path.sub)) {
+      return;
+    }
+    var name = parent ? key(parent, node.path.attribute) : key(node.path);
+    if (type.withDeleted && name === 'active' && node.op === 'eq' && typeof node.value === 'boolean') {
+      description.withDeleted = false;
+      description.trashed = !node.value;
+      return;
+    }
+    var property = type.columns[name];
+    if (!property || typeof node.value !== 'string' || ['eq', 'co', 'sw', 'ew'].indexOf(node.op) === -1) {
+      return;
+    }
+    if (property === 'id') {
+      if (node.op === 'eq') {
+        description.filters.push({ property: 'id', operator: 'eq', value: idOf(node.value) || 0 });
+      }
+      return;
+    }
+    description.filters.push({ property: property, operator: node.op === 'eq' ? 'eq' : 'like', value: node.value });
+  })(filter, null);
+
+  return description;
+}
+
+/**
+ * GET a page of users or groups. Without a filter the page is read as it
+ * is; with one, the rows the repository narrows it to are read in batches
+ * and the filter is matched against each resource.
+ */
+
+api.get('/:type(Users|Groups)', permitted('read'), function(req, res, next) {
+  var type = TYPES[req.params.type];
+  var page = scim.paging(req.query);
+  var filter;
+  try {
+    filter = req.query.filter ? scim.parseFilter(req.query.filter) : null;
+  } catch (err) {
+    return next(err);
+  }
+
+  function done(resources, total) {
+    send(res, 200, scim.list(resources.map(function(resource) {
+      return scim.project(resource, req.query);
+    }), total, page.startIndex));
+  }
+
+  if (!filter) {
+    return type.repository.list({
+      withDeleted: type.withDeleted,
+      sorters: [{ property: 'id', direction: 'ASC' }],
+      start: page.startIndex - 1,
+      // a limit of 0 reads everything, count=0 only asks for totalResults
+      limit: Math.max(page.count, 1)
+    }, function(err, result) {
+      if (err) {
+        return next(err);
+      }
+      type.present(req, result.items.slice(0, page.count), function(err, resources) {
+        if (err) {
+          return next(err);
+        }
+        done(resources, result.total);
+      });
+    });
+  }
+
+  var total = 0;
+  var resources = [];
+  type.repository.eachBatch(narrow(type, filter), BATCH, function(records, callback) {
+    type.present(req, records, function(err, batch) {
+      if (err) {
+        return callback(err);
+      }
+      batch.forEach(function(resource) {
+        if (scim.matches(filter, resource)) {
+          total++;
+          if (total >= page.startIndex && resources.length < page.count) {
+            resources.push(resource);
+          }
+        }
+      });
+      callback();
+    });
+  }, function(err) {
+    if (err) {
+      return next(err);
+    }
+    done(resources, total);
+  });
+});
+
+/* GET a user or group. */
+api.get('/:type(Users|Groups)/:id', permitted('read'), function(req, res, next) {
+  var type = TYPES[req.params.type];
+  load(type, req.params.id, function(err, record) {
+    if (err) {
+      return next(err);
+    }
+    if (!record) {
+      return next(notFound(type.name, req.params.id));
+    }
+    respondWith(req, res, next, type, record, 200);
+  });
+});
+
+/* POST a new user or group. */
+api.post('/:type(Users|Groups)', permitted('write'), function(req, res, next) {
+  var type = TYPES[req.params.type];
+  type.save(req, req.body || {}, null, null, function(err, record) {
+    if (err) {
+      return next(err);
+    }
+    respondWith(req, res, next, type, record, 201);
+  });
+});
+
+/**
+ * PUT replaces what the directory keeps of a resource, PATCH applies
+ * operations to it. Both answer 412 when `If-Match` names an outdated
+ * version.
+ */
+
+function update(patch) {
+  return function(req, res, next) {
+    var type = TYPES[req.params.type];
+    load(type, req.params.id, function(err, before) {
+      if (err) {
+        return next(err);
+      }
+      if (!before) {
+        return next(notFound(type.name, req.params.id));
+      }
+      var conflict = checkVersion(req, before);
+      if (conflict) {
+        return next(conflict);
+      }
+      type.present(req, [before], function(err, resources) {
+        if (err) {
+          return next(err);
+        }
+        var original = resources[0];
+        var resource = req.body || {};
+        try {
+          resource = patch ? scim.patch(JSON.parse(JSON.stringify(original)), req.body) : resource;
+        } catch (e) {
+          return next(e);
+        }
+        type.save(req, resource, before, original, function(err, record) {
+          if (err) {
+            return next(err);
+          }
+          respondWith(req, res, next, type, record, 200);
+        });
+      });
+    });
+  };
+}
+
+api.put('/:type(Users|Groups)/:id', permitted('write'), update(false));
+api.patch('/:type(Users|Groups)/:id', permitted('write'), update(true));
+
+/* DELETE a user or group, moving it to the trash. */
+api.delete('/:type(Users|Groups)/:id', permitted('write'), function(req, res, next) {
+  var type = TYPES[req.params.type];
+  load(type, req.params.id, function(err, record) {
+    if (err) {
+      return next(err);
+    }
+    if (!record) {
+      return next(notFound(type.name, req.params.id));
+    }
+    var conflict = checkVersion(req, record);
+    if (conflict) {
+      return next(conflict);
+    }
+    // inactive users are in the trash already
+    if (type.repository.isDeleted(record)) {
+      return res.status(204).end();
+    }
+    type.repository.remove(record.id, function(err) {
+      if (err) {
+        return next(err);
+      }
+      audit.record(req, type.entity, record.id, 'delete', record, null, function(err) {
+        if (err) {
+          return next(err);
+        }
+        res.status(204).end();
+      });
+    });
+  });
+});
+
+api.use(function(req, res, next) {
+  next(scim.error(404, null, 'Not found: ' + req.method + ' ' + req.originalUrl));
+});
+
+/* Send errors as SCIM error responses. */
+api.use(function(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  var status = err.status || err.statusCode;
+  if (!(status >= 400 && status < 600)) {
+    status = 500;
+  }
+  if (status >= 500) {
+    console.error('Request ' + req.id + ' failed:', err.stack || err);
+  }
+  send(res, status, {
+    schemas: [scim.SCHEMAS.ERROR],
+    status: String(status),
+    scimType: err.scimType || undefined,
+    detail: status < 500 ? err.message : 'Internal server error'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+var express = require('express');
+var db = require('../db');
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var http = require('../lib/http');
+var preferences = require('../lib/preferences');
+var schema = require('../lib/schema');
+var time = require('../lib/time');
+var httpError = http.httpError;
+var respond = http.respond;
+var settings = db.settings;
+var router = express.Router();
+
+/**
+ * Preferences are addressed by scope: `/settings/defaults` holds the global
+ * defaults, `/settings/<account id>` what an account changed on top of them
+ * and `/settings/me` is the account that is logged in. They answer with the
+ * effective values and list the preferences the scope sets itself in
+ * `overridden`.
+ *
+ * Everybody may read the defaults and change their own preferences. Other
+ * accounts and changing the defaults need the settings permissions, and so
+ * do access tokens to change anything.
+ */
+
+var DEFAULTS = 'defaults';
+
+var ME = 'me';
+
+/**
+ * Resolve the scope of a request. Yields the account id, or null for the
+ * global defaults. `write` tells whether the request changes the scope.
+ */
+
+function scope(req, write, callback) {
+  resolve(req, function(err, accountId) {
+    // a token changes even its own account's preferences only with the scope
+    var own = accountId === req.account.id && !(write && req.token);
+    if (err || own || (accountId === null && !write)) {
+      return callback(err, accountId);
+    }
+    var permission = write ? 'write:settings' : 'read:settings';
+    callback(access.can(req, permission) ? null : access.forbidden(permission), accountId);
+  });
+}
+
+function resolve(req, callback) {
+  if (req.params.scope === DEFAULTS) {
+    return process.nextTick(callback, null, null);
+  }
+  if (req.params.scope === ME) {
+    return process.nextTick(callback, null, req.account.id);
+  }
+  db.accounts.get(req.params.scope, function(err, account) {
+    if (!err && !account) {
+      err = httpError(404, 'Account ' + req.params.scope + ' not found');
+    }
+    callback(err, account && account.id);
+  });
+}
+
+/**
+ * Yields the stored row of a scope, or null when it has none yet.
+ */
+
+function load(accountId, callback) {
+  settings.find({ accountId: accountId }, function(err, rows) {
+    callback(err, rows && rows.length ? rows[0] : null);
+  });
+}
+
+function stored(row) {
+  return row ? JSON.parse(row.preferences) : {};
+}
+
+/**
+ * Send the effective preferences of a scope.
+ */
+
+function send(res, accountId, next) {
+  load(null, function(err, globalRow) {
+    if (err) {
+      return next(err);
+    }
+    if (accountId === null) {
+      var global = stored(globalRow);
+      return respond(res, [Object.assign({ id: DEFAULTS }, preferences.merge(global), {
+        overridden: Object.keys(global)
+      })], 1);
+    }
+    load(accountId, function(err, row) {
+      if (err) {
+        return next(err);
+      }
+      var own = stored(row);
+      respond(res, [Object.assign({ id: String(accountId) }, preferences.merge(stored(globalRow), own), {
+        overridden: Object.keys(own)
+      })], 1);
+    });
+  });
+}
+
+function save(accountId, row, values, callback) {
+  var data = { preferences: JSON.stringify(values), updatedAt: time.now() };
+  if (row) {
+    return settings.update(row.id, data, callback);
+  }
+  settings.create(Object.assign({ accountId: accountId }, data), callback);
+}
+
+/**
+ * Record a change of what a scope sets in the audit trail.
+ */
+
+function record(req, accountId, action, before, after, callback) {
+  audit.record(req, 'settings', accountId === null ? DEFAULTS : accountId, action, before, after, callback);
+}
+
+/* GET the preferences of a scope. */
+router.get('/:scope', function(req, res, next) {
+  scope(req, false, function(err, accountId) {
+    if (err) {
+      return next(err);
+    }
+    send(res, accountId, next);
+  });
+});
+
+/**
+ * PUT replaces everything the scope sets, PATCH only the preferences sent.
+ * A null value goes back to the default.
+ */
+
+function update(partial) {
+  return function(req, res, next) {
+    var values = req.body;
+    scope(req, true, function(err, accountId) {
+      if (err) {
+        return next(err);
+      }
+      load(accountId, function(err, row) {
+        if (err) {
+          return next(err);
+        }
+        var result = partial ? stored(row) : {};
+        Object.keys(values).forEach(function(name) {
+          if (values[name] === null) {
+            delete result[name];
+          } else {
+            result[name] = values[name];
+          }
+        });
+        save(accountId, row, result, function(err) {
+          if (err) {
+            return next(err);
+          }
+          record(req, accountId, 'update', stored(row), result, function(err) {
+            if (err) {
+              return next(err);
+            }
+            send(res, accountId, next);
+          });
+        });
+      });
+    });
+  };
+}
+
+router.put('/:scope', schema.body(preferences.SCHEMA), update(false));
+router.patch('/:scope', schema.body(preferences.SCHEMA), update(true));
+
+/* DELETE what a scope sets, going back to the defaults. */
+router.delete('/:scope', function(req, res, next) {
+  scope(req, true, function(err, accountId) {
+    if (err) {
+      return next(err);
+    }
+    load(accountId, function(err, row) {
+      if (err || !row) {
+        return err ? next(err) : send(res, accountId, next);
+      }
+      settings.remove(row.id, function(err) {
+        if (err) {
+          return next(err);
+        }
+        record(req, accountId, 'delete', stored(row), null, function(err) {
+          if (err) {
+            return next(err);
+          }
+          send(res, accountId, next);
+        });
+      });
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+var express = require('express');
+var db = require('../db');
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var parseRoles = require('../lib/accounts').parseRoles;
+var http = require('../lib/http');
+var roles = require('../lib/roles');
+var tokens = require('../lib/tokens');
+var time = require('../lib/time');
+var httpError = http.httpError;
+var respond = http.respond;
+var router = express.Router();
+
+/**
+ * Personal access tokens and API keys. Everybody manages their own tokens,
+ * admins also the API keys of service accounts. The token itself is only
+ * handed out once, when it is created; deleting a token revokes it.
+ */
+
+var MAX_NAME_LENGTH = 100;
+
+function notFound(id) {
+  return httpError(404, 'Token ' + id + ' not found');
+}
+
+/**
+ * Tokens must not mint or revoke tokens, or a leaked one could outlive its
+ * own revocation.
+ */
+
+router.use(function(req, res, next) {
+  next(req.token ? httpError(403, 'Log in to manage access tokens') : null);
+});
+
+/**
+ * Yields the accounts whose tokens the request may manage, by id.
+ */
+
+function manageable(req, callback) {
+  var result = {};
+  result[req.account.id] = req.account;
+  if (!access.can(req, 'write:accounts')) {
+    return process.nextTick(callback, null, result);
+  }
+  db.accounts.find({ kind: 'service' }, function(err, services) {
+    (services || []).forEach(function(account) {
+      result[account.id] = account;
+    });
+    callback(err, result);
+  });
+}
+
+function present(token, account) {
+  return {
+    id: token.id,
+    accountId: token.accountId,
+    accountName: account.displayName,
+    kind: account.kind === 'service' ? 'key' : 'personal',
+    name: token.name,
+    prefix: token.prefix,
+    scopes: tokens.parseScopes(token.scopes),
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    lastUsedAt: token.lastUsedAt,
+    expired: token.expiresAt <= time.now()
+  };
+}
+
+/**
+ * Check the body of a new token against the account it is for. Yields the
+ * values for tokens.issue.
+ */
+
+function validate(body, account, callback) {
+  var name = String(body.name || '').trim();
+  var days = body.expiresInDays === undefined || body.expiresInDays === null ? tokens.DEFAULT_DAYS : Number(body.expiresInDays);
+  var scopes = Array.isArray(body.scopes) ? body.scopes : tokens.parseScopes(body.scopes);
+  var granted = roles.permissionsOf(parseRoles(account.roles));
+
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return callback(http.invalid({ name: 'Name is required and must not be longer than ' + MAX_NAME_LENGTH + ' characters' }));
+  }
+  if (!(days % 1 === 0 && days >= 1 && days <= tokens.MAX_DAYS)) {
+    return callback(http.invalid({ expiresInDays: 'Tokens expire after 1 to ' + tokens.MAX_DAYS + ' days' }));
+  }
+  if (!scopes.length) {
+    return callback(http.invalid({ scopes: 'Pick at least one scope' }));
+  }
+  var denied = scopes.filter(function(scope) {
+    return granted.indexOf(scope) === -1;
+  });
+  if (denied.length) {
+    return callback(http.invalid({ scopes: 'The roles of ' + account.username + ' do not grant ' + denied[0] }));
+  }
+  callback(null, { name: name, days: days, scopes: scopes });
+}
+
+/* GET the tokens the account may manage, newest first. */
+router.get('/', function(req, res, next) {
+  manageable(req, function(err, accounts) {
+    if (err) {
+      return next(err);
+    }
+    db.tokens.list({
+      filters: [{ property: 'accountId', operator: 'in', value: Object.keys(accounts).map(Number) }],
+      sorters: [{ property: 'createdAt', direction: 'DESC' }, { property: 'id', direction: 'DESC' }]
+    }, function(err, result) {
+      if (err) {
+        return next(err);
+      }
+      respond(res, result.items.map(function(token) {
+        return present(token, accounts[token.accountId]);
+      }), result.total);
+    });
+  });
+});
+
+/**
+ * POST a new token. It is for the account that is logged in unless an admin
+ * picks a service account with `accountId`. The response carries the token in
+ * `token`, the only time it can be read.
+ */
+
+router.post('/', function(req, res, next) {
+  var body = req.body || {};
+  manageable(req, function(err, accounts) {
+    if (err) {
+      return next(err);
+    }
+    var account = body.accountId ? accounts[body.accountId] : req.account;
+    if (!account) {
+      return next(http.invalid({ accountId: 'Tokens can only be created for yourself or a service account' }));
+    }
+    if (account.status !== 'active') {
+      return next(http.invalid({ accountId: 'Account ' + account.username + ' is disabled' }));
+    }
+    validate(body, account, function(err, values) {
+      if (err) {
+        return next(err);
+      }
+      tokens.issue(account, values, function(err, record, token) {
+        if (err) {
+          return next(err);
+        }
+        audit.record(req, 'token', record.id, 'create', null, record, function(err) {
+          if (err) {
+            return next(err);
+          }
+          respond(res, [Object.assign(present(record, account), { token: token })], 1, 201);
+        });
+      });
+    });
+  });
+});
+
+/* DELETE a token, revoking it. */
+router.delete('/:id', function(req, res, next) {
+  manageable(req, function(err, accounts) {
+    if (err) {
+      return next(err);
+    }
+    db.tokens.get(req.params.id, function(err, token) {
+      if (err) {
+        return next(err);
+      }
+      // tokens of others are not found rather than forbidden
+      if (!token || !accounts[token.accountId]) {
+        return next(notFound(req.params.id));
+      }
+      db.tokens.remove(token.id, function(err) {
+        if (err) {
+          return next(err);
+        }
+        audit.record(req, 'token', token.id, 'delete', token, null, function(err) {
+          if (err) {
+            return next(err);
+          }
+          respond(res, [], 0);
+        });
+      });
+    });
+  });
+});
+
+module.exports = router;
@@ -1,9 +1,177 @@
 var express = require('express');
+var db = require('../db');
+var memberships = require('../db/memberships');
+var people = db.people;
+var listQuery = require('../db/query').middleware;
+var access = require('../lib/access');
+var audit = require('../lib/audit');
+var http = require('../lib/http');
+var helpers = require('../lib/people');
+var schema = require('../lib/schema');
+var trash = require('../lib/trash');
+var versions = require('../lib/versions');
+var httpError = http.httpError;
+var respond = http.respond;
+var pick = http.pick;
 var router = express.Router();
 
+var SCHEMA = helpers.SCHEMA;
+
+var FIELDS = helpers.FIELDS;
+
+var QUERYABLE = helpers.QUERYABLE;
+
+var SEARCHABLE = helpers.SEARCHABLE;
+
+function notFound(id) {
+  return httpError(404, 'Person ' + id + ' not found');
+}
+
+/**
+ * Check that the manager a request sets is someone else who exists; the
+ * schema only checks the type. `id` is the person being changed, if any.
+ */
+
+function checkManager(values, id, callback) {
+  if (!values.managerId) {
+    return process.nextTick(callback, null, values);
+  }
+  if (values.managerId === id) {
+    return process.nextTick(callback, http.invalid({ managerId: 'A person cannot be their own manager' }));
+  }
+  people.get(values.managerId, function(err, manager) {
+    if (!err && !manager) {
+      err = http.invalid({ managerId: 'Manager ' + values.managerId + ' not found' });
+    }
+    callback(err, values);
+  });
+}
+
 /* GET users listing. */
-router.get('/', function(req, res, next) {
-  res.send('respond with a resource');
+router.get('/', listQuery({ fields: QUERYABLE, search: SEARCHABLE }), function(req, res, next) {
+  people.list(req.listQuery, function(err, result) {
+    if (err) {
+      return next(err);
+    }
+    respond(res, result.items, result.total);
+  });
+});
+
+/**
+ * Deleted people stay in the trash, with their group memberships, until they
+ * are restored or purged.
+ */
+
+router.use('/trash', trash.router({
+  repository: people,
+  entity: 'person',
+  name: 'Person',
+  permission: 'write:users',
+  fields: QUERYABLE,
+  search: SEARCHABLE,
+  purge: function(person, callback) {
+    // MariaDB cascades this on its own, the in-memory driver does not
+    memberships.removeWhere(db.memberships, { personId: person.id }, callback);
+  }
+}));
+
+/* GET a single user. */
+router.get('/:id', function(req, res, next) {
+  people.get(req.params.id, function(err, person) {
+    if (err) {
+      return next(err);
+    }
+    if (!person) {
+      return next(notFound(req.params.id));
+    }
+    versions.tag(res, person);
+    respond(res, [person], 1);
+  });
+});
+
+/* POST a new user. */
+router.post('/', access.allow('write:users'), schema.body(SCHEMA), function(req, res, next) {
+  checkManager(pick(req.body, FIELDS, false), null, function(err, values) {
+    if (err) {
+      return next(err);
+    }
+    people.create(values, function(err, person) {
+      if (err) {
+        return next(err);
+      }
+      audit.record(req, 'person', person.id, 'create', null, person, function(err) {
+        if (err) {
+          return next(err);
+        }
+        versions.tag(res, person);
+        respond(res, [person], 1, 201);
+      });
+    });
+  });
+});
+
+/**
+ * PUT replaces every writable field, PATCH only touches the fields sent.
+ * Either answers 409 when `If-Match` names an outdated version.
+ */
+
+function update(partial) {
+  return function(req, res, next) {
+    people.get(req.params.id, function(err, before) {
+      if (err) {
+        return next(err);
+      }
+      if (!before) {
+        return next(notFound(req.params.id));
+      }
+      checkManager(pick(req.body, FIELDS, partial), before.id, function(err, values) {
+        if (err) {
+          return next(err);
+        }
+        people.update(before.id, values, versions.expected(req), function(err, person) {
+          if (err) {
+            return next(err.code === 'version_conflict' ? versions.conflict(res, err, 'Person ' + req.params.id) : err);
+          }
+          if (!person) {
+            return next(notFound(req.params.id));
+          }
+          audit.record(req, 'person', person.id, 'update', before, person, function(err) {
+            if (err) {
+              return next(err);
+            }
+            versions.tag(res, person);
+            respond(res, [person], 1);
+          });
+        });
+      });
+    });
+  };
+}
+
+router.put('/:id', access.allow('write:users'), schema.body(SCHEMA), update(false));
+router.patch('/:id', access.allow('write:users'), schema.body(SCHEMA), update(true));
+
+/* DELETE a user, moving them to the trash. */
+router.delete('/:id', access.allow('write:users'), function(req, res, next) {
+  people.get(req.params.id, function(err, person) {
+    if (err) {
+      return next(err);
+    }
+    if (!person) {
+      return next(notFound(req.params.id));
+    }
+    people.remove(person.id, function(err) {
+      if (err) {
+        return next(err);
+      }
+      audit.record(req, 'person', person.id, 'delete', person, null, function(err) {
+        if (err) {
+          return next(err);
+        }
+        respond(res, [], 0);
+      });
+    });
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,84 @@
+var express = require('express');
+var db = require('../db');
+var listQuery = require('../db/query').middleware;
+var access = require('../lib/access');
+var http = require('../lib/http');
+var helpers = require('../lib/people');
+var session = require('../lib/session');
+var vcard = require('../lib/vcard');
+var httpError = http.httpError;
+var people = db.people;
+var router = express.Router();
+
+/**
+ * Contact cards of people for address books and phones, see lib/vcard.js:
+ * `/users/:id.vcf` for one person and `/users.vcf` for everybody the `sort`,
+ * `filter` and `query` parameters of the personnel list match. `version` is
+ * 3.0 (the default) or 4.0.
+ *
+ * These routes sit next to /users rather than in it, as `/users.vcf` is no
+ * path below it.
+ */
+
+var BATCH = 500;
+
+var guard = [session.required, access.allow('read:users')];
+
+function checkVersion(req, res, next) {
+  var version = req.query.version || '3.0';
+  if (vcard.VERSIONS.indexOf(version) === -1) {
+    return next(http.invalid({ version: 'Version must be one of ' + vcard.VERSIONS.join(', ') }));
+  }
+  req.vcardVersion = version;
+  next();
+}
+
+/**
+ * A file name from the name of a person.
+ */
+
+function fileName(person) {
+  var name = [person.firstName, person.lastName].join(' ').replace(/[^\w. -]+/g, '').trim();
+  return (name || 'person-' + person.id) + '.vcf';
+}
+
+/* GET the cards of people. */
+router.get('/users.vcf', guard, checkVersion, listQuery({
+  fields: helpers.QUERYABLE,
+  search: helpers.SEARCHABLE
+}), function(req, res, next) {
+  res.attachment('people.vcf');
+  res.set('Content-Type', vcard.CONTENT_TYPE);
+  people.eachBatch(req.listQuery, BATCH, function(items, done) {
+    var text = items.map(function(person) {
+      return vcard.format(person, req.vcardVersion);
+    }).join('');
+    if (res.write(text)) {
+      return process.nextTick(done);
+    }
+    http.drain(res, done);
+  }, function(err) {
+    if (err) {
+      // the client went away, or it is too late for an error response
+      return res.destroyed ? null : next(err);
+    }
+    res.end();
+  });
+});
+
+/* GET the card of a person. */
+router.get('/users/:id.vcf', guard, checkVersion, function(req, res, next) {
+  people.get(req.params.id, function(err, person) {
+    if (err) {
+      return next(err);
+    }
+    if (!person) {
+      return next(httpError(404, 'Person ' + req.params.id + ' not found'));
+    }
+    res.attachment(fileName(person));
+    res.set('Content-Type', vcard.CONTENT_TYPE);
+    res.send(vcard.format(person, req.vcardVersion));
+  });
+});
+
+module.exports = router;
@@ -10,13 +10,10 @@ Ext.application({
 
     requires: [
         'demo.view.main.Main'
-    ],
+    ]
 
-    // The name of the initial view to create. With the classic toolkit this class
-    // will gain a "viewport" plugin if it does not extend Ext.Viewport. With the
-    // modern toolkit, the main view will be added to the Viewport.
-    //
-    mainView: 'demo.view.main.Main'
+    // The main view (demo.view.main.Main) is created by demo.Application#launch
+    // once the preferences it depends on are loaded.
 
     //-------------------------------------------------------------------------
     // Most customizations should be made to demo.Application. If you need to
@@ -8,12 +8,105 @@ Ext.define('demo.Application', {
     
     name: 'demo',
 
+    requires: [
+        'demo.util.Api',
+        'demo.util.Preferences',
+        'demo.util.Session',
+        'demo.view.login.Login'
+    ],
+
     stores: [
         // TODO: add global / shared stores here
     ],
-    
+
+    /**
+     * Shows the login unless the browser has a session already.
+     */
     launch: function () {
-        // TODO - Launch the application
+        Ext.Ajax.on('requestexception', this.onRequestException, this);
+
+        demo.util.Session.check(function (loggedIn) {
+            if (loggedIn) {
+                this.start();
+            } else {
+                this.showLogin();
+            }
+        }, this);
+    },
+
+    /**
+     * Applies the preferences of the account and then shows the main view, as
+     * views and stores pick up the page size, date format and the like when
+     * they are created.
+     */
+    start: function () {
+        demo.util.Preferences.load('me', function (reload) {
+            if (reload) {
+                // another theme means another build
+                window.location.reload();
+                return;
+            }
+            this.showMainView();
+        }, this);
+    },
+
+    /**
+     * Creates the main view. In classic it becomes the viewport, in modern it
+     * is added to the viewport.
+     */
+    showMainView: function () {
+        this.setMainView('demo.view.main.Main');
+
+        if (this.viewport) {
+            this.viewport.add(this.getMainView());
+        }
+    },
+
+    /**
+     * Shows the login, on top of the main view when the session expired while
+     * working.
+     */
+    showLogin: function () {
+        var login;
+
+        if (this.login) {
+            return;
+        }
+        login = this.login = Ext.create({
+            xtype: 'login',
+            listeners: {
+                login: this.onLogin,
+                scope: this
+            }
+        });
+
+        if (this.viewport) {
+            this.viewport.add(login);
+        }
+        login.show();
+    },
+
+    onLogin: function (login, account, previous) {
+        login.destroy();
+        this.login = null;
+
+        if (!this.getMainView()) {
+            this.start();
+        } else if (previous && previous.getId() !== account.getId()) {
+            // the views show what the previous account was allowed to see
+            window.location.reload();
+        }
+    },
+
+    /**
+     * A 401 means the session expired or was ended, so ask for the password.
+     * Stores keep their pending changes and send them after the login.
+     */
+    onRequestException: function (connection, response, options) {
+        if (response.status === 401 && !options.ignoreUnauthorized) {
+            demo.util.Session.expire();
+            this.showLogin();
+        }
     },
 
     onAppUpdate: function () {
@@ -0,0 +1,81 @@
+/**
+ * REST proxy for the Express backend. Resolves relative URLs against
+ * {@link demo.util.Api#baseUrl} and reads the `{ success, items, total }`
+ * envelope the backend answers with.
+ */
+Ext.define('demo.data.proxy.Api', {
+    extend: 'Ext.data.proxy.Rest',
+
+    alias: 'proxy.api',
+
+    requires: [
+        'demo.util.Api'
+    ],
+
+    reader: {
+        type: 'json',
+        rootProperty: 'items',
+        totalProperty: 'total',
+        successProperty: 'success',
+        messageProperty: 'message'
+    },
+
+    writer: {
+        type: 'json',
+        writeAllFields: false
+    },
+
+    // send the session cookie to the backend on its other port
+    withCredentials: true,
+
+    // The writer only sends changed fields, which the backend merges with PATCH
+    // while PUT would reset the fields left out.
+    actionMethods: {
+        create: 'POST',
+        read: 'GET',
+        update: 'PATCH',
+        destroy: 'DELETE'
+    },
+
+    /**
+     * Updates of records with a `version` send it as `If-Match`, so the
+     * backend answers 409 rather than overwriting what someone else changed
+     * in the meantime.
+     * @private
+     */
+    sendRequest: function (request) {
+        var operation = request.getOperation(),
+            record = operation && operation.isUpdateOperation && operation.getRecords()[0],
+            version = record && record.get('version');
+
+        if (version) {
+            request.setHeaders(Ext.apply({ 'If-Match': '"' + version + '"' }, request.getHeaders()));
+        }
+        return this.callParent([request]);
+    },
+
+    buildUrl: function (request) {
+        var url = this.callParent([request]);
+
+        return /^https?:/.test(url) ? url : demo.util.Api.url(url);
+    },
+
+    /**
+     * Keeps the error the backend sent along with the HTTP status so views
+     * can show the message and mark the fields listed in `errors`.
+     * @private
+     */
+    setException: function (operation, response) {
+        var body = demo.util.Api.decodeResponse(response);
+
+        operation.setException({
+            status: response.status,
+            statusText: response.statusText,
+            message: body && body.message,
+            code: body && body.code,
+            errors: body && body.errors,
+            requestId: body && body.requestId,
+            response: response
+        });
+    }
+});
@@ -0,0 +1,34 @@
+/**
+ * Reports the error the backend sent for a field (see
+ * {@link demo.model.Base#setServerErrors}) for as long as the field keeps the
+ * value the backend rejected, so forms bound with `modelValidation` mark it
+ * like any other invalid input.
+ *
+ *     validators: {
+ *         email: [
+ *             { type: 'email' },
+ *             { type: 'server', field: 'email' }
+ *         ]
+ *     }
+ */
+Ext.define('demo.data.validator.Server', {
+    extend: 'Ext.data.validator.Validator',
+
+    alias: 'data.validator.server',
+
+    type: 'server',
+
+    config: {
+        /**
+         * @cfg {String} field
+         * The name of the field the validator belongs to.
+         */
+        field: null
+    },
+
+    validate: function (value, record) {
+        var error = record && record.serverErrors && record.serverErrors[this.getField()];
+
+        return error && error.value === value ? error.message : true;
+    }
+});
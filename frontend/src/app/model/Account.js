@@ -0,0 +1,108 @@
+/**
+ * An application account, stored through the backend `/accounts` resource.
+ * `roles` is an array of role names and `permissions` lists what they grant,
+ * such as `write:users`. `password` is only sent when the account
+ * is created; later changes go through {@link #resetPassword}. Service
+ * accounts (`kind` `service`) have no password, scripts use them through API
+ * keys.
+ */
+Ext.define('demo.model.Account', {
+    extend: 'demo.model.Base',
+
+    requires: [
+        'Ext.data.validator.Format',
+        'Ext.data.validator.Inclusion',
+        'Ext.data.validator.Length',
+        'Ext.data.validator.Presence',
+        'demo.util.Api'
+    ],
+
+    fields: [
+        { name: 'username', type: 'string' },
+        { name: 'displayName', type: 'string' },
+        { name: 'kind', type: 'string', defaultValue: 'person' },
+        { name: 'password', type: 'string' },
+        {
+            name: 'personId',
+            type: 'int',
+            allowNull: true,
+            reference: {
+                type: 'Person',
+                role: 'person',
+                inverse: 'accounts'
+            }
+        },
+        { name: 'personName', type: 'string', persist: false },
+        { name: 'roles', type: 'auto', defaultValue: [] },
+        { name: 'permissions', type: 'auto', defaultValue: [], persist: false },
+        { name: 'status', type: 'string', defaultValue: 'active' },
+        { name: 'lastLoginAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false },
+        { name: 'createdAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false }
+    ],
+
+    validators: {
+        username: [
+            { type: 'presence', message: 'Username is required' },
+            {
+                type: 'format',
+                matcher: /^[a-z0-9._-]{3,64}$/i,
+                message: 'Username must be 3 to 64 letters, digits, dots, dashes or underscores'
+            }
+        ],
+        displayName: [
+            { type: 'presence', message: 'Display name is required' },
+            { type: 'length', max: 255, maxOnlyMessage: 'Display name must not be longer than {0} characters' }
+        ],
+        password: {
+            type: 'format',
+            // only set for new accounts, so an empty value passes
+            matcher: /^(.{8,})?$/,
+            message: 'Password must be at least 8 characters'
+        },
+        status: { type: 'inclusion', list: ['active', 'disabled'], message: 'Status must be active or disabled' }
+    },
+
+    proxy: {
+        type: 'api',
+        url: '/accounts'
+    },
+
+    /**
+     * Returns whether the account may log in.
+     * @return {Boolean}
+     */
+    isActive: function () {
+        return this.get('status') === 'active';
+    },
+
+    /**
+     * Returns whether this is a service account.
+     * @return {Boolean}
+     */
+    isService: function () {
+        return this.get('kind') === 'service';
+    },
+
+    /**
+     * Replaces the password of the account. Without a `password` the server
+     * generates one and passes it to the `success` callback.
+     * @param {String} [password]
+     * @param {Object} callbacks `success(password)` and `failure(response)`,
+     * called with `scope`.
+     */
+    resetPassword: function (password, callbacks) {
+        demo.util.Api.request({
+            url: '/accounts/' + this.getId() + '/password',
+            method: 'POST',
+            jsonData: password ? { password: password } : {},
+            success: function (response) {
+                var body = demo.util.Api.decodeResponse(response);
+
+                Ext.callback(callbacks.success, callbacks.scope, [body && body.password]);
+            },
+            failure: function (response) {
+                Ext.callback(callbacks.failure, callbacks.scope, [response]);
+            }
+        });
+    }
+});
@@ -0,0 +1,37 @@
+/**
+ * An entry of the audit trail, read from the backend `/audit` resource.
+ * `changes` maps the changed fields to `{ from, to }`; `reverts` is the id of
+ * the entry a revert undid. Entries cannot be changed.
+ */
+Ext.define('demo.model.AuditEntry', {
+    extend: 'demo.model.Base',
+
+    fields: [
+        { name: 'occurredAt', type: 'date', dateFormat: 'Y-m-d H:i:s' },
+        { name: 'accountId', type: 'int', allowNull: true },
+        { name: 'actor', type: 'string' },
+        { name: 'entity', type: 'string' },
+        { name: 'entityId', type: 'string' },
+        { name: 'action', type: 'string' },
+        { name: 'changes', type: 'auto', defaultValue: {} },
+        { name: 'reverts', type: 'int', allowNull: true },
+        { name: 'requestId', type: 'string' },
+        {
+            // one line per changed field, e.g. `title: "Engineer" → "Manager"`
+            name: 'summary',
+            depends: ['changes'],
+            calculate: function (data) {
+                return Ext.Array.map(Ext.Object.getKeys(data.changes || {}), function (field) {
+                    var change = data.changes[field];
+
+                    return field + ': ' + Ext.encode(change.from) + ' → ' + Ext.encode(change.to);
+                }).join('\n');
+            }
+        }
+    ],
+
+    proxy: {
+        type: 'api',
+        url: '/audit'
+    }
+});
@@ -0,0 +1,86 @@
+/**
+ * Base class of the application's models. It configures the schema they share:
+ * entities are named relative to `demo.model` and, unless a model says
+ * otherwise, are stored through the backend REST API.
+ */
+Ext.define('demo.model.Base', {
+    extend: 'Ext.data.Model',
+
+    requires: [
+        'demo.data.proxy.Api'
+    ],
+
+    fields: [
+        { name: 'id', type: 'int' }
+    ],
+
+    // Records created on the client get negative ids until the server assigns one.
+    identifier: 'negative',
+
+    /**
+     * @property {Object} serverErrors
+     * The field errors the backend reported, keyed by field name, each with
+     * the rejected `value` and the `message`. Read by
+     * {@link demo.data.validator.Server}.
+     * @readonly
+     */
+    serverErrors: null,
+
+    schema: {
+        namespace: 'demo.model',
+        proxy: {
+            type: 'api',
+            url: '/{entityName:lowercase}s'
+        }
+    },
+
+    /**
+     * Checks values against this record's validators without applying them,
+     * so editors can reject input before it reaches the record or the store.
+     * @param {Object} values New field values, keyed by field name.
+     * @return {Object} Error messages keyed by field name, empty when valid.
+     */
+    checkValues: function (values) {
+        var copy = this.copy(),
+            validation, errors, name;
+
+        copy.serverErrors = this.serverErrors;
+        copy.set(values);
+        validation = copy.getValidation().getData();
+        errors = {};
+
+        for (name in validation) {
+            if (validation[name] !== true) {
+                errors[name] = validation[name];
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Keeps the field errors of a failed save, e.g. the `errors` of
+     * {@link demo.util.Api#getFieldErrors}, and revalidates the record so
+     * bound forms show them. Each error goes away once its field changes.
+     * @param {Object} errors Error messages keyed by field name.
+     */
+    setServerErrors: function (errors) {
+        var me = this,
+            rejected = {};
+
+        Ext.Object.each(errors || {}, function (name, message) {
+            if (me.getField(name)) {
+                rejected[name] = {
+                    value: me.get(name),
+                    message: message
+                };
+            }
+        });
+
+        me.serverErrors = rejected;
+        me.getValidation(true);
+        // Tells bindings and stores that the record changed, as a commit does,
+        // without making stores save it again.
+        me.callJoined('afterCommit', [null]);
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * A group of people, stored through the backend `/groups` resource.
+ * `memberIds` holds the ids of the members; saving it replaces the members.
+ */
+Ext.define('demo.model.Group', {
+    extend: 'demo.model.Base',
+
+    requires: [
+        'Ext.data.validator.Length',
+        'Ext.data.validator.Presence'
+    ],
+
+    fields: [
+        { name: 'name', type: 'string' },
+        { name: 'description', type: 'string' },
+        { name: 'memberIds', type: 'auto', defaultValue: [] },
+        { name: 'memberCount', type: 'int', persist: false },
+        // sent back as If-Match by the proxy, the backend counts it up
+        { name: 'version', type: 'int', allowNull: true, persist: false },
+        { name: 'createdAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false },
+        // set on groups in the trash
+        { name: 'deletedAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false }
+    ],
+
+    validators: {
+        name: [
+            { type: 'presence', message: 'Name is required' },
+            { type: 'length', max: 100, maxOnlyMessage: 'Name must not be longer than {0} characters' }
+        ]
+    },
+
+    proxy: {
+        type: 'api',
+        url: '/groups'
+    }
+});
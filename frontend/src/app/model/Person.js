@@ -0,0 +1,102 @@
+/**
+ * A member of the personnel directory, stored through the backend `/users`
+ * resource. The validators run in both toolkits, so the classic and modern
+ * views reject the same input before anything is sent to the server. The
+ * `server` validators show what the backend rejected anyway.
+ */
+Ext.define('demo.model.Person', {
+    extend: 'demo.model.Base',
+
+    requires: [
+        'Ext.data.validator.Email',
+        'Ext.data.validator.Format',
+        'Ext.data.validator.Length',
+        'Ext.data.validator.Presence',
+        'demo.data.validator.Server'
+    ],
+
+    fields: [
+        { name: 'firstName', type: 'string' },
+        { name: 'lastName', type: 'string' },
+        { name: 'email', type: 'string' },
+        { name: 'phone', type: 'string' },
+        { name: 'department', type: 'string' },
+        { name: 'title', type: 'string' },
+        { name: 'photoUrl', type: 'string', allowNull: true },
+        { name: 'hireDate', type: 'date', dateFormat: 'Y-m-d', allowNull: true },
+        {
+            name: 'managerId',
+            type: 'int',
+            allowNull: true,
+            reference: {
+                type: 'Person',
+                role: 'manager',
+                inverse: 'reports'
+            }
+        },
+        // sent back as If-Match by the proxy, the backend counts it up
+        { name: 'version', type: 'int', allowNull: true, persist: false },
+        // set on people in the trash
+        { name: 'deletedAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false },
+        {
+            name: 'name',
+            persist: false,
+            depends: ['firstName', 'lastName'],
+            calculate: function (data) {
+                return Ext.String.trim((data.firstName || '') + ' ' + (data.lastName || ''));
+            }
+        }
+    ],
+
+    validators: {
+        firstName: [
+            { type: 'presence', message: 'First name is required' },
+            { type: 'length', max: 100, maxOnlyMessage: 'First name must not be longer than {0} characters' },
+            { type: 'server', field: 'firstName' }
+        ],
+        lastName: [
+            { type: 'presence', message: 'Last name is required' },
+            { type: 'length', max: 100, maxOnlyMessage: 'Last name must not be longer than {0} characters' },
+            { type: 'server', field: 'lastName' }
+        ],
+        email: [
+            { type: 'presence', message: 'Email is required' },
+            { type: 'email', message: 'Email must be a valid email address' },
+            { type: 'length', max: 255, maxOnlyMessage: 'Email must not be longer than {0} characters' },
+            { type: 'server', field: 'email' }
+        ],
+        phone: [{
+            type: 'format',
+            // optional, so an empty value passes
+            matcher: /^(\+?[\d\s().\-\/]{3,32})?$/,
+            message: 'Phone must be a phone number such as 555-111-1111'
+        }, {
+            type: 'server',
+            field: 'phone'
+        }],
+        department: [
+            { type: 'length', max: 255, maxOnlyMessage: 'Department must not be longer than {0} characters' },
+            { type: 'server', field: 'department' }
+        ],
+        title: [
+            { type: 'length', max: 255, maxOnlyMessage: 'Title must not be longer than {0} characters' },
+            { type: 'server', field: 'title' }
+        ],
+        photoUrl: [{
+            type: 'format',
+            // optional, so an empty value passes
+            matcher: /^(https?:\/\/\S+)?$/i,
+            message: 'Photo must be a web address such as https://example.com/photo.jpg'
+        }, {
+            type: 'server',
+            field: 'photoUrl'
+        }],
+        hireDate: { type: 'server', field: 'hireDate' },
+        managerId: { type: 'server', field: 'managerId' }
+    },
+
+    proxy: {
+        type: 'api',
+        url: '/users'
+    }
+});
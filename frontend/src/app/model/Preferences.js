@@ -0,0 +1,38 @@
+/**
+ * Preferences of the Settings tab, stored through the backend `/settings`
+ * resource. The id is the scope: `defaults` for the global defaults or the id
+ * of an account. The values are the effective ones, so preferences the scope
+ * does not set itself show the defaults; `overridden` lists the others.
+ */
+Ext.define('demo.model.Preferences', {
+    extend: 'demo.model.Base',
+
+    requires: [
+        'Ext.data.validator.Range',
+        'demo.data.validator.Server'
+    ],
+
+    fields: [
+        { name: 'id', type: 'string' },
+        { name: 'pageSize', type: 'int' },
+        { name: 'sortProperty', type: 'string' },
+        { name: 'sortDirection', type: 'string' },
+        { name: 'dateFormat', type: 'string' },
+        { name: 'locale', type: 'string' },
+        { name: 'theme', type: 'string' },
+        { name: 'personnelColumns', type: 'auto' },
+        { name: 'overridden', type: 'auto', persist: false }
+    ],
+
+    validators: {
+        pageSize: [
+            { type: 'range', min: 5, max: 1000, bothMessage: 'Page size must be between {0} and {1}' },
+            { type: 'server', field: 'pageSize' }
+        ]
+    },
+
+    proxy: {
+        type: 'api',
+        url: '/settings'
+    }
+});
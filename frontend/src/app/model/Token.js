@@ -0,0 +1,48 @@
+/**
+ * A personal access token or the API key of a service account, stored through
+ * the backend `/tokens` resource. Tokens are only created and deleted, which
+ * revokes them. `token` holds the secret right after it was created; the
+ * backend does not hand it out again.
+ */
+Ext.define('demo.model.Token', {
+    extend: 'demo.model.Base',
+
+    requires: [
+        'Ext.data.validator.Length',
+        'Ext.data.validator.Presence',
+        'Ext.data.validator.Range'
+    ],
+
+    fields: [
+        { name: 'name', type: 'string' },
+        { name: 'accountId', type: 'int', allowNull: true },
+        { name: 'accountName', type: 'string', persist: false },
+        { name: 'kind', type: 'string', persist: false },
+        { name: 'prefix', type: 'string', persist: false },
+        { name: 'scopes', type: 'auto', defaultValue: [] },
+        { name: 'expiresInDays', type: 'int', defaultValue: 90 },
+        { name: 'expiresAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false },
+        { name: 'lastUsedAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false },
+        { name: 'createdAt', type: 'date', dateFormat: 'Y-m-d H:i:s', allowNull: true, persist: false },
+        { name: 'expired', type: 'boolean', persist: false },
+        { name: 'token', type: 'string', persist: false }
+    ],
+
+    validators: {
+        name: [
+            { type: 'presence', message: 'Name is required' },
+            { type: 'length', max: 100, maxOnlyMessage: 'Name must not be longer than {0} characters' }
+        ],
+        expiresInDays: {
+            type: 'range',
+            min: 1,
+            max: 365,
+            bothMessage: 'Tokens expire after {0} to {1} days'
+        }
+    },
+
+    proxy: {
+        type: 'api',
+        url: '/tokens'
+    }
+});
@@ -0,0 +1,16 @@
+Ext.define('demo.store.Accounts', {
+    extend: 'demo.store.Base',
+
+    alias: 'store.accounts',
+
+    requires: [
+        'demo.model.Account'
+    ],
+
+    model: 'demo.model.Account',
+
+    autoLoad: true,
+    autoSync: true,
+
+    sorters: ['username']
+});
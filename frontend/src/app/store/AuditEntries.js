@@ -0,0 +1,23 @@
+/**
+ * Entries of the audit trail, newest first. Views filter it to the entity they
+ * show the history of before loading it.
+ */
+Ext.define('demo.store.AuditEntries', {
+    extend: 'demo.store.Base',
+
+    alias: 'store.auditentries',
+
+    requires: [
+        'demo.model.AuditEntry'
+    ],
+
+    model: 'demo.model.AuditEntry',
+
+    sorters: [{
+        property: 'occurredAt',
+        direction: 'DESC'
+    }, {
+        property: 'id',
+        direction: 'DESC'
+    }]
+});
@@ -0,0 +1,83 @@
+/**
+ * Base class for stores backed by a collection resource of the backend.
+ * Sorting, filtering and paging happen on the server.
+ */
+Ext.define('demo.store.Base', {
+    extend: 'Ext.data.Store',
+
+    requires: [
+        'demo.data.proxy.Api',
+        'demo.util.Api',
+        'demo.util.Preferences',
+        'demo.util.Session'
+    ],
+
+    remoteSort: true,
+    remoteFilter: true,
+
+    /**
+     * Pages have the size from the preferences unless the store is configured
+     * with a `pageSize`.
+     */
+    constructor: function (config) {
+        this.callParent([Ext.apply({
+            pageSize: demo.util.Preferences.get('pageSize')
+        }, config)]);
+
+        this.sessionListeners = demo.util.Session.on({
+            login: this.onLogin,
+            scope: this,
+            destroyable: true
+        });
+    },
+
+    destroy: function () {
+        Ext.destroy(this.sessionListeners);
+        this.callParent();
+    },
+
+    /**
+     * @event writeexception
+     * Fires when saving changes to the server failed.
+     * @param {demo.store.Base} store
+     * @param {Ext.data.operation.Operation} operation The failed operation.
+     */
+
+    /**
+     * Sends pending changes unless a modified record fails its model's
+     * validators. The changes then stay pending until they are corrected, so
+     * views can show the problems reported by {@link Ext.data.Model#getValidation}.
+     */
+    sync: function (options) {
+        var me = this,
+            invalid = Ext.Array.filter(me.getModifiedRecords(), function (record) {
+                return !record.isValid();
+            });
+
+        if (invalid.length) {
+            return me;
+        }
+        return me.callParent([options]);
+    },
+
+    /**
+     * Changes that failed because the session expired stay pending, they are
+     * sent again once the user logged in.
+     */
+    onBatchException: function (batch, operation) {
+        this.callParent(arguments);
+
+        if (!demo.util.Api.isUnauthorized(operation.getError())) {
+            this.fireEvent('writeexception', this, operation);
+        }
+    },
+
+    /**
+     * @private
+     */
+    onLogin: function () {
+        if (this.getModifiedRecords().length || this.getRemovedRecords().length) {
+            this.sync();
+        }
+    }
+});
@@ -0,0 +1,16 @@
+Ext.define('demo.store.Groups', {
+    extend: 'demo.store.Base',
+
+    alias: 'store.groups',
+
+    requires: [
+        'demo.model.Group'
+    ],
+
+    model: 'demo.model.Group',
+
+    autoLoad: true,
+    autoSync: true,
+
+    sorters: ['name']
+});
@@ -1,24 +1,31 @@
 Ext.define('demo.store.Personnel', {
-    extend: 'Ext.data.Store',
+    extend: 'demo.store.Base',
 
     alias: 'store.personnel',
 
-    fields: [
-        'name', 'email', 'phone'
+    requires: [
+        'demo.model.Person'
     ],
 
-    data: { items: [
-        { name: 'Jean Luc', email: "jeanluc.picard@enterprise.com", phone: "555-111-1111" },
-        { name: 'Worf',     email: "worf.moghsson@enterprise.com",  phone: "555-222-2222" },
-        { name: 'Deanna',   email: "deanna.troi@enterprise.com",    phone: "555-333-3333" },
-        { name: 'Data',     email: "mr.data@enterprise.com",        phone: "555-444-4444" }
-    ]},
+    model: 'demo.model.Person',
 
-    proxy: {
-        type: 'memory',
-        reader: {
-            type: 'json',
-            rootProperty: 'items'
-        }
+    autoLoad: true,
+    autoSync: true,
+
+    /**
+     * Sorts by the column chosen in the preferences, then by name.
+     */
+    constructor: function (config) {
+        var Preferences = demo.util.Preferences,
+            property = Preferences.get('sortProperty'),
+            sorters = [{ property: property, direction: Preferences.get('sortDirection') }];
+
+        Ext.Array.forEach(['lastName', 'firstName'], function (name) {
+            if (name !== property) {
+                sorters.push({ property: name, direction: 'ASC' });
+            }
+        });
+
+        this.callParent([Ext.apply({ sorters: sorters }, config)]);
     }
 });
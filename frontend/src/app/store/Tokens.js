@@ -0,0 +1,25 @@
+/**
+ * Access tokens the account may manage. The backend sends all of them at
+ * once and the list is sorted locally. It is not synced automatically, new
+ * tokens are saved one by one to read their secret.
+ */
+Ext.define('demo.store.Tokens', {
+    extend: 'demo.store.Base',
+
+    alias: 'store.tokens',
+
+    requires: [
+        'demo.model.Token'
+    ],
+
+    model: 'demo.model.Token',
+
+    autoLoad: true,
+
+    remoteSort: false,
+
+    sorters: [{
+        property: 'createdAt',
+        direction: 'DESC'
+    }]
+});
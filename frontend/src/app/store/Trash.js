@@ -0,0 +1,15 @@
+/**
+ * What is in the trash of a backend resource, most recently deleted first.
+ * Configure it with the `model` and a `proxy` for the trash, such as
+ * `/users/trash`.
+ */
+Ext.define('demo.store.Trash', {
+    extend: 'demo.store.Base',
+
+    alias: 'store.trash',
+
+    sorters: [{
+        property: 'deletedAt',
+        direction: 'DESC'
+    }]
+});
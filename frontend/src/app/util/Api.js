@@ -0,0 +1,129 @@
+/**
+ * Helpers shared by everything that talks to the Express backend.
+ */
+Ext.define('demo.util.Api', {
+    singleton: true,
+
+    /**
+     * @property {String} baseUrl
+     * Root URL of the backend. It listens on port 3000 of the host serving the app.
+     */
+    baseUrl: window.location.protocol + '//' + window.location.hostname + ':3000',
+
+    /**
+     * Returns the absolute URL for a backend path such as `/users`.
+     * @param {String} path
+     * @return {String}
+     */
+    url: function (path) {
+        return this.baseUrl + path;
+    },
+
+    /**
+     * Sends an Ajax request to the backend, along with the session cookie.
+     * Takes the options of {@link Ext.data.Connection#request}, with `url`
+     * being a backend path. Set `ignoreUnauthorized` for requests whose 401
+     * must not bring up the login.
+     * @param {Object} options
+     * @return {Ext.data.request.Ajax}
+     */
+    request: function (options) {
+        return Ext.Ajax.request(Ext.apply({}, {
+            url: this.url(options.url),
+            withCredentials: true
+        }, options));
+    },
+
+    /**
+     * Downloads what the backend answers a GET with as an attachment, such
+     * as an export. The browser saves it as it arrives, so large files never
+     * sit in the page's memory.
+     * @param {String} path The backend path, with its query string.
+     */
+    download: function (path) {
+        var link = Ext.getBody().createChild({
+            tag: 'a',
+            href: this.url(path),
+            style: 'display: none'
+        });
+
+        link.dom.click();
+        link.destroy();
+    },
+
+    /**
+     * Returns whether an error or response means the session is gone.
+     * @param {Object} error An operation's error or an XHR response.
+     * @return {Boolean}
+     */
+    isUnauthorized: function (error) {
+        return !!error && (error.status === 401 || (!!error.response && error.response.status === 401));
+    },
+
+    /**
+     * Decodes the JSON body of a failed response, if it has one.
+     * @param {Object} response The XHR response.
+     * @return {Object} The decoded body or `null`.
+     */
+    decodeResponse: function (response) {
+        return (response && Ext.decode(response.responseText, true)) || null;
+    },
+
+    /**
+     * Returns a human readable message for an error reported by an operation
+     * (see {@link Ext.data.operation.Operation#getError}) or for an XHR response.
+     * Server errors name the request id the backend logged them with.
+     * @param {String/Object} error
+     * @return {String}
+     */
+    getErrorMessage: function (error) {
+        var body;
+
+        if (!error) {
+            return 'Unknown error';
+        }
+        if (Ext.isString(error)) {
+            return error;
+        }
+
+        body = error.message ? error : this.decodeResponse(error.response || error);
+
+        if (body && body.message) {
+            return body.message + (error.status >= 500 && body.requestId ? ' (request ' + body.requestId + ')' : '');
+        }
+        if (error.status === 0) {
+            return 'The server could not be reached';
+        }
+        return (error.status ? error.status + ' ' : '') + (error.statusText || 'Request failed');
+    },
+
+    /**
+     * Returns the field errors of a rejected request body, keyed by field
+     * name, as the backend sends them in `errors`. Takes an operation's
+     * error, an XHR response or the action of a failed
+     * {@link Ext.form.Basic#submit}, so forms can mark the fields:
+     *
+     *     failure: function (form, action) {
+     *         form.markInvalid(demo.util.Api.getFieldErrors(action));
+     *     }
+     *
+     * @param {Object} error
+     * @return {Object} The errors or `null` when the error is about no field.
+     */
+    getFieldErrors: function (error) {
+        var body;
+
+        if (!error || Ext.isString(error)) {
+            return null;
+        }
+        if (error.errors) {
+            body = error;
+        } else if (error.result && error.result.errors) {
+            body = error.result;
+        } else {
+            body = this.decodeResponse(error.response || error);
+        }
+
+        return (body && !Ext.Object.isEmpty(body.errors) && body.errors) || null;
+    }
+});
@@ -0,0 +1,163 @@
+/**
+ * The preferences in effect, loaded by {@link demo.Application#launch} before
+ * the main view is created. Views and stores read them when they are created.
+ */
+Ext.define('demo.util.Preferences', {
+    singleton: true,
+
+    requires: [
+        'demo.model.Preferences'
+    ],
+
+    /**
+     * @property {Object[]} columns
+     * Personnel grid columns that can be shown or hidden.
+     */
+    columns: [
+        { value: 'firstName', text: 'First Name' },
+        { value: 'lastName', text: 'Last Name' },
+        { value: 'email', text: 'Email' },
+        { value: 'phone', text: 'Phone' },
+        { value: 'department', text: 'Department' },
+        { value: 'title', text: 'Title' },
+        { value: 'hireDate', text: 'Hired' }
+    ],
+
+    dateFormats: [
+        { value: 'Y-m-d', text: '2016-03-31' },
+        { value: 'd.m.Y', text: '31.03.2016' },
+        { value: 'd/m/Y', text: '31/03/2016' },
+        { value: 'm/d/Y', text: '03/31/2016' }
+    ],
+
+    locales: [
+        { value: 'en-US', text: 'English (US)', thousandSeparator: ',', decimalSeparator: '.' },
+        { value: 'en-GB', text: 'English (UK)', thousandSeparator: ',', decimalSeparator: '.' },
+        { value: 'de-DE', text: 'Deutsch', thousandSeparator: '.', decimalSeparator: ',' },
+        { value: 'fr-FR', text: 'Français', thousandSeparator: ' ', decimalSeparator: ',' }
+    ],
+
+    themes: [
+        { value: 'triton', text: 'Triton' },
+        { value: 'neptune', text: 'Neptune' }
+    ],
+
+    /**
+     * @property {String} themeKey
+     * Local storage key of the theme. index.html reads it to pick the build
+     * profile, as themes cannot be switched without loading another build.
+     */
+    themeKey: 'demo-theme',
+
+    /**
+     * @property {Object} values
+     * The preferences in effect. Starts out with the built-in defaults of the
+     * backend.
+     */
+    values: {
+        pageSize: 25,
+        sortProperty: 'lastName',
+        sortDirection: 'ASC',
+        dateFormat: 'Y-m-d',
+        locale: 'en-US',
+        theme: 'triton',
+        personnelColumns: ['firstName', 'lastName', 'email', 'phone', 'department']
+    },
+
+    /**
+     * @property {String} scope
+     * The id of the {@link demo.model.Preferences} in effect.
+     */
+    scope: null,
+
+    /**
+     * Returns a preference in effect.
+     * @param {String} name
+     * @return {Object}
+     */
+    get: function (name) {
+        return this.values[name];
+    },
+
+    /**
+     * Loads and applies the preferences of a scope. The defaults stay in
+     * effect when they cannot be loaded.
+     * @param {String} id `defaults`, `me` or the id of an account.
+     * @param {Function} callback Called with `true` when the page has to be
+     * reloaded to switch the theme.
+     * @param {Object} [scope]
+     */
+    load: function (id, callback, scope) {
+        var me = this;
+
+        demo.model.Preferences.load(id, {
+            callback: function (record, operation, success) {
+                var reload = false;
+
+                if (success) {
+                    // `me` answers with the id of the account
+                    me.scope = record.getId();
+                    reload = me.apply(record.getData());
+                }
+                Ext.callback(callback, scope, [reload]);
+            }
+        });
+    },
+
+    /**
+     * Makes preferences the ones in effect.
+     * @param {Object} values
+     * @return {Boolean} `true` when the page has to be reloaded to switch the
+     * theme.
+     */
+    apply: function (values) {
+        var me = this,
+            locale = Ext.Array.findBy(me.locales, function (item) {
+                return item.value === values.locale;
+            }),
+            DateField = Ext.ClassManager.get('Ext.form.field.Date');
+
+        me.values = Ext.apply({}, values, me.values);
+
+        Ext.Date.defaultFormat = Ext.util.Format.defaultDateFormat = me.values.dateFormat;
+        if (DateField) {
+            // classic date fields keep their format on the prototype
+            DateField.prototype.format = me.values.dateFormat;
+        }
+
+        if (locale) {
+            Ext.util.Format.thousandSeparator = locale.thousandSeparator;
+            Ext.util.Format.decimalSeparator = locale.decimalSeparator;
+            document.documentElement.lang = locale.value;
+        }
+
+        return me.useTheme(me.values.theme);
+    },
+
+    /**
+     * Remembers the theme for the next page load.
+     * @private
+     * @param {String} theme
+     * @return {Boolean} `true` when the page shows another theme.
+     */
+    useTheme: function (theme) {
+        var storage = window.localStorage,
+            current;
+
+        if (!storage) {
+            return false;
+        }
+        current = storage.getItem(this.themeKey) || 'triton';
+        storage.setItem(this.themeKey, theme);
+        return current !== theme;
+    },
+
+    /**
+     * Returns whether a Personnel grid column should be shown.
+     * @param {String} dataIndex
+     * @return {Boolean}
+     */
+    isColumnVisible: function (dataIndex) {
+        return Ext.Array.contains(this.values.personnelColumns || [], dataIndex);
+    }
+});
@@ -0,0 +1,170 @@
+/**
+ * The login session with the backend. The session itself is a cookie the
+ * browser sends along; this class knows which account it belongs to.
+ */
+Ext.define('demo.util.Session', {
+    singleton: true,
+
+    mixins: [
+        'Ext.mixin.Observable'
+    ],
+
+    requires: [
+        'demo.model.Account',
+        'demo.util.Api'
+    ],
+
+    /**
+     * @event login
+     * Fires when an account logged in.
+     * @param {demo.util.Session} session
+     * @param {demo.model.Account} account
+     * @param {demo.model.Account} previous The account logged in before the
+     * session expired, if any.
+     */
+
+    /**
+     * @property {demo.model.Account} account
+     * The account that is logged in, or `null`.
+     */
+    account: null,
+
+    /**
+     * @property {demo.model.Account} previous
+     * The account whose session expired, kept until somebody logs in again.
+     * @private
+     */
+    previous: null,
+
+    constructor: function (config) {
+        this.mixins.observable.constructor.call(this, config);
+    },
+
+    /**
+     * Asks the backend whether the browser has a session already.
+     * @param {Function} callback Called with `true` when it has.
+     * @param {Object} [scope]
+     */
+    check: function (callback, scope) {
+        var me = this;
+
+        demo.util.Api.request({
+            url: '/auth/me',
+            method: 'GET',
+            ignoreUnauthorized: true,
+            success: function (response) {
+                me.account = me.readAccount(response);
+                Ext.callback(callback, scope, [!!me.account]);
+            },
+            failure: function () {
+                Ext.callback(callback, scope, [false]);
+            }
+        });
+    },
+
+    /**
+     * Logs in.
+     * @param {String} username
+     * @param {String} password
+     * @param {Object} callbacks `success(account, previous)` and
+     * `failure(message)`, called with `scope`.
+     */
+    login: function (username, password, callbacks) {
+        var me = this;
+
+        demo.util.Api.request({
+            url: '/auth/login',
+            method: 'POST',
+            jsonData: {
+                username: username,
+                password: password
+            },
+            ignoreUnauthorized: true,
+            success: function (response) {
+                var previous = me.previous || me.account;
+
+                me.account = me.readAccount(response);
+                me.previous = null;
+                Ext.callback(callbacks.success, callbacks.scope, [me.account, previous]);
+                me.fireEvent('login', me, me.account, previous);
+            },
+            failure: function (response) {
+                Ext.callback(callbacks.failure, callbacks.scope, [demo.util.Api.getErrorMessage(response)]);
+            }
+        });
+    },
+
+    /**
+     * Logs out.
+     * @param {Function} [callback]
+     * @param {Object} [scope]
+     */
+    logout: function (callback, scope) {
+        var me = this;
+
+        demo.util.Api.request({
+            url: '/auth/logout',
+            method: 'POST',
+            callback: function () {
+                me.account = me.previous = null;
+                Ext.callback(callback, scope);
+            }
+        });
+    },
+
+    /**
+     * Forgets the account after the backend answered 401, remembering it so
+     * the next login can tell whether the same account is back.
+     */
+    expire: function () {
+        if (this.account) {
+            this.previous = this.account;
+            this.account = null;
+        }
+    },
+
+    /**
+     * Returns whether the account that is logged in has a permission. The
+     * backend checks them anyway, the views use this to leave out what would
+     * be refused.
+     * @param {String} permission Such as `write:users`.
+     * @return {Boolean}
+     */
+    can: function (permission) {
+        return !!this.account && Ext.Array.contains(this.account.get('permissions'), permission);
+    },
+
+    /**
+     * Returns the permissions of the account as flags for view model
+     * bindings, e.g. `{can.writeUsers}` for `write:users`.
+     * @return {Object}
+     */
+    getPermissionFlags: function () {
+        var flags = {};
+
+        Ext.Array.forEach(this.account ? this.account.get('permissions') : [], function (permission) {
+            var parts = permission.split(':');
+
+            flags[parts[0] + Ext.String.capitalize(parts[1])] = true;
+        });
+        return flags;
+    },
+
+    /**
+     * Returns whether an account is logged in.
+     * @return {Boolean}
+     */
+    isLoggedIn: function () {
+        return !!this.account;
+    },
+
+    /**
+     * @private
+     */
+    readAccount: function (response) {
+        var body = demo.util.Api.decodeResponse(response),
+            data = body && body.items && body.items[0];
+
+        return data ? Ext.create('demo.model.Account', data) : null;
+    }
+});
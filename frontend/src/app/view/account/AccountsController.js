@@ -0,0 +1,102 @@
+/**
+ * Controller of the account administration, shared by both toolkits.
+ */
+Ext.define('demo.view.account.AccountsController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.accounts',
+
+    requires: [
+        'demo.model.Account',
+        'demo.util.Api',
+        'demo.view.account.Editor'
+    ],
+
+    onAddAccount: function () {
+        var store = this.getViewModel().getStore('accounts'),
+            record = store.insert(0, Ext.create('demo.model.Account'))[0];
+
+        // The account is saved once the editor filled in the required fields.
+        this.showEditor(record);
+    },
+
+    onEditAccount: function () {
+        var record = this.getViewModel().get('selectedAccount');
+
+        if (record) {
+            this.showEditor(record);
+        }
+    },
+
+    onToggleStatus: function () {
+        var record = this.getViewModel().get('selectedAccount');
+
+        if (record) {
+            record.set('status', record.isActive() ? 'disabled' : 'active');
+        }
+    },
+
+    onResetPassword: function () {
+        var record = this.getViewModel().get('selectedAccount');
+
+        if (!record || record.phantom) {
+            return;
+        }
+
+        Ext.Msg.confirm('Reset Password',
+            'Do you really want to replace the password of ' +
+            Ext.String.htmlEncode(record.get('username')) + '?',
+            function (choice) {
+                if (choice !== 'yes') {
+                    return;
+                }
+                record.resetPassword(null, {
+                    success: function (password) {
+                        Ext.Msg.alert('Password reset',
+                            'The new password of ' + Ext.String.htmlEncode(record.get('username')) +
+                            ' is <b>' + Ext.String.htmlEncode(password) + '</b>. ' +
+                            'Pass it on now, it is not shown again.');
+                    },
+                    failure: function (response) {
+                        Ext.Msg.alert('Reset failed',
+                            'The password was not changed: ' + demo.util.Api.getErrorMessage(response));
+                    }
+                });
+            });
+    },
+
+    /**
+     * Opens the editor for an account.
+     * @param {demo.model.Account} record
+     * @return {demo.view.account.Editor}
+     */
+    showEditor: function (record) {
+        return this.getView().add({
+            xtype: 'accounteditor',
+            viewModel: {
+                data: {
+                    account: record.copy(),
+                    original: record,
+                    isNew: record.phantom
+                }
+            }
+        }).show();
+    },
+
+    onAccountsLoad: function (store, records, successful, operation) {
+        // a 401 brings up the login instead
+        if (!successful && !demo.util.Api.isUnauthorized(operation.getError())) {
+            Ext.Msg.alert('Loading failed',
+                'The accounts could not be loaded: ' +
+                demo.util.Api.getErrorMessage(operation.getError()));
+        }
+    },
+
+    onAccountsWriteException: function (store, operation) {
+        store.rejectChanges();
+
+        Ext.Msg.alert('Saving failed',
+            'Your changes were not saved: ' +
+            demo.util.Api.getErrorMessage(operation.getError()));
+    }
+});
@@ -0,0 +1,50 @@
+/**
+ * View model of the account administration on the Users tab.
+ */
+Ext.define('demo.view.account.AccountsModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.accounts',
+
+    requires: [
+        'demo.store.Accounts'
+    ],
+
+    data: {
+        selectedAccount: null
+    },
+
+    stores: {
+        accounts: {
+            type: 'accounts',
+            // the tab is disabled for everybody else
+            autoLoad: '{can.readAccounts}',
+            listeners: {
+                load: 'onAccountsLoad',
+                writeexception: 'onAccountsWriteException'
+            }
+        }
+    },
+
+    formulas: {
+        /**
+         * Label of the button that disables or enables the selected account.
+         */
+        /**
+         * Service accounts have no password to reset.
+         */
+        hasPassword: {
+            bind: '{selectedAccount}',
+            get: function (account) {
+                return !!account && !account.isService();
+            }
+        },
+
+        statusAction: {
+            bind: '{selectedAccount.status}',
+            get: function (status) {
+                return status === 'disabled' ? 'Enable' : 'Disable';
+            }
+        }
+    }
+});
@@ -0,0 +1,85 @@
+/**
+ * Controller of the account editor, shared by both toolkits. The views
+ * implement `dismiss` to close themselves in a way that suits the toolkit.
+ */
+Ext.define('demo.view.account.EditorController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.accounteditor',
+
+    requires: [
+        'demo.model.Person'
+    ],
+
+    control: {
+        '#': {
+            beforedestroy: 'onBeforeDestroy'
+        }
+    },
+
+    /**
+     * Gives the person picker (if the view has one) the linked person so it
+     * can show the name before the user searches.
+     */
+    init: function () {
+        var picker = this.lookupReference('person'),
+            account = this.getViewModel().get('account'),
+            personId = account && account.get('personId');
+
+        if (picker && personId) {
+            demo.model.Person.load(personId, {
+                success: function (person) {
+                    if (!picker.destroyed) {
+                        picker.getStore().loadRecords([person]);
+                        picker.setValue(personId);
+                    }
+                }
+            });
+        }
+    },
+
+    onSave: function () {
+        var vm = this.getViewModel(),
+            account = vm.get('account'),
+            original = vm.get('original'),
+            errors = account.checkValues({});
+
+        if (vm.get('isNew') && !account.isService() && !account.get('password')) {
+            errors.password = 'Password is required';
+        }
+
+        if (!Ext.Object.isEmpty(errors)) {
+            Ext.Msg.alert('Please check your input',
+                Ext.Array.map(Ext.Object.getValues(errors), Ext.String.htmlEncode).join('<br>'));
+            return;
+        }
+
+        // The store saves the original as soon as it changes.
+        if (account.dirty) {
+            original.set(account.getData({ changes: true }));
+        }
+
+        this.getView().dismiss();
+    },
+
+    onReset: function () {
+        this.getViewModel().get('account').reject();
+    },
+
+    onCancel: function () {
+        this.getView().dismiss();
+    },
+
+    /**
+     * An account added from the toolbar only exists in the store until it is
+     * saved, so it is dropped again when the user leaves without saving.
+     */
+    onBeforeDestroy: function () {
+        var original = this.getViewModel().get('original'),
+            store = original && original.phantom && original.store;
+
+        if (store && !original.dirty) {
+            store.remove(original);
+        }
+    }
+});
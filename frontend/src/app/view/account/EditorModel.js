@@ -0,0 +1,98 @@
+/**
+ * View model of the account editor. The form edits `account`, a working copy
+ * of the `original` record. `isNew` is set while the account is not saved
+ * yet, which is when the username, password and kind can be entered.
+ *
+ * The role checkboxes bind to one formula per role, each adding or removing
+ * its role from the `roles` array of the account.
+ */
+Ext.define('demo.view.account.EditorModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.accounteditor',
+
+    data: {
+        account: null,
+        original: null,
+        isNew: false
+    },
+
+    formulas: {
+        title: {
+            bind: {
+                username: '{account.username}',
+                isNew: '{isNew}'
+            },
+            get: function (data) {
+                return data.isNew ? 'New Account' : 'Account ' + data.username;
+            }
+        },
+
+        isService: {
+            bind: '{account.kind}',
+            get: function (kind) {
+                return kind === 'service';
+            },
+            set: function (value) {
+                this.get('account').set('kind', value ? 'service' : 'person');
+            }
+        },
+
+        askPassword: {
+            bind: {
+                isNew: '{isNew}',
+                isService: '{isService}'
+            },
+            get: function (data) {
+                return data.isNew && !data.isService;
+            }
+        },
+
+        roleAdmin: {
+            bind: '{account.roles}',
+            get: function (roles) {
+                return Ext.Array.contains(roles || [], 'admin');
+            },
+            set: function (value) {
+                this.setRole('admin', value);
+            }
+        },
+
+        roleEditor: {
+            bind: '{account.roles}',
+            get: function (roles) {
+                return Ext.Array.contains(roles || [], 'editor');
+            },
+            set: function (value) {
+                this.setRole('editor', value);
+            }
+        },
+
+        roleViewer: {
+            bind: '{account.roles}',
+            get: function (roles) {
+                return Ext.Array.contains(roles || [], 'viewer');
+            },
+            set: function (value) {
+                this.setRole('viewer', value);
+            }
+        }
+    },
+
+    /**
+     * Grants or revokes a role of the edited account.
+     * @param {String} role
+     * @param {Boolean} granted
+     */
+    setRole: function (role, granted) {
+        var account = this.get('account'),
+            roles = Ext.Array.clone(account.get('roles') || []);
+
+        if (granted) {
+            Ext.Array.include(roles, role);
+        } else {
+            Ext.Array.remove(roles, role);
+        }
+        account.set('roles', roles);
+    }
+});
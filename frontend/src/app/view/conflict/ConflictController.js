@@ -0,0 +1,184 @@
+/**
+ * Controller of the conflict dialog, shared by both toolkits. It compares
+ * the record we edited with the version the backend stored in the meantime
+ * and lists the fields that differ. The views implement `showRows` to offer
+ * a choice for each of them, `getChoices` to read it and `dismiss` to close.
+ *
+ * Resolving makes the record the current version and applies the values we
+ * keep on top of it, so a store with `autoSync` saves them right away.
+ */
+Ext.define('demo.view.conflict.ConflictController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.conflict',
+
+    requires: [
+        'demo.util.Api'
+    ],
+
+    init: function () {
+        var record = this.getViewModel().get('record');
+
+        record.self.load(record.getId(), {
+            success: this.onCurrentLoad,
+            failure: this.onCurrentFailure,
+            scope: this
+        });
+    },
+
+    /**
+     * @private
+     */
+    onCurrentLoad: function (current) {
+        var me = this,
+            vm = me.getViewModel(),
+            record = vm.get('record'),
+            changes = record.getChanges(),
+            rows = [];
+
+        if (me.destroyed) {
+            return;
+        }
+
+        Ext.Array.forEach(me.getEditableFields(record), function (field) {
+            var name = field.getName(),
+                mine = record.get(name),
+                theirs = current.get(name);
+
+            if (!me.isSame(field, mine, theirs)) {
+                rows.push({
+                    name: name,
+                    label: me.getLabel(name),
+                    value: mine,
+                    mine: me.format(mine),
+                    theirs: me.format(theirs),
+                    changed: changes.hasOwnProperty(name)
+                });
+            }
+        });
+
+        me.rows = rows;
+        vm.set({
+            current: current,
+            message: rows.length ?
+                'Someone else changed this while you were editing it. Pick the values to keep:' :
+                'Someone else changed this while you were editing it, but not the values you changed.'
+        });
+        me.getView().showRows(rows);
+    },
+
+    /**
+     * @private
+     */
+    onCurrentFailure: function (current, operation) {
+        if (this.destroyed) {
+            return;
+        }
+        Ext.Msg.alert('Loading failed',
+            'The current version could not be loaded: ' +
+            demo.util.Api.getErrorMessage(operation.getError()));
+        this.getViewModel().get('record').reject();
+        this.getView().dismiss();
+    },
+
+    /**
+     * Keeps the values we changed, takes the server's for everything else.
+     */
+    onKeepMine: function () {
+        this.resolve(function (row) {
+            return row.changed;
+        });
+    },
+
+    onTakeTheirs: function () {
+        this.resolve(function () {
+            return false;
+        });
+    },
+
+    /**
+     * Keeps the values picked for each field.
+     */
+    onMerge: function () {
+        var choices = this.getView().getChoices();
+
+        this.resolve(function (row) {
+            return choices[row.name] === 'mine';
+        });
+    },
+
+    /**
+     * @private
+     * @param {Function} keep Tells for a row whether to keep our value.
+     */
+    resolve: function (keep) {
+        var view = this.getView(),
+            vm = this.getViewModel(),
+            record = vm.get('record'),
+            current = vm.get('current'),
+            values = {},
+            kept = {};
+
+        Ext.Array.forEach(record.getFields(), function (field) {
+            if (!field.calculated) {
+                values[field.getName()] = current.get(field.getName());
+            }
+        });
+        Ext.Array.forEach(this.rows, function (row) {
+            if (keep(row)) {
+                kept[row.name] = row.value;
+            }
+        });
+
+        record.set(values, { commit: true });
+        record.set(kept);
+
+        view.fireEvent('resolved', view, record);
+        view.dismiss();
+    },
+
+    /**
+     * @private
+     */
+    getEditableFields: function (record) {
+        return Ext.Array.filter(record.getFields(), function (field) {
+            return field.persist && !field.calculated && field.getName() !== record.idProperty;
+        });
+    },
+
+    /**
+     * @private
+     */
+    isSame: function (field, a, b) {
+        if (Ext.isArray(a) && Ext.isArray(b)) {
+            return Ext.Array.equals(a, b);
+        }
+        return field.isEqual(a, b);
+    },
+
+    /**
+     * Turns a field name such as `hireDate` into "Hire date".
+     * @private
+     */
+    getLabel: function (name) {
+        var words = name.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+        return Ext.String.capitalize(words.replace(/ id(s?)$/, ''));
+    },
+
+    /**
+     * @private
+     */
+    format: function (value) {
+        if (value === null || value === undefined || value === '') {
+            return '(empty)';
+        }
+        if (Ext.isDate(value)) {
+            return Ext.util.Format.date(value);
+        }
+        if (Ext.isArray(value)) {
+            return value.length ? value.join(', ') : '(none)';
+        }
+        return String(value);
+    }
+});
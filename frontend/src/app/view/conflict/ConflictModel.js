@@ -0,0 +1,16 @@
+/**
+ * View model of the dialog resolving a conflicting change. `record` holds
+ * our changes, `current` what the backend has stored since; the controller
+ * loads it when the dialog opens.
+ */
+Ext.define('demo.view.conflict.ConflictModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.conflict',
+
+    data: {
+        record: null,
+        current: null,
+        message: 'Loading the current version…'
+    }
+});
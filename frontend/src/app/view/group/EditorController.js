@@ -0,0 +1,95 @@
+/**
+ * Controller of the group editor, shared by both toolkits. In classic the
+ * members are picked with an item selector bound to `group.memberIds`; in
+ * modern they are the selection of the `members` list, which the handlers
+ * below keep in sync with the group. The views implement `dismiss` to close
+ * themselves in a way that suits the toolkit.
+ */
+Ext.define('demo.view.group.EditorController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.groupeditor',
+
+    control: {
+        '#': {
+            beforedestroy: 'onBeforeDestroy'
+        }
+    },
+
+    init: function () {
+        var list = this.lookupReference('members');
+
+        if (list) {
+            list.getStore().on('load', this.onMembersLoad, this);
+        }
+    },
+
+    /**
+     * Selects the current members once the people are loaded.
+     */
+    onMembersLoad: function (store) {
+        var list = this.lookupReference('members'),
+            ids = this.getViewModel().get('group').get('memberIds') || [],
+            members = store.queryBy(function (person) {
+                return Ext.Array.contains(ids, person.getId());
+            }).getRange();
+
+        list.deselectAll(true);
+        list.select(members, false, true);
+    },
+
+    onMemberSelectionChange: function (list) {
+        var ids = Ext.Array.map(list.getSelections(), function (person) {
+            return person.getId();
+        });
+
+        this.getViewModel().get('group').set('memberIds', ids);
+    },
+
+    onSave: function () {
+        var vm = this.getViewModel(),
+            group = vm.get('group'),
+            original = vm.get('original'),
+            errors = group.checkValues({});
+
+        if (!Ext.Object.isEmpty(errors)) {
+            Ext.Msg.alert('Please check your input',
+                Ext.Array.map(Ext.Object.getValues(errors), Ext.String.htmlEncode).join('<br>'));
+            return;
+        }
+
+        // The store saves the original as soon as it changes.
+        if (group.dirty) {
+            original.set(group.getData({ changes: true }));
+        }
+
+        this.getView().dismiss();
+    },
+
+    onReset: function () {
+        var group = this.getViewModel().get('group'),
+            list = this.lookupReference('members');
+
+        group.reject();
+        if (list) {
+            this.onMembersLoad(list.getStore());
+        }
+    },
+
+    onCancel: function () {
+        this.getView().dismiss();
+    },
+
+    /**
+     * A group added from the toolbar only exists in the store until it is
+     * saved, so it is dropped again when the user leaves without saving.
+     */
+    onBeforeDestroy: function () {
+        var original = this.getViewModel().get('original'),
+            store = original && original.phantom && original.store;
+
+        if (store && !original.dirty) {
+            store.remove(original);
+        }
+    }
+});
@@ -0,0 +1,23 @@
+/**
+ * View model of the group editor. The form edits `group`, a working copy of
+ * the `original` record, so nothing reaches the store until the user saves.
+ */
+Ext.define('demo.view.group.EditorModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.groupeditor',
+
+    data: {
+        group: null,
+        original: null
+    },
+
+    formulas: {
+        title: {
+            bind: '{group.name}',
+            get: function (name) {
+                return name || 'New Group';
+            }
+        }
+    }
+});
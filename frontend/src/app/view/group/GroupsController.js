@@ -0,0 +1,112 @@
+/**
+ * Controller of the group management, shared by both toolkits.
+ */
+Ext.define('demo.view.group.GroupsController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.groups',
+
+    requires: [
+        'demo.model.Group',
+        'demo.util.Api',
+        'demo.view.conflict.Conflict',
+        'demo.view.group.Editor'
+    ],
+
+    listen: {
+        global: {
+            restored: 'onRestored'
+        }
+    },
+
+    onAddGroup: function () {
+        var store = this.getViewModel().getStore('groups'),
+            record = store.insert(0, Ext.create('demo.model.Group'))[0];
+
+        // The group is saved once the editor filled in its name.
+        this.showEditor(record);
+    },
+
+    onEditGroup: function () {
+        var record = this.getViewModel().get('selectedGroup');
+
+        if (record) {
+            this.showEditor(record);
+        }
+    },
+
+    onDeleteGroup: function () {
+        var record = this.getViewModel().get('selectedGroup');
+
+        if (!record) {
+            return;
+        }
+
+        Ext.Msg.confirm('Delete Group',
+            'Move ' + Ext.String.htmlEncode(record.get('name')) + ' to the trash? ' +
+            'You can restore it from the Trash tab.',
+            function (choice) {
+                if (choice === 'yes') {
+                    record.store.remove(record);
+                }
+            });
+    },
+
+    /**
+     * Opens the editor for a group.
+     * @param {demo.model.Group} record
+     * @return {demo.view.group.Editor}
+     */
+    showEditor: function (record) {
+        return this.getView().add({
+            xtype: 'groupeditor',
+            viewModel: {
+                data: {
+                    group: record.copy(),
+                    original: record
+                }
+            }
+        }).show();
+    },
+
+    /**
+     * Shows groups taken out of the trash, and the members of the groups
+     * people came back to.
+     */
+    onRestored: function () {
+        this.getViewModel().getStore('groups').load();
+    },
+
+    onGroupsLoad: function (store, records, successful, operation) {
+        // a 401 brings up the login instead
+        if (!successful && !demo.util.Api.isUnauthorized(operation.getError())) {
+            Ext.Msg.alert('Loading failed',
+                'The groups could not be loaded: ' +
+                demo.util.Api.getErrorMessage(operation.getError()));
+        }
+    },
+
+    /**
+     * Someone else changed the group in the meantime: the changes stay
+     * pending while the user resolves the conflict, which saves them again.
+     */
+    onGroupsWriteException: function (store, operation) {
+        if (operation.getError().code === 'version_conflict') {
+            this.getView().add({
+                xtype: 'conflict',
+                viewModel: {
+                    data: {
+                        record: operation.getRecords()[0]
+                    }
+                }
+            }).show();
+            return;
+        }
+
+        store.rejectChanges();
+
+        Ext.Msg.alert('Saving failed',
+            'Your changes were not saved: ' +
+            demo.util.Api.getErrorMessage(operation.getError()));
+    }
+});
@@ -0,0 +1,26 @@
+/**
+ * View model of the group management on the Groups tab.
+ */
+Ext.define('demo.view.group.GroupsModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.groups',
+
+    requires: [
+        'demo.store.Groups'
+    ],
+
+    data: {
+        selectedGroup: null
+    },
+
+    stores: {
+        groups: {
+            type: 'groups',
+            listeners: {
+                load: 'onGroupsLoad',
+                writeexception: 'onGroupsWriteException'
+            }
+        }
+    }
+});
@@ -0,0 +1,52 @@
+/**
+ * Controller of the login, shared by both toolkits. The view fires `login`
+ * with the account and the one logged in before, which
+ * {@link demo.Application} takes from there.
+ */
+Ext.define('demo.view.login.LoginController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.login',
+
+    requires: [
+        'demo.util.Session'
+    ],
+
+    onLogin: function () {
+        var vm = this.getViewModel(),
+            username = Ext.String.trim(vm.get('username') || ''),
+            password = vm.get('password');
+
+        if (!username || !password || vm.get('busy')) {
+            vm.set('error', username && password ? '' : 'Please enter your username and password');
+            return;
+        }
+
+        vm.set({
+            busy: true,
+            error: ''
+        });
+        demo.util.Session.login(username, password, {
+            success: function (account, previous) {
+                var view = this.getView();
+
+                vm.set('busy', false);
+                view.fireEvent('login', view, account, previous);
+            },
+            failure: function (message) {
+                vm.set({
+                    busy: false,
+                    password: '',
+                    error: message
+                });
+            },
+            scope: this
+        });
+    },
+
+    onSpecialKey: function (field, e) {
+        if (e.getKey() === e.ENTER) {
+            this.onLogin();
+        }
+    }
+});
@@ -0,0 +1,15 @@
+/**
+ * View model of the login. `error` holds why the last attempt failed.
+ */
+Ext.define('demo.view.login.LoginModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.login',
+
+    data: {
+        username: '',
+        password: '',
+        error: '',
+        busy: false
+    }
+});
@@ -9,13 +9,262 @@ Ext.define('demo.view.main.MainController', {
 
     alias: 'controller.main',
 
-    onItemSelected: function (sender, record) {
-        Ext.Msg.confirm('Confirm', 'Are you sure?', 'onConfirm', this);
+    requires: [
+        'demo.model.Person',
+        'demo.util.Api',
+        'demo.util.Preferences',
+        'demo.util.Session',
+        'demo.view.conflict.Conflict',
+        'demo.view.person.Detail',
+        'demo.view.person.Import'
+    ],
+
+    listen: {
+        global: {
+            restored: 'onRestored'
+        }
+    },
+
+    init: function () {
+        this.showPreferredColumns(this.lookupReference('personnellist'));
+    },
+
+    /**
+     * Shows the Personnel grid columns chosen in the preferences.
+     * @param {Ext.grid.Panel/Ext.grid.Grid} list
+     */
+    showPreferredColumns: function (list) {
+        Ext.Array.forEach(list.getColumns(), function (column) {
+            // classic columns have no getter for their data index
+            var dataIndex = column.getDataIndex ? column.getDataIndex() : column.dataIndex;
+
+            if (dataIndex) {
+                column.setHidden(!demo.util.Preferences.isColumnVisible(dataIndex));
+            }
+        });
+    },
+
+    onShowPerson: function () {
+        var record = this.getViewModel().get('selectedPerson');
+
+        if (record) {
+            this.showPerson(record);
+        }
+    },
+
+    onAddPerson: function () {
+        var list = this.lookupReference('personnellist'),
+            rowEditing = list.findPlugin('rowediting'),
+            record = list.getStore().insert(0, Ext.create('demo.model.Person'))[0];
+
+        // The new person is saved once its required fields are filled in.
+        if (rowEditing) {
+            rowEditing.startEdit(record, 0);
+        } else {
+            this.showPerson(record);
+        }
+    },
+
+    onDeletePerson: function () {
+        var record = this.getViewModel().get('selectedPerson');
+
+        if (!record) {
+            return;
+        }
+
+        Ext.Msg.confirm('Delete Person',
+            'Move ' + Ext.String.htmlEncode(record.get('name')) + ' to the trash? ' +
+            'You can restore them from the Trash tab.',
+            function (choice) {
+                if (choice === 'yes') {
+                    record.store.remove(record);
+                }
+            });
+    },
+
+    onImportPeople: function () {
+        this.getView().add({
+            xtype: 'personimport',
+            listeners: {
+                imported: 'onPeopleImported',
+                scope: this
+            }
+        }).show();
+    },
+
+    onPeopleImported: function () {
+        this.getViewModel().getStore('personnel').load();
     },
 
-    onConfirm: function (choice) {
-        if (choice === 'yes') {
-            //
+    /**
+     * Offers the export formats in a sheet, as modern buttons have no menus.
+     */
+    onShowExportMenu: function () {
+        this.getView().add({
+            xtype: 'actionsheet',
+            defaults: {
+                handler: 'onExportPeople'
+            },
+            items: [{
+                text: 'Export as CSV',
+                format: 'csv'
+            }, {
+                text: 'Export as Excel',
+                format: 'xlsx'
+            }, {
+                text: 'Export directory as LDIF',
+                format: 'ldif',
+                hidden: !demo.util.Session.can('read:groups')
+            }, {
+                text: 'Cancel',
+                ui: 'decline'
+            }]
+        }).show();
+    },
+
+    /**
+     * Downloads the personnel list with its current sorters, filters and
+     * visible columns in the `format` of the clicked item. LDIF exports the
+     * whole directory, groups included, for LDAP servers.
+     */
+    onExportPeople: function (item) {
+        var sheet = item.up('actionsheet');
+
+        if (sheet) {
+            sheet.destroy();
+        }
+        if (item.format === 'ldif') {
+            demo.util.Api.download('/export/ldif');
+        } else if (item.format) {
+            this.exportPeople(item.format);
         }
+    },
+
+    /**
+     * @private
+     */
+    exportPeople: function (format) {
+        var store = this.getViewModel().getStore('personnel'),
+            proxy = store.getProxy(),
+            columns = [],
+            params;
+
+        Ext.Array.forEach(this.lookupReference('personnellist').getColumns(), function (column) {
+            var dataIndex = column.getDataIndex ? column.getDataIndex() : column.dataIndex;
+
+            if (dataIndex && !column.isHidden()) {
+                columns.push(dataIndex);
+            }
+        });
+
+        params = Ext.apply({}, proxy.getExtraParams(), {
+            format: format,
+            columns: columns.join(',')
+        });
+        if (store.getSorters().getCount()) {
+            params[proxy.getSortParam()] = proxy.encodeSorters(store.getSorters().getRange());
+        }
+        if (store.getFilters().getCount()) {
+            params[proxy.getFilterParam()] = proxy.encodeFilters(store.getFilters().getRange());
+        }
+
+        demo.util.Api.download('/export/users?' + Ext.Object.toQueryString(params));
+    },
+
+    /**
+     * Shows people taken out of the trash.
+     */
+    onRestored: function (entity) {
+        if (entity === 'person') {
+            this.getViewModel().getStore('personnel').load();
+        }
+    },
+
+    onRevertChanges: function () {
+        this.getViewModel().getStore('personnel').rejectChanges();
+    },
+
+    /**
+     * Runs the person validators on the values of the row editor, so inline
+     * editing rejects the same input as the detail view.
+     */
+    onPersonBeforeEdit: function () {
+        return demo.util.Session.can('write:users');
+    },
+
+    onPersonValidateEdit: function (editor, context) {
+        var errors = context.record.checkValues(context.newValues);
+
+        if (!Ext.Object.isEmpty(errors)) {
+            editor.getEditor().getForm().markInvalid(errors);
+            return false;
+        }
+    },
+
+    onPersonCancelEdit: function (editor, context) {
+        var record = context.record;
+
+        if (record.phantom && !record.dirty) {
+            record.store.remove(record);
+        }
+    },
+
+    /**
+     * Opens the detail view for a person. In classic it is a window, in modern
+     * it is pushed onto the personnel navigation view.
+     * @param {demo.model.Person} record
+     * @return {demo.view.person.Detail}
+     */
+    showPerson: function (record) {
+        var config = {
+                xtype: 'persondetail',
+                viewModel: {
+                    data: {
+                        // the copy of a new person gets an id of its own, so it is new as well
+                        person: record.copy(record.phantom ? null : undefined),
+                        original: record
+                    }
+                }
+            },
+            navigation = this.lookupReference('personnelnav');
+
+        if (navigation) {
+            return navigation.push(config);
+        }
+        return this.getView().add(config).show();
+    },
+
+    onPersonnelLoad: function (store, records, successful, operation) {
+        // a 401 brings up the login instead
+        if (!successful && !demo.util.Api.isUnauthorized(operation.getError())) {
+            Ext.Msg.alert('Loading failed',
+                'The personnel list could not be loaded: ' +
+                demo.util.Api.getErrorMessage(operation.getError()));
+        }
+    },
+
+    /**
+     * Someone else changed the person in the meantime: the changes stay
+     * pending while the user resolves the conflict, which saves them again.
+     */
+    onPersonnelWriteException: function (store, operation) {
+        if (operation.getError().code === 'version_conflict') {
+            this.getView().add({
+                xtype: 'conflict',
+                viewModel: {
+                    data: {
+                        record: operation.getRecords()[0]
+                    }
+                }
+            }).show();
+            return;
+        }
+
+        // The grid would otherwise show changes the server never stored.
+        store.rejectChanges();
+
+        Ext.Msg.alert('Saving failed',
+            'Your changes were not saved: ' +
+            demo.util.Api.getErrorMessage(operation.getError()));
     }
 });
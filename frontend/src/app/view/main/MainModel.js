@@ -1,16 +1,54 @@
 /**
- * This class is the view model for the Main view of the application.
+ * This class is the view model for the Main view of the application. `can`
+ * holds the permissions of the account as flags, see
+ * {@link demo.util.Session#getPermissionFlags}, for the views below to bind
+ * to.
  */
 Ext.define('demo.view.main.MainModel', {
     extend: 'Ext.app.ViewModel',
 
     alias: 'viewmodel.main',
 
+    requires: [
+        'demo.store.Personnel',
+        'demo.util.Session'
+    ],
+
     data: {
         name: 'demo',
 
-        loremIpsum: 'Lorem ipsum dolor sit amet, consectetur adipisicing elit, sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat. Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur. Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim id est laborum.'
-    }
+        selectedPerson: null,
+
+        can: {}
+    },
 
-    //TODO - add data, formulas and/or methods to support your view
+    formulas: {
+        /**
+         * Whether the account may restore or purge anything in the trash.
+         */
+        canUseTrash: {
+            bind: {
+                users: '{can.writeUsers}',
+                groups: '{can.writeGroups}'
+            },
+            get: function (data) {
+                return !!(data.users || data.groups);
+            }
+        }
+    },
+
+    stores: {
+        personnel: {
+            type: 'personnel',
+            listeners: {
+                load: 'onPersonnelLoad',
+                writeexception: 'onPersonnelWriteException'
+            }
+        }
+    },
+
+    constructor: function (config) {
+        this.callParent([config]);
+        this.set('can', demo.util.Session.getPermissionFlags());
+    }
 });
@@ -0,0 +1,182 @@
+/**
+ * Controller of the person detail view, shared by both toolkits. The views
+ * implement `dismiss` to close themselves in a way that suits the toolkit.
+ */
+Ext.define('demo.view.person.DetailController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.persondetail',
+
+    requires: [
+        'demo.model.Person',
+        'demo.util.Api',
+        'demo.view.conflict.Conflict'
+    ],
+
+    control: {
+        '#': {
+            beforedestroy: 'onBeforeDestroy'
+        }
+    },
+
+    /**
+     * Pickers that search the server start out empty. Give the manager picker
+     * (if the view has one) the current manager so it can show the name.
+     */
+    init: function () {
+        var picker = this.lookupReference('manager'),
+            person = this.getViewModel().get('person'),
+            managerId = person && person.get('managerId');
+
+        if (picker && managerId) {
+            demo.model.Person.load(managerId, {
+                success: function (manager) {
+                    if (!picker.destroyed) {
+                        picker.getStore().loadRecords([manager]);
+                        picker.setValue(managerId);
+                    }
+                }
+            });
+        }
+    },
+
+    /**
+     * Saves the working copy itself rather than through the store, so the view
+     * stays open and marks the fields when the backend rejects them. The
+     * original only takes the values the backend stored.
+     */
+    onSave: function () {
+        var me = this,
+            vm = me.getViewModel(),
+            person = vm.get('person'),
+            errors = person.checkValues({});
+
+        if (!Ext.Object.isEmpty(errors)) {
+            me.showErrors(errors);
+            return;
+        }
+        if (!person.dirty && !person.phantom) {
+            me.onSaved();
+            return;
+        }
+
+        vm.set('saving', true);
+        person.save({
+            callback: function (record, operation, success) {
+                if (me.destroyed) {
+                    return;
+                }
+                vm.set('saving', false);
+                if (success) {
+                    me.onSaved();
+                } else {
+                    me.onSaveFailed(operation.getError());
+                }
+            }
+        });
+    },
+
+    /**
+     * @private
+     */
+    onSaved: function () {
+        var vm = this.getViewModel(),
+            person = vm.get('person'),
+            values = Ext.apply(person.getData({ persist: true }), {
+                version: person.get('version')
+            });
+
+        // committed right away, so the store has nothing left to send
+        vm.get('original').set(values, { commit: true });
+        this.getView().dismiss();
+    },
+
+    /**
+     * @private
+     */
+    onSaveFailed: function (error) {
+        var errors = demo.util.Api.getFieldErrors(error);
+
+        // a 401 brings up the login instead
+        if (demo.util.Api.isUnauthorized(error)) {
+            return;
+        }
+        if (error.code === 'version_conflict') {
+            this.getView().add({
+                xtype: 'conflict',
+                viewModel: {
+                    data: {
+                        record: this.getViewModel().get('person')
+                    }
+                },
+                listeners: {
+                    resolved: this.onSave,
+                    scope: this
+                }
+            }).show();
+            return;
+        }
+        if (errors) {
+            this.getViewModel().get('person').setServerErrors(errors);
+            this.showErrors(errors);
+            return;
+        }
+        Ext.Msg.alert('Saving failed',
+            'Your changes were not saved: ' + demo.util.Api.getErrorMessage(error));
+    },
+
+    /**
+     * @private
+     */
+    showErrors: function (errors) {
+        Ext.Msg.alert('Please check your input',
+            Ext.Array.map(Ext.Object.getValues(errors), Ext.String.htmlEncode).join('<br>'));
+    },
+
+    onReset: function () {
+        this.getViewModel().get('person').reject();
+    },
+
+    onCancel: function () {
+        this.getView().dismiss();
+    },
+
+    /**
+     * Downloads the saved person as a vCard, which address books and phones
+     * import.
+     */
+    onDownloadContact: function () {
+        demo.util.Api.download('/users/' + this.getViewModel().get('original').getId() + '.vcf');
+    },
+
+    /**
+     * Pushes the history of the person onto the navigation view (modern, the
+     * classic window has it on a tab).
+     */
+    onShowHistory: function () {
+        var vm = this.getViewModel();
+
+        this.getView().up('navigationview').push({
+            xtype: 'personhistory',
+            viewModel: {
+                data: {
+                    person: vm.get('person'),
+                    original: vm.get('original')
+                }
+            }
+        });
+    },
+
+    /**
+     * A person added from the grid toolbar only exists in the store until it is
+     * saved, so it is dropped again when the user leaves without saving.
+     */
+    onBeforeDestroy: function () {
+        var original = this.getViewModel().get('original'),
+            store = original && original.phantom && original.store;
+
+        if (store && !original.dirty) {
+            store.remove(original);
+        }
+    }
+});
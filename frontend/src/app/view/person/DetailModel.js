@@ -0,0 +1,38 @@
+/**
+ * View model of the person detail view. The form edits `person`, a working
+ * copy of the `original` record, so nothing reaches the store until the
+ * backend saved it. `saving` is set while it does.
+ */
+Ext.define('demo.view.person.DetailModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.persondetail',
+
+    data: {
+        person: null,
+        original: null,
+        saving: false
+    },
+
+    formulas: {
+        title: {
+            bind: '{person.name}',
+            get: function (name) {
+                return name || 'New Person';
+            }
+        },
+
+        /**
+         * Saved people have a history for those who may read the audit trail.
+         */
+        hasHistory: {
+            bind: {
+                phantom: '{original.phantom}',
+                readAudit: '{can.readAudit}'
+            },
+            get: function (data) {
+                return !data.phantom && !!data.readAudit;
+            }
+        }
+    }
+});
@@ -0,0 +1,132 @@
+/**
+ * Controller of the history of a person, shared by both toolkits. Reverting an
+ * update writes the values from before it back, the backend records that as a
+ * change of its own.
+ */
+Ext.define('demo.view.person.HistoryController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.personhistory',
+
+    requires: [
+        'demo.model.Person',
+        'demo.util.Api'
+    ],
+
+    /**
+     * New people have no history yet.
+     */
+    init: function () {
+        var original = this.getViewModel().get('original');
+
+        if (original && !original.phantom) {
+            this.load();
+        }
+    },
+
+    /**
+     * @private
+     */
+    load: function () {
+        this.getViewModel().getStore('history').filter([{
+            property: 'entity',
+            value: 'person'
+        }, {
+            property: 'entityId',
+            value: String(this.getViewModel().get('original').getId())
+        }]);
+    },
+
+    onRefresh: function () {
+        this.getViewModel().getStore('history').load();
+    },
+
+    onRevert: function () {
+        var me = this,
+            entry = me.getViewModel().get('selectedEntry');
+
+        if (!entry) {
+            return;
+        }
+
+        Ext.Msg.confirm('Revert Change',
+            'Put back the values from before the change ' +
+            Ext.String.htmlEncode(entry.get('actor') || 'somebody') + ' made on ' +
+            Ext.Date.format(entry.get('occurredAt'), 'Y-m-d H:i') + '?',
+            function (choice) {
+                if (choice === 'yes') {
+                    me.revert(entry);
+                }
+            });
+    },
+
+    /**
+     * @private
+     */
+    revert: function (entry) {
+        var me = this,
+            vm = me.getViewModel();
+
+        vm.set('reverting', true);
+        demo.util.Api.request({
+            url: '/audit/' + entry.getId() + '/revert',
+            method: 'POST',
+            success: function () {
+                if (!me.destroyed) {
+                    me.onReverted();
+                }
+            },
+            failure: function (response) {
+                if (me.destroyed) {
+                    return;
+                }
+                vm.set('reverting', false);
+                // a 401 brings up the login instead
+                if (!demo.util.Api.isUnauthorized(response)) {
+                    Ext.Msg.alert('Revert failed',
+                        'The change was not reverted: ' + demo.util.Api.getErrorMessage(response));
+                }
+            }
+        });
+    },
+
+    /**
+     * Reloads the person, so the form and the list show the values put back,
+     * and the history with the revert on top.
+     * @private
+     */
+    onReverted: function () {
+        var me = this,
+            vm = me.getViewModel();
+
+        me.onRefresh();
+        demo.model.Person.load(vm.get('original').getId(), {
+            callback: function (person, operation, success) {
+                var values;
+
+                if (me.destroyed) {
+                    return;
+                }
+                vm.set('reverting', false);
+                if (!success) {
+                    return;
+                }
+                values = Ext.apply(person.getData({ persist: true }), {
+                    version: person.get('version')
+                });
+                // committed right away, nothing is left to send
+                vm.get('original').set(values, { commit: true });
+                vm.get('person').set(values, { commit: true });
+            }
+        });
+    },
+
+    onHistoryLoad: function (store, records, successful, operation) {
+        // a 401 brings up the login instead
+        if (!successful && !demo.util.Api.isUnauthorized(operation.getError())) {
+            Ext.Msg.alert('Loading failed',
+                'The history could not be loaded: ' +
+                demo.util.Api.getErrorMessage(operation.getError()));
+        }
+    }
+});
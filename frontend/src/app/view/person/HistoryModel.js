@@ -0,0 +1,45 @@
+/**
+ * View model of the history of a person. It reads `person`, the working copy
+ * being edited, and `original` from the detail view (classic) or from its own
+ * data (modern).
+ */
+Ext.define('demo.view.person.HistoryModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.personhistory',
+
+    requires: [
+        'demo.store.AuditEntries'
+    ],
+
+    data: {
+        selectedEntry: null,
+        reverting: false
+    },
+
+    stores: {
+        history: {
+            type: 'auditentries',
+            listeners: {
+                load: 'onHistoryLoad'
+            }
+        }
+    },
+
+    formulas: {
+        /**
+         * Updates can be reverted, unless the form holds changes that are not
+         * saved yet.
+         */
+        revertible: {
+            bind: {
+                entry: '{selectedEntry}',
+                dirty: '{person.dirty}',
+                reverting: '{reverting}'
+            },
+            get: function (data) {
+                return !!data.entry && data.entry.get('action') === 'update' && !data.dirty && !data.reverting;
+            }
+        }
+    }
+});
@@ -0,0 +1,261 @@
+/**
+ * Controller of the wizard importing people from a CSV or vCard file, shared
+ * by both toolkits. The file is read in the browser and checked by the
+ * backend in a dry run. CSV files are checked first with the columns the
+ * backend maps on its own and then with the mapping the user chose; cards
+ * need no mapping and go to the preview right away. The import itself runs
+ * as a job on the backend, whose progress is polled until it is done.
+ *
+ * The views implement `getFile` to return the chosen file, `showMapping` to
+ * offer a person field for each column and `getMapping` to read the choice,
+ * `showStep` to switch cards, `showProgress` and `dismiss` to close.
+ */
+Ext.define('demo.view.person.ImportController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.personimport',
+
+    requires: [
+        'demo.util.Api'
+    ],
+
+    /**
+     * Person fields a column can be mapped to.
+     * @private
+     */
+    fields: [
+        { value: 'firstName', text: 'First Name' },
+        { value: 'lastName', text: 'Last Name' },
+        { value: 'email', text: 'Email' },
+        { value: 'phone', text: 'Phone' },
+        { value: 'department', text: 'Department' },
+        { value: 'title', text: 'Title' },
+        { value: 'photoUrl', text: 'Photo URL' },
+        { value: 'hireDate', text: 'Hired' },
+        { value: 'managerId', text: 'Manager Id' }
+    ],
+
+    /**
+     * How often the progress of the import is asked for, in milliseconds.
+     * @private
+     */
+    pollInterval: 500,
+
+    destroy: function () {
+        clearTimeout(this.pollTimer);
+        this.callParent();
+    },
+
+    onNext: function () {
+        if (this.getViewModel().get('step') === 'upload') {
+            this.readFile();
+        } else {
+            this.preview(this.getView().getMapping());
+        }
+    },
+
+    onBack: function () {
+        var vm = this.getViewModel();
+
+        this.goTo(vm.get('step') === 'preview' && vm.get('format') === 'csv' ? 'map' : 'upload');
+    },
+
+    /**
+     * Checks the rows again, as duplicates are now skipped or updated.
+     */
+    onDuplicatesChange: function (field, value) {
+        var vm = this.getViewModel();
+
+        vm.set('updateDuplicates', value);
+        if (vm.get('step') === 'preview') {
+            this.preview(this.mapping);
+        }
+    },
+
+    onImport: function () {
+        var me = this;
+
+        me.send(false, function (job) {
+            me.goTo('progress');
+            me.showJob(job);
+        });
+    },
+
+    onClose: function () {
+        this.getView().dismiss();
+    },
+
+    /**
+     * Reads the chosen file as text and lets the backend map its columns, or
+     * check the cards of a vCard file.
+     * @private
+     */
+    readFile: function () {
+        var me = this,
+            vm = me.getViewModel(),
+            file = me.getView().getFile(),
+            reader;
+
+        if (!file) {
+            Ext.Msg.alert('Import', 'Choose a CSV or vCard file first.');
+            return;
+        }
+
+        reader = new FileReader();
+        reader.onload = function () {
+            vm.set({
+                fileName: file.name,
+                text: reader.result,
+                busy: false
+            });
+            if (/\.vcf$/i.test(file.name) || /^\uFEFF?\s*BEGIN:VCARD/i.test(reader.result)) {
+                // cards describe whole contacts, so they update the people they match
+                vm.set({ format: 'vcard', updateDuplicates: true });
+            } else {
+                vm.set('format', 'csv');
+            }
+            me.send(true, function (result) {
+                if (vm.get('format') === 'vcard') {
+                    me.showPreview(result);
+                    return;
+                }
+                me.getView().showMapping(result.columns, result.mapping, me.fields);
+                me.goTo('map');
+            });
+        };
+        reader.onerror = function () {
+            vm.set('busy', false);
+            Ext.Msg.alert('Import', 'The file could not be read.');
+        };
+        vm.set('busy', true);
+        reader.readAsText(file);
+    },
+
+    /**
+     * Lets the backend check every row with the mapping and lists the outcome.
+     * @private
+     */
+    preview: function (mapping) {
+        this.mapping = mapping;
+        this.send(true, Ext.bind(this.showPreview, this));
+    },
+
+    /**
+     * Lists the outcome of a dry run.
+     * @private
+     */
+    showPreview: function (result) {
+        var vm = this.getViewModel();
+
+        vm.set('summary', result.summary);
+        vm.getStore('rows').loadData(Ext.Array.map(result.items, this.toRow));
+        this.goTo('preview');
+    },
+
+    /**
+     * Turns a row result of the backend into a row of the preview.
+     * @private
+     */
+    toRow: function (item) {
+        var values = item.values || {};
+
+        return {
+            line: item.line,
+            status: item.status,
+            name: Ext.String.trim((values.firstName || '') + ' ' + (values.lastName || '')),
+            email: values.email,
+            message: item.errors ? Ext.Object.getValues(item.errors).join(', ') : item.message
+        };
+    },
+
+    /**
+     * Posts the file with the chosen options.
+     * @private
+     */
+    send: function (dryRun, callback) {
+        var me = this,
+            vm = me.getViewModel(),
+            data = {
+                mapping: me.mapping,
+                duplicates: vm.get('updateDuplicates') ? 'update' : 'skip',
+                dryRun: dryRun
+            };
+
+        // the text goes by the name of its format, `csv` or `vcard`
+        data[vm.get('format')] = vm.get('text');
+        vm.set('busy', true);
+        demo.util.Api.request({
+            url: '/import/users',
+            method: 'POST',
+            jsonData: data,
+            success: function (response) {
+                if (!me.destroyed) {
+                    vm.set('busy', false);
+                    callback(Ext.decode(response.responseText));
+                }
+            },
+            failure: function (response) {
+                if (!me.destroyed) {
+                    vm.set('busy', false);
+                }
+                // a 401 brings up the login instead
+                if (!demo.util.Api.isUnauthorized(response)) {
+                    Ext.Msg.alert('Import', 'The file could not be ' + (dryRun ? 'checked' : 'imported') + ': ' +
+                        demo.util.Api.getErrorMessage(response));
+                }
+            }
+        });
+    },
+
+    /**
+     * Shows the progress of the import and asks again until it is done. Then
+     * the view fires `imported`.
+     * @private
+     */
+    showJob: function (job) {
+        var me = this,
+            view = me.getView();
+
+        me.getViewModel().set('job', job);
+        view.showProgress(job.total ? job.processed / job.total : 1);
+
+        if (job.status === 'running') {
+            me.pollTimer = Ext.defer(me.poll, me.pollInterval, me, [job.id]);
+        } else if (job.processed) {
+            view.fireEvent('imported', view, job);
+        }
+    },
+
+    /**
+     * @private
+     */
+    poll: function (id) {
+        var me = this;
+
+        demo.util.Api.request({
+            url: '/import/users/jobs/' + id,
+            success: function (response) {
+                if (!me.destroyed) {
+                    me.showJob(Ext.decode(response.responseText));
+                }
+            },
+            failure: function (response) {
+                if (!demo.util.Api.isUnauthorized(response)) {
+                    Ext.Msg.alert('Import', 'The progress of the import is unknown: ' +
+                        demo.util.Api.getErrorMessage(response));
+                }
+            }
+        });
+    },
+
+    /**
+     * @private
+     */
+    goTo: function (step) {
+        if (step === 'upload') {
+            this.mapping = null;
+        }
+        this.getViewModel().set('step', step);
+        this.getView().showStep(step);
+    }
+});
@@ -0,0 +1,99 @@
+/**
+ * View model of the wizard importing people from a CSV or vCard file, whose
+ * `text` is sent in the `format` (`csv` or `vcard`). `step` names the card
+ * shown: `upload`, `map` (CSV only), `preview` or `progress`. The backend
+ * reports what would happen to each row in `rows`, and the counts of each
+ * outcome in `summary`.
+ */
+Ext.define('demo.view.person.ImportModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.personimport',
+
+    data: {
+        step: 'upload',
+        fileName: null,
+        text: null,
+        format: 'csv',
+        summary: null,
+        updateDuplicates: false,
+        job: null,
+        busy: false
+    },
+
+    stores: {
+        rows: {
+            fields: ['line', 'status', 'name', 'email', 'message'],
+            proxy: {
+                type: 'memory'
+            }
+        }
+    },
+
+    formulas: {
+        isUpload: function (get) {
+            return get('step') === 'upload';
+        },
+
+        isMap: function (get) {
+            return get('step') === 'map';
+        },
+
+        isPreview: function (get) {
+            return get('step') === 'preview';
+        },
+
+        isProgress: function (get) {
+            return get('step') === 'progress';
+        },
+
+        canGoNext: function (get) {
+            return get('step') === 'upload' || get('step') === 'map';
+        },
+
+        canGoBack: function (get) {
+            return (get('step') === 'map' || get('step') === 'preview') && !get('busy');
+        },
+
+        /**
+         * Whether the preview has rows that create or update people.
+         */
+        canImport: function (get) {
+            var summary = get('summary');
+
+            return !!summary && summary.create + summary.update > 0 && !get('busy');
+        },
+
+        summaryText: function (get) {
+            var summary = get('summary');
+
+            if (!summary) {
+                return '';
+            }
+            return Ext.String.format('{0} rows: {1} new, {2} updated, {3} skipped, {4} with errors',
+                summary.total, summary.create, summary.update, summary.skip, summary.invalid);
+        },
+
+        progressText: function (get) {
+            var job = get('job');
+
+            if (!job) {
+                return 'Starting the import…';
+            }
+            if (job.status === 'failed') {
+                return 'The import stopped after ' + job.processed + ' of ' + job.total + ' people: ' +
+                    Ext.String.htmlEncode(job.error);
+            }
+            if (job.status === 'done') {
+                return 'Imported ' + job.processed + ' people.';
+            }
+            return 'Importing ' + job.processed + ' of ' + job.total + ' people…';
+        },
+
+        finished: function (get) {
+            var job = get('job');
+
+            return !!job && job.status !== 'running';
+        }
+    }
+});
@@ -0,0 +1,225 @@
+/**
+ * Controller of the Settings tab, shared by both toolkits. In classic the
+ * Personnel columns are picked with a tag field bound to the preferences; in
+ * modern they are the selection of the `columns` list, which the handlers
+ * below keep in sync.
+ */
+Ext.define('demo.view.settings.SettingsController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.settings',
+
+    requires: [
+        'demo.model.Account',
+        'demo.model.Preferences',
+        'demo.util.Api',
+        'demo.util.Preferences',
+        'demo.util.Session'
+    ],
+
+    /**
+     * Starts with the preferences of the account that is logged in.
+     */
+    init: function () {
+        var vm = this.getViewModel(),
+            Preferences = demo.util.Preferences,
+            account = demo.util.Session.account;
+
+        if (account) {
+            vm.getStore('scopes').add(this.toScope(account));
+            vm.set({
+                scope: String(account.getId()),
+                accountName: account.get('displayName')
+            });
+        }
+
+        vm.getStore('columns').loadData(Preferences.columns);
+        vm.getStore('dateFormats').loadData(Preferences.dateFormats);
+        vm.getStore('locales').loadData(Preferences.locales);
+        vm.getStore('themes').loadData(Preferences.themes);
+
+        if (demo.util.Session.can('read:accounts')) {
+            this.loadScopes();
+        }
+        this.loadPreferences(vm.get('scope'));
+    },
+
+    /**
+     * Adds the accounts to the scopes that can be edited.
+     */
+    loadScopes: function () {
+        var scopes = this.getViewModel().getStore('scopes'),
+            accounts = Ext.create('Ext.data.Store', {
+                model: 'demo.model.Account',
+                pageSize: 1000,
+                remoteSort: true,
+                sorters: ['username']
+            });
+
+        accounts.load({
+            callback: function (records, operation, success) {
+                if (success && !scopes.destroyed) {
+                    scopes.add(Ext.Array.map(Ext.Array.filter(records, function (account) {
+                        return !scopes.getById(String(account.getId()));
+                    }), this.toScope));
+                }
+                accounts.destroy();
+            },
+            scope: this
+        });
+    },
+
+    /**
+     * @private
+     */
+    toScope: function (account) {
+        return {
+            id: String(account.getId()),
+            name: account.get('displayName') + ' (' + account.get('username') + ')'
+        };
+    },
+
+    /**
+     * Loads the preferences of a scope into the form.
+     * @param {String} scope `defaults` or the id of an account.
+     */
+    loadPreferences: function (scope) {
+        var me = this;
+
+        demo.model.Preferences.load(scope, {
+            success: function (record) {
+                if (!me.destroyed) {
+                    me.getViewModel().set('preferences', record);
+                    me.syncColumns();
+                }
+            },
+            failure: function (record, operation) {
+                Ext.Msg.alert('Loading failed',
+                    'The preferences could not be loaded: ' +
+                    demo.util.Api.getErrorMessage(operation.getError()));
+            }
+        });
+    },
+
+    onScopeChange: function (field, scope) {
+        if (scope) {
+            this.getViewModel().set('scope', scope);
+            this.loadPreferences(scope);
+        }
+    },
+
+    /**
+     * Selects the preferred columns in the column list, if the view has one.
+     */
+    syncColumns: function () {
+        var list = this.lookupReference('columns'),
+            preferences = this.getViewModel().get('preferences'),
+            names = (preferences && preferences.get('personnelColumns')) || [];
+
+        if (!list) {
+            return;
+        }
+        list.deselectAll(true);
+        list.select(list.getStore().queryBy(function (column) {
+            return Ext.Array.contains(names, column.get('value'));
+        }).getRange(), false, true);
+    },
+
+    onColumnSelectionChange: function (list) {
+        var preferences = this.getViewModel().get('preferences');
+
+        if (preferences) {
+            preferences.set('personnelColumns', Ext.Array.map(list.getSelections(), function (column) {
+                return column.get('value');
+            }));
+        }
+    },
+
+    onSave: function () {
+        var preferences = this.getViewModel().get('preferences'),
+            errors = preferences && preferences.checkValues({});
+
+        if (!preferences) {
+            return;
+        }
+        if (!Ext.Object.isEmpty(errors)) {
+            Ext.Msg.alert('Please check your input',
+                Ext.Array.map(Ext.Object.getValues(errors), Ext.String.htmlEncode).join('<br>'));
+            return;
+        }
+
+        preferences.save({
+            success: this.onPreferencesSaved,
+            failure: function (record, operation) {
+                var fieldErrors = demo.util.Api.getFieldErrors(operation.getError());
+
+                if (fieldErrors) {
+                    record.setServerErrors(fieldErrors);
+                    Ext.Msg.alert('Please check your input',
+                        Ext.Array.map(Ext.Object.getValues(fieldErrors), Ext.String.htmlEncode).join('<br>'));
+                    return;
+                }
+                Ext.Msg.alert('Saving failed',
+                    'The preferences were not saved: ' +
+                    demo.util.Api.getErrorMessage(operation.getError()));
+            },
+            scope: this
+        });
+    },
+
+    onRevert: function () {
+        var preferences = this.getViewModel().get('preferences');
+
+        if (preferences) {
+            preferences.reject();
+            this.syncColumns();
+        }
+    },
+
+    /**
+     * Drops what the chosen scope sets itself. For the global defaults this
+     * goes back to the built-in ones.
+     */
+    onUseDefaults: function () {
+        var me = this,
+            scope = me.getViewModel().get('scope');
+
+        demo.util.Api.request({
+            url: '/settings/' + scope,
+            method: 'DELETE',
+            success: function () {
+                me.loadPreferences(scope);
+                me.onPreferencesSaved(me.getViewModel().get('preferences'));
+            },
+            failure: function (response) {
+                Ext.Msg.alert('Reset failed',
+                    'The preferences were not reset: ' + demo.util.Api.getErrorMessage(response));
+            }
+        });
+    },
+
+    /**
+     * Preferences are applied on start, so offer a reload when the ones in
+     * effect changed.
+     */
+    onPreferencesSaved: function (record) {
+        if (record && record.getId() === demo.util.Preferences.scope) {
+            Ext.Msg.confirm('Preferences saved',
+                'The new preferences apply once the app is reloaded. Reload now?',
+                function (choice) {
+                    if (choice === 'yes') {
+                        window.location.reload();
+                    }
+                });
+        }
+    },
+
+    /**
+     * Ends the session and starts over with the login.
+     */
+    onLogout: function () {
+        demo.util.Session.logout(function () {
+            window.location.reload();
+        });
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * View model of the Settings tab. `preferences` is the
+ * {@link demo.model.Preferences} record of the chosen `scope`. The choice
+ * stores are filled by the controller from {@link demo.util.Preferences}.
+ * `accountName` is the display name of the account that is logged in.
+ */
+Ext.define('demo.view.settings.SettingsModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.settings',
+
+    data: {
+        scope: 'defaults',
+        preferences: null,
+        accountName: null
+    },
+
+    stores: {
+        scopes: {
+            fields: ['id', 'name'],
+            data: [{ id: 'defaults', name: 'Global defaults' }]
+        },
+        columns: {
+            fields: ['value', 'text']
+        },
+        dateFormats: {
+            fields: ['value', 'text']
+        },
+        locales: {
+            fields: ['value', 'text']
+        },
+        themes: {
+            fields: ['value', 'text']
+        }
+    }
+});
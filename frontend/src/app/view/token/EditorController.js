@@ -0,0 +1,100 @@
+/**
+ * Controller of the dialog creating an access token, shared by both
+ * toolkits. In classic the scopes are picked with a tag field bound to the
+ * token; in modern they are the selection of the `scopes` list. The view
+ * fires `created` with the saved token, which then carries its secret.
+ */
+Ext.define('demo.view.token.EditorController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.tokeneditor',
+
+    requires: [
+        'demo.model.Account',
+        'demo.util.Api',
+        'demo.util.Session'
+    ],
+
+    init: function () {
+        var vm = this.getViewModel(),
+            account = demo.util.Session.account;
+
+        vm.getStore('scopes').loadData(Ext.Array.map(account.get('permissions'), function (permission) {
+            return { value: permission, text: permission };
+        }));
+        vm.getStore('accounts').loadData([{
+            id: account.getId(),
+            name: 'Myself (' + account.get('displayName') + ')'
+        }]);
+
+        if (demo.util.Session.can('write:accounts')) {
+            this.loadServiceAccounts();
+        }
+    },
+
+    /**
+     * Adds the service accounts admins can create API keys for.
+     */
+    loadServiceAccounts: function () {
+        var choices = this.getViewModel().getStore('accounts'),
+            accounts = Ext.create('Ext.data.Store', {
+                model: 'demo.model.Account',
+                pageSize: 1000,
+                remoteSort: true,
+                remoteFilter: true,
+                sorters: ['username'],
+                filters: [{ property: 'kind', value: 'service' }]
+            });
+
+        accounts.load({
+            callback: function (records, operation, success) {
+                if (success && !choices.destroyed) {
+                    choices.add(Ext.Array.map(records, function (account) {
+                        return {
+                            id: account.getId(),
+                            name: 'API key of ' + account.get('displayName') + ' (' + account.get('username') + ')'
+                        };
+                    }));
+                }
+                accounts.destroy();
+            }
+        });
+    },
+
+    onScopeSelectionChange: function (list) {
+        this.getViewModel().get('token').set('scopes', Ext.Array.map(list.getSelections(), function (scope) {
+            return scope.get('value');
+        }));
+    },
+
+    onSave: function () {
+        var view = this.getView(),
+            token = this.getViewModel().get('token'),
+            errors = token.checkValues({});
+
+        if (!token.get('scopes').length) {
+            errors.scopes = 'Pick at least one scope';
+        }
+        if (!Ext.Object.isEmpty(errors)) {
+            Ext.Msg.alert('Please check your input',
+                Ext.Array.map(Ext.Object.getValues(errors), Ext.String.htmlEncode).join('<br>'));
+            return;
+        }
+
+        token.save({
+            success: function () {
+                view.fireEvent('created', view, token);
+                view.dismiss();
+            },
+            failure: function (record, operation) {
+                Ext.Msg.alert('Saving failed',
+                    'The token was not created: ' +
+                    demo.util.Api.getErrorMessage(operation.getError()));
+            }
+        });
+    },
+
+    onCancel: function () {
+        this.getView().dismiss();
+    }
+});
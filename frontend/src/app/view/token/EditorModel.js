@@ -0,0 +1,23 @@
+/**
+ * View model of the dialog creating an access token. `accounts` offers the
+ * account itself and, to admins, the service accounts; `scopes` the
+ * permissions a token can be limited to. The controller fills both.
+ */
+Ext.define('demo.view.token.EditorModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.tokeneditor',
+
+    data: {
+        token: null
+    },
+
+    stores: {
+        accounts: {
+            fields: ['id', 'name']
+        },
+        scopes: {
+            fields: ['value', 'text']
+        }
+    }
+});
@@ -0,0 +1,79 @@
+/**
+ * Controller of the access tokens, shared by both toolkits.
+ */
+Ext.define('demo.view.token.TokensController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.tokens',
+
+    requires: [
+        'demo.model.Token',
+        'demo.util.Api',
+        'demo.util.Session',
+        'demo.view.token.Editor'
+    ],
+
+    onAddToken: function () {
+        this.getView().add({
+            xtype: 'tokeneditor',
+            viewModel: {
+                data: {
+                    token: Ext.create('demo.model.Token', {
+                        accountId: demo.util.Session.account.getId()
+                    })
+                }
+            },
+            listeners: {
+                created: 'onTokenCreated',
+                scope: this
+            }
+        }).show();
+    },
+
+    /**
+     * Shows the secret of a new token, which cannot be read again later.
+     */
+    onTokenCreated: function (editor, token) {
+        this.getViewModel().getStore('tokens').load();
+
+        Ext.Msg.alert('Token created',
+            'Copy the token now, it is not shown again:<br><br><code>' +
+            Ext.String.htmlEncode(token.get('token')) + '</code><br><br>' +
+            'Send it as <code>Authorization: Bearer &lt;token&gt;</code>.');
+    },
+
+    onRevokeToken: function () {
+        var record = this.getViewModel().get('selectedToken'),
+            store = this.getViewModel().getStore('tokens');
+
+        if (!record) {
+            return;
+        }
+
+        Ext.Msg.confirm('Revoke Token',
+            'Scripts using ' + Ext.String.htmlEncode(record.get('name')) +
+            ' lose access right away. Revoke it?',
+            function (choice) {
+                if (choice === 'yes') {
+                    record.erase({
+                        failure: function (erased, operation) {
+                            // bring back the row the store dropped
+                            store.load();
+                            Ext.Msg.alert('Revoking failed',
+                                'The token was not revoked: ' +
+                                demo.util.Api.getErrorMessage(operation.getError()));
+                        }
+                    });
+                }
+            });
+    },
+
+    onTokensLoad: function (store, records, successful, operation) {
+        // a 401 brings up the login instead
+        if (!successful && !demo.util.Api.isUnauthorized(operation.getError())) {
+            Ext.Msg.alert('Loading failed',
+                'The access tokens could not be loaded: ' +
+                demo.util.Api.getErrorMessage(operation.getError()));
+        }
+    }
+});
@@ -0,0 +1,25 @@
+/**
+ * View model of the access tokens on the Settings tab.
+ */
+Ext.define('demo.view.token.TokensModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.tokens',
+
+    requires: [
+        'demo.store.Tokens'
+    ],
+
+    data: {
+        selectedToken: null
+    },
+
+    stores: {
+        tokens: {
+            type: 'tokens',
+            listeners: {
+                load: 'onTokensLoad'
+            }
+        }
+    }
+});
@@ -0,0 +1,139 @@
+/**
+ * Controller of the Trash tab, shared by both toolkits. The trash loads
+ * whenever the tab is shown. Restoring fires the global `restored` event with
+ * the entity (`person` or `group`), so the lists that show it load again.
+ */
+Ext.define('demo.view.trash.TrashController', {
+    extend: 'Ext.app.ViewController',
+
+    alias: 'controller.trash',
+
+    requires: [
+        'demo.util.Api',
+        'demo.util.Session'
+    ],
+
+    control: {
+        '#': {
+            activate: 'onRefresh'
+        }
+    },
+
+    /**
+     * The trash of each entity: its store, the selection and the backend path.
+     * @private
+     */
+    kinds: {
+        person: {
+            store: 'deletedPeople',
+            selection: 'selectedDeletedPerson',
+            path: '/users/trash/',
+            permission: 'write:users',
+            name: 'person'
+        },
+        group: {
+            store: 'deletedGroups',
+            selection: 'selectedDeletedGroup',
+            path: '/groups/trash/',
+            permission: 'write:groups',
+            name: 'group'
+        }
+    },
+
+    onRefresh: function () {
+        var vm = this.getViewModel();
+
+        Ext.Object.each(this.kinds, function (entity, kind) {
+            if (demo.util.Session.can(kind.permission)) {
+                vm.getStore(kind.store).load();
+            }
+        });
+    },
+
+    onRestorePerson: function () {
+        this.restore('person');
+    },
+
+    onRestoreGroup: function () {
+        this.restore('group');
+    },
+
+    onPurgePerson: function () {
+        this.purge('person');
+    },
+
+    onPurgeGroup: function () {
+        this.purge('group');
+    },
+
+    /**
+     * @private
+     */
+    restore: function (entity) {
+        var me = this,
+            kind = me.kinds[entity],
+            record = me.getViewModel().get(kind.selection);
+
+        if (!record) {
+            return;
+        }
+        me.send(kind, record, 'POST', 'restore', function () {
+            Ext.GlobalEvents.fireEvent('restored', entity, record.getId());
+        });
+    },
+
+    /**
+     * @private
+     */
+    purge: function (entity) {
+        var me = this,
+            kind = me.kinds[entity],
+            record = me.getViewModel().get(kind.selection);
+
+        if (!record) {
+            return;
+        }
+        Ext.Msg.confirm('Delete Forever',
+            'Delete ' + Ext.String.htmlEncode(record.get('name')) + ' for good? This cannot be undone.',
+            function (choice) {
+                if (choice === 'yes') {
+                    me.send(kind, record, 'DELETE', null);
+                }
+            });
+    },
+
+    /**
+     * Sends a request about a record in the trash and loads the trash again.
+     * @private
+     */
+    send: function (kind, record, method, action, callback) {
+        var me = this;
+
+        demo.util.Api.request({
+            url: kind.path + record.getId() + (action ? '/' + action : ''),
+            method: method,
+            success: function () {
+                if (!me.destroyed) {
+                    me.getViewModel().getStore(kind.store).load();
+                }
+                Ext.callback(callback);
+            },
+            failure: function (response) {
+                // a 401 brings up the login instead
+                if (!demo.util.Api.isUnauthorized(response)) {
+                    Ext.Msg.alert('Trash', 'The ' + kind.name + ' was not ' +
+                        (action ? 'restored' : 'deleted') + ': ' + demo.util.Api.getErrorMessage(response));
+                }
+            }
+        });
+    },
+
+    onTrashLoad: function (store, records, successful, operation) {
+        // a 401 brings up the login instead
+        if (!successful && !demo.util.Api.isUnauthorized(operation.getError())) {
+            Ext.Msg.alert('Loading failed',
+                'The trash could not be loaded: ' +
+                demo.util.Api.getErrorMessage(operation.getError()));
+        }
+    }
+});
@@ -0,0 +1,44 @@
+/**
+ * View model of the Trash tab: the people and groups that were deleted.
+ */
+Ext.define('demo.view.trash.TrashModel', {
+    extend: 'Ext.app.ViewModel',
+
+    alias: 'viewmodel.trash',
+
+    requires: [
+        'demo.model.Group',
+        'demo.model.Person',
+        'demo.store.Trash'
+    ],
+
+    data: {
+        selectedDeletedPerson: null,
+        selectedDeletedGroup: null
+    },
+
+    stores: {
+        deletedPeople: {
+            type: 'trash',
+            model: 'demo.model.Person',
+            proxy: {
+                type: 'api',
+                url: '/users/trash'
+            },
+            listeners: {
+                load: 'onTrashLoad'
+            }
+        },
+        deletedGroups: {
+            type: 'trash',
+            model: 'demo.model.Group',
+            proxy: {
+                type: 'api',
+                url: '/groups/trash'
+            },
+            listeners: {
+                load: 'onTrashLoad'
+            }
+        }
+    }
+});
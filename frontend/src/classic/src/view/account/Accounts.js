@@ -0,0 +1,97 @@
+/**
+ * Account administration on the Users tab: lists who may log in to the app
+ * and lets admins create accounts, assign roles, disable accounts and reset
+ * passwords.
+ */
+Ext.define('demo.view.account.Accounts', {
+    extend: 'Ext.grid.Panel',
+    xtype: 'accounts',
+
+    requires: [
+        'Ext.toolbar.Paging',
+        'demo.view.account.AccountsController',
+        'demo.view.account.AccountsModel'
+    ],
+
+    controller: 'accounts',
+    viewModel: 'accounts',
+
+    title: 'Accounts',
+
+    bind: {
+        store: '{accounts}',
+        selection: '{selectedAccount}'
+    },
+
+    tbar: [{
+        text: 'Add',
+        iconCls: 'x-fa fa-plus',
+        handler: 'onAddAccount'
+    }, {
+        text: 'Edit',
+        iconCls: 'x-fa fa-pencil-square-o',
+        handler: 'onEditAccount',
+        bind: {
+            disabled: '{!selectedAccount}'
+        }
+    }, {
+        iconCls: 'x-fa fa-ban',
+        handler: 'onToggleStatus',
+        bind: {
+            text: '{statusAction}',
+            disabled: '{!selectedAccount}'
+        }
+    }, {
+        text: 'Reset Password',
+        iconCls: 'x-fa fa-key',
+        handler: 'onResetPassword',
+        bind: {
+            disabled: '{!hasPassword}'
+        }
+    }],
+
+    columns: [
+        { text: 'Username',     dataIndex: 'username', width: 120 },
+        { text: 'Display Name', dataIndex: 'displayName', flex: 1 },
+        { text: 'Person',       dataIndex: 'personName', flex: 1, sortable: false },
+        {
+            text: 'Roles',
+            dataIndex: 'roles',
+            width: 140,
+            sortable: false,
+            renderer: function (roles) {
+                return Ext.String.htmlEncode((roles || []).join(', '));
+            }
+        },
+        {
+            text: 'Kind',
+            dataIndex: 'kind',
+            width: 90,
+            renderer: function (kind) {
+                return kind === 'service' ? 'Service' : 'Person';
+            }
+        },
+        {
+            text: 'Status',
+            dataIndex: 'status',
+            width: 90,
+            renderer: function (status) {
+                return status === 'disabled' ? 'Disabled' : 'Active';
+            }
+        },
+        { text: 'Last Login',   dataIndex: 'lastLoginAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130 },
+        { text: 'Created',      dataIndex: 'createdAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130, hidden: true }
+    ],
+
+    bbar: {
+        xtype: 'pagingtoolbar',
+        displayInfo: true,
+        bind: {
+            store: '{accounts}'
+        }
+    },
+
+    listeners: {
+        rowdblclick: 'onEditAccount'
+    }
+});
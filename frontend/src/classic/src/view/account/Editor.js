@@ -0,0 +1,119 @@
+/**
+ * Window for creating and editing an account.
+ */
+Ext.define('demo.view.account.Editor', {
+    extend: 'Ext.window.Window',
+    xtype: 'accounteditor',
+
+    requires: [
+        'Ext.form.CheckboxGroup',
+        'Ext.form.Panel',
+        'Ext.form.field.Checkbox',
+        'Ext.form.field.ComboBox',
+        'demo.model.Person',
+        'demo.view.account.EditorController',
+        'demo.view.account.EditorModel'
+    ],
+
+    controller: 'accounteditor',
+    viewModel: 'accounteditor',
+
+    bind: {
+        title: '{title}'
+    },
+
+    modal: true,
+    width: 480,
+    layout: 'fit',
+
+    items: [{
+        xtype: 'form',
+        reference: 'form',
+        bodyPadding: 10,
+        modelValidation: true,
+        defaults: {
+            anchor: '100%',
+            labelWidth: 100
+        },
+        items: [{
+            xtype: 'textfield',
+            fieldLabel: 'Username',
+            bind: {
+                value: '{account.username}',
+                readOnly: '{!isNew}'
+            }
+        }, {
+            xtype: 'checkbox',
+            fieldLabel: 'Kind',
+            boxLabel: 'Service account, used by scripts through API keys',
+            bind: {
+                value: '{isService}',
+                hidden: '{!isNew}'
+            }
+        }, {
+            xtype: 'textfield',
+            fieldLabel: 'Password',
+            inputType: 'password',
+            bind: {
+                value: '{account.password}',
+                hidden: '{!askPassword}'
+            }
+        }, {
+            xtype: 'textfield',
+            fieldLabel: 'Display Name',
+            bind: '{account.displayName}'
+        }, {
+            xtype: 'combobox',
+            reference: 'person',
+            fieldLabel: 'Person',
+            queryMode: 'remote',
+            minChars: 1,
+            forceSelection: true,
+            valueField: 'id',
+            displayField: 'name',
+            emptyText: 'Nobody',
+            store: {
+                model: 'demo.model.Person',
+                remoteSort: true,
+                remoteFilter: true,
+                sorters: ['lastName', 'firstName']
+            },
+            bind: '{account.personId}'
+        }, {
+            xtype: 'checkboxgroup',
+            fieldLabel: 'Roles',
+            columns: 1,
+            items: [{
+                boxLabel: 'Admin &ndash; manages accounts, groups and global settings',
+                bind: '{roleAdmin}'
+            }, {
+                boxLabel: 'Editor &ndash; edits people and groups',
+                bind: '{roleEditor}'
+            }, {
+                boxLabel: 'Viewer &ndash; reads the directory',
+                bind: '{roleViewer}'
+            }]
+        }]
+    }],
+
+    buttons: [{
+        text: 'Reset',
+        handler: 'onReset',
+        bind: {
+            disabled: '{!account.dirty}'
+        }
+    }, '->', {
+        text: 'Cancel',
+        handler: 'onCancel'
+    }, {
+        text: 'Save',
+        handler: 'onSave'
+    }],
+
+    /**
+     * Closes the window.
+     */
+    dismiss: function () {
+        this.close();
+    }
+});
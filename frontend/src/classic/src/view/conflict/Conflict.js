@@ -0,0 +1,112 @@
+/**
+ * Window resolving a change that clashed with one made by someone else.
+ * Each field that differs gets a pair of radio buttons, ours next to the
+ * server's.
+ */
+Ext.define('demo.view.conflict.Conflict', {
+    extend: 'Ext.window.Window',
+    xtype: 'conflict',
+
+    requires: [
+        'Ext.form.Panel',
+        'Ext.form.RadioGroup',
+        'demo.view.conflict.ConflictController',
+        'demo.view.conflict.ConflictModel'
+    ],
+
+    controller: 'conflict',
+    viewModel: 'conflict',
+
+    /**
+     * @event resolved
+     * Fires when the user picked the values to keep. The record then holds
+     * them as unsaved changes on top of the current version.
+     * @param {demo.view.conflict.Conflict} dialog
+     * @param {Ext.data.Model} record
+     */
+
+    title: 'Changed by Someone Else',
+    modal: true,
+    closable: false,
+    width: 600,
+    maxHeight: 520,
+    layout: 'fit',
+
+    items: [{
+        xtype: 'form',
+        reference: 'form',
+        bodyPadding: 10,
+        scrollable: 'y',
+        defaults: {
+            anchor: '100%',
+            labelWidth: 100
+        },
+        items: [{
+            xtype: 'component',
+            margin: '0 0 10 0',
+            bind: {
+                html: '{message}'
+            }
+        }]
+    }],
+
+    buttons: [{
+        text: 'Take Theirs',
+        handler: 'onTakeTheirs',
+        bind: {
+            disabled: '{!current}'
+        }
+    }, '->', {
+        text: 'Merge',
+        handler: 'onMerge',
+        bind: {
+            disabled: '{!current}'
+        }
+    }, {
+        text: 'Keep Mine',
+        handler: 'onKeepMine',
+        bind: {
+            disabled: '{!current}'
+        }
+    }],
+
+    /**
+     * Adds the choice between our value and the server's for each field.
+     * @param {Object[]} rows
+     */
+    showRows: function (rows) {
+        this.lookupReference('form').add(Ext.Array.map(rows, function (row) {
+            return {
+                xtype: 'radiogroup',
+                fieldLabel: Ext.String.htmlEncode(row.label),
+                columns: 2,
+                items: [{
+                    boxLabel: 'Mine: ' + Ext.String.htmlEncode(row.mine),
+                    name: row.name,
+                    inputValue: 'mine',
+                    checked: row.changed
+                }, {
+                    boxLabel: 'Server: ' + Ext.String.htmlEncode(row.theirs),
+                    name: row.name,
+                    inputValue: 'theirs',
+                    checked: !row.changed
+                }]
+            };
+        }));
+        this.center();
+    },
+
+    /**
+     * @return {Object} `mine` or `theirs` keyed by field name.
+     */
+    getChoices: function () {
+        return this.lookupReference('form').getForm().getValues();
+    },
+
+    /**
+     * Closes the window.
+     */
+    dismiss: function () {
+        this.close();
+    }
+});
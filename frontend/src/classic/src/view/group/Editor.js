@@ -0,0 +1,99 @@
+/**
+ * Window for editing a group and moving people between the available people
+ * and its members.
+ */
+Ext.define('demo.view.group.Editor', {
+    extend: 'Ext.window.Window',
+    xtype: 'groupeditor',
+
+    requires: [
+        'Ext.form.Panel',
+        'Ext.form.field.TextArea',
+        'Ext.ux.form.ItemSelector',
+        'demo.model.Person',
+        'demo.view.group.EditorController',
+        'demo.view.group.EditorModel'
+    ],
+
+    controller: 'groupeditor',
+    viewModel: 'groupeditor',
+
+    bind: {
+        title: '{title}'
+    },
+
+    modal: true,
+    width: 640,
+    height: 560,
+    layout: 'fit',
+
+    items: [{
+        xtype: 'form',
+        reference: 'form',
+        bodyPadding: 10,
+        modelValidation: true,
+        layout: {
+            type: 'vbox',
+            align: 'stretch'
+        },
+        defaults: {
+            labelWidth: 90
+        },
+        items: [{
+            xtype: 'textfield',
+            fieldLabel: 'Name',
+            bind: '{group.name}'
+        }, {
+            xtype: 'textareafield',
+            fieldLabel: 'Description',
+            height: 70,
+            bind: '{group.description}'
+        }, {
+            xtype: 'itemselector',
+            fieldLabel: 'Members',
+            flex: 1,
+            fromTitle: 'Available people',
+            toTitle: 'Members',
+            buttons: ['add', 'remove'],
+            buttonsText: {
+                add: 'Add to members',
+                remove: 'Remove from members'
+            },
+            valueField: 'id',
+            displayField: 'name',
+            store: {
+                model: 'demo.model.Person',
+                autoLoad: true,
+                remoteSort: true,
+                pageSize: 1000,
+                sorters: ['lastName', 'firstName']
+            },
+            bind: '{group.memberIds}'
+        }]
+    }],
+
+    buttons: [{
+        text: 'Reset',
+        handler: 'onReset',
+        bind: {
+            disabled: '{!group.dirty}',
+            hidden: '{!can.writeGroups}'
+        }
+    }, '->', {
+        text: 'Cancel',
+        handler: 'onCancel'
+    }, {
+        text: 'Save',
+        handler: 'onSave',
+        bind: {
+            hidden: '{!can.writeGroups}'
+        }
+    }],
+
+    /**
+     * Closes the window.
+     */
+    dismiss: function () {
+        this.close();
+    }
+});
@@ -0,0 +1,66 @@
+/**
+ * Group management on the Groups tab.
+ */
+Ext.define('demo.view.group.Groups', {
+    extend: 'Ext.grid.Panel',
+    xtype: 'groups',
+
+    requires: [
+        'Ext.toolbar.Paging',
+        'demo.view.group.GroupsController',
+        'demo.view.group.GroupsModel'
+    ],
+
+    controller: 'groups',
+    viewModel: 'groups',
+
+    title: 'Groups',
+
+    bind: {
+        store: '{groups}',
+        selection: '{selectedGroup}'
+    },
+
+    tbar: [{
+        text: 'Add',
+        iconCls: 'x-fa fa-plus',
+        handler: 'onAddGroup',
+        bind: {
+            hidden: '{!can.writeGroups}'
+        }
+    }, {
+        text: 'Delete',
+        iconCls: 'x-fa fa-trash',
+        handler: 'onDeleteGroup',
+        bind: {
+            disabled: '{!selectedGroup}',
+            hidden: '{!can.writeGroups}'
+        }
+    }, '->', {
+        text: 'Members',
+        iconCls: 'x-fa fa-pencil-square-o',
+        handler: 'onEditGroup',
+        bind: {
+            disabled: '{!selectedGroup}'
+        }
+    }],
+
+    columns: [
+        { text: 'Name',        dataIndex: 'name', width: 180 },
+        { text: 'Description', dataIndex: 'description', flex: 1 },
+        { text: 'Members',     dataIndex: 'memberCount', width: 100, align: 'right', sortable: false },
+        { text: 'Created',     dataIndex: 'createdAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130, hidden: true }
+    ],
+
+    bbar: {
+        xtype: 'pagingtoolbar',
+        displayInfo: true,
+        bind: {
+            store: '{groups}'
+        }
+    },
+
+    listeners: {
+        rowdblclick: 'onEditGroup'
+    }
+});
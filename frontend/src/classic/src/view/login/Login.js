@@ -0,0 +1,73 @@
+/**
+ * Login window. It cannot be closed, the app is of no use without a session.
+ */
+Ext.define('demo.view.login.Login', {
+    extend: 'Ext.window.Window',
+    xtype: 'login',
+
+    requires: [
+        'Ext.form.Panel',
+        'Ext.form.field.Text',
+        'demo.view.login.LoginController',
+        'demo.view.login.LoginModel'
+    ],
+
+    controller: 'login',
+    viewModel: 'login',
+
+    /**
+     * @event login
+     * Fires when the user logged in.
+     * @param {demo.view.login.Login} login
+     * @param {demo.model.Account} account
+     * @param {demo.model.Account} previous The account whose session expired, if any.
+     */
+
+    title: 'Log in',
+    iconCls: 'x-fa fa-sign-in',
+
+    modal: true,
+    closable: false,
+    draggable: false,
+    resizable: false,
+    width: 360,
+    layout: 'fit',
+
+    defaultFocus: 'textfield',
+
+    items: [{
+        xtype: 'form',
+        bodyPadding: 10,
+        defaults: {
+            xtype: 'textfield',
+            anchor: '100%',
+            labelWidth: 80,
+            listeners: {
+                specialkey: 'onSpecialKey'
+            }
+        },
+        items: [{
+            fieldLabel: 'Username',
+            bind: '{username}'
+        }, {
+            fieldLabel: 'Password',
+            inputType: 'password',
+            bind: '{password}'
+        }, {
+            xtype: 'component',
+            cls: Ext.baseCSSPrefix + 'form-invalid-under-default',
+            bind: {
+                html: '{error:htmlEncode}',
+                hidden: '{!error}'
+            }
+        }]
+    }],
+
+    buttons: [{
+        text: 'Log in',
+        handler: 'onLogin',
+        bind: {
+            disabled: '{busy}'
+        }
+    }]
+});
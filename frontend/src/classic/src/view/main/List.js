@@ -1,27 +1,117 @@
 /**
- * This view is an example list of people.
+ * This view is an example list of people. Rows are edited in place by double
+ * clicking them, for accounts that may change people.
  */
 Ext.define('demo.view.main.List', {
     extend: 'Ext.grid.Panel',
     xtype: 'mainlist',
 
     requires: [
-        'demo.store.Personnel'
+        'Ext.form.field.Date',
+        'Ext.grid.plugin.RowEditing',
+        'Ext.toolbar.Paging'
     ],
 
+    reference: 'personnellist',
+
     title: 'Personnel',
 
-    store: {
-        type: 'personnel'
+    bind: {
+        store: '{personnel}',
+        selection: '{selectedPerson}'
     },
 
+    plugins: [{
+        ptype: 'rowediting',
+        pluginId: 'rowediting',
+        clicksToEdit: 2
+    }],
+
+    tbar: [{
+        text: 'Add',
+        iconCls: 'x-fa fa-plus',
+        handler: 'onAddPerson',
+        bind: {
+            hidden: '{!can.writeUsers}'
+        }
+    }, {
+        text: 'Delete',
+        iconCls: 'x-fa fa-trash',
+        handler: 'onDeletePerson',
+        bind: {
+            disabled: '{!selectedPerson}',
+            hidden: '{!can.writeUsers}'
+        }
+    }, {
+        text: 'Revert',
+        iconCls: 'x-fa fa-undo',
+        tooltip: 'Discard changes that have not been saved',
+        handler: 'onRevertChanges',
+        bind: {
+            hidden: '{!can.writeUsers}'
+        }
+    }, {
+        text: 'Import',
+        iconCls: 'x-fa fa-upload',
+        tooltip: 'Add or update people from a CSV or vCard file',
+        handler: 'onImportPeople',
+        bind: {
+            hidden: '{!can.writeUsers}'
+        }
+    }, {
+        text: 'Export',
+        iconCls: 'x-fa fa-download',
+        tooltip: 'Download the list as it is sorted and filtered, with the columns shown',
+        menu: [{
+            text: 'CSV',
+            iconCls: 'x-fa fa-file-text-o',
+            format: 'csv',
+            handler: 'onExportPeople'
+        }, {
+            text: 'Excel',
+            iconCls: 'x-fa fa-file-excel-o',
+            format: 'xlsx',
+            handler: 'onExportPeople'
+        }, '-', {
+            text: 'Directory as LDIF',
+            iconCls: 'x-fa fa-sitemap',
+            tooltip: 'Everybody and every group, for LDAP directories',
+            format: 'ldif',
+            handler: 'onExportPeople',
+            bind: {
+                hidden: '{!can.readGroups}'
+            }
+        }]
+    }, '->', {
+        text: 'Details',
+        iconCls: 'x-fa fa-pencil-square-o',
+        handler: 'onShowPerson',
+        bind: {
+            disabled: '{!selectedPerson}'
+        }
+    }],
+
     columns: [
-        { text: 'Name',  dataIndex: 'name' },
-        { text: 'Email', dataIndex: 'email', flex: 1 },
-        { text: 'Phone', dataIndex: 'phone', flex: 1 }
+        { text: 'First Name', dataIndex: 'firstName', editor: 'textfield' },
+        { text: 'Last Name',  dataIndex: 'lastName', editor: 'textfield' },
+        { text: 'Email',      dataIndex: 'email', flex: 1, editor: 'textfield' },
+        { text: 'Phone',      dataIndex: 'phone', flex: 1, editor: 'textfield' },
+        { text: 'Department', dataIndex: 'department', editor: 'textfield' },
+        { text: 'Title',      dataIndex: 'title', editor: 'textfield' },
+        { text: 'Hired',      dataIndex: 'hireDate', xtype: 'datecolumn', editor: 'datefield' }
     ],
 
+    bbar: {
+        xtype: 'pagingtoolbar',
+        displayInfo: true,
+        bind: {
+            store: '{personnel}'
+        }
+    },
+
     listeners: {
-        select: 'onItemSelected'
+        beforeedit: 'onPersonBeforeEdit',
+        validateedit: 'onPersonValidateEdit',
+        canceledit: 'onPersonCancelEdit'
     }
 });
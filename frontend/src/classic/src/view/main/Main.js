@@ -15,7 +15,12 @@ Ext.define('demo.view.main.Main', {
 
         'demo.view.main.MainController',
         'demo.view.main.MainModel',
-        'demo.view.main.List'
+        'demo.view.main.List',
+        'demo.view.account.Accounts',
+        'demo.view.group.Groups',
+        'demo.view.settings.Settings',
+        'demo.view.token.Tokens',
+        'demo.view.trash.Trash'
     ],
 
     controller: 'main',
@@ -86,19 +91,37 @@ Ext.define('demo.view.main.Main', {
         title: 'Users',
         iconCls: 'fa-user',
         bind: {
-            html: '{loremIpsum}'
-        }
+            disabled: '{!can.readAccounts}'
+        },
+        items: [{
+            xtype: 'accounts'
+        }]
     }, {
         title: 'Groups',
         iconCls: 'fa-users',
         bind: {
-            html: '{loremIpsum}'
+            disabled: '{!can.readGroups}'
+        },
+        items: [{
+            xtype: 'groups'
+        }]
+    }, {
+        xtype: 'trash',
+        title: 'Trash',
+        iconCls: 'fa-trash',
+        bind: {
+            disabled: '{!canUseTrash}'
         }
     }, {
         title: 'Settings',
         iconCls: 'fa-cog',
-        bind: {
-            html: '{loremIpsum}'
-        }
+        items: [{
+            xtype: 'tabpanel',
+            items: [{
+                xtype: 'settings'
+            }, {
+                xtype: 'tokens'
+            }]
+        }]
     }]
 });
@@ -0,0 +1,136 @@
+/**
+ * Window for viewing and editing a person, with the changes made to it on the
+ * History tab.
+ */
+Ext.define('demo.view.person.Detail', {
+    extend: 'Ext.window.Window',
+    xtype: 'persondetail',
+
+    requires: [
+        'Ext.form.Panel',
+        'Ext.form.field.ComboBox',
+        'Ext.form.field.Date',
+        'demo.model.Person',
+        'Ext.tab.Panel',
+        'demo.view.person.DetailController',
+        'demo.view.person.DetailModel',
+        'demo.view.person.History'
+    ],
+
+    controller: 'persondetail',
+    viewModel: 'persondetail',
+
+    bind: {
+        title: '{title}'
+    },
+
+    modal: true,
+    width: 560,
+    height: 450,
+    layout: 'fit',
+
+    items: [{
+        xtype: 'tabpanel',
+        items: [{
+            xtype: 'form',
+            title: 'Details',
+            reference: 'form',
+            bodyPadding: 10,
+            modelValidation: true,
+            defaults: {
+                anchor: '100%',
+                labelWidth: 90
+            },
+            items: [{
+                xtype: 'textfield',
+                fieldLabel: 'First Name',
+                bind: '{person.firstName}'
+            }, {
+                xtype: 'textfield',
+                fieldLabel: 'Last Name',
+                bind: '{person.lastName}'
+            }, {
+                xtype: 'textfield',
+                fieldLabel: 'Email',
+                vtype: 'email',
+                bind: '{person.email}'
+            }, {
+                xtype: 'textfield',
+                fieldLabel: 'Phone',
+                bind: '{person.phone}'
+            }, {
+                xtype: 'textfield',
+                fieldLabel: 'Department',
+                bind: '{person.department}'
+            }, {
+                xtype: 'textfield',
+                fieldLabel: 'Title',
+                bind: '{person.title}'
+            }, {
+                xtype: 'textfield',
+                fieldLabel: 'Photo URL',
+                bind: '{person.photoUrl}'
+            }, {
+                xtype: 'datefield',
+                fieldLabel: 'Hired',
+                bind: '{person.hireDate}'
+            }, {
+                xtype: 'combobox',
+                reference: 'manager',
+                fieldLabel: 'Manager',
+                queryMode: 'remote',
+                minChars: 1,
+                forceSelection: true,
+                valueField: 'id',
+                displayField: 'name',
+                emptyText: 'Nobody',
+                store: {
+                    model: 'demo.model.Person',
+                    remoteSort: true,
+                    remoteFilter: true,
+                    sorters: ['lastName', 'firstName']
+                },
+                bind: '{person.managerId}'
+            }]
+        }, {
+            xtype: 'personhistory',
+            bind: {
+                disabled: '{!hasHistory}'
+            }
+        }]
+    }],
+
+    buttons: [{
+        text: 'Reset',
+        handler: 'onReset',
+        bind: {
+            disabled: '{!person.dirty}',
+            hidden: '{!can.writeUsers}'
+        }
+    }, {
+        text: 'Download Contact',
+        iconCls: 'x-fa fa-download',
+        tooltip: 'Save the person as a vCard for address books and phones',
+        handler: 'onDownloadContact',
+        bind: {
+            hidden: '{original.phantom}'
+        }
+    }, '->', {
+        text: 'Cancel',
+        handler: 'onCancel'
+    }, {
+        text: 'Save',
+        handler: 'onSave',
+        bind: {
+            disabled: '{saving}',
+            hidden: '{!can.writeUsers}'
+        }
+    }],
+
+    /**
+     * Closes the window.
+     */
+    dismiss: function () {
+        this.close();
+    }
+});
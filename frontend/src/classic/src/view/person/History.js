@@ -0,0 +1,55 @@
+/**
+ * The changes made to a person, on the History tab of the detail window.
+ */
+Ext.define('demo.view.person.History', {
+    extend: 'Ext.grid.Panel',
+    xtype: 'personhistory',
+
+    requires: [
+        'Ext.grid.column.Date',
+        'demo.view.person.HistoryController',
+        'demo.view.person.HistoryModel'
+    ],
+
+    controller: 'personhistory',
+    viewModel: 'personhistory',
+
+    title: 'History',
+
+    emptyText: 'No changes recorded',
+
+    bind: {
+        store: '{history}',
+        selection: '{selectedEntry}'
+    },
+
+    tbar: [{
+        text: 'Refresh',
+        iconCls: 'x-fa fa-refresh',
+        handler: 'onRefresh'
+    }, '->', {
+        text: 'Revert',
+        iconCls: 'x-fa fa-undo',
+        handler: 'onRevert',
+        bind: {
+            disabled: '{!revertible}',
+            hidden: '{!can.writeUsers}'
+        }
+    }],
+
+    columns: [
+        { text: 'When',   dataIndex: 'occurredAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 120 },
+        { text: 'By',     dataIndex: 'actor', width: 90 },
+        { text: 'Action', dataIndex: 'action', width: 70 },
+        {
+            text: 'Changes',
+            dataIndex: 'summary',
+            flex: 1,
+            sortable: false,
+            cellWrap: true,
+            renderer: function (summary) {
+                return Ext.String.htmlEncode(summary).replace(/\n/g, '<br>');
+            }
+        }
+    ]
+});
@@ -0,0 +1,229 @@
+/**
+ * Wizard importing people from a CSV or vCard file: choose the file, map the
+ * columns of CSV files to person fields, check what each row would do and
+ * import it.
+ */
+Ext.define('demo.view.person.Import', {
+    extend: 'Ext.window.Window',
+    xtype: 'personimport',
+
+    requires: [
+        'Ext.ProgressBar',
+        'Ext.form.Panel',
+        'Ext.form.field.Checkbox',
+        'Ext.form.field.ComboBox',
+        'Ext.form.field.File',
+        'Ext.grid.Panel',
+        'Ext.layout.container.Card',
+        'demo.view.person.ImportController',
+        'demo.view.person.ImportModel'
+    ],
+
+    controller: 'personimport',
+    viewModel: 'personimport',
+
+    /**
+     * @event imported
+     * Fires when an import that changed people is done.
+     * @param {demo.view.person.Import} wizard
+     * @param {Object} job The finished job as the backend reports it.
+     */
+
+    title: 'Import People',
+    modal: true,
+    closable: false,
+    width: 640,
+    height: 460,
+    layout: 'card',
+
+    items: [{
+        xtype: 'form',
+        itemId: 'upload',
+        bodyPadding: 10,
+        items: [{
+            xtype: 'component',
+            margin: '0 0 10 0',
+            html: 'Choose a CSV file whose first line names the columns, such as a spreadsheet ' +
+                'saved as CSV, or a vCard file of contacts. The next steps show what it would ' +
+                'change before anything is imported.'
+        }, {
+            xtype: 'filefield',
+            reference: 'file',
+            fieldLabel: 'File',
+            labelWidth: 60,
+            anchor: '100%',
+            buttonText: 'Choose…'
+        }]
+    }, {
+        xtype: 'form',
+        itemId: 'map',
+        reference: 'mapping',
+        bodyPadding: 10,
+        scrollable: 'y',
+        defaults: {
+            anchor: '100%',
+            labelWidth: 200
+        }
+    }, {
+        xtype: 'panel',
+        itemId: 'preview',
+        layout: {
+            type: 'vbox',
+            align: 'stretch'
+        },
+        tbar: [{
+            xtype: 'checkbox',
+            boxLabel: 'Update people whose email is already known',
+            bind: '{updateDuplicates}',
+            listeners: {
+                change: 'onDuplicatesChange'
+            }
+        }, '->', {
+            xtype: 'tbtext',
+            bind: {
+                html: '{summaryText}'
+            }
+        }],
+        items: [{
+            xtype: 'grid',
+            flex: 1,
+            bind: {
+                store: '{rows}'
+            },
+            columns: [
+                { text: 'Line', dataIndex: 'line', width: 60 },
+                { text: 'Outcome', dataIndex: 'status', width: 80 },
+                { text: 'Name', dataIndex: 'name', width: 140 },
+                { text: 'Email', dataIndex: 'email', width: 180 },
+                { text: 'Message', dataIndex: 'message', flex: 1, cellWrap: true }
+            ]
+        }]
+    }, {
+        xtype: 'panel',
+        itemId: 'progress',
+        bodyPadding: 10,
+        items: [{
+            xtype: 'progressbar',
+            reference: 'progress',
+            margin: '0 0 10 0'
+        }, {
+            xtype: 'component',
+            bind: {
+                html: '{progressText}'
+            }
+        }]
+    }],
+
+    buttons: [{
+        text: 'Cancel',
+        handler: 'onClose',
+        bind: {
+            hidden: '{isProgress}'
+        }
+    }, '->', {
+        text: 'Back',
+        handler: 'onBack',
+        bind: {
+            hidden: '{!canGoBack}'
+        }
+    }, {
+        text: 'Next',
+        handler: 'onNext',
+        bind: {
+            disabled: '{busy}',
+            hidden: '{!canGoNext}'
+        }
+    }, {
+        text: 'Import',
+        handler: 'onImport',
+        bind: {
+            disabled: '{!canImport}',
+            hidden: '{!isPreview}'
+        }
+    }, {
+        text: 'Close',
+        handler: 'onClose',
+        bind: {
+            disabled: '{!finished}',
+            hidden: '{!isProgress}'
+        }
+    }],
+
+    /**
+     * @return {File} The chosen file, if any.
+     */
+    getFile: function () {
+        var input = this.lookupReference('file').fileInputEl.dom;
+
+        return input.files && input.files[0];
+    },
+
+    /**
+     * Offers a person field for each column of the file.
+     * @param {String[]} columns
+     * @param {Object} mapping Fields keyed by column to choose at first.
+     * @param {Object[]} fields The fields with their `value` and `text`.
+     */
+    showMapping: function (columns, mapping, fields) {
+        var form = this.lookupReference('mapping'),
+            options = [['', '(Ignore)']].concat(Ext.Array.map(fields, function (field) {
+                return [field.value, field.text];
+            }));
+
+        form.removeAll();
+        form.add({
+            xtype: 'component',
+            margin: '0 0 10 0',
+            html: 'Choose the field each column of ' + Ext.String.htmlEncode(this.getViewModel().get('fileName')) +
+                ' goes to. Columns that are ignored are not imported.'
+        });
+        form.add(Ext.Array.map(columns, function (column) {
+            return {
+                xtype: 'combobox',
+                fieldLabel: Ext.String.htmlEncode(column),
+                name: column,
+                store: options,
+                value: mapping[column] || '',
+                queryMode: 'local',
+                editable: false,
+                forceSelection: true
+            };
+        }));
+    },
+
+    /**
+     * @return {Object} Person fields keyed by the columns that are not ignored.
+     */
+    getMapping: function () {
+        var values = this.lookupReference('mapping').getForm().getValues(),
+            mapping = {};
+
+        Ext.Object.each(values, function (column, field) {
+            if (field) {
+                mapping[column] = field;
+            }
+        });
+        return mapping;
+    },
+
+    /**
+     * @param {String} step
+     */
+    showStep: function (step) {
+        this.getLayout().setActiveItem(this.child('#' + step));
+    },
+
+    /**
+     * @param {Number} ratio The share of rows imported so far.
+     */
+    showProgress: function (ratio) {
+        this.lookupReference('progress').updateProgress(ratio, Math.round(ratio * 100) + '%');
+    },
+
+    /**
+     * Closes the window.
+     */
+    dismiss: function () {
+        this.close();
+    }
+});
@@ -0,0 +1,148 @@
+/**
+ * Preferences form of the Settings tab. Admins pick whether they edit the
+ * global defaults or the preferences of an account, everybody else edits
+ * their own.
+ */
+Ext.define('demo.view.settings.Settings', {
+    extend: 'Ext.form.Panel',
+    xtype: 'settings',
+
+    requires: [
+        'Ext.form.field.ComboBox',
+        'Ext.form.field.Number',
+        'Ext.form.field.Tag',
+        'demo.view.settings.SettingsController',
+        'demo.view.settings.SettingsModel'
+    ],
+
+    controller: 'settings',
+    viewModel: 'settings',
+
+    title: 'Preferences',
+
+    bodyPadding: 10,
+    modelValidation: true,
+    scrollable: true,
+
+    defaults: {
+        width: 480,
+        labelWidth: 140
+    },
+
+    tbar: [{
+        xtype: 'combobox',
+        fieldLabel: 'Preferences of',
+        labelWidth: 100,
+        width: 360,
+        queryMode: 'local',
+        editable: false,
+        forceSelection: true,
+        valueField: 'id',
+        displayField: 'name',
+        bind: {
+            store: '{scopes}',
+            value: '{scope}',
+            hidden: '{!can.readSettings}'
+        },
+        listeners: {
+            change: 'onScopeChange'
+        }
+    }, '->', {
+        xtype: 'tbtext',
+        bind: 'Signed in as {accountName:htmlEncode}'
+    }, {
+        text: 'Log out',
+        iconCls: 'x-fa fa-sign-out',
+        handler: 'onLogout'
+    }],
+
+    defaultType: 'combobox',
+
+    items: [{
+        xtype: 'numberfield',
+        fieldLabel: 'Page size',
+        minValue: 5,
+        maxValue: 1000,
+        allowDecimals: false,
+        bind: '{preferences.pageSize}'
+    }, {
+        fieldLabel: 'Sort people by',
+        queryMode: 'local',
+        editable: false,
+        valueField: 'value',
+        displayField: 'text',
+        bind: {
+            store: '{columns}',
+            value: '{preferences.sortProperty}'
+        }
+    }, {
+        fieldLabel: 'Sort direction',
+        queryMode: 'local',
+        editable: false,
+        valueField: 'value',
+        displayField: 'text',
+        store: [['ASC', 'Ascending'], ['DESC', 'Descending']],
+        bind: '{preferences.sortDirection}'
+    }, {
+        fieldLabel: 'Date format',
+        queryMode: 'local',
+        editable: false,
+        valueField: 'value',
+        displayField: 'text',
+        bind: {
+            store: '{dateFormats}',
+            value: '{preferences.dateFormat}'
+        }
+    }, {
+        fieldLabel: 'Locale',
+        queryMode: 'local',
+        editable: false,
+        valueField: 'value',
+        displayField: 'text',
+        bind: {
+            store: '{locales}',
+            value: '{preferences.locale}'
+        }
+    }, {
+        fieldLabel: 'Theme',
+        queryMode: 'local',
+        editable: false,
+        valueField: 'value',
+        displayField: 'text',
+        bind: {
+            store: '{themes}',
+            value: '{preferences.theme}'
+        }
+    }, {
+        xtype: 'tagfield',
+        fieldLabel: 'Personnel columns',
+        queryMode: 'local',
+        filterPickList: true,
+        valueField: 'value',
+        displayField: 'text',
+        bind: {
+            store: '{columns}',
+            value: '{preferences.personnelColumns}'
+        }
+    }],
+
+    buttonAlign: 'left',
+
+    buttons: [{
+        text: 'Save',
+        handler: 'onSave',
+        bind: {
+            disabled: '{!preferences.dirty}'
+        }
+    }, {
+        text: 'Revert',
+        handler: 'onRevert',
+        bind: {
+            disabled: '{!preferences.dirty}'
+        }
+    }, {
+        text: 'Reset to defaults',
+        tooltip: 'Drop the preferences set here',
+        handler: 'onUseDefaults'
+    }]
+});
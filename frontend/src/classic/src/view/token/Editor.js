@@ -0,0 +1,93 @@
+/**
+ * Window for creating an access token.
+ */
+Ext.define('demo.view.token.Editor', {
+    extend: 'Ext.window.Window',
+    xtype: 'tokeneditor',
+
+    requires: [
+        'Ext.form.Panel',
+        'Ext.form.field.ComboBox',
+        'Ext.form.field.Number',
+        'Ext.form.field.Tag',
+        'demo.view.token.EditorController',
+        'demo.view.token.EditorModel'
+    ],
+
+    controller: 'tokeneditor',
+    viewModel: 'tokeneditor',
+
+    /**
+     * @event created
+     * Fires when the token was saved.
+     * @param {demo.view.token.Editor} editor
+     * @param {demo.model.Token} token The token, carrying its secret.
+     */
+
+    title: 'New Access Token',
+
+    modal: true,
+    width: 480,
+    layout: 'fit',
+
+    items: [{
+        xtype: 'form',
+        bodyPadding: 10,
+        modelValidation: true,
+        defaults: {
+            anchor: '100%',
+            labelWidth: 110
+        },
+        items: [{
+            xtype: 'textfield',
+            fieldLabel: 'Name',
+            emptyText: 'What the token is used for',
+            bind: '{token.name}'
+        }, {
+            xtype: 'combobox',
+            fieldLabel: 'For',
+            queryMode: 'local',
+            editable: false,
+            forceSelection: true,
+            valueField: 'id',
+            displayField: 'name',
+            bind: {
+                store: '{accounts}',
+                value: '{token.accountId}'
+            }
+        }, {
+            xtype: 'tagfield',
+            fieldLabel: 'Scopes',
+            queryMode: 'local',
+            filterPickList: true,
+            valueField: 'value',
+            displayField: 'text',
+            bind: {
+                store: '{scopes}',
+                value: '{token.scopes}'
+            }
+        }, {
+            xtype: 'numberfield',
+            fieldLabel: 'Valid for days',
+            minValue: 1,
+            maxValue: 365,
+            allowDecimals: false,
+            bind: '{token.expiresInDays}'
+        }]
+    }],
+
+    buttons: [{
+        text: 'Cancel',
+        handler: 'onCancel'
+    }, {
+        text: 'Create',
+        handler: 'onSave'
+    }],
+
+    /**
+     * Closes the window.
+     */
+    dismiss: function () {
+        this.close();
+    }
+});
@@ -0,0 +1,80 @@
+/**
+ * Access tokens on the Settings tab: personal access tokens of the account
+ * and, for admins, the API keys of service accounts.
+ */
+Ext.define('demo.view.token.Tokens', {
+    extend: 'Ext.grid.Panel',
+    xtype: 'tokens',
+
+    requires: [
+        'demo.view.token.TokensController',
+        'demo.view.token.TokensModel'
+    ],
+
+    controller: 'tokens',
+    viewModel: 'tokens',
+
+    title: 'Access Tokens',
+
+    height: 400,
+
+    bind: {
+        store: '{tokens}',
+        selection: '{selectedToken}'
+    },
+
+    tbar: [{
+        text: 'New Token',
+        iconCls: 'x-fa fa-plus',
+        handler: 'onAddToken'
+    }, {
+        text: 'Revoke',
+        iconCls: 'x-fa fa-ban',
+        handler: 'onRevokeToken',
+        bind: {
+            disabled: '{!selectedToken}'
+        }
+    }],
+
+    columns: [
+        { text: 'Name',      dataIndex: 'name', flex: 1 },
+        { text: 'Account',   dataIndex: 'accountName', width: 160 },
+        {
+            text: 'Kind',
+            dataIndex: 'kind',
+            width: 90,
+            renderer: function (kind) {
+                return kind === 'key' ? 'API key' : 'Personal';
+            }
+        },
+        {
+            text: 'Token',
+            dataIndex: 'prefix',
+            width: 130,
+            renderer: function (prefix) {
+                return Ext.String.htmlEncode(prefix) + '&hellip;';
+            }
+        },
+        {
+            text: 'Scopes',
+            dataIndex: 'scopes',
+            flex: 1,
+            sortable: false,
+            renderer: function (scopes) {
+                return Ext.String.htmlEncode((scopes || []).join(', '));
+            }
+        },
+        {
+            text: 'Expires',
+            dataIndex: 'expiresAt',
+            width: 130,
+            renderer: function (value, meta, record) {
+                var text = Ext.Date.format(value, 'Y-m-d H:i');
+
+                return record.get('expired') ? text + ' (expired)' : text;
+            }
+        },
+        { text: 'Last Used', dataIndex: 'lastUsedAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130 },
+        { text: 'Created',   dataIndex: 'createdAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130, hidden: true }
+    ]
+});
@@ -0,0 +1,102 @@
+/**
+ * The Trash tab: deleted people and groups, which can be restored or deleted
+ * for good. The backend purges them on its own after a while.
+ */
+Ext.define('demo.view.trash.Trash', {
+    extend: 'Ext.tab.Panel',
+    xtype: 'trash',
+
+    requires: [
+        'Ext.grid.Panel',
+        'Ext.grid.column.Date',
+        'Ext.toolbar.Paging',
+        'demo.view.trash.TrashController',
+        'demo.view.trash.TrashModel'
+    ],
+
+    controller: 'trash',
+    viewModel: 'trash',
+
+    items: [{
+        xtype: 'grid',
+        title: 'People',
+        bind: {
+            store: '{deletedPeople}',
+            selection: '{selectedDeletedPerson}',
+            disabled: '{!can.writeUsers}'
+        },
+        tbar: [{
+            text: 'Restore',
+            iconCls: 'x-fa fa-undo',
+            handler: 'onRestorePerson',
+            bind: {
+                disabled: '{!selectedDeletedPerson}'
+            }
+        }, {
+            text: 'Delete Forever',
+            iconCls: 'x-fa fa-times',
+            handler: 'onPurgePerson',
+            bind: {
+                disabled: '{!selectedDeletedPerson}'
+            }
+        }, '->', {
+            iconCls: 'x-fa fa-refresh',
+            tooltip: 'Refresh',
+            handler: 'onRefresh'
+        }],
+        columns: [
+            { text: 'First Name', dataIndex: 'firstName', width: 140 },
+            { text: 'Last Name',  dataIndex: 'lastName', width: 140 },
+            { text: 'Email',      dataIndex: 'email', flex: 1 },
+            { text: 'Department', dataIndex: 'department', width: 140 },
+            { text: 'Deleted',    dataIndex: 'deletedAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130 }
+        ],
+        bbar: {
+            xtype: 'pagingtoolbar',
+            displayInfo: true,
+            bind: {
+                store: '{deletedPeople}'
+            }
+        }
+    }, {
+        xtype: 'grid',
+        title: 'Groups',
+        bind: {
+            store: '{deletedGroups}',
+            selection: '{selectedDeletedGroup}',
+            disabled: '{!can.writeGroups}'
+        },
+        tbar: [{
+            text: 'Restore',
+            iconCls: 'x-fa fa-undo',
+            handler: 'onRestoreGroup',
+            bind: {
+                disabled: '{!selectedDeletedGroup}'
+            }
+        }, {
+            text: 'Delete Forever',
+            iconCls: 'x-fa fa-times',
+            handler: 'onPurgeGroup',
+            bind: {
+                disabled: '{!selectedDeletedGroup}'
+            }
+        }, '->', {
+            iconCls: 'x-fa fa-refresh',
+            tooltip: 'Refresh',
+            handler: 'onRefresh'
+        }],
+        columns: [
+            { text: 'Name',        dataIndex: 'name', width: 180 },
+            { text: 'Description', dataIndex: 'description', flex: 1 },
+            { text: 'Members',     dataIndex: 'memberCount', width: 100, align: 'right', sortable: false },
+            { text: 'Deleted',     dataIndex: 'deletedAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 130 }
+        ],
+        bbar: {
+            xtype: 'pagingtoolbar',
+            displayInfo: true,
+            bind: {
+                store: '{deletedGroups}'
+            }
+        }
+    }]
+});
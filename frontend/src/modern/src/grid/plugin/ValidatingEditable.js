@@ -0,0 +1,69 @@
+/**
+ * Row editing sheet that checks the record's validators before applying the
+ * input. Invalid fields are highlighted and their messages are listed at the
+ * top of the form; nothing is applied to the record until all of them pass.
+ */
+Ext.define('demo.grid.plugin.ValidatingEditable', {
+    extend: 'Ext.grid.plugin.Editable',
+
+    alias: 'plugin.validatingeditable',
+
+    config: {
+        // Deleting is offered, with confirmation, by the grid toolbar.
+        enableDeleteButton: false
+    },
+
+    invalidCls: 'demo-field-invalid',
+
+    /**
+     * Fires `beforeedit` on the grid first, like the classic editing plugins,
+     * so a listener returning `false` keeps the row from being edited.
+     */
+    onTrigger: function (e) {
+        var grid = this.getGrid(),
+            record = this.getRecordByTriggerEvent(e);
+
+        if (record && grid.fireEvent('beforeedit', this, { grid: grid, record: record }) !== false) {
+            this.callParent([e]);
+        }
+    },
+
+    onSubmitTap: function () {
+        var me = this,
+            form = me.form,
+            values = form.getValues(),
+            errors = form.getRecord().checkValues(values);
+
+        me.showErrors(errors);
+
+        if (Ext.Object.isEmpty(errors)) {
+            form.getRecord().set(values);
+            me.sheet.hide();
+        }
+    },
+
+    privates: {
+        showErrors: function (errors) {
+            var me = this,
+                form = me.form,
+                fields = form.getFields(),
+                summary = form.down('#errors'),
+                name;
+
+            for (name in fields) {
+                fields[name][errors[name] ? 'addCls' : 'removeCls'](me.invalidCls);
+            }
+
+            if (!summary) {
+                summary = form.insert(0, {
+                    xtype: 'component',
+                    itemId: 'errors',
+                    cls: 'demo-form-errors'
+                });
+            }
+
+            summary.setHtml(Ext.Array.map(Ext.Object.getValues(errors), Ext.String.htmlEncode).join('<br>'));
+            summary.setHidden(Ext.Object.isEmpty(errors));
+        }
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * Account administration on the Users tab: lists who may log in to the app
+ * and lets admins create accounts, assign roles, disable accounts and reset
+ * passwords.
+ */
+Ext.define('demo.view.account.Accounts', {
+    extend: 'Ext.grid.Grid',
+    xtype: 'accounts',
+
+    requires: [
+        'Ext.grid.plugin.PagingToolbar',
+        'demo.view.account.AccountsController',
+        'demo.view.account.AccountsModel'
+    ],
+
+    controller: 'accounts',
+    viewModel: 'accounts',
+
+    title: 'Accounts',
+
+    bind: {
+        store: '{accounts}',
+        selection: '{selectedAccount}'
+    },
+
+    plugins: [{
+        type: 'gridpagingtoolbar'
+    }],
+
+    items: [{
+        xtype: 'toolbar',
+        docked: 'top',
+        items: [{
+            iconCls: 'x-fa fa-plus',
+            handler: 'onAddAccount'
+        }, {
+            iconCls: 'x-fa fa-pencil-square-o',
+            handler: 'onEditAccount',
+            bind: {
+                disabled: '{!selectedAccount}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            iconCls: 'x-fa fa-ban',
+            handler: 'onToggleStatus',
+            bind: {
+                text: '{statusAction}',
+                disabled: '{!selectedAccount}'
+            }
+        }, {
+            iconCls: 'x-fa fa-key',
+            handler: 'onResetPassword',
+            bind: {
+                disabled: '{!hasPassword}'
+            }
+        }]
+    }],
+
+    columns: [
+        { text: 'Username',     dataIndex: 'username', width: 120 },
+        { text: 'Display Name', dataIndex: 'displayName', width: 180 },
+        { text: 'Person',       dataIndex: 'personName', width: 180, sortable: false },
+        {
+            text: 'Roles',
+            dataIndex: 'roles',
+            width: 140,
+            sortable: false,
+            renderer: function (roles) {
+                return (roles || []).join(', ');
+            }
+        },
+        {
+            text: 'Kind',
+            dataIndex: 'kind',
+            width: 100,
+            renderer: function (kind) {
+                return kind === 'service' ? 'Service' : 'Person';
+            }
+        },
+        {
+            text: 'Status',
+            dataIndex: 'status',
+            width: 100,
+            renderer: function (status) {
+                return status === 'disabled' ? 'Disabled' : 'Active';
+            }
+        },
+        { text: 'Last Login',   dataIndex: 'lastLoginAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140 },
+        { text: 'Created',      dataIndex: 'createdAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140, hidden: true }
+    ],
+
+    listeners: {
+        itemdoubletap: 'onEditAccount'
+    }
+});
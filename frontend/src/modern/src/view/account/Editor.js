@@ -0,0 +1,131 @@
+/**
+ * Modal form for creating and editing an account.
+ */
+Ext.define('demo.view.account.Editor', {
+    extend: 'Ext.form.Panel',
+    xtype: 'accounteditor',
+
+    requires: [
+        'Ext.TitleBar',
+        'Ext.field.Checkbox',
+        'Ext.field.Password',
+        'Ext.field.Select',
+        'Ext.field.Text',
+        'Ext.form.FieldSet',
+        'demo.model.Person',
+        'demo.view.account.EditorController',
+        'demo.view.account.EditorModel'
+    ],
+
+    controller: 'accounteditor',
+    viewModel: 'accounteditor',
+
+    modal: true,
+    centered: true,
+    width: 400,
+    height: 580,
+
+    items: [{
+        xtype: 'titlebar',
+        docked: 'top',
+        bind: {
+            title: '{title}'
+        }
+    }, {
+        xtype: 'fieldset',
+        defaults: {
+            labelWidth: 120
+        },
+        items: [{
+            xtype: 'textfield',
+            label: 'Username',
+            bind: {
+                value: '{account.username}',
+                readOnly: '{!isNew}'
+            }
+        }, {
+            xtype: 'checkboxfield',
+            label: 'Service account',
+            bind: {
+                checked: '{isService}',
+                hidden: '{!isNew}'
+            }
+        }, {
+            xtype: 'passwordfield',
+            label: 'Password',
+            bind: {
+                value: '{account.password}',
+                hidden: '{!askPassword}'
+            }
+        }, {
+            xtype: 'textfield',
+            label: 'Display Name',
+            bind: '{account.displayName}'
+        }, {
+            xtype: 'selectfield',
+            label: 'Person',
+            valueField: 'id',
+            displayField: 'name',
+            autoSelect: false,
+            store: {
+                model: 'demo.model.Person',
+                autoLoad: true,
+                remoteSort: true,
+                pageSize: 1000,
+                sorters: ['lastName', 'firstName']
+            },
+            bind: '{account.personId}'
+        }]
+    }, {
+        xtype: 'fieldset',
+        title: 'Roles',
+        defaults: {
+            labelWidth: 120
+        },
+        items: [{
+            xtype: 'checkboxfield',
+            label: 'Admin',
+            bind: {
+                checked: '{roleAdmin}'
+            }
+        }, {
+            xtype: 'checkboxfield',
+            label: 'Editor',
+            bind: {
+                checked: '{roleEditor}'
+            }
+        }, {
+            xtype: 'checkboxfield',
+            label: 'Viewer',
+            bind: {
+                checked: '{roleViewer}'
+            }
+        }]
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            text: 'Reset',
+            handler: 'onReset',
+            bind: {
+                disabled: '{!account.dirty}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Cancel',
+            handler: 'onCancel'
+        }, {
+            text: 'Save',
+            ui: 'action',
+            handler: 'onSave'
+        }]
+    }],
+
+    /**
+     * Closes the form.
+     */
+    dismiss: function () {
+        this.destroy();
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * Modal form resolving a change that clashed with one made by someone else.
+ * Each field that differs gets a fieldset with our value and the server's.
+ */
+Ext.define('demo.view.conflict.Conflict', {
+    extend: 'Ext.form.Panel',
+    xtype: 'conflict',
+
+    requires: [
+        'Ext.TitleBar',
+        'Ext.field.Radio',
+        'Ext.form.FieldSet',
+        'demo.view.conflict.ConflictController',
+        'demo.view.conflict.ConflictModel'
+    ],
+
+    controller: 'conflict',
+    viewModel: 'conflict',
+
+    /**
+     * @event resolved
+     * Fires when the user picked the values to keep. The record then holds
+     * them as unsaved changes on top of the current version.
+     * @param {demo.view.conflict.Conflict} dialog
+     * @param {Ext.data.Model} record
+     */
+
+    modal: true,
+    centered: true,
+    width: 420,
+    height: 560,
+
+    items: [{
+        xtype: 'titlebar',
+        docked: 'top',
+        title: 'Changed by Someone Else'
+    }, {
+        xtype: 'component',
+        padding: 10,
+        bind: {
+            html: '{message}'
+        }
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            text: 'Take Theirs',
+            handler: 'onTakeTheirs',
+            bind: {
+                disabled: '{!current}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Merge',
+            handler: 'onMerge',
+            bind: {
+                disabled: '{!current}'
+            }
+        }, {
+            text: 'Keep Mine',
+            ui: 'action',
+            handler: 'onKeepMine',
+            bind: {
+                disabled: '{!current}'
+            }
+        }]
+    }],
+
+    /**
+     * Adds the choice between our value and the server's for each field.
+     * @param {Object[]} rows
+     */
+    showRows: function (rows) {
+        this.add(Ext.Array.map(rows, function (row) {
+            return {
+                xtype: 'fieldset',
+                title: Ext.String.htmlEncode(row.label),
+                defaults: {
+                    xtype: 'radiofield',
+                    name: row.name,
+                    labelWidth: '80%'
+                },
+                items: [{
+                    label: 'Mine: ' + Ext.String.htmlEncode(row.mine),
+                    value: 'mine',
+                    checked: row.changed
+                }, {
+                    label: 'Server: ' + Ext.String.htmlEncode(row.theirs),
+                    value: 'theirs',
+                    checked: !row.changed
+                }]
+            };
+        }));
+    },
+
+    /**
+     * @return {Object} `mine` or `theirs` keyed by field name.
+     */
+    getChoices: function () {
+        return this.getValues();
+    },
+
+    /**
+     * Closes the form.
+     */
+    dismiss: function () {
+        this.destroy();
+    }
+});
@@ -0,0 +1,99 @@
+/**
+ * Modal form for editing a group. Its members are the selected people of the
+ * list below the fields.
+ */
+Ext.define('demo.view.group.Editor', {
+    extend: 'Ext.form.Panel',
+    xtype: 'groupeditor',
+
+    requires: [
+        'Ext.TitleBar',
+        'Ext.dataview.List',
+        'Ext.field.Text',
+        'Ext.field.TextArea',
+        'Ext.form.FieldSet',
+        'demo.model.Person',
+        'demo.view.group.EditorController',
+        'demo.view.group.EditorModel'
+    ],
+
+    controller: 'groupeditor',
+    viewModel: 'groupeditor',
+
+    modal: true,
+    centered: true,
+    width: 420,
+    height: 600,
+    layout: 'vbox',
+    scrollable: false,
+
+    items: [{
+        xtype: 'titlebar',
+        docked: 'top',
+        bind: {
+            title: '{title}'
+        }
+    }, {
+        xtype: 'fieldset',
+        defaults: {
+            labelWidth: 120
+        },
+        items: [{
+            xtype: 'textfield',
+            label: 'Name',
+            bind: '{group.name}'
+        }, {
+            xtype: 'textareafield',
+            label: 'Description',
+            maxRows: 3,
+            bind: '{group.description}'
+        }]
+    }, {
+        xtype: 'list',
+        reference: 'members',
+        flex: 1,
+        mode: 'MULTI',
+        itemTpl: '{name:htmlEncode}',
+        store: {
+            model: 'demo.model.Person',
+            autoLoad: true,
+            remoteSort: true,
+            pageSize: 1000,
+            sorters: ['lastName', 'firstName']
+        },
+        listeners: {
+            select: 'onMemberSelectionChange',
+            deselect: 'onMemberSelectionChange'
+        }
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            text: 'Reset',
+            handler: 'onReset',
+            bind: {
+                disabled: '{!group.dirty}',
+                hidden: '{!can.writeGroups}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Cancel',
+            handler: 'onCancel'
+        }, {
+            text: 'Save',
+            ui: 'action',
+            handler: 'onSave',
+            bind: {
+                hidden: '{!can.writeGroups}'
+            }
+        }]
+    }],
+
+    /**
+     * Closes the form.
+     */
+    dismiss: function () {
+        this.destroy();
+    }
+});
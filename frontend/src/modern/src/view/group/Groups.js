@@ -0,0 +1,65 @@
+/**
+ * Group management on the Groups tab.
+ */
+Ext.define('demo.view.group.Groups', {
+    extend: 'Ext.grid.Grid',
+    xtype: 'groups',
+
+    requires: [
+        'Ext.grid.plugin.PagingToolbar',
+        'demo.view.group.GroupsController',
+        'demo.view.group.GroupsModel'
+    ],
+
+    controller: 'groups',
+    viewModel: 'groups',
+
+    title: 'Groups',
+
+    bind: {
+        store: '{groups}',
+        selection: '{selectedGroup}'
+    },
+
+    plugins: [{
+        type: 'gridpagingtoolbar'
+    }],
+
+    items: [{
+        xtype: 'toolbar',
+        docked: 'top',
+        items: [{
+            iconCls: 'x-fa fa-plus',
+            handler: 'onAddGroup',
+            bind: {
+                hidden: '{!can.writeGroups}'
+            }
+        }, {
+            iconCls: 'x-fa fa-trash',
+            handler: 'onDeleteGroup',
+            bind: {
+                disabled: '{!selectedGroup}',
+                hidden: '{!can.writeGroups}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            iconCls: 'x-fa fa-pencil-square-o',
+            handler: 'onEditGroup',
+            bind: {
+                disabled: '{!selectedGroup}'
+            }
+        }]
+    }],
+
+    columns: [
+        { text: 'Name',        dataIndex: 'name', width: 180 },
+        { text: 'Description', dataIndex: 'description', width: 300 },
+        { text: 'Members',     dataIndex: 'memberCount', width: 100, align: 'right', sortable: false },
+        { text: 'Created',     dataIndex: 'createdAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140, hidden: true }
+    ],
+
+    listeners: {
+        itemdoubletap: 'onEditGroup'
+    }
+});
@@ -0,0 +1,79 @@
+/**
+ * Modal login form. It cannot be dismissed, the app is of no use without a
+ * session.
+ */
+Ext.define('demo.view.login.Login', {
+    extend: 'Ext.form.Panel',
+    xtype: 'login',
+
+    requires: [
+        'Ext.TitleBar',
+        'Ext.field.Password',
+        'Ext.field.Text',
+        'Ext.form.FieldSet',
+        'demo.view.login.LoginController',
+        'demo.view.login.LoginModel'
+    ],
+
+    controller: 'login',
+    viewModel: 'login',
+
+    /**
+     * @event login
+     * Fires when the user logged in.
+     * @param {demo.view.login.Login} login
+     * @param {demo.model.Account} account
+     * @param {demo.model.Account} previous The account whose session expired, if any.
+     */
+
+    modal: true,
+    hideOnMaskTap: false,
+    centered: true,
+    width: 340,
+    height: 320,
+
+    items: [{
+        xtype: 'titlebar',
+        docked: 'top',
+        title: 'Log in'
+    }, {
+        xtype: 'fieldset',
+        defaults: {
+            labelWidth: 100,
+            listeners: {
+                action: 'onLogin'
+            }
+        },
+        items: [{
+            xtype: 'textfield',
+            label: 'Username',
+            autoCapitalize: false,
+            bind: '{username}'
+        }, {
+            xtype: 'passwordfield',
+            label: 'Password',
+            bind: '{password}'
+        }]
+    }, {
+        xtype: 'component',
+        padding: '0 10',
+        style: 'color: #cf4c35',
+        bind: {
+            html: '{error:htmlEncode}',
+            hidden: '{!error}'
+        }
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            xtype: 'spacer'
+        }, {
+            text: 'Log in',
+            ui: 'action',
+            handler: 'onLogin',
+            bind: {
+                disabled: '{busy}'
+            }
+        }]
+    }]
+});
@@ -1,27 +1,86 @@
 /**
- * This view is an example list of people.
+ * This view is an example list of people. Rows are edited in a sheet that
+ * opens on double tap.
  */
 Ext.define('demo.view.main.List', {
     extend: 'Ext.grid.Grid',
     xtype: 'mainlist',
 
     requires: [
-        'demo.store.Personnel'
+        'Ext.ActionSheet',
+        'Ext.field.DatePicker',
+        'Ext.grid.plugin.PagingToolbar',
+        'demo.grid.plugin.ValidatingEditable'
     ],
 
+    reference: 'personnellist',
+
     title: 'Personnel',
 
-    store: {
-        type: 'personnel'
+    bind: {
+        store: '{personnel}',
+        selection: '{selectedPerson}'
     },
 
-    columns: [
-        { text: 'Name',  dataIndex: 'name', width: 100 },
-        { text: 'Email', dataIndex: 'email', width: 230 },
-        { text: 'Phone', dataIndex: 'phone', width: 150 }
-    ],
+    plugins: [{
+        type: 'gridpagingtoolbar'
+    }, {
+        type: 'validatingeditable'
+    }],
+
+    items: [{
+        xtype: 'toolbar',
+        docked: 'top',
+        items: [{
+            iconCls: 'x-fa fa-plus',
+            handler: 'onAddPerson',
+            bind: {
+                hidden: '{!can.writeUsers}'
+            }
+        }, {
+            iconCls: 'x-fa fa-trash',
+            handler: 'onDeletePerson',
+            bind: {
+                disabled: '{!selectedPerson}',
+                hidden: '{!can.writeUsers}'
+            }
+        }, {
+            iconCls: 'x-fa fa-undo',
+            handler: 'onRevertChanges',
+            bind: {
+                hidden: '{!can.writeUsers}'
+            }
+        }, {
+            iconCls: 'x-fa fa-upload',
+            handler: 'onImportPeople',
+            bind: {
+                hidden: '{!can.writeUsers}'
+            }
+        }, {
+            iconCls: 'x-fa fa-download',
+            handler: 'onShowExportMenu'
+        }, {
+            xtype: 'spacer'
+        }, {
+            iconCls: 'x-fa fa-pencil-square-o',
+            handler: 'onShowPerson',
+            bind: {
+                disabled: '{!selectedPerson}'
+            }
+        }]
+    }],
 
     listeners: {
-        select: 'onItemSelected'
-    }
+        beforeedit: 'onPersonBeforeEdit'
+    },
+
+    columns: [
+        { text: 'First Name', dataIndex: 'firstName', width: 120, editable: true, editor: { xtype: 'textfield', name: 'firstName' } },
+        { text: 'Last Name',  dataIndex: 'lastName', width: 120, editable: true, editor: { xtype: 'textfield', name: 'lastName' } },
+        { text: 'Email',      dataIndex: 'email', width: 230, editable: true, editor: { xtype: 'emailfield', name: 'email' } },
+        { text: 'Phone',      dataIndex: 'phone', width: 150, editable: true, editor: { xtype: 'textfield', name: 'phone' } },
+        { text: 'Department', dataIndex: 'department', width: 150, editable: true, editor: { xtype: 'textfield', name: 'department' } },
+        { text: 'Title',      dataIndex: 'title', width: 150, editable: true, editor: { xtype: 'textfield', name: 'title' } },
+        { text: 'Hired',      dataIndex: 'hireDate', width: 120, xtype: 'datecolumn', editable: true, editor: { xtype: 'datepickerfield', name: 'hireDate' } }
+    ]
 });
@@ -11,10 +11,16 @@ Ext.define('demo.view.main.Main', {
 
     requires: [
         'Ext.MessageBox',
+        'Ext.navigation.View',
 
         'demo.view.main.MainController',
         'demo.view.main.MainModel',
-        'demo.view.main.List'
+        'demo.view.main.List',
+        'demo.view.account.Accounts',
+        'demo.view.group.Groups',
+        'demo.view.settings.Settings',
+        'demo.view.token.Tokens',
+        'demo.view.trash.Trash'
     ],
 
     controller: 'main',
@@ -41,21 +47,43 @@ Ext.define('demo.view.main.Main', {
         },{
             title: 'Users',
             iconCls: 'x-fa fa-user',
+            layout: 'fit',
             bind: {
-                html: '{loremIpsum}'
-            }
+                disabled: '{!can.readAccounts}'
+            },
+            items: [{
+                xtype: 'accounts'
+            }]
         },{
             title: 'Groups',
             iconCls: 'x-fa fa-users',
+            layout: 'fit',
+            bind: {
+                disabled: '{!can.readGroups}'
+            },
+            items: [{
+                xtype: 'groups'
+            }]
+        },{
+            xtype: 'trash',
+            title: 'Trash',
+            iconCls: 'x-fa fa-trash',
             bind: {
-                html: '{loremIpsum}'
+                disabled: '{!canUseTrash}'
             }
         },{
             title: 'Settings',
             iconCls: 'x-fa fa-cog',
-            bind: {
-                html: '{loremIpsum}'
-            }
+            layout: 'fit',
+            items: [{
+                xtype: 'tabpanel',
+                items: [{
+                    xtype: 'settings',
+                    title: 'Preferences'
+                }, {
+                    xtype: 'tokens'
+                }]
+            }]
         }
     ]
 });
@@ -0,0 +1,124 @@
+/**
+ * Form for viewing and editing a person, pushed onto the personnel
+ * navigation view. Its History button pushes the changes made to the person.
+ */
+Ext.define('demo.view.person.Detail', {
+    extend: 'Ext.form.Panel',
+    xtype: 'persondetail',
+
+    requires: [
+        'Ext.field.DatePicker',
+        'Ext.field.Email',
+        'Ext.field.Select',
+        'Ext.field.Text',
+        'Ext.field.Url',
+        'Ext.form.FieldSet',
+        'demo.model.Person',
+        'demo.view.person.DetailController',
+        'demo.view.person.DetailModel'
+    ],
+
+    controller: 'persondetail',
+    viewModel: 'persondetail',
+
+    bind: {
+        title: '{title}'
+    },
+
+    items: [{
+        xtype: 'fieldset',
+        defaults: {
+            labelWidth: 110
+        },
+        items: [{
+            xtype: 'textfield',
+            label: 'First Name',
+            bind: '{person.firstName}'
+        }, {
+            xtype: 'textfield',
+            label: 'Last Name',
+            bind: '{person.lastName}'
+        }, {
+            xtype: 'emailfield',
+            label: 'Email',
+            bind: '{person.email}'
+        }, {
+            xtype: 'textfield',
+            label: 'Phone',
+            bind: '{person.phone}'
+        }, {
+            xtype: 'textfield',
+            label: 'Department',
+            bind: '{person.department}'
+        }, {
+            xtype: 'textfield',
+            label: 'Title',
+            bind: '{person.title}'
+        }, {
+            xtype: 'urlfield',
+            label: 'Photo URL',
+            bind: '{person.photoUrl}'
+        }, {
+            xtype: 'datepickerfield',
+            label: 'Hired',
+            bind: '{person.hireDate}'
+        }, {
+            xtype: 'selectfield',
+            label: 'Manager',
+            valueField: 'id',
+            displayField: 'name',
+            autoSelect: false,
+            store: {
+                model: 'demo.model.Person',
+                autoLoad: true,
+                remoteSort: true,
+                pageSize: 1000,
+                sorters: ['lastName', 'firstName']
+            },
+            bind: '{person.managerId}'
+        }]
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            text: 'Reset',
+            handler: 'onReset',
+            bind: {
+                disabled: '{!person.dirty}',
+                hidden: '{!can.writeUsers}'
+            }
+        }, {
+            text: 'History',
+            handler: 'onShowHistory',
+            bind: {
+                hidden: '{!hasHistory}'
+            }
+        }, {
+            iconCls: 'x-fa fa-download',
+            handler: 'onDownloadContact',
+            bind: {
+                hidden: '{original.phantom}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Cancel',
+            handler: 'onCancel'
+        }, {
+            text: 'Save',
+            ui: 'action',
+            handler: 'onSave',
+            bind: {
+                disabled: '{saving}',
+                hidden: '{!can.writeUsers}'
+            }
+        }]
+    }],
+
+    /**
+     * Returns to the personnel list.
+     */
+    dismiss: function () {
+        this.up('navigationview').pop();
+    }
+});
@@ -0,0 +1,62 @@
+/**
+ * The changes made to a person, pushed onto the personnel navigation view from
+ * the detail form.
+ */
+Ext.define('demo.view.person.History', {
+    extend: 'Ext.grid.Grid',
+    xtype: 'personhistory',
+
+    requires: [
+        'demo.view.person.HistoryController',
+        'demo.view.person.HistoryModel'
+    ],
+
+    controller: 'personhistory',
+    viewModel: 'personhistory',
+
+    title: 'History',
+
+    variableHeights: true,
+
+    bind: {
+        store: '{history}',
+        selection: '{selectedEntry}'
+    },
+
+    items: [{
+        xtype: 'toolbar',
+        docked: 'top',
+        items: [{
+            iconCls: 'x-fa fa-refresh',
+            handler: 'onRefresh'
+        }, {
+            xtype: 'spacer'
+        }, {
+            iconCls: 'x-fa fa-undo',
+            text: 'Revert',
+            handler: 'onRevert',
+            bind: {
+                disabled: '{!revertible}',
+                hidden: '{!can.writeUsers}'
+            }
+        }]
+    }],
+
+    columns: [
+        { text: 'When',   dataIndex: 'occurredAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140 },
+        { text: 'By',     dataIndex: 'actor', width: 100 },
+        { text: 'Action', dataIndex: 'action', width: 90 },
+        {
+            text: 'Changes',
+            dataIndex: 'summary',
+            flex: 1,
+            sortable: false,
+            cell: {
+                encodeHtml: false
+            },
+            renderer: function (summary) {
+                return Ext.String.htmlEncode(summary).replace(/\n/g, '<br>');
+            }
+        }
+    ]
+});
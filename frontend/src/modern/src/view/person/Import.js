@@ -0,0 +1,222 @@
+/**
+ * Wizard importing people from a CSV or vCard file: choose the file, map the
+ * columns of CSV files to person fields, check what each row would do and
+ * import it.
+ */
+Ext.define('demo.view.person.Import', {
+    extend: 'Ext.Panel',
+    xtype: 'personimport',
+
+    requires: [
+        'Ext.Progress',
+        'Ext.TitleBar',
+        'Ext.field.Checkbox',
+        'Ext.field.File',
+        'Ext.field.Select',
+        'Ext.form.Panel',
+        'Ext.grid.Grid',
+        'Ext.layout.Card',
+        'demo.view.person.ImportController',
+        'demo.view.person.ImportModel'
+    ],
+
+    controller: 'personimport',
+    viewModel: 'personimport',
+
+    /**
+     * @event imported
+     * Fires when an import that changed people is done.
+     * @param {demo.view.person.Import} wizard
+     * @param {Object} job The finished job as the backend reports it.
+     */
+
+    modal: true,
+    centered: true,
+    width: 420,
+    height: 560,
+    layout: 'card',
+
+    items: [{
+        xtype: 'titlebar',
+        docked: 'top',
+        title: 'Import People'
+    }, {
+        xtype: 'container',
+        itemId: 'upload',
+        padding: 10,
+        items: [{
+            xtype: 'component',
+            margin: '0 0 10 0',
+            html: 'Choose a CSV file whose first line names the columns or a vCard file of ' +
+                'contacts. The next steps show what it would change before anything is imported.'
+        }, {
+            xtype: 'filefield',
+            reference: 'file',
+            label: 'File',
+            accept: '.csv,text/csv,.vcf,text/vcard'
+        }]
+    }, {
+        xtype: 'formpanel',
+        itemId: 'map',
+        reference: 'mapping'
+    }, {
+        xtype: 'container',
+        itemId: 'preview',
+        layout: 'vbox',
+        items: [{
+            xtype: 'checkboxfield',
+            label: 'Update known people',
+            labelWidth: '80%',
+            bind: {
+                checked: '{updateDuplicates}'
+            },
+            listeners: {
+                change: 'onDuplicatesChange'
+            }
+        }, {
+            xtype: 'component',
+            padding: 10,
+            bind: {
+                html: '{summaryText}'
+            }
+        }, {
+            xtype: 'grid',
+            flex: 1,
+            variableHeights: true,
+            bind: {
+                store: '{rows}'
+            },
+            columns: [
+                { text: 'Line', dataIndex: 'line', width: 60 },
+                { text: 'Outcome', dataIndex: 'status', width: 90 },
+                { text: 'Email', dataIndex: 'email', width: 200 },
+                { text: 'Message', dataIndex: 'message', width: 260 }
+            ]
+        }]
+    }, {
+        xtype: 'container',
+        itemId: 'progress',
+        padding: 10,
+        items: [{
+            xtype: 'progress',
+            reference: 'progress',
+            margin: '0 0 10 0'
+        }, {
+            xtype: 'component',
+            bind: {
+                html: '{progressText}'
+            }
+        }]
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            text: 'Cancel',
+            handler: 'onClose',
+            bind: {
+                hidden: '{isProgress}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Back',
+            handler: 'onBack',
+            bind: {
+                hidden: '{!canGoBack}'
+            }
+        }, {
+            text: 'Next',
+            ui: 'action',
+            handler: 'onNext',
+            bind: {
+                disabled: '{busy}',
+                hidden: '{!canGoNext}'
+            }
+        }, {
+            text: 'Import',
+            ui: 'action',
+            handler: 'onImport',
+            bind: {
+                disabled: '{!canImport}',
+                hidden: '{!isPreview}'
+            }
+        }, {
+            text: 'Close',
+            handler: 'onClose',
+            bind: {
+                disabled: '{!finished}',
+                hidden: '{!isProgress}'
+            }
+        }]
+    }],
+
+    /**
+     * @return {File} The chosen file, if any.
+     */
+    getFile: function () {
+        var files = this.lookupReference('file').getFiles();
+
+        return files && files[0];
+    },
+
+    /**
+     * Offers a person field for each column of the file.
+     * @param {String[]} columns
+     * @param {Object} mapping Fields keyed by column to choose at first.
+     * @param {Object[]} fields The fields with their `value` and `text`.
+     */
+    showMapping: function (columns, mapping, fields) {
+        var form = this.lookupReference('mapping'),
+            options = [{ value: '', text: '(Ignore)' }].concat(fields);
+
+        form.removeAll(true);
+        form.add(Ext.Array.map(columns, function (column) {
+            return {
+                xtype: 'selectfield',
+                label: Ext.String.htmlEncode(column),
+                name: column,
+                options: options,
+                value: mapping[column] || ''
+            };
+        }));
+    },
+
+    /**
+     * @return {Object} Person fields keyed by the columns that are not ignored.
+     */
+    getMapping: function () {
+        var values = this.lookupReference('mapping').getValues(),
+            mapping = {};
+
+        Ext.Object.each(values, function (column, field) {
+            if (field) {
+                mapping[column] = field;
+            }
+        });
+        return mapping;
+    },
+
+    /**
+     * @param {String} step
+     */
+    showStep: function (step) {
+        this.setActiveItem(this.child('#' + step));
+    },
+
+    /**
+     * @param {Number} ratio The share of rows imported so far.
+     */
+    showProgress: function (ratio) {
+        var progress = this.lookupReference('progress');
+
+        progress.setValue(ratio);
+        progress.setText(Math.round(ratio * 100) + '%');
+    },
+
+    /**
+     * Closes the form.
+     */
+    dismiss: function () {
+        this.destroy();
+    }
+});
@@ -0,0 +1,144 @@
+/**
+ * Preferences form of the Settings tab. Admins pick whether they edit the
+ * global defaults or the preferences of an account, everybody else edits
+ * their own. The Personnel columns
+ * are the selected items of the list at the bottom.
+ */
+Ext.define('demo.view.settings.Settings', {
+    extend: 'Ext.form.Panel',
+    xtype: 'settings',
+
+    requires: [
+        'Ext.Toolbar',
+        'Ext.dataview.List',
+        'Ext.field.Number',
+        'Ext.field.Select',
+        'Ext.form.FieldSet',
+        'demo.view.settings.SettingsController',
+        'demo.view.settings.SettingsModel'
+    ],
+
+    controller: 'settings',
+    viewModel: 'settings',
+
+    items: [{
+        xtype: 'toolbar',
+        docked: 'top',
+        items: [{
+            xtype: 'component',
+            bind: {
+                html: 'Signed in as {accountName:htmlEncode}'
+            }
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Log out',
+            iconCls: 'x-fa fa-sign-out',
+            handler: 'onLogout'
+        }]
+    }, {
+        xtype: 'fieldset',
+        defaults: {
+            labelWidth: 140,
+            valueField: 'value',
+            displayField: 'text',
+            autoSelect: false
+        },
+        items: [{
+            xtype: 'selectfield',
+            label: 'Preferences of',
+            valueField: 'id',
+            displayField: 'name',
+            bind: {
+                store: '{scopes}',
+                value: '{scope}',
+                hidden: '{!can.readSettings}'
+            },
+            listeners: {
+                change: 'onScopeChange'
+            }
+        }, {
+            xtype: 'numberfield',
+            label: 'Page size',
+            minValue: 5,
+            maxValue: 1000,
+            bind: '{preferences.pageSize}'
+        }, {
+            xtype: 'selectfield',
+            label: 'Sort people by',
+            bind: {
+                store: '{columns}',
+                value: '{preferences.sortProperty}'
+            }
+        }, {
+            xtype: 'selectfield',
+            label: 'Sort direction',
+            options: [
+                { value: 'ASC', text: 'Ascending' },
+                { value: 'DESC', text: 'Descending' }
+            ],
+            bind: '{preferences.sortDirection}'
+        }, {
+            xtype: 'selectfield',
+            label: 'Date format',
+            bind: {
+                store: '{dateFormats}',
+                value: '{preferences.dateFormat}'
+            }
+        }, {
+            xtype: 'selectfield',
+            label: 'Locale',
+            bind: {
+                store: '{locales}',
+                value: '{preferences.locale}'
+            }
+        }, {
+            xtype: 'selectfield',
+            label: 'Theme',
+            bind: {
+                store: '{themes}',
+                value: '{preferences.theme}'
+            }
+        }]
+    }, {
+        xtype: 'fieldset',
+        title: 'Personnel columns',
+        items: [{
+            xtype: 'list',
+            reference: 'columns',
+            mode: 'MULTI',
+            height: 350,
+            scrollable: false,
+            itemTpl: '{text}',
+            bind: {
+                store: '{columns}'
+            },
+            listeners: {
+                select: 'onColumnSelectionChange',
+                deselect: 'onColumnSelectionChange'
+            }
+        }]
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            text: 'Reset to defaults',
+            handler: 'onUseDefaults'
+        }, {
+            xtype: 'spacer'
+        }, {
+            text: 'Revert',
+            handler: 'onRevert',
+            bind: {
+                disabled: '{!preferences.dirty}'
+            }
+        }, {
+            text: 'Save',
+            ui: 'action',
+            handler: 'onSave',
+            bind: {
+                disabled: '{!preferences.dirty}'
+            }
+        }]
+    }]
+});
@@ -0,0 +1,100 @@
+/**
+ * Modal form for creating an access token. Its scopes are the selected items
+ * of the list below the fields.
+ */
+Ext.define('demo.view.token.Editor', {
+    extend: 'Ext.form.Panel',
+    xtype: 'tokeneditor',
+
+    requires: [
+        'Ext.TitleBar',
+        'Ext.dataview.List',
+        'Ext.field.Number',
+        'Ext.field.Select',
+        'Ext.field.Text',
+        'Ext.form.FieldSet',
+        'demo.view.token.EditorController',
+        'demo.view.token.EditorModel'
+    ],
+
+    controller: 'tokeneditor',
+    viewModel: 'tokeneditor',
+
+    /**
+     * @event created
+     * Fires when the token was saved.
+     * @param {demo.view.token.Editor} editor
+     * @param {demo.model.Token} token The token, carrying its secret.
+     */
+
+    modal: true,
+    centered: true,
+    width: 420,
+    height: 600,
+    layout: 'vbox',
+    scrollable: false,
+
+    items: [{
+        xtype: 'titlebar',
+        docked: 'top',
+        title: 'New Access Token'
+    }, {
+        xtype: 'fieldset',
+        defaults: {
+            labelWidth: 120
+        },
+        items: [{
+            xtype: 'textfield',
+            label: 'Name',
+            placeHolder: 'What the token is used for',
+            bind: '{token.name}'
+        }, {
+            xtype: 'selectfield',
+            label: 'For',
+            valueField: 'id',
+            displayField: 'name',
+            bind: {
+                store: '{accounts}',
+                value: '{token.accountId}'
+            }
+        }, {
+            xtype: 'numberfield',
+            label: 'Valid for days',
+            minValue: 1,
+            maxValue: 365,
+            bind: '{token.expiresInDays}'
+        }]
+    }, {
+        xtype: 'list',
+        flex: 1,
+        mode: 'MULTI',
+        itemTpl: '{text:htmlEncode}',
+        bind: {
+            store: '{scopes}'
+        },
+        listeners: {
+            select: 'onScopeSelectionChange',
+            deselect: 'onScopeSelectionChange'
+        }
+    }, {
+        xtype: 'toolbar',
+        docked: 'bottom',
+        items: [{
+            xtype: 'spacer'
+        }, {
+            text: 'Cancel',
+            handler: 'onCancel'
+        }, {
+            text: 'Create',
+            ui: 'action',
+            handler: 'onSave'
+        }]
+    }],
+
+    /**
+     * Closes the form.
+     */
+    dismiss: function () {
+        this.destroy();
+    }
+});
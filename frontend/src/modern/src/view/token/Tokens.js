@@ -0,0 +1,83 @@
+/**
+ * Access tokens on the Settings tab: personal access tokens of the account
+ * and, for admins, the API keys of service accounts.
+ */
+Ext.define('demo.view.token.Tokens', {
+    extend: 'Ext.grid.Grid',
+    xtype: 'tokens',
+
+    requires: [
+        'demo.view.token.TokensController',
+        'demo.view.token.TokensModel'
+    ],
+
+    controller: 'tokens',
+    viewModel: 'tokens',
+
+    title: 'Access Tokens',
+
+    bind: {
+        store: '{tokens}',
+        selection: '{selectedToken}'
+    },
+
+    items: [{
+        xtype: 'toolbar',
+        docked: 'top',
+        items: [{
+            iconCls: 'x-fa fa-plus',
+            handler: 'onAddToken'
+        }, {
+            xtype: 'spacer'
+        }, {
+            iconCls: 'x-fa fa-ban',
+            text: 'Revoke',
+            handler: 'onRevokeToken',
+            bind: {
+                disabled: '{!selectedToken}'
+            }
+        }]
+    }],
+
+    columns: [
+        { text: 'Name',      dataIndex: 'name', width: 180 },
+        { text: 'Account',   dataIndex: 'accountName', width: 160 },
+        {
+            text: 'Kind',
+            dataIndex: 'kind',
+            width: 100,
+            renderer: function (kind) {
+                return kind === 'key' ? 'API key' : 'Personal';
+            }
+        },
+        {
+            text: 'Token',
+            dataIndex: 'prefix',
+            width: 140,
+            renderer: function (prefix) {
+                return prefix + '…';
+            }
+        },
+        {
+            text: 'Scopes',
+            dataIndex: 'scopes',
+            width: 260,
+            sortable: false,
+            renderer: function (scopes) {
+                return (scopes || []).join(', ');
+            }
+        },
+        {
+            text: 'Expires',
+            dataIndex: 'expiresAt',
+            width: 190,
+            renderer: function (value, record) {
+                var text = Ext.Date.format(value, 'Y-m-d H:i');
+
+                return record.get('expired') ? text + ' (expired)' : text;
+            }
+        },
+        { text: 'Last Used', dataIndex: 'lastUsedAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140 },
+        { text: 'Created',   dataIndex: 'createdAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140, hidden: true }
+    ]
+});
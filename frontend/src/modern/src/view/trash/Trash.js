@@ -0,0 +1,99 @@
+/**
+ * The Trash tab: deleted people and groups, which can be restored or deleted
+ * for good. The backend purges them on its own after a while.
+ */
+Ext.define('demo.view.trash.Trash', {
+    extend: 'Ext.tab.Panel',
+    xtype: 'trash',
+
+    requires: [
+        'Ext.grid.Grid',
+        'Ext.grid.plugin.PagingToolbar',
+        'demo.view.trash.TrashController',
+        'demo.view.trash.TrashModel'
+    ],
+
+    controller: 'trash',
+    viewModel: 'trash',
+
+    items: [{
+        xtype: 'grid',
+        title: 'People',
+        bind: {
+            store: '{deletedPeople}',
+            selection: '{selectedDeletedPerson}',
+            disabled: '{!can.writeUsers}'
+        },
+        plugins: [{
+            type: 'gridpagingtoolbar'
+        }],
+        items: [{
+            xtype: 'toolbar',
+            docked: 'top',
+            items: [{
+                iconCls: 'x-fa fa-undo',
+                text: 'Restore',
+                handler: 'onRestorePerson',
+                bind: {
+                    disabled: '{!selectedDeletedPerson}'
+                }
+            }, {
+                iconCls: 'x-fa fa-times',
+                handler: 'onPurgePerson',
+                bind: {
+                    disabled: '{!selectedDeletedPerson}'
+                }
+            }, {
+                xtype: 'spacer'
+            }, {
+                iconCls: 'x-fa fa-refresh',
+                handler: 'onRefresh'
+            }]
+        }],
+        columns: [
+            { text: 'First Name', dataIndex: 'firstName', width: 140 },
+            { text: 'Last Name',  dataIndex: 'lastName', width: 140 },
+            { text: 'Email',      dataIndex: 'email', width: 240 },
+            { text: 'Deleted',    dataIndex: 'deletedAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140 }
+        ]
+    }, {
+        xtype: 'grid',
+        title: 'Groups',
+        bind: {
+            store: '{deletedGroups}',
+            selection: '{selectedDeletedGroup}',
+            disabled: '{!can.writeGroups}'
+        },
+        plugins: [{
+            type: 'gridpagingtoolbar'
+        }],
+        items: [{
+            xtype: 'toolbar',
+            docked: 'top',
+            items: [{
+                iconCls: 'x-fa fa-undo',
+                text: 'Restore',
+                handler: 'onRestoreGroup',
+                bind: {
+                    disabled: '{!selectedDeletedGroup}'
+                }
+            }, {
+                iconCls: 'x-fa fa-times',
+                handler: 'onPurgeGroup',
+                bind: {
+                    disabled: '{!selectedDeletedGroup}'
+                }
+            }, {
+                xtype: 'spacer'
+            }, {
+                iconCls: 'x-fa fa-refresh',
+                handler: 'onRefresh'
+            }]
+        }],
+        columns: [
+            { text: 'Name',    dataIndex: 'name', width: 180 },
+            { text: 'Members', dataIndex: 'memberCount', width: 100, align: 'right', sortable: false },
+            { text: 'Deleted', dataIndex: 'deletedAt', xtype: 'datecolumn', format: 'Y-m-d H:i', width: 140 }
+        ]
+    }]
+});